@@ -1,9 +1,16 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const axios = require('axios');
 const { minimatch } = require('minimatch');
 const fs = require('fs').promises;
 const path = require('path');
+const githubFiles = require('./src/github-files');
+const breakingChanges = require('./src/breaking-changes');
+const reviewComments = require('./src/review-comments');
+const checkRun = require('./src/check-run');
+const docDrift = require('./src/doc-drift');
+const audit = require('./src/audit');
+const publish = require('./src/publish');
+const agent = require('./src/agent');
 
 /**
  * Main entry point for the GitHub Action
@@ -11,60 +18,11 @@ const path = require('path');
 async function run() {
   try {
     // Get and validate inputs
-    const config = {
-      githubToken: core.getInput('github-token', { required: true }),
-      azureOpenAIKey: core.getInput('azure-openai-key', { required: true }),
-      azureOpenAIEndpoint: core.getInput('azure-openai-endpoint', { required: true }),
-      azureOpenAIDeployment: core.getInput('azure-openai-deployment', { required: true }),
-      docsFolder: core.getInput('docs-folder') || 'docs',
-      commitMessage: core.getInput('commit-message') || 'docs: auto-generated Azure integration documentation [skip ci]',
-      filePatterns: (core.getInput('file-patterns') || '').split(',').map(p => p.trim()).filter(p => p),
-      mode: core.getInput('mode') || 'pr',
-      centralDocFile: core.getInput('central-doc-file') || 'azure-integrations.md',
-      includeArchitectureDiagram: core.getInput('include-architecture-diagram') === 'true',
-      includeSecurityNotes: core.getInput('include-security-notes') === 'true',
-      includeCostImpact: core.getInput('include-cost-impact') === 'true',
-      createPrComment: core.getInput('create-pr-comment') === 'true',
-      failOnError: core.getInput('fail-on-error') === 'true',
-      maxCommitsToAnalyze: parseInt(core.getInput('max-commits-to-analyze') || '5'),
-      skipIfNoChanges: core.getInput('skip-if-no-changes') === 'true',
-      autoUpdatePr: core.getInput('auto-update-pr') === 'true',
-      updatePrTitle: core.getInput('update-pr-title') === 'true',
-      updatePrDescription: core.getInput('update-pr-description') === 'true'
-    };
-
-    // Validate Azure OpenAI endpoint
-    if (!config.azureOpenAIEndpoint.includes('openai.azure.com')) {
-      throw new Error('Invalid Azure OpenAI endpoint. Must be an Azure OpenAI endpoint (*.openai.azure.com)');
-    }
-
-    // Validate mode
-    if (!['pr', 'centralized', 'both'].includes(config.mode)) {
-      throw new Error(`Invalid mode: ${config.mode}. Must be 'pr', 'centralized', or 'both'`);
-    }
-
-    // Set default file patterns if empty
-    if (config.filePatterns.length === 0) {
-      config.filePatterns = [
-        '**/*.logicapp.json',
-        '**/apim-policy.xml',
-        '**/apim-*.xml',
-        '**/servicebus-*.json',
-        '**/eventhub-*.json',
-        '**/function.json',
-        '**/bicep/*.bicep',
-        '**/terraform/*.tf',
-        '**/*azure*.yaml',
-        '**/*azure*.yml'
-      ];
-    }
-
-    core.info('🔷 Using Azure OpenAI for documentation generation');
-    core.info(`📍 Endpoint: ${config.azureOpenAIEndpoint.split('?')[0]}`);
-    core.info(`🤖 Deployment: ${config.azureOpenAIDeployment}`);
+    let config = agent.readConfig((name, options) => core.getInput(name, options));
 
     const { context } = github;
     const octokit = github.getOctokit(config.githubToken);
+    config = await agent.prepareConfig(octokit, context, config);
 
     // Determine the event type and route accordingly
     if (context.eventName === 'pull_request' || context.eventName === 'pull_request_target') {
@@ -105,13 +63,13 @@ async function handlePullRequest(context, octokit, config) {
 
   // Check if this is a documentation update commit (to avoid infinite loops)
   if (config.commitMessage && context.payload.action === 'synchronize') {
-    const { data: commits } = await octokit.rest.pulls.listCommits({
+    const commits = await octokit.paginate(octokit.rest.pulls.listCommits, {
       owner: context.repo.owner,
       repo: context.repo.repo,
       pull_number: pullRequest.number,
-      per_page: 1
+      per_page: 100
     });
-    
+
     const latestCommit = commits[commits.length - 1];
     if (latestCommit && latestCommit.commit.message.includes('[skip ci]')) {
       core.info('⏭️ Skipping - last commit was auto-generated documentation');
@@ -121,15 +79,28 @@ async function handlePullRequest(context, octokit, config) {
     }
   }
 
-  // Get changed files in the PR
-  const { data: files } = await octokit.rest.pulls.listFiles({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    pull_number: pullRequest.number,
-    per_page: 100
-  });
+  // Report the result as a Check Run, so it can be required in branch protection
+  // (the documentation commit skipped above already carries the result of the run that made it)
+  const checkRunId = config.checkRun ? await checkRun.startCheckRun(octokit, context, pullRequest.head.sha) : null;
+  let outcome;
+  try {
+    outcome = await documentPullRequest(context, octokit, config, pullRequest);
+  } catch (error) {
+    if (checkRunId) await checkRun.completeCheckRun(octokit, context, checkRunId, { error }, config);
+    throw error;
+  }
+  if (checkRunId) await checkRun.completeCheckRun(octokit, context, checkRunId, outcome, config);
+}
 
-  const azureFiles = filterAzureFiles(files, config.filePatterns);
+/**
+ * Document a pull request: returns { fileDiffs, docPaths, documentation, prose, description, generationMode,
+ * docsCommitSha, untouchedDocs }, or { skipped: reason } when there is nothing to document
+ */
+async function documentPullRequest(context, octokit, config, pullRequest) {
+  // Get changed files in the PR (all pages)
+  const files = await githubFiles.listPullRequestFiles(octokit, context, pullRequest);
+
+  const azureFiles = agent.filterAzureFiles(files, config.filePatterns);
 
   if (azureFiles.length === 0) {
     core.info('No Azure integration files detected in this PR.');
@@ -137,51 +108,57 @@ async function handlePullRequest(context, octokit, config) {
       core.setOutput('docs-updated', 'false');
       core.setOutput('files-processed', '0');
       core.setOutput('pr-updated', 'false');
-      return;
+      return { skipped: 'No Azure integration files changed' };
     }
   }
 
   core.info(`Found ${azureFiles.length} Azure integration file(s):`);
   azureFiles.forEach(file => core.info(`  - ${file.filename} (${file.status})`));
 
-  // Extract diffs
-  const fileDiffs = extractFileDiffs(azureFiles);
+  // Extract and analyse diffs
+  const refs = { base: pullRequest.base.sha, head: pullRequest.head.sha };
+  const fileDiffs = await agent.prepareFileDiffs(octokit, context, azureFiles, refs, config);
 
   if (fileDiffs.length === 0) {
     core.warning('Could not retrieve diffs for any Azure integration files.');
     core.setOutput('docs-updated', 'false');
     core.setOutput('files-processed', '0');
     core.setOutput('pr-updated', 'false');
-    return;
+    return { skipped: 'No Azure integration files to document' };
   }
 
-  // Generate documentation
-  core.info('🤖 Generating documentation with AI...');
-  const documentation = await generateDocumentation(
+  // Hand-written docs that describe a changed integration file should change with it
+  const untouchedDocs = config.checkDocDrift
+    ? await docDrift.findUntouchedDocs(octokit, context, pullRequest.head.sha, files, azureFiles)
+    : [];
+
+  // Generate and write documentation (one document per config-file rule group)
+  const { documentation, docPaths, generationMode, prose } = await agent.documentFileGroups(
     fileDiffs,
     {
       title: pullRequest.title,
       number: pullRequest.number,
       body: pullRequest.body || '',
       author: pullRequest.user.login,
+      url: pullRequest.html_url,
       type: 'pull_request'
     },
-    config
+    pullRequest.number,
+    config,
+    { loadVersions: file => githubFiles.loadFileVersions(octokit, context, file, refs) }
   );
 
-  // Write documentation
-  const docPaths = await writeDocumentation(documentation, pullRequest.number, config);
-
-  // Commit documentation
-  await commitDocumentation(
-    octokit,
-    context,
-    pullRequest.head.ref,
-    docPaths,
-    config.commitMessage
-  );
-  
-  core.info('✅ Documentation committed successfully!');
+  // Commit documentation (to the PR branch, or through a documentation PR into it)
+  const publication = await publish.publishDocumentation(octokit, context, config, {
+    branch: pullRequest.head.ref,
+    filePaths: docPaths,
+    commitMessage: config.commitMessage,
+    pullRequest,
+    title: `docs: Azure integration documentation for #${pullRequest.number}`,
+    summary: `Documentation for #${pullRequest.number} (${pullRequest.title}). Merge this pull request into \`${pullRequest.head.ref}\` to add it to #${pullRequest.number}.`
+  });
+  // Only a direct commit becomes the new head of the pull request
+  const docsCommitSha = publication.strategy === 'direct' ? publication.commitSha : null;
   core.setOutput('docs-updated', 'true');
 
   // Auto-update PR comment if enabled
@@ -190,6 +167,11 @@ async function handlePullRequest(context, octokit, config) {
       filesProcessed: fileDiffs.length,
       docPaths: docPaths,
       documentation: documentation,
+      impact: breakingChanges.renderImpactSection(fileDiffs),
+      security: agent.renderSecuritySection(fileDiffs, config),
+      drift: docDrift.renderUntouchedDocs(untouchedDocs),
+      publication: publish.describePublication(publication),
+      redacted: agent.describeRedactedSecrets(config),
       isUpdate: context.payload.action === 'synchronize'
     });
     core.setOutput('pr-comment-created', 'true');
@@ -198,12 +180,22 @@ async function handlePullRequest(context, octokit, config) {
     await createPrComment(octokit, context, pullRequest.number, {
       filesProcessed: fileDiffs.length,
       docPaths: docPaths,
-      documentation: documentation
+      documentation: documentation,
+      impact: breakingChanges.renderImpactSection(fileDiffs),
+      security: agent.renderSecuritySection(fileDiffs, config),
+      drift: docDrift.renderUntouchedDocs(untouchedDocs),
+      publication: publish.describePublication(publication),
+      redacted: agent.describeRedactedSecrets(config)
     });
     core.setOutput('pr-comment-created', 'true');
     core.setOutput('pr-updated', 'false');
   }
 
+  // Post findings as inline review comments on the changed lines
+  if (config.createReviewComments) {
+    await updateReviewComments(octokit, context, pullRequest, fileDiffs, config);
+  }
+
   // Update PR title if enabled
   if (config.updatePrTitle && context.payload.action === 'synchronize' && !pullRequest.title.includes('[docs updated]')) {
     await updatePrTitle(octokit, context, pullRequest.number, pullRequest.title);
@@ -221,6 +213,27 @@ async function handlePullRequest(context, octokit, config) {
   core.setOutput('files-processed', fileDiffs.length.toString());
   core.setOutput('documentation-path', docPaths.join(', '));
   core.setOutput('changes-summary', `${azureFiles.length} Azure files modified in PR #${pullRequest.number}`);
+  if (config.checkDocDrift) {
+    core.setOutput('docs-drift', untouchedDocs.length.toString());
+  }
+
+  // Fail the check last, so documentation and comments are still published
+  const impact = breakingChanges.summarizeImpact(fileDiffs);
+  if (config.failOnBreakingChange && impact.counts.breaking > 0) {
+    core.setFailed(`${impact.counts.breaking} breaking change(s) detected in integration contracts; see the Change Impact section`);
+  }
+
+  // Written prose: what the LLM wrote and what the author added to hand-written docs
+  return {
+    fileDiffs,
+    docPaths,
+    documentation,
+    prose: [prose, docDrift.addedDocLines(files, docPaths)].filter(Boolean).join('\n\n'),
+    description: pullRequest.body || '',
+    generationMode,
+    docsCommitSha,
+    untouchedDocs
+  };
 }
 
 /**
@@ -239,7 +252,8 @@ async function updateOrCreatePrComment(octokit, context, prNumber, summary) {
 
 ✅ **Files Processed:** ${summary.filesProcessed}
 📄 **Documentation:** ${summary.docPaths.map(p => `\`${p}\``).join(', ')}
-⏰ **Last Updated:** ${timestamp}
+${summary.publication || ''}${summary.redacted ? `🔒 **Secrets Redacted:** ${summary.redacted}\n` : ''}⏰ **Last Updated:** ${timestamp}
+${summary.impact || ''}${summary.security || ''}${summary.drift || ''}
 
 ### Preview
 
@@ -255,12 +269,8 @@ ${summary.documentation}
 ---
 *Auto-generated by Azure Integration Doc Agent 🤖 | ${summary.isUpdate ? 'Updated on new commits' : 'Created on PR'}*`;
 
-    // Try to find existing comment
-    const { data: comments } = await octokit.rest.issues.listComments({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      issue_number: prNumber
-    });
+    // Try to find existing comment (all pages, so busy PRs don't get duplicates)
+    const comments = await githubFiles.listAllComments(octokit, context, prNumber);
 
     const existingComment = comments.find(comment => 
       comment.body && comment.body.includes(commentIdentifier)
@@ -290,6 +300,20 @@ ${summary.documentation}
   }
 }
 
+/**
+ * Post, update and resolve the agent's inline review comments
+ */
+async function updateReviewComments(octokit, context, pullRequest, fileDiffs, config) {
+  try {
+    const comments = reviewComments.buildReviewComments(fileDiffs, config);
+    const { created, updated, resolved } = await reviewComments.publishReview(octokit, context, pullRequest, comments);
+    core.info(`🔍 Review comments: ${created} new, ${updated} updated, ${resolved} resolved (${comments.length} open)`);
+    core.setOutput('review-comments', comments.length.toString());
+  } catch (error) {
+    core.warning(`Failed to publish review comments: ${error.message}`);
+  }
+}
+
 /**
  * Update PR title with documentation update tag
  */
@@ -384,15 +408,15 @@ async function handlePushEvent(context, octokit, config) {
 
   core.info(`Analyzing ${commitsToAnalyze.length} recent commit(s)...`);
 
-  // Get the comparison to find changed files
-  const comparison = await octokit.rest.repos.compareCommits({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    base: context.payload.before,
-    head: context.payload.after
-  });
+  // Get the comparison to find changed files (trees are compared beyond the API limit)
+  const changedFiles = await githubFiles.listComparisonFiles(
+    octokit,
+    context,
+    context.payload.before,
+    context.payload.after
+  );
 
-  const azureFiles = filterAzureFiles(comparison.data.files, config.filePatterns);
+  const azureFiles = agent.filterAzureFiles(changedFiles, config.filePatterns);
 
   if (azureFiles.length === 0) {
     core.info('No Azure integration files detected in this push.');
@@ -405,36 +429,35 @@ async function handlePushEvent(context, octokit, config) {
 
   core.info(`Found ${azureFiles.length} Azure integration file(s) in commits`);
 
-  const fileDiffs = extractFileDiffs(azureFiles);
+  const refs = { base: context.payload.before, head: context.payload.after };
+  const fileDiffs = await agent.prepareFileDiffs(octokit, context, azureFiles, refs, config);
 
-  // Generate documentation
-  const documentation = await generateDocumentation(
+  // Generate and write documentation; for push events, use centralized mode by default
+  const { docPaths } = await agent.documentFileGroups(
     fileDiffs,
     {
       title: `Commit ${context.payload.after.substring(0, 7)} to ${context.ref}`,
       commits: commitsToAnalyze,
       branch: context.ref.replace('refs/heads/', ''),
+      url: context.payload.compare,
       type: 'push'
     },
-    config
+    null,
+    config,
+    {
+      adjustConfig: groupConfig => ({ ...groupConfig, mode: groupConfig.mode === 'pr' ? 'centralized' : groupConfig.mode }),
+      loadVersions: file => githubFiles.loadFileVersions(octokit, context, file, refs)
+    }
   );
 
-  // For push events, use centralized mode by default
-  const effectiveMode = config.mode === 'pr' ? 'centralized' : config.mode;
-  const modifiedConfig = { ...config, mode: effectiveMode };
-
-  const docPaths = await writeDocumentation(documentation, null, modifiedConfig);
-  
   const branch = context.ref.replace('refs/heads/', '');
-  await commitDocumentation(
-    octokit,
-    context,
+  await publish.publishDocumentation(octokit, context, config, {
     branch,
-    docPaths,
-    config.commitMessage
-  );
-  
-  core.info('✅ Documentation committed successfully!');
+    filePaths: docPaths,
+    commitMessage: config.commitMessage,
+    title: `docs: Azure integration documentation for ${branch}`,
+    summary: `Documentation for the Azure integration changes pushed to \`${branch}\` (${context.payload.after.substring(0, 7)}).`
+  });
   core.setOutput('docs-updated', 'true');
 
   core.setOutput('files-processed', fileDiffs.length.toString());
@@ -449,15 +472,8 @@ async function handleScheduledAudit(context, octokit, config) {
   core.info('📊 Running scheduled Azure integration audit...');
 
   // Find all Azure integration files in the repository
-  const { data: tree } = await octokit.rest.git.getTree({
-    owner: context.repo.owner,
-    repo: context.repo.repo,
-    tree_sha: context.sha,
-    recursive: 'true'
-  });
-
-  const allFiles = tree.tree
-    .filter(item => item.type === 'blob')
+  const repositoryFiles = await githubFiles.listRepositoryFiles(octokit, context, context.sha);
+  const allFiles = repositoryFiles
     .filter(item => config.filePatterns.some(pattern => minimatch(item.path, pattern)));
 
   core.info(`Found ${allFiles.length} Azure integration files in repository`);
@@ -469,473 +485,49 @@ async function handleScheduledAudit(context, octokit, config) {
     return;
   }
 
-  // Generate audit documentation
-  const documentation = generateAuditDocumentation(allFiles);
+  // Generate audit documentation, including the repository-wide dependency graph and security findings
+  const sources = await agent.loadIntegrationSources(octokit, context, context.sha, config, repositoryFiles);
+  const graph = agent.buildRepositoryGraph(sources);
+  const findings = config.securityLint && agent.enabledAnywhere(config, 'includeSecurityNotes')
+    ? await agent.runSecurityLint(octokit, context, sources, config)
+    : null;
+  const coverage = await docDrift.checkDocumentation(
+    octokit, context, context.sha, allFiles, repositoryFiles, agent.detectAzureServiceType
+  );
+
+  // Inventory snapshot, compared with the one the previous audit left next to its report
+  const { reportPath, snapshotPath } = audit.auditPaths(config.docsFolder);
+  const previous = await audit.loadPreviousSnapshot(octokit, context, snapshotPath, context.sha);
+  const snapshot = audit.buildSnapshot(allFiles, {
+    sources,
+    graph,
+    findings,
+    coverage,
+    commit: context.sha,
+    detectServiceType: agent.detectAzureServiceType,
+    previous
+  });
+  const documentation = audit.renderAuditReport(snapshot, previous, { graph, findings, coverage });
 
-  const docPath = path.join(config.docsFolder, 'azure-integration-audit.md');
   await fs.mkdir(config.docsFolder, { recursive: true });
-  await fs.writeFile(docPath, documentation, 'utf8');
+  await fs.writeFile(reportPath, documentation, 'utf8');
+  await fs.writeFile(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`, 'utf8');
 
   const branch = context.ref.replace('refs/heads/', '') || 'main';
-  await commitDocumentation(
-    octokit,
-    context,
+  await publish.publishDocumentation(octokit, context, config, {
     branch,
-    [docPath],
-    'docs: automated Azure integration audit'
-  );
+    filePaths: [reportPath, snapshotPath],
+    commitMessage: 'docs: automated Azure integration audit',
+    title: 'docs: Azure integration audit',
+    summary: `Scheduled Azure integration audit of \`${branch}\` (${context.sha.substring(0, 7)}).`
+  });
 
   core.info('✅ Audit documentation generated!');
   core.setOutput('docs-updated', 'true');
   core.setOutput('files-processed', allFiles.length.toString());
-  core.setOutput('documentation-path', docPath);
-}
-
-/**
- * Filter files for Azure integrations
- */
-function filterAzureFiles(files, patterns) {
-  return files.filter(file => 
-    patterns.some(pattern => minimatch(file.filename || file.path, pattern))
-  );
-}
-
-/**
- * Extract diffs from files
- */
-function extractFileDiffs(files) {
-  return files.map(file => {
-    if (file.status === 'removed') {
-      return {
-        filename: file.filename,
-        status: file.status,
-        diff: '(File removed)',
-        additions: 0,
-        deletions: file.deletions || 0
-      };
-    }
-
-    return {
-      filename: file.filename,
-      status: file.status,
-      diff: file.patch || '(Binary or very large file)',
-      additions: file.additions || 0,
-      deletions: file.deletions || 0
-    };
-  }).filter(d => d !== null);
-}
-
-/**
- * Generate documentation using Azure OpenAI
- */
-async function generateDocumentation(fileDiffs, metadata, config) {
-  const prompt = buildDocumentationPrompt(fileDiffs, metadata, config);
-
-  try {
-    core.info('🤖 Calling Azure OpenAI API...');
-    core.info(`Endpoint: ${config.azureOpenAIEndpoint.split('?')[0]}`);
-    core.info(`Deployment: ${config.azureOpenAIDeployment}`);
-    
-    // Build the full Azure OpenAI endpoint URL with deployment and API version
-    const apiVersion = '2024-02-15-preview';
-    let fullEndpoint = config.azureOpenAIEndpoint;
-    
-    // Check if endpoint already includes the full path or just the base URL
-    if (!fullEndpoint.includes('/openai/deployments/')) {
-      // Remove trailing slash if present
-      fullEndpoint = fullEndpoint.replace(/\/$/, '');
-      // Build the complete endpoint
-      fullEndpoint = `${fullEndpoint}/openai/deployments/${config.azureOpenAIDeployment}/chat/completions?api-version=${apiVersion}`;
-    }
-    
-    core.debug(`Full API URL: ${fullEndpoint}`);
-    
-    const response = await axios.post(
-      fullEndpoint,
-      {
-        messages: [
-          {
-            role: 'system',
-            content: buildSystemPrompt(config)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 3000
-      },
-      {
-        headers: {
-          'api-key': config.azureOpenAIKey,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000,
-        validateStatus: function (status) {
-          return status >= 200 && status < 600; // Don't throw on any status
-        }
-      }
-    );
-
-    // Log response structure for debugging
-    core.debug(`Response status: ${response.status}`);
-    core.debug(`Response data keys: ${Object.keys(response.data || {}).join(', ')}`);
-    
-    // Check for HTTP errors first
-    if (response.status >= 400) {
-      core.error(`Azure OpenAI API Error: ${response.status} ${response.statusText}`);
-      core.error(`Response data: ${JSON.stringify(response.data, null, 2)}`);
-      
-      if (response.status === 401) {
-        throw new Error('Azure OpenAI authentication failed. Check your API key in Azure Portal.');
-      } else if (response.status === 404) {
-        throw new Error('Azure OpenAI deployment not found. Verify your endpoint URL and deployment name. Expected format: https://<resource>.openai.azure.com/openai/deployments/<deployment>/chat/completions?api-version=2024-02-15-preview');
-      } else if (response.status === 429) {
-        throw new Error('Azure OpenAI rate limit exceeded. Check your quota in Azure Portal.');
-      } else if (response.status === 400) {
-        const errorMsg = response.data?.error?.message || 'Bad request';
-        throw new Error(`Azure OpenAI bad request: ${errorMsg}`);
-      } else {
-        throw new Error(`Azure OpenAI API request failed with status ${response.status}: ${JSON.stringify(response.data)}`);
-      }
-    }
-    
-    // Validate response structure
-    if (!response.data) {
-      core.error('Response object structure:');
-      core.error(`- status: ${response.status}`);
-      core.error(`- statusText: ${response.statusText}`);
-      core.error(`- headers: ${JSON.stringify(response.headers)}`);
-      throw new Error('Azure OpenAI returned empty response data. The API may be returning an unexpected format.');
-    }
-    
-    if (!response.data.choices || !Array.isArray(response.data.choices)) {
-      core.error('Unexpected response structure from Azure OpenAI');
-      core.error(`Response keys: ${Object.keys(response.data).join(', ')}`);
-      core.error(`Full response: ${JSON.stringify(response.data, null, 2)}`);
-      throw new Error('Azure OpenAI response missing "choices" array. Check your endpoint URL format and API version.');
-    }
-    
-    if (response.data.choices.length === 0) {
-      core.error(`Response data: ${JSON.stringify(response.data, null, 2)}`);
-      throw new Error('Azure OpenAI returned empty choices array. The model may have filtered the content or encountered an error.');
-    }
-    
-    if (!response.data.choices[0].message || !response.data.choices[0].message.content) {
-      core.error(`Choice structure: ${JSON.stringify(response.data.choices[0], null, 2)}`);
-      throw new Error('Azure OpenAI response missing message content. The response may have been filtered or is incomplete.');
-    }
-
-    const generatedText = response.data.choices[0].message.content;
-    core.info('✨ Documentation generated successfully');
-    core.info(`Generated ${generatedText.length} characters of documentation`);
-    
-    // Log token usage if available
-    if (response.data.usage) {
-      core.info(`Token usage: ${response.data.usage.prompt_tokens} prompt + ${response.data.usage.completion_tokens} completion = ${response.data.usage.total_tokens} total`);
-    }
-    
-    return generatedText;
-
-  } catch (error) {
-    if (error.response) {
-      core.error(`Azure OpenAI API Error: ${error.response.status} ${error.response.statusText}`);
-      core.error(`Response headers: ${JSON.stringify(error.response.headers, null, 2)}`);
-      core.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
-      
-      if (error.response.status === 401) {
-        throw new Error('Azure OpenAI authentication failed. Check your API key in Azure Portal.');
-      } else if (error.response.status === 404) {
-        throw new Error('Azure OpenAI deployment not found. Verify your endpoint URL and deployment name. Expected format: https://<resource>.openai.azure.com/openai/deployments/<deployment>/chat/completions?api-version=2024-02-15-preview');
-      } else if (error.response.status === 429) {
-        throw new Error('Azure OpenAI rate limit exceeded. Check your quota in Azure Portal.');
-      } else if (error.response.status === 400) {
-        const errorMsg = error.response.data?.error?.message || 'Bad request';
-        throw new Error(`Azure OpenAI bad request: ${errorMsg}`);
-      } else {
-        throw new Error(`Azure OpenAI API request failed with status ${error.response.status}: ${JSON.stringify(response.data)}`);
-      }
-    } else if (error.code === 'ECONNABORTED') {
-      throw new Error('Azure OpenAI request timeout. The API took longer than 60 seconds to respond.');
-    } else if (error.code === 'ENOTFOUND') {
-      throw new Error('Azure OpenAI endpoint not found. Check your endpoint URL.');
-    } else if (error.code === 'ECONNREFUSED') {
-      throw new Error('Connection refused to Azure OpenAI endpoint. Check your network and endpoint URL.');
-    }
-    
-    throw new Error(`Failed to generate documentation: ${error.message}`);
-  }
-}
-
-/**
- * Build system prompt based on configuration
- */
-function buildSystemPrompt(config) {
-  let prompt = `You are an expert technical writer and Azure solutions architect. Generate clear, comprehensive documentation for Azure integration changes including Logic Apps, APIM policies, Service Bus, Event Hub, Azure Functions, Bicep templates, and Terraform configurations.
-
-Focus on:
-- What changed and why
-- Integration impacts and dependencies
-- Configuration requirements`;
-
-  if (config.includeSecurityNotes) {
-    prompt += '\n- Security considerations and compliance impacts';
-  }
-
-  if (config.includeCostImpact) {
-    prompt += '\n- Cost implications of the changes';
-  }
-
-  if (config.includeArchitectureDiagram) {
-    prompt += '\n- Mermaid diagram suggestions for architecture visualization';
-  }
-
-  prompt += '\n\nUse clear, professional language suitable for both technical and management audiences.';
-
-  return prompt;
-}
-
-/**
- * Build the LLM prompt with file diffs
- */
-function buildDocumentationPrompt(fileDiffs, metadata, config) {
-  let prompt = '';
-
-  if (metadata.type === 'pull_request') {
-    prompt = `# Documentation Request for Pull Request
-
-**PR Title:** ${metadata.title}
-**PR Number:** #${metadata.number}
-**Author:** @${metadata.author}
-**Description:**
-${metadata.body || '(No description provided)'}
-
----
-`;
-  } else if (metadata.type === 'push') {
-    prompt = `# Documentation Request for Commit
-
-**Branch:** ${metadata.branch}
-**Title:** ${metadata.title}
-**Commits Analyzed:** ${metadata.commits.length}
-
-Recent Commits:
-${metadata.commits.map(c => `- ${c.id.substring(0, 7)}: ${c.message} (${c.author.name})`).join('\n')}
-
----
-`;
-  }
-
-  prompt += `## Azure Integration Changes
-
-Generate comprehensive documentation including:
-
-1. **Executive Summary** - High-level overview for management
-2. **Technical Summary** - Detailed changes for developers
-3. **Files Changed** - Per-file analysis with descriptions
-4. **Integration Impact** - Downstream effects and dependencies
-5. **Configuration Requirements** - Environment variables, secrets, connection strings`;
-
-  if (config.includeSecurityNotes) {
-    prompt += '\n6. **Security Considerations** - Authentication, authorization, data protection';
-  }
-
-  if (config.includeCostImpact) {
-    prompt += '\n7. **Cost Impact** - Resource consumption and billing implications';
-  }
-
-  if (config.includeArchitectureDiagram) {
-    prompt += '\n8. **Architecture Diagram** - Mermaid diagram showing integration flow';
-  }
-
-  prompt += '\n9. **Testing Checklist** - Verification steps\n10. **Deployment Notes** - Rollout considerations\n\n';
-
-  prompt += '### Changed Files and Diffs:\n\n';
-
-  fileDiffs.forEach(file => {
-    prompt += `#### File: \`${file.filename}\`\n`;
-    prompt += `- **Status:** ${file.status}\n`;
-    prompt += `- **Changes:** +${file.additions} / -${file.deletions} lines\n`;
-    prompt += `- **Type:** ${detectAzureServiceType(file.filename)}\n\n`;
-    prompt += '```diff\n';
-    prompt += file.diff.substring(0, 2000);
-    prompt += '\n```\n\n';
-  });
-
-  prompt += `---
-
-Generate the documentation in well-formatted Markdown with clear sections, tables where appropriate, and professional formatting.`;
-
-  return prompt;
-}
-
-/**
- * Detect Azure service type from filename
- */
-function detectAzureServiceType(filename) {
-  if (filename.includes('logicapp')) return 'Azure Logic App';
-  if (filename.includes('apim') || filename.includes('policy')) return 'API Management';
-  if (filename.includes('servicebus')) return 'Service Bus';
-  if (filename.includes('eventhub')) return 'Event Hub';
-  if (filename.includes('function')) return 'Azure Function';
-  if (filename.endsWith('.bicep')) return 'Bicep IaC';
-  if (filename.endsWith('.tf')) return 'Terraform IaC';
-  if (filename.includes('azure')) return 'Azure Configuration';
-  return 'Azure Integration';
-}
-
-/**
- * Generate audit documentation for scheduled runs
- */
-function generateAuditDocumentation(files) {
-  const filesByType = {};
-  
-  files.forEach(file => {
-    const type = detectAzureServiceType(file.path);
-    if (!filesByType[type]) filesByType[type] = [];
-    filesByType[type].push(file.path);
-  });
-
-  let doc = `# Azure Integration Audit Report
-
-**Generated:** ${new Date().toISOString()}
-**Total Files:** ${files.length}
-
-## Summary
-
-This repository contains ${files.length} Azure integration files across ${Object.keys(filesByType).length} service types.
-
-## Files by Service Type
-
-`;
-
-  Object.entries(filesByType).forEach(([type, paths]) => {
-    doc += `### ${type} (${paths.length} files)\n\n`;
-    paths.forEach(p => doc += `- \`${p}\`\n`);
-    doc += '\n';
-  });
-
-  doc += `## Recommendations
-
-1. Ensure all integration files have corresponding documentation
-2. Review security configurations regularly
-3. Monitor cost implications of integrations
-4. Keep IaC templates updated with infrastructure changes
-5. Maintain integration dependency diagrams
-
----
-*This audit was automatically generated by Azure Integration Doc Agent*
-`;
-
-  return doc;
-}
-
-/**
- * Write documentation to files based on mode
- */
-async function writeDocumentation(documentation, prNumber, config) {
-  await fs.mkdir(config.docsFolder, { recursive: true });
-  const docPaths = [];
-
-  if (config.mode === 'pr' && prNumber) {
-    const docPath = path.join(config.docsFolder, `pr-${prNumber}-azure-integrations.md`);
-    await fs.writeFile(docPath, documentation, 'utf8');
-    docPaths.push(docPath);
-    core.info(`📄 Per-PR documentation: ${docPath}`);
-  }
-
-  if (config.mode === 'centralized' || config.mode === 'both') {
-    const centralPath = path.join(config.docsFolder, config.centralDocFile);
-    
-    let centralContent = documentation;
-    
-    try {
-      const existingContent = await fs.readFile(centralPath, 'utf8');
-      const timestamp = new Date().toISOString();
-      centralContent = `${existingContent}\n\n---\n\n_Updated: ${timestamp}_\n\n${documentation}`;
-    } catch (error) {
-      // File doesn't exist, use new content
-    }
-    
-    await fs.writeFile(centralPath, centralContent, 'utf8');
-    docPaths.push(centralPath);
-    core.info(`📄 Centralized documentation: ${centralPath}`);
-  }
-
-  return docPaths;
-}
-
-/**
- * Commit documentation changes
- */
-async function commitDocumentation(octokit, context, branch, filePaths, commitMessage) {
-  try {
-    const owner = context.repo.owner;
-    const repo = context.repo.repo;
-
-    core.info(`Committing ${filePaths.length} file(s) to branch: ${branch}`);
-
-    const { data: refData } = await octokit.rest.git.getRef({
-      owner,
-      repo,
-      ref: `heads/${branch}`
-    });
-    const currentCommitSha = refData.object.sha;
-
-    const { data: commitData } = await octokit.rest.git.getCommit({
-      owner,
-      repo,
-      commit_sha: currentCommitSha
-    });
-    const currentTreeSha = commitData.tree.sha;
-
-    const treeItems = await Promise.all(
-      filePaths.map(async (filePath) => {
-        const content = await fs.readFile(filePath, 'utf8');
-        const { data: blobData } = await octokit.rest.git.createBlob({
-          owner,
-          repo,
-          content: Buffer.from(content).toString('base64'),
-          encoding: 'base64'
-        });
-
-        return {
-          path: filePath,
-          mode: '100644',
-          type: 'blob',
-          sha: blobData.sha
-        };
-      })
-    );
-
-    const { data: newTreeData } = await octokit.rest.git.createTree({
-      owner,
-      repo,
-      base_tree: currentTreeSha,
-      tree: treeItems
-    });
-
-    const { data: newCommitData } = await octokit.rest.git.createCommit({
-      owner,
-      repo,
-      message: commitMessage,
-      tree: newTreeData.sha,
-      parents: [currentCommitSha]
-    });
-
-    await octokit.rest.git.updateRef({
-      owner,
-      repo,
-      ref: `heads/${branch}`,
-      sha: newCommitData.sha
-    });
-
-    core.info(`✅ Commit created: ${newCommitData.sha}`);
-
-  } catch (error) {
-    throw new Error(`Failed to commit documentation: ${error.message}`);
-  }
+  core.setOutput('documentation-path', reportPath);
+  core.setOutput('audit-json', snapshotPath);
+  core.setOutput('docs-drift', coverage.filter(item => item.status !== 'current').length.toString());
 }
 
 /**
@@ -949,6 +541,7 @@ async function createPrComment(octokit, context, prNumber, summary) {
 
 ✅ **Files Processed:** ${summary.filesProcessed}
 📄 **Documentation:** ${summary.docPaths.map(p => `\`${p}\``).join(', ')}
+${summary.publication || ''}${summary.redacted ? `🔒 **Secrets Redacted:** ${summary.redacted}\n` : ''}${summary.impact || ''}${summary.security || ''}${summary.drift || ''}
 
 ### Preview
 
@@ -0,0 +1,1414 @@
+/**
+ * Documentation pipeline shared by the GitHub Action and the local CLI.
+ *
+ * Turns changed integration files into analysed diffs (redaction, structured
+ * change sets, change impact, cost, repository-wide graph and lint) and
+ * renders or generates their documentation. Reads go through octokit, or
+ * local git when no client is given; messages go through `log`.
+ */
+
+const { minimatch } = require('minimatch');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const YAML = require('yaml');
+const log = require('./log');
+const logicApp = require('./logicapp');
+const apim = require('./apim');
+const llm = require('./llm-providers');
+const templateDocs = require('./template-docs');
+const promptBudget = require('./prompt-budget');
+const githubFiles = require('./github-files');
+const repoConfigFile = require('./repo-config');
+const promptTemplates = require('./prompt-template');
+const catalogue = require('./catalogue');
+const integrationPages = require('./integration-pages');
+const dependencyGraph = require('./dependency-graph');
+const breakingChanges = require('./breaking-changes');
+const securityLint = require('./security-lint');
+const redaction = require('./redaction');
+const costEstimator = require('./cost-estimator');
+const iac = require('./iac');
+const messaging = require('./messaging');
+const functions = require('./functions');
+const checkRun = require('./check-run');
+const publish = require('./publish');
+
+/**
+ * Input defaults declared in action.yml, for runs that do not go through the Actions runner
+ */
+function readActionDefaults() {
+  const manifest = YAML.parse(fsSync.readFileSync(path.join(__dirname, '..', 'action.yml'), 'utf8'));
+  return Object.fromEntries(Object.entries(manifest.inputs).map(([name, input]) => [name, input.default || '']));
+}
+
+/**
+ * Read the configuration through `getInput(name, options)`: action inputs, or CLI flags for local runs
+ */
+function readConfig(getInput) {
+  return {
+    githubToken: getInput('github-token', { required: true }),
+    llmProvider: getInput('llm-provider') || 'azure-openai',
+    azureOpenAIKey: getInput('azure-openai-key'),
+    azureOpenAIEndpoint: getInput('azure-openai-endpoint'),
+    azureOpenAIDeployment: getInput('azure-openai-deployment'),
+    azureClientId: getInput('azure-client-id'),
+    azureTenantId: getInput('azure-tenant-id'),
+    llmEndpoint: getInput('llm-endpoint'),
+    llmApiKey: getInput('llm-api-key'),
+    llmModel: getInput('llm-model'),
+    generationMode: getInput('generation-mode') || 'llm',
+    templateFallback: getInput('template-fallback') !== 'false',
+    maxPromptTokens: parseInt(getInput('max-prompt-tokens') || '12000'),
+    maxFileTokens: parseInt(getInput('max-file-tokens') || '3000'),
+    maxOutputTokens: parseInt(getInput('max-output-tokens') || '3000'),
+    maxSummaryRequests: parseInt(getInput('max-summary-requests') || '20'),
+    docsFolder: getInput('docs-folder') || 'docs',
+    commitMessage: getInput('commit-message') || 'docs: auto-generated Azure integration documentation [skip ci]',
+    commitStrategy: getInput('commit-strategy') || 'direct',
+    docsBranchPrefix: getInput('docs-branch-prefix') || 'azure-docs/',
+    docsPrLabels: (getInput('docs-pr-labels') || '').split(',').map(p => p.trim()).filter(p => p),
+    docsPrReviewers: (getInput('docs-pr-reviewers') || '').split(',').map(p => p.trim().replace(/^@/, '')).filter(p => p),
+    filePatterns: (getInput('file-patterns') || '').split(',').map(p => p.trim()).filter(p => p),
+    mode: getInput('mode') || 'pr',
+    centralDocFile: getInput('central-doc-file') || 'azure-integrations.md',
+    integrationsFolder: getInput('integrations-folder') || 'docs/integrations',
+    includeArchitectureDiagram: getInput('include-architecture-diagram') === 'true',
+    scanRepository: getInput('scan-repository') === 'true',
+    includeSecurityNotes: getInput('include-security-notes') === 'true',
+    securityLint: getInput('security-lint') === 'true',
+    redactionAllowlist: (getInput('redaction-allowlist') || '').split('\n').map(p => p.trim()).filter(p => p),
+    sarifFile: getInput('sarif-file') || path.join(process.env.RUNNER_TEMP || '', 'azure-integration-security.sarif'),
+    uploadSarif: getInput('upload-sarif') === 'true',
+    includeCostImpact: getInput('include-cost-impact') === 'true',
+    priceTable: getInput('price-table'),
+    createPrComment: getInput('create-pr-comment') === 'true',
+    createReviewComments: getInput('create-review-comments') === 'true',
+    checkRun: getInput('check-run') === 'true',
+    checkConclusions: getInput('check-conclusions'),
+    checkDocDrift: getInput('check-doc-drift') === 'true',
+    failOnError: getInput('fail-on-error') === 'true',
+    failOnBreakingChange: getInput('fail-on-breaking-change') === 'true',
+    maxCommitsToAnalyze: parseInt(getInput('max-commits-to-analyze') || '5'),
+    skipIfNoChanges: getInput('skip-if-no-changes') === 'true',
+    autoUpdatePr: getInput('auto-update-pr') === 'true',
+    updatePrTitle: getInput('update-pr-title') === 'true',
+    updatePrDescription: getInput('update-pr-description') === 'true',
+    configFile: getInput('config-file') || '.github/azure-doc-agent.yml',
+    promptTemplate: getInput('prompt-template')
+  };
+}
+
+/**
+ * Merge the repository config file, load prompt templates and prices, validate the settings and
+ * apply defaults. LLM mode falls back to templates when the provider is not configured.
+ */
+async function prepareConfig(octokit, context, config) {
+  // Merge repository config file (defaults + per-path rules) on top of the inputs
+  const repoConfig = await repoConfigFile.loadRepoConfig(octokit, context, config.configFile, context.sha);
+  if (repoConfig) {
+    log.info(`⚙️ Loaded ${config.configFile} (${repoConfig.rules.length} rule(s))`);
+    config = repoConfigFile.applyRepoDefaults(config, repoConfig);
+  }
+  config.repoConfig = repoConfig;
+
+  // Secrets are replaced with placeholders before any content reaches the LLM or the docs
+  config.redactor = redaction.createRedactor({ allowlist: config.redactionAllowlist });
+
+  // Load custom prompt templates referenced by the inputs or config-file rules
+  const templatePaths = new Set([config.promptTemplate]
+    .concat(repoConfig ? repoConfig.rules.map(rule => rule.settings.promptTemplate) : [])
+    .filter(Boolean));
+  config.promptTemplates = {};
+  for (const templatePath of templatePaths) {
+    config.promptTemplates[templatePath] = await promptTemplates.loadPromptTemplate(octokit, context, templatePath, context.sha);
+    log.info(`📝 Loaded prompt template ${templatePath} (${config.promptTemplates[templatePath].requiredSections.length} required section(s))`);
+  }
+
+  // Prices for the cost estimate: the bundled table, optionally overridden by a repository file
+  config.prices = await costEstimator.loadPriceTable(octokit, context, config.priceTable, context.sha);
+  if (config.priceTable) {
+    log.info(`💲 Loaded price table ${config.priceTable}`);
+  }
+
+  // Map-phase summary requests made so far; shared by every document of the run
+  config.summaryRequests = { used: 0 };
+
+  // Validate token and request limits
+  ['maxPromptTokens', 'maxFileTokens', 'maxOutputTokens', 'maxSummaryRequests'].forEach(key => {
+    if (!Number.isInteger(config[key]) || config[key] <= 0) {
+      throw new Error(`Invalid ${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: must be a positive integer`);
+    }
+  });
+
+  // Validate generation mode
+  if (!['llm', 'template'].includes(config.generationMode)) {
+    throw new Error(`Invalid generation-mode: ${config.generationMode}. Must be 'llm' or 'template'`);
+  }
+
+  // Validate LLM provider settings (forks without secret access fall back to template mode)
+  const provider = llm.getProvider(config.llmProvider);
+  if (config.generationMode === 'llm') {
+    try {
+      provider.validate(config);
+    } catch (error) {
+      if (!config.templateFallback) throw error;
+      log.warning(`${error.message}. Falling back to template documentation.`);
+      config.generationMode = 'template';
+      config.llmUnavailable = error.message;
+    }
+  }
+
+  // Validate the Check Run conclusion policy
+  config.checkPolicy = checkRun.parsePolicy(config.checkConclusions);
+
+  // Validate mode
+  if (!['pr', 'centralized', 'both', 'integration'].includes(config.mode)) {
+    throw new Error(`Invalid mode: ${config.mode}. Must be 'pr', 'centralized', 'both', or 'integration'`);
+  }
+
+  // Validate commit strategy
+  if (!publish.STRATEGIES.includes(config.commitStrategy)) {
+    throw new Error(`Invalid commit-strategy: ${config.commitStrategy}. Must be 'direct', 'pull-request', or 'none'`);
+  }
+
+  // Set default file patterns if empty
+  if (config.filePatterns.length === 0) {
+    config.filePatterns = [
+      '**/*.logicapp.json',
+      '**/apim-policy.xml',
+      '**/apim-*.xml',
+      '**/servicebus-*.json',
+      '**/*.servicebus.json',
+      '**/eventhub-*.json',
+      '**/*.eventhub.json',
+      '**/eventgrid-*.json',
+      '**/*.eventgrid.json',
+      '**/function.json',
+      '**/functions/**/*.js',
+      '**/functions/**/*.ts',
+      '**/functions/**/*.cs',
+      '**/bicep/*.bicep',
+      '**/terraform/*.tf',
+      '**/*azure*.yaml',
+      '**/*azure*.yml'
+    ];
+  }
+
+  if (config.generationMode === 'llm') {
+    log.info(`🔷 Using ${provider.label} for documentation generation`);
+    provider.describe(config).forEach(line => log.info(line));
+  } else {
+    log.info('📐 Using template documentation (no LLM)');
+  }
+
+  return config;
+}
+
+/**
+ * Filter files for Azure integrations
+ */
+function filterAzureFiles(files, patterns) {
+  return files.filter(file => 
+    patterns.some(pattern => minimatch(file.filename || file.path, pattern))
+  );
+}
+
+/**
+ * Extract diffs from files
+ */
+function extractFileDiffs(files) {
+  return files.map(file => {
+    if (file.status === 'removed') {
+      return {
+        filename: file.filename,
+        status: file.status,
+        diff: '(File removed)',
+        additions: 0,
+        deletions: file.deletions || 0
+      };
+    }
+
+    return {
+      filename: file.filename,
+      previousFilename: file.previous_filename || null,
+      status: file.status,
+      diff: file.patch || '(Binary or very large file)',
+      patchMissing: !file.patch,
+      additions: file.additions || 0,
+      deletions: file.deletions || 0
+    };
+  }).filter(d => d !== null);
+}
+
+/**
+ * Turn changed files into analysed diffs: patches, redaction, structured change sets, change impact,
+ * cost estimates and the repository-wide analysis. `refs` are the base and head commits.
+ */
+async function prepareFileDiffs(octokit, context, files, refs, config) {
+  const fileDiffs = extractFileDiffs(files);
+
+  // Diff files without a GitHub patch locally, then parse base/head versions for structured change sets
+  await githubFiles.hydrateMissingPatches(octokit, context, fileDiffs, refs);
+  await redactFileDiffs(octokit, context, fileDiffs, refs, config);
+  await analyzeFileDiffs(octokit, context, fileDiffs, refs);
+  await assessFileDiffs(octokit, context, fileDiffs, refs);
+  await estimateFileCosts(octokit, context, fileDiffs, refs, config);
+  await analyzeRepository(octokit, context, refs.head, config, fileDiffs);
+  return fileDiffs;
+}
+
+// Files larger than this are left out of the dependency graph
+const MAX_GRAPH_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Deterministic analysers keyed by the service type from detectAzureServiceType
+ */
+const ANALYZERS = {
+  'Azure Logic App': {
+    kind: 'logicapp',
+    title: 'Workflow Changes',
+    source: 'Logic App definitions',
+    parse: logicApp.parseLogicAppDefinition,
+    diff: logicApp.diffLogicAppDefinitions,
+    formatForPrompt: logicApp.formatLogicAppChangesForPrompt,
+    render: logicApp.renderLogicAppChanges
+  },
+  'API Management': {
+    kind: 'apim',
+    title: 'API Management Policy Changes',
+    source: 'APIM policy documents',
+    parse: apim.parseApimPolicy,
+    diff: apim.diffApimPolicies,
+    formatForPrompt: apim.formatApimChangesForPrompt,
+    render: apim.renderApimChanges
+  },
+  'Service Bus': {
+    kind: 'servicebus',
+    title: 'Service Bus Configuration Changes',
+    source: 'Service Bus entity definitions',
+    parse: messaging.parseMessagingConfig,
+    diff: messaging.diffMessagingConfigs,
+    formatForPrompt: messaging.formatMessagingChangesForPrompt,
+    render: messaging.renderMessagingChanges
+  },
+  'Event Hub': {
+    kind: 'eventhub',
+    title: 'Event Hubs Configuration Changes',
+    source: 'Event Hubs namespace, hub and consumer group definitions',
+    parse: messaging.parseMessagingConfig,
+    diff: messaging.diffMessagingConfigs,
+    formatForPrompt: messaging.formatMessagingChangesForPrompt,
+    render: messaging.renderMessagingChanges
+  },
+  'Event Grid': {
+    kind: 'eventgrid',
+    title: 'Event Grid Subscription Changes',
+    source: 'Event Grid subscription definitions',
+    parse: messaging.parseMessagingConfig,
+    diff: messaging.diffMessagingConfigs,
+    formatForPrompt: messaging.formatMessagingChangesForPrompt,
+    render: messaging.renderMessagingChanges
+  },
+  'Bicep IaC': {
+    kind: 'bicep',
+    title: 'Infrastructure Changes (Bicep)',
+    source: 'Bicep resource and module declarations',
+    parse: iac.parseBicep,
+    diff: iac.diffIacResources,
+    formatForPrompt: iac.formatIacChangesForPrompt,
+    render: iac.renderIacChanges
+  },
+  'Terraform IaC': {
+    kind: 'terraform',
+    title: 'Infrastructure Changes (Terraform)',
+    source: 'Terraform resource and module blocks',
+    parse: iac.parseTerraform,
+    diff: iac.diffIacResources,
+    formatForPrompt: iac.formatIacChangesForPrompt,
+    render: iac.renderIacChanges
+  },
+  'Azure Function': {
+    kind: 'function',
+    title: 'Azure Functions Bindings',
+    source: 'function.json bindings and trigger/binding declarations in code',
+    parse: functions.parseFunctionFile,
+    diff: functions.diffFunctionBindings,
+    formatForPrompt: functions.formatFunctionChangesForPrompt,
+    render: functions.renderFunctionChanges
+  }
+};
+
+/**
+ * Look up the analyser registered for a parsed file, if any
+ */
+function getAnalyzer(kind) {
+  return Object.values(ANALYZERS).find(analyzer => analyzer.kind === kind) || null;
+}
+
+/**
+ * Pick the analyser for a file from its service type
+ */
+function analyzerFor(filename) {
+  return ANALYZERS[detectAzureServiceType(filename)] || null;
+}
+
+/**
+ * Replace secrets in each diff and its base/head versions with placeholders, before anything parses or prompts them
+ */
+async function redactFileDiffs(octokit, context, fileDiffs, refs, config) {
+  for (const file of fileDiffs) {
+    file.diff = config.redactor.redact(file.diff);
+    try {
+      const versions = await githubFiles.loadFileVersions(octokit, context, file, refs);
+      file.versions = { base: config.redactor.redact(versions.base), head: config.redactor.redact(versions.head) };
+    } catch (error) {
+      // Without both versions the secrets cannot be checked in context: withhold the patch and stop
+      // later steps from fetching the contents again unredacted
+      log.warning(`Could not load ${file.filename} for redaction: ${error.message}. Its diff is left out of the documentation.`);
+      file.diff = '(Diff withheld: the file could not be loaded for secret redaction)';
+      file.redactionFailed = true;
+      Object.defineProperty(file, 'versions', { value: { base: null, head: null }, enumerable: false, writable: true });
+    }
+  }
+
+  const stats = config.redactor.stats();
+  if (stats.secrets > 0) {
+    log.info(`🔒 Redacted ${redaction.describeRedactions(stats)} before documentation`);
+  }
+  log.setOutput('secrets-redacted', stats.secrets.toString());
+
+  return fileDiffs;
+}
+
+/**
+ * Copy of the PR or push metadata with secrets redacted from the title, description and commit messages,
+ * which reach prompts and documents alongside the diffs
+ */
+function redactMetadata(metadata, config) {
+  const before = config.redactor.stats().occurrences;
+  const redacted = {
+    ...metadata,
+    title: config.redactor.redact(metadata.title),
+    body: config.redactor.redact(metadata.body)
+  };
+  if (metadata.commits) {
+    redacted.commits = metadata.commits.map(commit => ({ ...commit, message: config.redactor.redact(commit.message) }));
+  }
+
+  const stats = config.redactor.stats();
+  if (stats.occurrences > before) {
+    log.info(`🔒 Redacted secrets from the ${metadata.commits ? 'commit messages' : 'pull request description'}`);
+    log.setOutput('secrets-redacted', stats.secrets.toString());
+  }
+  return redacted;
+}
+
+/**
+ * Redaction summary for PR comments (null when nothing was redacted)
+ */
+function describeRedactedSecrets(config) {
+  const stats = config.redactor.stats();
+  return stats.secrets > 0 ? redaction.describeRedactions(stats) : null;
+}
+
+/**
+ * Run deterministic analysers over base/head file versions and attach the results to each diff
+ */
+async function analyzeFileDiffs(octokit, context, fileDiffs, refs) {
+  for (const file of fileDiffs) {
+    const analyzer = analyzerFor(file.filename);
+    if (!analyzer) continue;
+
+    try {
+      const versions = await githubFiles.loadFileVersions(octokit, context, file, refs);
+      const base = analyzer.parse(versions.base, file.filename);
+      const head = analyzer.parse(versions.head, file.filename);
+      if (!base && !head) continue;
+
+      file.analysis = {
+        kind: analyzer.kind,
+        changes: analyzer.diff(base, head)
+      };
+      log.info(`🔍 Parsed ${analyzer.kind} changes for ${file.filename}`);
+    } catch (error) {
+      log.warning(`Could not analyse ${file.filename}: ${error.message}`);
+    }
+  }
+
+  return fileDiffs;
+}
+
+/**
+ * Classify each file's contract changes as breaking, risky or safe, and publish the overall impact
+ */
+async function assessFileDiffs(octokit, context, fileDiffs, refs) {
+  for (const file of fileDiffs) {
+    try {
+      const versions = await githubFiles.loadFileVersions(octokit, context, file, refs);
+      file.impact = breakingChanges.classifyChanges(file, versions, detectAzureServiceType(file.filename));
+    } catch (error) {
+      log.warning(`Could not assess change impact of ${file.filename}: ${error.message}`);
+    }
+  }
+
+  const { level, counts } = breakingChanges.summarizeImpact(fileDiffs);
+  log.info(`⚖️ Change impact: ${level} (${counts.breaking} breaking, ${counts.risky} risky, ${counts.safe} safe)`);
+  log.setOutput('change-impact', level);
+  log.setOutput('breaking-changes', counts.breaking.toString());
+
+  return fileDiffs;
+}
+
+/**
+ * Estimate each file's monthly cost delta from its billable settings, when cost impact is enabled anywhere
+ */
+async function estimateFileCosts(octokit, context, fileDiffs, refs, config) {
+  if (!enabledAnywhere(config, 'includeCostImpact')) return fileDiffs;
+
+  for (const file of fileDiffs) {
+    try {
+      const versions = await githubFiles.loadFileVersions(octokit, context, file, refs);
+      file.cost = costEstimator.estimateFileCost(file, versions, detectAzureServiceType(file.filename), config.prices);
+    } catch (error) {
+      log.warning(`Could not estimate cost impact of ${file.filename}: ${error.message}`);
+    }
+  }
+
+  const { total, rows } = costEstimator.summarizeCost(fileDiffs);
+  if (rows > 0) {
+    log.info(`💲 Estimated monthly cost delta: ${costEstimator.formatAmount(total, config.prices, true)} (${rows} billable change(s))`);
+  }
+  log.setOutput('cost-delta', total.toFixed(2));
+
+  return fileDiffs;
+}
+
+/**
+ * Render the estimated cost table for the changed files, when enabled for them
+ */
+function renderCostSection(fileDiffs, config) {
+  return config.includeCostImpact ? costEstimator.renderCostSection(fileDiffs, config.prices) : '';
+}
+
+/**
+ * Render deterministic analysis tables that are appended to the generated documentation
+ */
+function renderAnalysisSections(fileDiffs) {
+  let sections = '';
+
+  Object.values(ANALYZERS).forEach(analyzer => {
+    const analysed = fileDiffs.filter(file => file.analysis && file.analysis.kind === analyzer.kind);
+    if (analysed.length === 0) return;
+
+    sections += `\n\n## ${analyzer.title}\n\n`;
+    sections += `_Derived directly from the ${analyzer.source} (base vs head), independent of the AI summary._\n\n`;
+
+    analysed.forEach(file => {
+      sections += `### \`${file.filename}\`\n\n`;
+      sections += analyzer.render(file.analysis.changes);
+      sections += '\n';
+    });
+  });
+
+  return sections;
+}
+
+/**
+ * Whether this run or any config-file rule enables a boolean setting (e.g. includeArchitectureDiagram)
+ */
+function enabledAnywhere(config, setting) {
+  return Boolean(config[setting]) ||
+    Boolean(config.repoConfig && config.repoConfig.rules.some(rule => rule.settings[setting]));
+}
+
+/**
+ * Read every integration source file (integration files plus Function code) at `ref`
+ */
+async function loadIntegrationSources(octokit, context, ref, config, repositoryFiles = null) {
+  const tree = repositoryFiles || await githubFiles.listRepositoryFiles(octokit, context, ref);
+  const candidates = tree.filter(item => dependencyGraph.isGraphSource(item.path, config.filePatterns) &&
+    !(item.size > MAX_GRAPH_FILE_BYTES));
+
+  const sources = [];
+  for (const item of candidates) {
+    try {
+      sources.push({ path: item.path, content: await githubFiles.readRepositoryFile(octokit, context, item.path, ref) });
+    } catch (error) {
+      log.warning(`Could not read ${item.path}: ${error.message}`);
+    }
+  }
+  return sources;
+}
+
+/**
+ * Build the cross-file dependency graph from the integration sources
+ */
+function buildRepositoryGraph(sources) {
+  const graph = dependencyGraph.buildDependencyGraph(sources, detectAzureServiceType);
+  log.info(`🕸️ Dependency graph: ${graph.nodes.size} node(s), ${graph.edges.size} link(s) from ${sources.length} file(s)`);
+  return graph;
+}
+
+/**
+ * Lint the integration sources, write the SARIF log and optionally upload it to code scanning
+ */
+async function runSecurityLint(octokit, context, sources, config) {
+  const findings = securityLint.lintSources(sources, detectAzureServiceType, config.redactionAllowlist);
+  log.info(`🛡️ Security lint: ${findings.length} finding(s) in ${sources.length} file(s)`);
+  findings.forEach(item => log.info(`  - ${item.ruleId} ${item.path}:${item.line} ${item.message}`));
+
+  const sarif = JSON.stringify(securityLint.buildSarif(findings, sources), null, 2);
+  await writeOutputFile(config.sarifFile, sarif, config);
+  log.setOutput('sarif-file', config.sarifFile);
+  log.setOutput('security-findings', findings.length.toString());
+
+  if (config.uploadSarif && octokit) {
+    try {
+      await octokit.rest.codeScanning.uploadSarif({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        commit_sha: context.sha,
+        ref: context.ref,
+        sarif: zlib.gzipSync(sarif).toString('base64'),
+        tool_name: 'Azure Integration Doc Agent'
+      });
+      log.info('🛡️ Uploaded security findings to code scanning');
+    } catch (error) {
+      log.warning(`Could not upload SARIF to code scanning (needs security-events: write): ${error.message}`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check the app settings required by changed Functions against those declared in Bicep/Terraform
+ */
+function checkFunctionSettings(fileDiffs, sources) {
+  const declared = functions.collectDeclaredSettings(sources);
+  fileDiffs
+    .filter(file => file.analysis && file.analysis.kind === 'function')
+    .forEach(file => {
+      const missing = functions.checkAppSettings(file.analysis.changes, declared);
+      if (missing.length > 0) {
+        log.warning(`${file.filename} needs app settings not declared in Bicep/Terraform: ${missing.join(', ')}`);
+      }
+    });
+}
+
+/**
+ * Analysis beyond the changed files' diffs for PR and push runs: dependency graph, security lint and
+ * Function app settings check, as enabled or needed by the changed files. The graph and lint read every
+ * matched file (the tree walk of scheduled audits) so the changed part can be highlighted in context;
+ * with `scan-repository: false` they read only the changed files and the settings check the Bicep/Terraform files.
+ */
+async function analyzeRepository(octokit, context, ref, config, fileDiffs = []) {
+  const wantsGraph = enabledAnywhere(config, 'includeArchitectureDiagram');
+  const wantsLint = config.securityLint &&
+    (enabledAnywhere(config, 'includeSecurityNotes') || config.createReviewComments || config.checkRun);
+  const wantsSettings = fileDiffs.some(file => file.analysis && file.analysis.kind === 'function');
+  if (!wantsGraph && !wantsLint && !wantsSettings) return config;
+
+  let sources;
+  if (config.scanRepository) {
+    sources = await loadIntegrationSources(octokit, context, ref, config);
+  } else {
+    const changed = fileDiffs.filter(file => file.status !== 'removed').map(file => ({ path: file.filename }));
+    sources = await loadIntegrationSources(octokit, context, ref, config, changed);
+  }
+
+  if (wantsGraph) config.dependencyGraph = buildRepositoryGraph(sources);
+  if (wantsLint) config.securityFindings = await runSecurityLint(octokit, context, sources, config);
+  if (wantsSettings) {
+    const iacSources = config.scanRepository ? sources : await loadIntegrationSources(octokit, context, ref, config,
+      (await githubFiles.listRepositoryFiles(octokit, context, ref)).filter(item => /\.(bicep|tf)$/.test(item.path)));
+    checkFunctionSettings(fileDiffs, iacSources);
+  }
+  return config;
+}
+
+/**
+ * Security findings located in a set of changed files (null when linting is off for them)
+ */
+function securityFindingsFor(fileDiffs, config) {
+  if (!config.includeSecurityNotes || !config.securityFindings) return null;
+  const paths = new Set(fileDiffs.map(file => file.filename));
+  return config.securityFindings.filter(item => paths.has(item.path));
+}
+
+/**
+ * Render the security lint findings for the changed files
+ */
+function renderSecuritySection(fileDiffs, config) {
+  const findings = securityFindingsFor(fileDiffs, config);
+  if (!findings) return '';
+
+  return '\n\n## Security Findings\n\n' +
+    (config.scanRepository
+      ? '_Static checks over every matched integration file; findings in the changed files are listed here and all of them are exported as SARIF for code scanning._\n\n'
+      : '_Static checks over the changed files only (`scan-repository: false`); also exported as SARIF for code scanning._\n\n') +
+    securityLint.renderSecurityFindings(findings);
+}
+
+/**
+ * Part of the dependency graph touched by a set of changed files (null when no graph was built)
+ */
+function architectureSubgraph(fileDiffs, config) {
+  if (!config.includeArchitectureDiagram || !config.dependencyGraph) return null;
+  return dependencyGraph.selectSubgraph(config.dependencyGraph, fileDiffs.map(file => file.filename));
+}
+
+/**
+ * Render the deterministic architecture diagram for the changed files
+ */
+function renderArchitectureSection(fileDiffs, config) {
+  const subgraph = architectureSubgraph(fileDiffs, config);
+  if (!subgraph) return '';
+
+  let section = '\n\n## Integration Dependency Graph\n\n';
+  if (subgraph.graph.edges.size === 0) {
+    return `${section}_None of the changed files link to other integration resources in this repository._\n`;
+  }
+  section += config.scanRepository
+    ? '_Derived from the repository\'s integration files; changed components are highlighted._\n\n'
+    : '_Derived from the changed files only (`scan-repository: false`); changed components are highlighted._\n\n';
+  section += `\`\`\`mermaid\n${dependencyGraph.renderMermaid(subgraph.graph, subgraph.changed)}\`\`\`\n`;
+  return section;
+}
+
+/**
+ * Generate and write documentation for each group of files sharing the same config-file rules.
+ * `generationMode` is 'template' when any group was rendered from templates; `prose` is the
+ * LLM-written text alone, without templates or deterministic analysis sections.
+ */
+async function documentFileGroups(fileDiffs, metadata, prNumber, config, { adjustConfig = groupConfig => groupConfig, loadVersions } = {}) {
+  metadata = redactMetadata(metadata, config);
+  const groups = repoConfigFile.groupFilesByRules(fileDiffs, config.repoConfig, config);
+  const documents = [];
+  const docPaths = [];
+  const modes = [];
+  const proses = [];
+
+  for (const group of groups) {
+    const groupConfig = adjustConfig(group.config);
+    if (groups.length > 1) {
+      log.info(`📂 Documenting ${group.files.length} file(s) for rule group '${group.name || 'default'}'`);
+    }
+
+    let documentation;
+    let paths;
+    let modeUsed;
+    let prose;
+    if (groupConfig.mode === 'integration') {
+      ({ documentation, paths, modeUsed, prose } = await writeIntegrationPages(group.files, metadata, groupConfig, loadVersions));
+    } else {
+      ({ documentation, modeUsed, prose } = await produceDocumentation(group.files, metadata, groupConfig));
+      documentation += renderOwnersSection(groupConfig.owners);
+      paths = await writeDocumentation(documentation, prNumber, groupConfig, { fileDiffs: group.files, metadata });
+    }
+    documents.push(documentation);
+    modes.push(modeUsed);
+    if (prose) proses.push(prose);
+    paths.forEach(p => !docPaths.includes(p) && docPaths.push(p));
+  }
+
+  const generationMode = modes.includes('template') ? 'template' : 'llm';
+  log.setOutput('generation-mode', generationMode);
+  return { documentation: documents.join('\n\n---\n\n'), docPaths, generationMode, prose: proses.join('\n\n') };
+}
+
+/**
+ * Regenerate the living page of each changed integration file (integration mode).
+ * `loadVersions(file)` returns the file's { base, head } contents.
+ */
+async function writeIntegrationPages(fileDiffs, metadata, config, loadVersions) {
+  const pages = [];
+  const paths = [];
+  const proses = [];
+  const claimed = new Map();
+  let modeUsed = config.generationMode;
+
+  const readPage = async pagePath => {
+    try {
+      return integrationPages.parseIntegrationPage(await fs.readFile(pagePath, 'utf8'));
+    } catch (error) {
+      return integrationPages.parseIntegrationPage(null);
+    }
+  };
+  const writePage = async (pagePath, content) => {
+    await writeOutputFile(pagePath, content, config);
+    if (!paths.includes(pagePath)) paths.push(pagePath);
+  };
+
+  for (const file of fileDiffs) {
+    const serviceType = detectAzureServiceType(file.filename);
+    let pagePath = integrationPages.integrationPagePath(file.filename, serviceType, config.integrationsFolder);
+    if (claimed.has(pagePath) && claimed.get(pagePath) !== file.filename) {
+      log.warning(`${file.filename} and ${claimed.get(pagePath)} map to the same page; using its full path as the page name`);
+      pagePath = integrationPages.integrationPagePath(file.filename, serviceType, config.integrationsFolder, { qualified: true });
+    }
+    claimed.set(pagePath, file.filename);
+
+    let existing = await readPage(pagePath);
+
+    // Renamed files take their history along and leave a pointer at the old page
+    if (file.previousFilename && file.previousFilename !== file.filename) {
+      const previousPath = integrationPages.integrationPagePath(
+        file.previousFilename, detectAzureServiceType(file.previousFilename), config.integrationsFolder
+      );
+      if (previousPath !== pagePath) {
+        const previous = await readPage(previousPath);
+        if (previous.history.length > 0 && existing.history.length === 0) existing = previous;
+        await writePage(previousPath, integrationPages.renderMovedPage(file.previousFilename, pagePath, metadata));
+      }
+    }
+
+    const retired = file.status === 'removed';
+    let body;
+    if (retired) {
+      body = existing.body || '_No documentation was recorded before the file was removed._';
+    } else {
+      const page = await produceIntegrationPageBody(file, metadata, config, loadVersions);
+      if (page.modeUsed === 'template') modeUsed = 'template';
+      if (page.prose) proses.push(page.prose);
+      body = page.body + renderOwnersSection(config.owners);
+    }
+
+    await writePage(pagePath, integrationPages.renderIntegrationPage({
+      filename: file.filename,
+      serviceType,
+      body,
+      history: integrationPages.addHistoryEntry(existing.history, file, metadata),
+      metadata,
+      retired
+    }));
+    pages.push(`## \`${file.filename}\`\n\n_Page: \`${pagePath}\`_\n\n${body}`);
+    log.info(`📄 Integration page: ${pagePath}`);
+  }
+
+  return { documentation: `# Azure Integration Pages\n\n${pages.join('\n\n---\n\n')}`, paths, modeUsed, prose: proses.join('\n\n') };
+}
+
+/**
+ * Produce the body of one integration page from the file's current content and latest diff
+ */
+async function produceIntegrationPageBody(file, metadata, config, loadVersions) {
+  let content = null;
+  if (loadVersions) {
+    try {
+      content = (await loadVersions(file)).head;
+    } catch (error) {
+      log.warning(`Could not load current content of ${file.filename}: ${error.message}`);
+    }
+  }
+
+  const analyzer = file.analysis && getAnalyzer(file.analysis.kind);
+  const analysis = breakingChanges.renderImpactSection([file]) + renderSecuritySection([file], config) +
+    renderCostSection([file], config) +
+    (analyzer ? `\n\n## ${analyzer.title}\n\n${analyzer.render(file.analysis.changes)}` : '') +
+    renderArchitectureSection([file], config);
+
+  if (config.generationMode === 'llm') {
+    try {
+      const prose = await generateIntegrationPage(file, content, metadata, config);
+      return { body: prose + analysis, modeUsed: 'llm', prose };
+    } catch (error) {
+      if (!config.templateFallback) throw error;
+      log.warning(`${error.message}. Falling back to template documentation.`);
+      return {
+        body: templateDocs.renderTemplateIntegrationPage(file, content, detectAzureServiceType, {
+          fallbackReason: error.message.replace(/^Failed to generate integration page: /, '')
+        }) + analysis,
+        modeUsed: 'template'
+      };
+    }
+  }
+
+  return { body: templateDocs.renderTemplateIntegrationPage(file, content, detectAzureServiceType) + analysis, modeUsed: 'template' };
+}
+
+/**
+ * Generate one integration page with the configured LLM provider
+ */
+async function generateIntegrationPage(file, content, metadata, config) {
+  const provider = llm.getProvider(config.llmProvider);
+  const systemPrompt = buildSystemPrompt(config);
+
+  try {
+    // Summarise the latest diff if it alone would blow the per-file budget
+    const measure = () => promptBudget.estimateTokens(systemPrompt + buildIntegrationPagePrompt(file, content, metadata, config));
+    await promptBudget.summarizeToBudget(
+      [file],
+      summaryBudget(config),
+      measure,
+      (target, chunk, index, total) => summarizeDiffChunk(target, chunk, index, total, config),
+      describeUnsummarisedDiff
+    );
+
+    log.info(`🤖 Calling ${provider.label} API for the ${file.filename} page...`);
+    const { content: generatedText } = await llm.requestChatCompletion(config, [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: buildIntegrationPagePrompt(file, content, metadata, config) }
+    ], { maxTokens: config.maxOutputTokens });
+
+    return generatedText.trim();
+  } catch (error) {
+    const wrapped = new Error(`Failed to generate integration page: ${error.message}`);
+    wrapped.status = error.status;
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+/**
+ * Build the LLM prompt for one integration page: current content plus the latest change
+ */
+function buildIntegrationPagePrompt(file, content, metadata, config) {
+  const serviceType = detectAzureServiceType(file.filename);
+  let prompt = `# Integration Page Request
+
+Write the reference page for the ${serviceType} defined in \`${file.filename}\`. The page describes the integration as it is now; the latest change is only one section of it.
+
+Use exactly these sections:
+
+1. **## Overview** - What this integration does and who uses it
+2. **## Current Configuration** - Triggers, endpoints, queues, policies, settings as currently defined
+3. **## Dependencies** - Upstream and downstream Azure resources and connections
+4. **## Latest Change** - What ${metadata.number ? `PR #${metadata.number} (${metadata.title})` : metadata.title} changed and its impact`;
+
+  if (config.includeSecurityNotes) {
+    prompt += '\n5. **## Security Considerations** - Authentication, secrets, network exposure';
+  }
+  if (config.includeCostImpact) {
+    prompt += file.cost && file.cost.length > 0
+      ? '\n6. **## Cost Impact** - Explain the estimated figures listed below; do not invent other prices (a cost table is appended automatically)'
+      : '\n6. **## Cost Impact** - Resource consumption and billing implications';
+  }
+  if (config.includeArchitectureDiagram) {
+    prompt += config.dependencyGraph
+      ? '\n7. **## Architecture Notes** - This integration\'s place in the flow, using the dependencies listed below (a diagram is appended automatically)'
+      : '\n7. **## Architecture Diagram** - Mermaid diagram of this integration\'s flow';
+  }
+
+  prompt += '\n\nDo not add a top-level (#) title.\n\n### Current Content\n\n';
+
+  if (content === null) {
+    prompt += '_Current content unavailable; rely on the diff._\n\n';
+  } else {
+    const chunks = promptBudget.splitIntoChunks(content, config.maxFileTokens);
+    prompt += `\`\`\`\n${chunks[0]}\n\`\`\`\n`;
+    if (chunks.length > 1) {
+      prompt += `_(Content truncated: showing part 1 of ${chunks.length}.)_\n`;
+    }
+    prompt += '\n';
+  }
+
+  prompt += `### Latest Change (${file.status}, +${file.additions} / -${file.deletions} lines)\n\n`;
+  if (file.summarised) {
+    prompt += `${summaryHeading(file)}\n${file.summary}\n\n`;
+  } else {
+    prompt += `\`\`\`diff\n${file.diff}\n\`\`\`\n\n`;
+  }
+
+  const analyzer = file.analysis && getAnalyzer(file.analysis.kind);
+  if (analyzer) {
+    prompt += `**Parsed ${analyzer.title.toLowerCase()} (authoritative, derived from the file contents):**\n`;
+    prompt += `${analyzer.formatForPrompt(file.analysis.changes)}\n\n`;
+  }
+  if (file.impact && file.impact.length > 0) {
+    prompt += `**Change impact (authoritative, rule-based):**\n${breakingChanges.formatImpactForPrompt(file.impact)}\n\n`;
+  }
+  const findings = securityFindingsFor([file], config);
+  if (findings && findings.length > 0) {
+    prompt += `**Security findings (authoritative, static checks):**\n${securityLint.formatFindingsForPrompt(findings)}\n\n`;
+  }
+  if (config.includeCostImpact && file.cost && file.cost.length > 0) {
+    prompt += `**Estimated cost impact (authoritative, rule-based from list prices):**\n${costEstimator.formatCostForPrompt(file.cost, config.prices)}\n\n`;
+  }
+
+  const subgraph = architectureSubgraph([file], config);
+  if (subgraph) {
+    prompt += `**Integration dependencies (authoritative, derived from the repository files):**\n${dependencyGraph.formatGraphForPrompt(subgraph.graph)}\n\n`;
+  }
+
+  prompt += '---\n\nGenerate the page in well-formatted Markdown.';
+  return prompt;
+}
+
+/**
+ * Render the owners configured for a rule group
+ */
+function renderOwnersSection(owners) {
+  if (!owners || owners.length === 0) return '';
+  return `\n\n## Owners\n\n${owners.map(owner => `- ${owner}`).join('\n')}\n`;
+}
+
+/**
+ * Produce the documentation body: LLM output (or template fallback) plus deterministic analysis tables.
+ * Returns { documentation, modeUsed, prose } with `prose` the LLM output alone ('' for templates).
+ */
+async function produceDocumentation(fileDiffs, metadata, config) {
+  let body;
+  let modeUsed = config.generationMode;
+
+  if (config.generationMode === 'template') {
+    log.info('📐 Rendering template documentation...');
+    body = templateDocs.renderTemplateDocumentation(fileDiffs, metadata, detectAzureServiceType);
+  } else {
+    log.info('🤖 Generating documentation with AI...');
+    try {
+      body = await generateDocumentation(fileDiffs, metadata, config);
+    } catch (error) {
+      if (!config.templateFallback) throw error;
+      log.warning(`${error.message}. Falling back to template documentation.`);
+      body = templateDocs.renderTemplateDocumentation(fileDiffs, metadata, detectAzureServiceType, {
+        fallbackReason: error.message.replace(/^Failed to generate documentation: /, '')
+      });
+      modeUsed = 'template';
+    }
+  }
+
+  return {
+    documentation: body + breakingChanges.renderImpactSection(fileDiffs) + renderSecuritySection(fileDiffs, config) +
+      renderCostSection(fileDiffs, config) + renderAnalysisSections(fileDiffs) + renderArchitectureSection(fileDiffs, config),
+    modeUsed,
+    prose: modeUsed === 'llm' ? body : ''
+  };
+}
+
+/**
+ * Generate documentation using the configured LLM provider
+ */
+async function generateDocumentation(fileDiffs, metadata, config) {
+  const provider = llm.getProvider(config.llmProvider);
+  const template = getPromptTemplate(config);
+  const templateValues = template
+    ? promptTemplates.buildTemplateValues(fileDiffs, metadata, detectAzureServiceType)
+    : null;
+  const systemPrompt = buildSystemPrompt(config, template, templateValues);
+
+  try {
+    const measure = () => promptBudget.estimateTokens(systemPrompt + buildDocumentationPrompt(fileDiffs, metadata, config, templateValues));
+    log.info(`📏 Estimated prompt size: ${measure()} tokens (budget ${config.maxPromptTokens})`);
+
+    // Map phase: summarise diffs that exceed the per-file limit or push the prompt over budget
+    await promptBudget.summarizeToBudget(
+      fileDiffs,
+      summaryBudget(config),
+      measure,
+      (file, chunk, index, total) => summarizeDiffChunk(file, chunk, index, total, config),
+      describeUnsummarisedDiff
+    );
+
+    const summarisedCount = fileDiffs.filter(file => file.summarised).length;
+    if (summarisedCount > 0) {
+      log.info(`🧩 Summarised ${summarisedCount} large file(s); final prompt ~${measure()} tokens`);
+    }
+    if (measure() > config.maxPromptTokens) {
+      log.warning(`Prompt still exceeds max-prompt-tokens (${measure()} > ${config.maxPromptTokens}) after summarisation`);
+    }
+
+    // Reduce phase: compose the final document from full diffs and summaries
+    log.info(`🤖 Calling ${provider.label} API...`);
+    const prompt = buildDocumentationPrompt(fileDiffs, metadata, config, templateValues);
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+    let { content: generatedText, usage } = await llm.requestChatCompletion(config, messages, { maxTokens: config.maxOutputTokens });
+
+    // Enforce the template's required sections
+    if (template) {
+      let missing = promptTemplates.findMissingSections(generatedText, template.requiredSections);
+
+      if (missing.length > 0 && template.onMissingSections === 'reprompt') {
+        log.info(`🔁 Re-prompting for missing section(s): ${missing.join(', ')}`);
+        ({ content: generatedText, usage } = await llm.requestChatCompletion(config, messages.concat([
+          { role: 'assistant', content: generatedText },
+          {
+            role: 'user',
+            content: `The document is missing these required sections: ${missing.map(section => `"${section}"`).join(', ')}. Return the complete document again, following the template and using exactly these headings.`
+          }
+        ]), { maxTokens: config.maxOutputTokens }));
+        missing = promptTemplates.findMissingSections(generatedText, template.requiredSections);
+      }
+
+      if (missing.length > 0) {
+        log.warning(`Generated documentation is missing required section(s) from ${template.source}: ${missing.join(', ')}`);
+        generatedText = `> ⚠️ **Missing required sections:** ${missing.join(', ')}\n\n${generatedText}`;
+      }
+      log.setOutput('missing-sections', missing.join(', '));
+    }
+
+    log.info('✨ Documentation generated successfully');
+    log.info(`Generated ${generatedText.length} characters of documentation`);
+
+    // Log token usage if available
+    if (usage) {
+      log.info(`Token usage: ${usage.prompt_tokens} prompt + ${usage.completion_tokens} completion = ${usage.total_tokens} total`);
+    }
+
+    return generatedText + promptBudget.renderCoverageSection(fileDiffs);
+
+  } catch (error) {
+    const wrapped = new Error(`Failed to generate documentation: ${error.message}`);
+    wrapped.status = error.status;
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+/**
+ * Prompt budget for the map phase, including the run-wide cap on summary requests
+ */
+function summaryBudget(config) {
+  return {
+    maxPromptTokens: config.maxPromptTokens,
+    maxFileTokens: config.maxFileTokens,
+    maxRequests: config.maxSummaryRequests,
+    requests: config.summaryRequests
+  };
+}
+
+/**
+ * Describe a large diff from its deterministic analysis once max-summary-requests is used up
+ */
+function describeUnsummarisedDiff(file) {
+  log.warning(`max-summary-requests reached: ${file.filename} is described from its file analysis instead of an AI summary`);
+
+  const { added, removed, modified } = templateDocs.detectResourceChanges(file);
+  const items = added.map(name => `- Added ${name}`)
+    .concat(removed.map(name => `- Removed ${name}`))
+    .concat(modified.map(name => `- Modified ${name}`));
+  return items.length > 0 ? items.join('\n') : '- No resource-level changes detected; rely on the parsed changes below';
+}
+
+/**
+ * Heading for a summarised diff in the prompt
+ */
+function summaryHeading(file) {
+  return file.summaryFallback
+    ? `**Summary of changes** (diff too large, ${file.chunkCount} part(s) not summarised because the summary request limit was reached):`
+    : `**Summary of changes** (diff too large, summarised in ${file.chunkCount} part(s)):`;
+}
+
+/**
+ * Summarise one chunk of a large diff (map phase)
+ */
+async function summarizeDiffChunk(file, chunk, index, total, config) {
+  log.info(`🧩 Summarising ${file.filename} (part ${index + 1}/${total})...`);
+
+  const { content } = await llm.requestChatCompletion(config, [
+    {
+      role: 'system',
+      content: 'You summarise Azure integration file diffs for a documentation writer. List every concrete change (resource, action, policy, setting names and old/new values) as terse bullet points. Do not speculate.'
+    },
+    {
+      role: 'user',
+      content: `File: ${file.filename} (${detectAzureServiceType(file.filename)}, ${file.status})\nPart ${index + 1} of ${total}\n\n\`\`\`diff\n${chunk}\n\`\`\``
+    }
+  ], { maxTokens: Math.min(800, config.maxOutputTokens), temperature: 0.1 });
+
+  return content.trim();
+}
+
+/**
+ * Resolve the custom prompt template configured for this run or rule group, if any
+ */
+function getPromptTemplate(config) {
+  return config.promptTemplate && config.promptTemplates ? config.promptTemplates[config.promptTemplate] || null : null;
+}
+
+/**
+ * Build system prompt based on configuration
+ */
+function buildSystemPrompt(config, template = null, templateValues = null) {
+  if (template && template.system) {
+    let prompt = promptTemplates.renderTemplateString(template.system, templateValues).trim();
+    if (config.promptAdditions) {
+      prompt += `\n\nAdditional instructions from the repository configuration:\n${config.promptAdditions}`;
+    }
+    return prompt;
+  }
+
+  let prompt = `You are an expert technical writer and Azure solutions architect. Generate clear, comprehensive documentation for Azure integration changes including Logic Apps, APIM policies, Service Bus, Event Hub, Event Grid, Azure Functions, Bicep templates, and Terraform configurations.
+
+Focus on:
+- What changed and why
+- Integration impacts and dependencies
+- Configuration requirements`;
+
+  if (config.includeSecurityNotes) {
+    prompt += '\n- Security considerations and compliance impacts';
+  }
+
+  if (config.includeCostImpact) {
+    prompt += '\n- Cost implications of the changes';
+  }
+
+  if (config.includeArchitectureDiagram) {
+    prompt += config.dependencyGraph
+      ? '\n- How the changes fit the integration flow (a diagram is generated separately from the repository)'
+      : '\n- Mermaid diagram suggestions for architecture visualization';
+  }
+
+  prompt += '\n\nUse clear, professional language suitable for both technical and management audiences.';
+
+  if (config.promptAdditions) {
+    prompt += `\n\nAdditional instructions from the repository configuration:\n${config.promptAdditions}`;
+  }
+
+  return prompt;
+}
+
+/**
+ * Build the LLM prompt with file diffs
+ */
+function buildDocumentationPrompt(fileDiffs, metadata, config, templateValues = null) {
+  const template = getPromptTemplate(config);
+  let prompt = '';
+
+  if (metadata.type === 'pull_request') {
+    prompt = `# Documentation Request for Pull Request
+
+**PR Title:** ${metadata.title}
+**PR Number:** #${metadata.number}
+**Author:** @${metadata.author}
+**Description:**
+${metadata.body || '(No description provided)'}
+
+---
+`;
+  } else if (metadata.type === 'push') {
+    prompt = `# Documentation Request for Commit
+
+**Branch:** ${metadata.branch}
+**Title:** ${metadata.title}
+**Commits Analyzed:** ${metadata.commits.length}
+
+Recent Commits:
+${metadata.commits.map(c => `- ${c.id.substring(0, 7)}: ${c.message} (${c.author.name})`).join('\n')}
+
+---
+`;
+  }
+
+  if (template) {
+    prompt += `## Azure Integration Changes
+
+Write the documentation by filling in the template below. Keep every heading exactly as written, replace the HTML comments with content, and do not add top-level sections that are not in the template.
+
+<template>
+${promptTemplates.renderTemplateString(template.body, templateValues)}
+</template>
+
+`;
+  } else {
+    prompt += `## Azure Integration Changes
+
+Generate comprehensive documentation including:
+
+1. **Executive Summary** - High-level overview for management
+2. **Technical Summary** - Detailed changes for developers
+3. **Files Changed** - Per-file analysis with descriptions${fileDiffs.some(file => file.analysis && ['bicep', 'terraform'].includes(file.analysis.kind)) ? '; for Bicep/Terraform files, describe the resource-level changes listed below rather than the raw text' : ''}
+4. **Integration Impact** - Downstream effects and dependencies
+5. **Configuration Requirements** - Environment variables, secrets, connection strings`;
+
+    if (config.includeSecurityNotes) {
+      prompt += '\n6. **Security Considerations** - Authentication, authorization, data protection';
+    }
+
+    if (config.includeCostImpact) {
+      prompt += fileDiffs.some(file => file.cost && file.cost.length > 0)
+        ? '\n7. **Cost Impact** - Explain the estimated figures listed below; do not invent other prices (a cost table is appended automatically)'
+        : '\n7. **Cost Impact** - Resource consumption and billing implications';
+    }
+
+    if (config.includeArchitectureDiagram) {
+      prompt += config.dependencyGraph
+        ? '\n8. **Architecture Notes** - Explain the integration flow using the dependencies listed below; a Mermaid diagram generated from the repository is appended automatically, so do not draw one'
+        : '\n8. **Architecture Diagram** - Mermaid diagram showing integration flow';
+    }
+
+    prompt += '\n9. **Testing Checklist** - Verification steps\n10. **Deployment Notes** - Rollout considerations\n\n';
+  }
+
+  prompt += '### Changed Files and Diffs:\n\n';
+
+  fileDiffs.forEach(file => {
+    prompt += `#### File: \`${file.filename}\`\n`;
+    prompt += `- **Status:** ${file.status}\n`;
+    prompt += `- **Changes:** +${file.additions} / -${file.deletions} lines\n`;
+    prompt += `- **Type:** ${detectAzureServiceType(file.filename)}\n\n`;
+    if (file.summarised) {
+      prompt += `${summaryHeading(file)}\n`;
+      prompt += `${file.summary}\n\n`;
+    } else {
+      prompt += '```diff\n';
+      prompt += file.diff;
+      prompt += '\n```\n\n';
+    }
+
+    const analyzer = file.analysis && getAnalyzer(file.analysis.kind);
+    if (analyzer) {
+      prompt += `**Parsed ${analyzer.title.toLowerCase()} (authoritative, derived from the file contents):**\n`;
+      prompt += analyzer.formatForPrompt(file.analysis.changes);
+      prompt += '\n\n';
+    }
+
+    if (file.impact && file.impact.length > 0) {
+      prompt += '**Change impact (authoritative, rule-based; use these severities when discussing consumer impact):**\n';
+      prompt += breakingChanges.formatImpactForPrompt(file.impact);
+      prompt += '\n\n';
+    }
+
+    const findings = securityFindingsFor([file], config);
+    if (findings && findings.length > 0) {
+      prompt += '**Security findings (authoritative, static checks; cover these under Security Considerations):**\n';
+      prompt += securityLint.formatFindingsForPrompt(findings);
+      prompt += '\n\n';
+    }
+
+    if (config.includeCostImpact && file.cost && file.cost.length > 0) {
+      prompt += '**Estimated cost impact (authoritative, rule-based from list prices; use these figures):**\n';
+      prompt += costEstimator.formatCostForPrompt(file.cost, config.prices);
+      prompt += '\n\n';
+    }
+  });
+
+  const subgraph = architectureSubgraph(fileDiffs, config);
+  if (subgraph) {
+    prompt += '### Integration Dependencies (authoritative, derived from the repository files):\n\n';
+    prompt += `${dependencyGraph.formatGraphForPrompt(subgraph.graph)}\n\n`;
+  }
+
+  prompt += `---
+
+Generate the documentation in well-formatted Markdown with clear sections, tables where appropriate, and professional formatting.`;
+
+  return prompt;
+}
+
+// Languages Function apps are written in; files in these under a `functions/` folder are function code
+const FUNCTION_CODE_EXTENSIONS = /\.(js|mjs|cjs|ts|cs|py|java|ps1)$/i;
+
+/**
+ * Detect Azure service type from filename. IaC extensions and the Function app layout (function.json,
+ * host.json, code under `functions/`) win over service names, so `functions/eventhub-ingest/index.ts`
+ * is function code rather than an Event Hubs definition.
+ */
+function detectAzureServiceType(filename) {
+  const segments = filename.split('/');
+  const basename = segments[segments.length - 1];
+  if (filename.endsWith('.bicep')) return 'Bicep IaC';
+  if (filename.endsWith('.tf')) return 'Terraform IaC';
+  if (basename === 'function.json' || basename === 'host.json') return 'Azure Function';
+  if (segments.slice(0, -1).includes('functions') && FUNCTION_CODE_EXTENSIONS.test(basename)) return 'Azure Function';
+
+  if (filename.includes('logicapp')) return 'Azure Logic App';
+  if (filename.includes('apim') || filename.includes('policy')) return 'API Management';
+  if (filename.includes('servicebus')) return 'Service Bus';
+  if (filename.includes('eventhub')) return 'Event Hub';
+  if (filename.includes('eventgrid')) return 'Event Grid';
+  if (filename.includes('function')) return 'Azure Function';
+  if (filename.includes('azure')) return 'Azure Configuration';
+  return 'Azure Integration';
+}
+
+/**
+ * Write a generated file, creating its folder; dry runs only report the path
+ */
+async function writeOutputFile(filePath, content, config) {
+  if (config.dryRun) return;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content, 'utf8');
+}
+
+/**
+ * Write documentation to files based on mode. Local runs without a PR number write `local-azure-integrations.md`.
+ */
+async function writeDocumentation(documentation, prNumber, config, { fileDiffs = [], metadata = {} } = {}) {
+  const docPaths = [];
+
+  if (config.mode === 'pr' && (prNumber || metadata.local)) {
+    const docPath = path.join(config.docsFolder, `${prNumber ? `pr-${prNumber}` : 'local'}-azure-integrations${config.docSuffix || ''}.md`);
+    await writeOutputFile(docPath, documentation, config);
+    docPaths.push(docPath);
+    log.info(`📄 Per-PR documentation: ${docPath}`);
+  }
+
+  if (config.mode === 'centralized' || config.mode === 'both') {
+    const centralPath = path.join(config.docsFolder, config.centralDocFile);
+
+    let existingContent = '';
+    try {
+      existingContent = await fs.readFile(centralPath, 'utf8');
+    } catch (error) {
+      // File doesn't exist, start a new catalogue
+    }
+
+    // Update one section per integration file in place instead of appending
+    const entries = catalogue.parseCatalogue(existingContent);
+    catalogue.updateCatalogue(entries, fileDiffs, metadata, file => renderCatalogueEntry(file, documentation, metadata));
+    await writeOutputFile(centralPath, catalogue.renderCatalogue(entries), config);
+    docPaths.push(centralPath);
+    log.info(`📄 Centralized documentation: ${centralPath}`);
+  }
+
+  return docPaths;
+}
+
+/**
+ * Render the centralized catalogue section for one integration file
+ */
+function renderCatalogueEntry(file, documentation, metadata) {
+  const changedBy = metadata.number
+    ? `PR ${metadata.url ? `[#${metadata.number}](${metadata.url})` : `#${metadata.number}`}`
+    : (metadata.url ? `[${metadata.title}](${metadata.url})` : metadata.title);
+
+  let entry = '| Service | Last change | Date |\n|---------|-------------|------|\n';
+  entry += `| ${detectAzureServiceType(file.filename)} | ${changedBy} (${file.status}) | ${new Date().toISOString().split('T')[0]} |\n\n`;
+
+  const excerpt = catalogue.extractFileExcerpt(documentation, file.filename);
+  entry += excerpt ? `${excerpt}\n\n` : `_${file.status === 'added' ? 'Added' : 'Updated'}: +${file.additions} / -${file.deletions} lines._\n\n`;
+
+  const analyzer = file.analysis && getAnalyzer(file.analysis.kind);
+  if (analyzer) {
+    entry += `**${analyzer.title}**\n\n${analyzer.render(file.analysis.changes)}`;
+  }
+
+  return entry;
+}
+
+module.exports = {
+  readActionDefaults,
+  readConfig,
+  prepareConfig,
+  filterAzureFiles,
+  prepareFileDiffs,
+  ANALYZERS,
+  getAnalyzer,
+  detectAzureServiceType,
+  enabledAnywhere,
+  redactMetadata,
+  describeRedactedSecrets,
+  loadIntegrationSources,
+  buildRepositoryGraph,
+  runSecurityLint,
+  renderSecuritySection,
+  documentFileGroups,
+  produceDocumentation,
+  generateDocumentation,
+  getPromptTemplate,
+  buildSystemPrompt,
+  buildDocumentationPrompt,
+  writeDocumentation
+};
@@ -0,0 +1,134 @@
+/**
+ * Library API: the documentation pipeline for other Node services, bots and tests.
+ *
+ * Nothing here creates clients. Pass an octokit instance to read the
+ * repository through GitHub (or null to read the local git checkout in the
+ * working directory) and an axios-compatible `httpClient` to send LLM
+ * requests, so both can be replaced with fakes. The azure-openai-entra
+ * provider also needs an `idTokenProvider(audience)` outside GitHub Actions.
+ *
+ *   const api = require('azure-integration-doc-agent');
+ *   const analysis = await api.analyzeChanges(files, { octokit, repo, refs, httpClient });
+ *   const markdown = await api.generateDocumentation(analysis, metadata);
+ *
+ * `files` use the shape of the GitHub pulls/compare file lists; `metadata`
+ * describes the change like the action does ({ type: 'pull_request', title,
+ * number, author, body } or { type: 'push', branch, commits }). Messages go to
+ * the Actions runner unless another logger is installed with `setLogger`.
+ */
+
+const log = require('./log');
+const githubFiles = require('./github-files');
+const promptTemplates = require('./prompt-template');
+const agent = require('./agent');
+
+/**
+ * Configuration from the action.yml defaults with camelCase `overrides` on top (same names as the inputs
+ * read by the action: generationMode, llmProvider, filePatterns, includeSecurityNotes...)
+ */
+function createConfig(overrides = {}) {
+  const defaults = agent.readActionDefaults();
+  return { ...agent.readConfig(name => defaults[name] || ''), ...overrides };
+}
+
+/**
+ * Analyse changed files between `refs.base` and `refs.head`: filtering by the configured patterns,
+ * redaction, structured change sets, change impact, cost and the repository-wide analysis.
+ * Nothing is written unless `config.dryRun` is false (the SARIF log, like the action).
+ * Returns the analysis the other functions take ({ files, config, context, refs, octokit }).
+ */
+async function analyzeChanges(files, { octokit = null, repo = {}, refs = {}, config: overrides = {}, httpClient = null, idTokenProvider = null } = {}) {
+  if (!refs.base || !refs.head) {
+    throw new Error('analyzeChanges requires refs.base and refs.head');
+  }
+  if (octokit && (!repo.owner || !repo.repo)) {
+    throw new Error('analyzeChanges requires repo.owner and repo.repo when an octokit client is given');
+  }
+
+  const context = {
+    eventName: 'api',
+    sha: refs.head,
+    ref: refs.ref || '',
+    repo: { owner: repo.owner || null, repo: repo.repo || null },
+    payload: {}
+  };
+
+  let config = createConfig({ dryRun: true, ...overrides });
+  if (httpClient) config.httpClient = httpClient;
+  if (idTokenProvider) config.idTokenProvider = idTokenProvider;
+  config = await agent.prepareConfig(octokit, context, config);
+
+  const azureFiles = agent.filterAzureFiles(files, config.filePatterns);
+  const fileDiffs = azureFiles.length > 0
+    ? await agent.prepareFileDiffs(octokit, context, azureFiles, refs, config)
+    : [];
+
+  return { files: fileDiffs, config, context, refs, octokit };
+}
+
+/**
+ * The system and user prompts the LLM would receive for an analysis (before large diffs are
+ * summarised to fit the prompt budget). Config-file rule groups are not applied.
+ */
+function buildPrompt(analysis, metadata) {
+  const { files, config } = analysis;
+  metadata = agent.redactMetadata(metadata, config);
+  const template = agent.getPromptTemplate(config);
+  const templateValues = template
+    ? promptTemplates.buildTemplateValues(files, metadata, agent.detectAzureServiceType)
+    : null;
+
+  return {
+    system: agent.buildSystemPrompt(config, template, templateValues),
+    user: agent.buildDocumentationPrompt(files, metadata, config, templateValues)
+  };
+}
+
+/**
+ * Produce the documents for an analysis: `{ documentation, docPaths, generationMode, prose }`
+ * where `docPaths` are the files the action would write. `options` overrides config values.
+ */
+async function documentChanges(analysis, metadata, options = {}) {
+  const { octokit, context, refs } = analysis;
+  return agent.documentFileGroups(analysis.files, metadata, metadata.number || null, analysis.config, {
+    adjustConfig: groupConfig => ({ ...groupConfig, ...options }),
+    loadVersions: file => githubFiles.loadFileVersions(octokit, context, file, refs)
+  });
+}
+
+/**
+ * Generate the documentation markdown with the configured LLM (template documentation when the
+ * provider is not configured or, with template-fallback, when the request fails)
+ */
+async function generateDocumentation(analysis, metadata, { httpClient } = {}) {
+  const options = { dryRun: true };
+  if (httpClient) options.httpClient = httpClient;
+  return (await documentChanges(analysis, metadata, options)).documentation;
+}
+
+/**
+ * Render the deterministic template documentation for an analysis (no LLM requests)
+ */
+async function renderDocs(analysis, metadata) {
+  return (await documentChanges(analysis, metadata, { dryRun: true, generationMode: 'template' })).documentation;
+}
+
+/**
+ * Generate the documentation and write it under the configured docs folder like the action does.
+ * Returns `{ documentation, docPaths, generationMode, prose }`.
+ */
+async function writeDocs(analysis, metadata) {
+  return documentChanges(analysis, metadata, { dryRun: false });
+}
+
+module.exports = {
+  createConfig,
+  analyzeChanges,
+  buildPrompt,
+  generateDocumentation,
+  renderDocs,
+  writeDocs,
+  detectAzureServiceType: agent.detectAzureServiceType,
+  setLogger: log.setLogger,
+  createConsoleLogger: log.createConsoleLogger
+};
@@ -0,0 +1,430 @@
+/**
+ * APIM policy XML analyser.
+ *
+ * Parses policy documents (including C# policy expressions, which are not
+ * valid XML) and reports semantic, per-section changes between base and head.
+ */
+
+const SECTIONS = ['inbound', 'backend', 'outbound', 'on-error'];
+
+// Attributes that identify a policy instance so it can be matched across versions
+const IDENTITY_ATTRIBUTES = ['name', 'id', 'fragment-id', 'logger-id', 'backend-id', 'variable-name'];
+
+// Singular labels for list-valued facts, used in change descriptions
+const LIST_LABELS = {
+  audiences: 'audience',
+  issuers: 'issuer',
+  'openid-config': 'openid-config url',
+  'required-claims': 'required claim',
+  origins: 'origin',
+  methods: 'method',
+  headers: 'header',
+  'expose-headers': 'exposed header',
+  addresses: 'address',
+  'vary-by-header': 'vary-by-header',
+  'vary-by-query-parameter': 'vary-by-query-parameter',
+  values: 'value'
+};
+
+/**
+ * Read a policy expression (@(...) or @{...}) starting at `start`, honouring nested brackets and strings
+ */
+function readExpression(xml, start) {
+  const open = xml[start + 1];
+  const close = open === '(' ? ')' : '}';
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start + 1; i < xml.length; i++) {
+    const char = xml[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === open) depth++;
+    else if (char === close) {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+
+  return xml.length;
+}
+
+/**
+ * Parse the attributes of a start tag beginning at `start`; returns attributes and the index after the tag
+ */
+function readTag(xml, start) {
+  const nameMatch = /^<([\w:.-]+)/.exec(xml.slice(start, start + 200));
+  if (!nameMatch) throw new Error(`Malformed tag at offset ${start}`);
+
+  const attributes = {};
+  let i = start + nameMatch[0].length;
+
+  while (i < xml.length) {
+    while (/\s/.test(xml[i])) i++;
+
+    if (xml.startsWith('/>', i)) return { name: nameMatch[1], attributes, end: i + 2, selfClosing: true };
+    if (xml[i] === '>') return { name: nameMatch[1], attributes, end: i + 1, selfClosing: false };
+
+    const attrMatch = /^([\w:.-]+)\s*=\s*(["'])/.exec(xml.slice(i, i + 200));
+    if (!attrMatch) throw new Error(`Malformed attribute in <${nameMatch[1]}> at offset ${i}`);
+
+    const quote = attrMatch[2];
+    const valueStart = i + attrMatch[0].length;
+    let valueEnd;
+
+    if (xml[valueStart] === '@' && (xml[valueStart + 1] === '(' || xml[valueStart + 1] === '{')) {
+      valueEnd = readExpression(xml, valueStart);
+      while (valueEnd < xml.length && xml[valueEnd] !== quote) valueEnd++;
+    } else {
+      valueEnd = xml.indexOf(quote, valueStart);
+      if (valueEnd === -1) throw new Error(`Unterminated attribute in <${nameMatch[1]}>`);
+    }
+
+    attributes[attrMatch[1]] = xml.slice(valueStart, valueEnd).trim();
+    i = valueEnd + 1;
+  }
+
+  throw new Error(`Unterminated tag <${nameMatch[1]}>`);
+}
+
+/**
+ * Lenient XML parser for APIM policy documents.
+ * Returns a tree of { name, attributes, children, text } nodes.
+ */
+function parsePolicyXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  while (i < xml.length) {
+    const current = stack[stack.length - 1];
+
+    if (xml.startsWith('<!--', i)) {
+      const end = xml.indexOf('-->', i);
+      i = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<![CDATA[', i)) {
+      const end = xml.indexOf(']]>', i);
+      current.text += xml.slice(i + 9, end === -1 ? xml.length : end);
+      i = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<?', i)) {
+      const end = xml.indexOf('?>', i);
+      i = end === -1 ? xml.length : end + 2;
+    } else if (xml.startsWith('</', i)) {
+      const end = xml.indexOf('>', i);
+      const name = xml.slice(i + 2, end).trim();
+      if (current.name !== name) throw new Error(`Unexpected closing tag </${name}>`);
+      stack.pop();
+      i = end + 1;
+    } else if (xml[i] === '<') {
+      const tag = readTag(xml, i);
+      const node = { name: tag.name, attributes: tag.attributes, children: [], text: '' };
+      current.children.push(node);
+      if (!tag.selfClosing) stack.push(node);
+      i = tag.end;
+    } else {
+      const nonSpace = xml.slice(i).search(/\S/);
+      const start = nonSpace === -1 ? xml.length : i + nonSpace;
+      if (xml[start] === '@' && (xml[start + 1] === '(' || xml[start + 1] === '{')) {
+        const end = readExpression(xml, start);
+        current.text += xml.slice(start, end);
+        i = end;
+      } else {
+        const next = xml.indexOf('<', i);
+        const end = next === -1 ? xml.length : next;
+        current.text += xml.slice(i, end);
+        i = end;
+      }
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+/**
+ * Texts of all descendants with a given element name
+ */
+function collectTexts(node, name) {
+  const values = [];
+  const visit = n => {
+    n.children.forEach(child => {
+      if (child.name === name) values.push(child.text.trim());
+      visit(child);
+    });
+  };
+  visit(node);
+  return values;
+}
+
+/**
+ * Attribute values of all descendants with a given element name
+ */
+function collectAttributes(node, name, attribute) {
+  const values = [];
+  const visit = n => {
+    n.children.forEach(child => {
+      if (child.name === name && child.attributes[attribute] !== undefined) values.push(child.attributes[attribute]);
+      visit(child);
+    });
+  };
+  visit(node);
+  return values;
+}
+
+/**
+ * Reduce a policy element to the facts the differ compares
+ */
+function summarizePolicy(node) {
+  const facts = { ...node.attributes };
+
+  switch (node.name) {
+    case 'validate-jwt':
+    case 'validate-azure-ad-token':
+      facts.audiences = collectTexts(node, 'audience');
+      facts.issuers = collectTexts(node, 'issuer');
+      facts['openid-config'] = collectAttributes(node, 'openid-config', 'url');
+      facts['required-claims'] = node.children
+        .filter(child => child.name === 'required-claims')
+        .flatMap(child => child.children.map(claim => `${claim.attributes.name}=${collectTexts(claim, 'value').join('|')}`));
+      break;
+    case 'cors':
+      facts.origins = collectTexts(node, 'origin');
+      facts.methods = collectTexts(node, 'method');
+      facts.headers = node.children.filter(c => c.name === 'allowed-headers').flatMap(c => collectTexts(c, 'header'));
+      facts['expose-headers'] = node.children.filter(c => c.name === 'expose-headers').flatMap(c => collectTexts(c, 'header'));
+      break;
+    case 'ip-filter':
+      facts.addresses = collectTexts(node, 'address')
+        .concat(collectAttributes(node, 'address-range', 'from').map((from, index) =>
+          `${from}-${collectAttributes(node, 'address-range', 'to')[index]}`));
+      break;
+    case 'cache-lookup':
+      facts['vary-by-header'] = collectTexts(node, 'vary-by-header');
+      facts['vary-by-query-parameter'] = collectTexts(node, 'vary-by-query-parameter');
+      break;
+    case 'set-header':
+    case 'set-query-parameter':
+      facts.values = collectTexts(node, 'value');
+      break;
+    case 'retry':
+      facts['forward-request timeout'] = collectAttributes(node, 'forward-request', 'timeout').join(',') || undefined;
+      break;
+    default:
+      if (node.children.length === 0 && node.text.trim()) facts.body = node.text.trim();
+  }
+
+  Object.keys(facts).forEach(key => facts[key] === undefined && delete facts[key]);
+  return facts;
+}
+
+/**
+ * Flatten the policies of a section, descending into <choose>/<when>/<otherwise> blocks
+ */
+function flattenPolicies(nodes, scope, result) {
+  const occurrences = {};
+
+  nodes.forEach(node => {
+    if (node.name === 'base') return;
+
+    if (node.name === 'choose') {
+      node.children.forEach((branch, index) => {
+        const label = branch.name === 'when'
+          ? `when ${formatValue(branch.attributes.condition || index + 1)}`
+          : branch.name;
+        flattenPolicies(branch.children, scope.concat(`choose/${label}`), result);
+      });
+      return;
+    }
+
+    const identityAttribute = IDENTITY_ATTRIBUTES.find(attr => node.attributes[attr] !== undefined);
+    let identity = identityAttribute ? node.attributes[identityAttribute] : '';
+    if (!identityAttribute) {
+      occurrences[node.name] = (occurrences[node.name] || 0) + 1;
+      if (occurrences[node.name] > 1) identity = `#${occurrences[node.name]}`;
+    }
+
+    const key = scope.concat(`${node.name}${identity ? `[${identity}]` : ''}`).join(' > ');
+    result[key] = { policy: node.name, identity, scope: scope.join(' > '), facts: summarizePolicy(node) };
+  });
+
+  return result;
+}
+
+/**
+ * Parse an APIM policy document into per-section policy maps.
+ * Returns null when the content is empty or not a policy document.
+ */
+function parseApimPolicy(content) {
+  if (!content || !content.trim().startsWith('<')) return null;
+
+  const document = parsePolicyXml(content);
+  const top = document.children.find(child => child.name === 'policies' || child.name === 'fragment');
+  if (!top) return null;
+
+  const sections = {};
+  if (top.name === 'fragment') {
+    sections.fragment = flattenPolicies(top.children, [], {});
+  } else {
+    SECTIONS.forEach(section => {
+      const node = top.children.find(child => child.name === section);
+      sections[section] = node ? flattenPolicies(node.children, [], {}) : {};
+    });
+  }
+
+  return { sections };
+}
+
+/**
+ * Short display value for a fact
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+  const text = String(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Compare numeric rate/quota limits and describe them in words
+ */
+function describeLimitChange(policy, before, after) {
+  const label = policy.startsWith('quota') ? 'quota' : 'rate limit';
+  const describe = facts => `${facts.calls || facts.bandwidth || '?'} ${facts.calls ? 'calls' : 'KB'}/${facts['renewal-period'] || '?'}s`;
+  const oldCalls = Number(before.calls);
+  const newCalls = Number(after.calls);
+
+  if (before.calls !== after.calls && !Number.isNaN(oldCalls) && !Number.isNaN(newCalls)) {
+    const direction = newCalls < oldCalls ? 'lowered' : 'raised';
+    return `${label} ${direction} from ${describe(before)} to ${describe(after)}`;
+  }
+  if (before['renewal-period'] !== after['renewal-period'] || before.bandwidth !== after.bandwidth) {
+    return `${label} changed from ${describe(before)} to ${describe(after)}`;
+  }
+  return null;
+}
+
+/**
+ * Describe how the facts of a single policy changed
+ */
+function describePolicyChange(policy, before, after) {
+  const details = [];
+  const handled = new Set();
+
+  if (/^(rate-limit|quota)/.test(policy)) {
+    const limit = describeLimitChange(policy, before, after);
+    if (limit) details.push(limit);
+    ['calls', 'renewal-period', 'bandwidth'].forEach(key => handled.add(key));
+  }
+
+  const keys = Array.from(new Set(Object.keys(before).concat(Object.keys(after)))).filter(key => !handled.has(key));
+
+  keys.forEach(key => {
+    const oldValue = before[key];
+    const newValue = after[key];
+
+    if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+      const oldList = oldValue || [];
+      const newList = newValue || [];
+      const singular = LIST_LABELS[key] || key;
+      newList.filter(v => !oldList.includes(v)).forEach(v => details.push(`${singular} \`${formatValue(v)}\` added to ${policy}`));
+      oldList.filter(v => !newList.includes(v)).forEach(v => details.push(`${singular} \`${formatValue(v)}\` removed from ${policy}`));
+      return;
+    }
+
+    if (oldValue === newValue) return;
+    if (oldValue === undefined) details.push(`\`${key}\` set to \`${formatValue(newValue)}\``);
+    else if (newValue === undefined) details.push(`\`${key}\` removed (was \`${formatValue(oldValue)}\`)`);
+    else details.push(`\`${key}\` changed from \`${formatValue(oldValue)}\` to \`${formatValue(newValue)}\``);
+  });
+
+  return details;
+}
+
+/**
+ * Describe a newly added or removed policy using its key facts
+ */
+function describePolicy(facts) {
+  if (facts.calls && facts['renewal-period']) return `${facts.calls} calls/${facts['renewal-period']}s`;
+  if (facts['base-url']) return `base-url \`${formatValue(facts['base-url'])}\``;
+  if (facts.audiences && facts.audiences.length) return `audiences: ${formatValue(facts.audiences)}`;
+  if (facts.origins && facts.origins.length) return `origins: ${formatValue(facts.origins)}`;
+  if (facts.duration) return `duration ${facts.duration}s`;
+  if (facts.action) return `action \`${facts.action}\``;
+  return '';
+}
+
+/**
+ * Diff two parsed policy documents (either side may be null for added/removed files)
+ */
+function diffApimPolicies(base, head) {
+  const before = (base && base.sections) || {};
+  const after = (head && head.sections) || {};
+  const sectionNames = Array.from(new Set(Object.keys(before).concat(Object.keys(after))));
+
+  const changes = [];
+  sectionNames.forEach(section => {
+    const oldPolicies = before[section] || {};
+    const newPolicies = after[section] || {};
+
+    Object.keys(newPolicies).filter(key => !(key in oldPolicies)).forEach(key => {
+      const entry = newPolicies[key];
+      changes.push({ section, key, policy: entry.policy, change: 'added', details: [describePolicy(entry.facts)].filter(Boolean) });
+    });
+
+    Object.keys(oldPolicies).filter(key => !(key in newPolicies)).forEach(key => {
+      const entry = oldPolicies[key];
+      changes.push({ section, key, policy: entry.policy, change: 'removed', details: [describePolicy(entry.facts)].filter(Boolean) });
+    });
+
+    Object.keys(newPolicies).filter(key => key in oldPolicies).forEach(key => {
+      const details = describePolicyChange(newPolicies[key].policy, oldPolicies[key].facts, newPolicies[key].facts);
+      if (details.length > 0) {
+        changes.push({ section, key, policy: newPolicies[key].policy, change: 'modified', details });
+      }
+    });
+  });
+
+  const bySection = {};
+  changes.forEach(change => {
+    if (!bySection[change.section]) bySection[change.section] = [];
+    bySection[change.section].push(change);
+  });
+
+  return { changes, sections: bySection };
+}
+
+/**
+ * Format policy changes as plain facts for the LLM prompt
+ */
+function formatApimChangesForPrompt(result) {
+  if (result.changes.length === 0) return '- No semantic policy changes detected';
+
+  return result.changes
+    .map(c => `- [${c.section}] ${c.key} ${c.change}${c.details.length ? `: ${c.details.join('; ')}` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Render policy changes as a deterministic Markdown table
+ */
+function renderApimChanges(result) {
+  if (result.changes.length === 0) return '_No semantic policy changes detected._\n';
+
+  const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  let table = '| Section | Policy | Change | Details |\n|---------|--------|--------|---------|\n';
+  result.changes.forEach(c => {
+    table += `| ${c.section} | ${escape(c.key)} | ${c.change} | ${escape(c.details.join('<br>') || '-')} |\n`;
+  });
+  return table;
+}
+
+module.exports = {
+  parsePolicyXml,
+  parseApimPolicy,
+  diffApimPolicies,
+  formatApimChangesForPrompt,
+  renderApimChanges
+};
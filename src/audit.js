@@ -0,0 +1,445 @@
+/**
+ * Scheduled audit: an inventory of every integration file with health
+ * metrics, compared with the previous audit.
+ *
+ * Each run writes the Markdown report and a JSON snapshot of the same data
+ * next to it (azure-integration-audit.json). The snapshot feeds dashboards
+ * and is read back by the next audit for its trend section, so it keeps a
+ * short history of the metrics.
+ */
+
+const path = require('path');
+const log = require('./log');
+const githubFiles = require('./github-files');
+const dependencyGraph = require('./dependency-graph');
+const securityLint = require('./security-lint');
+const docDrift = require('./doc-drift');
+const { parseLogicAppDefinition } = require('./logicapp');
+const { parseFunctionFile } = require('./functions');
+const { parseMessagingConfig, KIND_LABELS } = require('./messaging');
+
+const REPORT_FILE = 'azure-integration-audit.md';
+const SNAPSHOT_FILE = 'azure-integration-audit.json';
+const SNAPSHOT_VERSION = 1;
+
+// Audits kept in the snapshot history (a year of weekly runs)
+const MAX_HISTORY = 52;
+const HISTORY_ROWS = 8;
+
+// Files not changed for this long are counted as dormant
+const DORMANT_DAYS = 365;
+
+// Authentication methods recognised in file contents
+const AUTH_METHODS = [
+  ['Managed identity', /ManagedServiceIdentity|SystemAssigned|UserAssigned|authentication-managed-identity|__fullyQualifiedNamespace|__credential\b|ManagedIdentityCredential|DefaultAzureCredential/],
+  ['Azure AD (OAuth)', /validate-jwt|validate-azure-ad-token|openAuthenticationPolicies|ActiveDirectoryOAuth/],
+  ['Shared access key', /SharedAccessKey|SharedAccessSignature|listKeys\(|authorizationRules|authorization_rule|connectionString|ConnectionString/],
+  ['Subscription key', /Ocp-Apim-Subscription-Key|subscription-key|subscriptionRequired/],
+  ['Client certificate', /authentication-certificate|validate-client-certificate|ClientCertificate/],
+  ['Basic auth', /authentication-basic|"type"\s*:\s*"Basic"/]
+];
+
+// HTTP-triggered Function auth levels
+const FUNCTION_AUTH = { anonymous: 'Anonymous', function: 'Function key', admin: 'Admin key' };
+
+// Secrets referenced by name (values are never read): Key Vault references, secure parameters, APIM named values
+const SECRET_REFERENCES = [
+  /@Microsoft\.KeyVault\([^)]*?SecretName=([\w-]+)/g,
+  /@Microsoft\.KeyVault\([^)]*?\/secrets\/([\w-]+)/g,
+  /\.getSecret\(\s*'([\w-]+)'/g,
+  /@secure\(\)\s*param\s+(\w+)/g,
+  /data\s+"azurerm_key_vault_secret"\s+"[\w-]+"\s*\{[^}]*?\bname\s*=\s*"([\w-]+)"/g,
+  /\{\{([\w.-]+)\}\}/g
+];
+const SECRET_SETTING = /KEY|SECRET|PASSWORD|TOKEN|CONNECTION/i;
+const SECURE_PARAMETER_TYPES = ['securestring', 'secureobject'];
+
+// Messaging entities listed in the inventory (namespaces and rules are left out)
+const ENTITY_KINDS = ['queue', 'topic', 'subscription', 'eventhub', 'consumer-group', 'event-subscription'];
+
+/**
+ * Sorted unique values
+ */
+function unique(values) {
+  return Array.from(new Set(values.filter(Boolean))).sort();
+}
+
+/**
+ * Triggers declared by a Logic App definition or Function file
+ */
+function describeTriggers(filePath, content, serviceType) {
+  if (serviceType === 'Azure Logic App') {
+    const model = parseLogicAppDefinition(content);
+    return model ? Object.values(model.triggers).map(item => `${item.name} (${item.type}${item.kind ? `/${item.kind}` : ''})`) : [];
+  }
+
+  const model = parseFunctionFile(content, filePath);
+  if (!model) return [];
+  return model.bindings
+    .filter(item => item.direction === 'trigger')
+    .map(item => `${item.function ? `${item.function}: ` : ''}${item.type} trigger${item.target ? ` ${item.target}` : ''}`);
+}
+
+/**
+ * Authentication methods a file uses or exposes
+ */
+function detectAuthMethods(filePath, content, serviceType) {
+  const methods = AUTH_METHODS.filter(([, pattern]) => pattern.test(content)).map(([label]) => label);
+
+  if (serviceType === 'Azure Logic App') {
+    const model = parseLogicAppDefinition(content);
+    if (model && Object.values(model.triggers).some(item => item.type === 'Request')) methods.push('SAS URL (HTTP trigger)');
+  }
+  const functionModel = parseFunctionFile(content, filePath);
+  if (functionModel) {
+    functionModel.bindings.filter(item => item.type === 'http' && item.direction === 'trigger' && item.details).forEach(item => {
+      const level = item.details.match(/(\w+) auth$/);
+      if (level) methods.push(FUNCTION_AUTH[level[1].toLowerCase()] || `${level[1]} auth`);
+    });
+    if (functionModel.bindings.some(item => item.connection && !item.defaultConnection)) methods.push('Connection setting');
+  }
+  return unique(methods);
+}
+
+/**
+ * Names of the secrets a file references: Key Vault secrets, secure parameters, APIM named values
+ * and secret-like app settings read by Functions
+ */
+function secretReferences(filePath, content, serviceType) {
+  const names = SECRET_REFERENCES.flatMap(pattern => Array.from(content.matchAll(pattern), match => match[1]));
+
+  if (serviceType === 'Azure Logic App') {
+    const model = parseLogicAppDefinition(content);
+    if (model) {
+      Object.values(model.parameters).filter(item => SECURE_PARAMETER_TYPES.includes(item.type)).forEach(item => names.push(item.name));
+    }
+  }
+  const functionModel = parseFunctionFile(content, filePath);
+  if (functionModel) {
+    functionModel.settings.filter(setting => SECRET_SETTING.test(setting.name)).forEach(setting => names.push(setting.name));
+  }
+  return unique(names);
+}
+
+/**
+ * Graph nodes declared by or linked to a file: messaging entities and called endpoints
+ */
+function graphNeighbours(graph, filePath) {
+  const own = new Set(Array.from(graph.nodes.values()).filter(node => node.owner === filePath).map(node => node.id));
+  own.add(`file:${filePath}`);
+
+  const linked = new Set();
+  graph.edges.forEach(edge => {
+    if (own.has(edge.from)) linked.add(edge.to);
+    if (own.has(edge.to)) linked.add(edge.from);
+  });
+  own.forEach(id => linked.add(id));
+
+  const nodes = Array.from(linked).map(id => graph.nodes.get(id)).filter(Boolean);
+  return {
+    entities: nodes.filter(node => ENTITY_KINDS.includes(node.kind)).map(node => `${KIND_LABELS[node.kind]} ${node.label}`),
+    endpoints: nodes.filter(node => node.kind === 'endpoint' || (node.kind === 'app' && node.owner !== filePath))
+      .map(node => (node.kind === 'app' ? `${node.label} (Function App)` : node.label))
+  };
+}
+
+/**
+ * Inventory entry for one integration file
+ */
+function inventoryEntry(filePath, content, { graph, findings, coverage, detectServiceType }) {
+  const serviceType = detectServiceType(filePath);
+  const entry = {
+    path: filePath,
+    serviceType,
+    triggers: [],
+    queues: [],
+    endpoints: [],
+    authMethods: [],
+    secrets: [],
+    findings: null,
+    documentation: coverage ? coverage.status : null,
+    lastModified: coverage && coverage.lastCommit ? { ...coverage.lastCommit } : null
+  };
+
+  if (findings) {
+    const own = findings.filter(item => item.path === filePath);
+    entry.findings = {
+      error: own.filter(item => securityLint.RULES[item.ruleId].level === 'error').length,
+      warning: own.filter(item => securityLint.RULES[item.ruleId].level === 'warning').length
+    };
+  }
+  if (content === null || content === undefined) return entry;
+
+  try {
+    const messaging = /\.json$/i.test(filePath) ? parseMessagingConfig(content) : null;
+    const linked = graph ? graphNeighbours(graph, filePath) : { entities: [], endpoints: [] };
+    const entities = messaging
+      ? Object.values(messaging.entities).filter(item => ENTITY_KINDS.includes(item.kind)).map(item => `${KIND_LABELS[item.kind]} ${item.path}`)
+      : [];
+
+    entry.triggers = unique(describeTriggers(filePath, content, serviceType));
+    entry.queues = unique(entities.concat(linked.entities));
+    entry.endpoints = unique(linked.endpoints);
+    entry.authMethods = detectAuthMethods(filePath, content, serviceType);
+    entry.secrets = secretReferences(filePath, content, serviceType);
+  } catch (error) {
+    log.warning(`Could not inventory ${filePath}: ${error.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Audit-wide health metrics
+ */
+function computeMetrics(integrations, now) {
+  const dormantBefore = new Date(now.getTime() - DORMANT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const withFindings = integrations.filter(item => item.findings);
+  const documented = integrations.filter(item => item.documentation);
+  const current = documented.filter(item => item.documentation === 'current').length;
+
+  const serviceTypes = {};
+  integrations.forEach(item => {
+    serviceTypes[item.serviceType] = (serviceTypes[item.serviceType] || 0) + 1;
+  });
+
+  return {
+    files: integrations.length,
+    serviceTypes,
+    findings: withFindings.length > 0 || integrations.length === 0
+      ? {
+        error: withFindings.reduce((sum, item) => sum + item.findings.error, 0),
+        warning: withFindings.reduce((sum, item) => sum + item.findings.warning, 0),
+        files: withFindings.filter(item => item.findings.error + item.findings.warning > 0).length
+      }
+      : null,
+    documentation: documented.length > 0
+      ? { current, stale: documented.filter(item => item.documentation === 'stale').length, missing: documented.filter(item => item.documentation === 'missing').length, coverage: Math.round((current / documented.length) * 100) }
+      : null,
+    secretsReferenced: unique(integrations.flatMap(item => item.secrets)).length,
+    anonymousTriggers: integrations.filter(item => item.authMethods.includes(FUNCTION_AUTH.anonymous)).length,
+    dormant: integrations.filter(item => item.lastModified && item.lastModified.date < dormantBefore).length
+  };
+}
+
+/**
+ * Build the audit snapshot: { version, generatedAt, commit, metrics, integrations, history }.
+ * `sources` are the integration sources read for the dependency graph; `coverage` is the drift report.
+ */
+function buildSnapshot(files, { sources, graph, findings, coverage, commit, detectServiceType, previous = null, now = new Date() }) {
+  const contents = new Map(sources.map(source => [source.path, source.content]));
+  const coverageByPath = new Map((coverage || []).map(item => [item.path, item]));
+
+  const integrations = files
+    .map(file => inventoryEntry(file.path, contents.get(file.path), {
+      graph,
+      findings,
+      coverage: coverageByPath.get(file.path),
+      detectServiceType
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const generatedAt = now.toISOString();
+  const metrics = computeMetrics(integrations, now);
+  const history = [{ generatedAt, commit, metrics }]
+    .concat(previous ? previous.history : [])
+    .slice(0, MAX_HISTORY);
+
+  return { version: SNAPSHOT_VERSION, generatedAt, commit, metrics, integrations, history };
+}
+
+/**
+ * Read the previous audit snapshot (null when there is none or it cannot be used)
+ */
+async function loadPreviousSnapshot(octokit, context, snapshotPath, ref) {
+  let content;
+  try {
+    content = await githubFiles.readRepositoryFile(octokit, context, snapshotPath, ref);
+  } catch (error) {
+    log.warning(`Could not read the previous audit ${snapshotPath}: ${error.message}`);
+    return null;
+  }
+  if (!content) return null;
+
+  try {
+    const snapshot = JSON.parse(content);
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.integrations)) {
+      log.warning(`Ignoring ${snapshotPath}: unsupported audit snapshot version ${snapshot.version}`);
+      return null;
+    }
+    return { ...snapshot, history: Array.isArray(snapshot.history) ? snapshot.history : [] };
+  } catch (error) {
+    log.warning(`Ignoring ${snapshotPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Report and snapshot paths in the docs folder
+ */
+function auditPaths(docsFolder) {
+  return { reportPath: path.join(docsFolder, REPORT_FILE), snapshotPath: path.join(docsFolder, SNAPSHOT_FILE) };
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ */
+function cell(values) {
+  const list = Array.isArray(values) ? values : [values];
+  return list.length > 0 ? list.map(value => String(value).replace(/\|/g, '\\|')).join('<br>') : '-';
+}
+
+/**
+ * Compact finding counts (🔴 errors, 🟠 warnings)
+ */
+function formatFindings(findings) {
+  if (!findings) return 'n/a';
+  if (findings.error + findings.warning === 0) return '✅';
+  return [findings.error ? `🔴 ${findings.error}` : '', findings.warning ? `🟠 ${findings.warning}` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Metric rows shown in the summary and compared in the trend: [label, read(metrics)]
+ */
+const METRIC_ROWS = [
+  ['Integration files', metrics => metrics.files],
+  ['Service types', metrics => Object.keys(metrics.serviceTypes).length],
+  ['Security findings (error)', metrics => metrics.findings && metrics.findings.error],
+  ['Security findings (warning)', metrics => metrics.findings && metrics.findings.warning],
+  ['Files with findings', metrics => metrics.findings && metrics.findings.files],
+  ['Documentation coverage (%)', metrics => metrics.documentation && metrics.documentation.coverage],
+  ['Secrets referenced', metrics => metrics.secretsReferenced],
+  ['Anonymous HTTP triggers', metrics => metrics.anonymousTriggers],
+  [`Unchanged for ${DORMANT_DAYS}+ days`, metrics => metrics.dormant]
+];
+
+/**
+ * Value a metric row's `read` returns for `metrics`, or '-' when that audit did not measure it
+ */
+function metricValue(read, metrics) {
+  const value = read(metrics);
+  return value === null || value === undefined ? '-' : value;
+}
+
+/**
+ * Trend section: metrics against the previous audit, added and removed files, recent history
+ */
+function renderTrendSection(snapshot, previous) {
+  let doc = '## Trend\n\n';
+  if (!previous) {
+    return `${doc}_First audit with a snapshot; the next one will be compared with it._\n\n`;
+  }
+
+  doc += `_Compared with the audit of ${previous.generatedAt.split('T')[0]}${previous.commit ? ` (\`${previous.commit.substring(0, 7)}\`)` : ''}._\n\n`;
+  doc += '| Metric | Previous | Current | Change |\n|--------|----------|---------|--------|\n';
+  METRIC_ROWS.forEach(([label, read]) => {
+    const before = metricValue(read, previous.metrics);
+    const after = metricValue(read, snapshot.metrics);
+    const delta = typeof before === 'number' && typeof after === 'number' ? after - before : null;
+    const change = delta === null ? '-' : delta === 0 ? '=' : `${delta > 0 ? '▲ +' : '▼ '}${delta}`;
+    doc += `| ${label} | ${before} | ${after} | ${change} |\n`;
+  });
+  doc += '\n';
+
+  const before = new Set(previous.integrations.map(item => item.path));
+  const after = new Set(snapshot.integrations.map(item => item.path));
+  const added = Array.from(after).filter(item => !before.has(item));
+  const removed = Array.from(before).filter(item => !after.has(item));
+  if (added.length > 0) doc += `**Added:** ${added.map(item => `\`${item}\``).join(', ')}\n\n`;
+  if (removed.length > 0) doc += `**Removed:** ${removed.map(item => `\`${item}\``).join(', ')}\n\n`;
+
+  const rows = snapshot.history.slice(0, HISTORY_ROWS);
+  doc += `### Recent Audits\n\n| Date | Commit | Files | Errors | Warnings | Coverage |\n|------|--------|-------|--------|----------|----------|\n`;
+  rows.forEach(entry => {
+    const { metrics } = entry;
+    doc += `| ${entry.generatedAt.split('T')[0]} | ${entry.commit ? `\`${entry.commit.substring(0, 7)}\`` : '-'} | ${metrics.files} | ` +
+      `${metricValue(METRIC_ROWS[2][1], metrics)} | ${metricValue(METRIC_ROWS[3][1], metrics)} | ` +
+      `${metrics.documentation ? `${metrics.documentation.coverage}%` : '-'} |\n`;
+  });
+  return `${doc}\n`;
+}
+
+/**
+ * Inventory section: one table per service type
+ */
+function renderInventorySection(integrations) {
+  const byType = new Map();
+  integrations.forEach(item => {
+    if (!byType.has(item.serviceType)) byType.set(item.serviceType, []);
+    byType.get(item.serviceType).push(item);
+  });
+
+  let doc = '## Inventory\n\n';
+  Array.from(byType.keys()).sort().forEach(type => {
+    const items = byType.get(type);
+    doc += `### ${type} (${items.length} files)\n\n`;
+    doc += '| File | Triggers | Queues & topics | Endpoints | Auth | Secrets referenced | Findings | Last modified |\n';
+    doc += '|------|----------|-----------------|-----------|------|--------------------|----------|---------------|\n';
+    items.forEach(item => {
+      const modified = item.lastModified ? `${item.lastModified.date.split('T')[0]} by ${item.lastModified.author}` : '-';
+      doc += `| \`${item.path}\` | ${cell(item.triggers)} | ${cell(item.queues)} | ${cell(item.endpoints)} | ` +
+        `${cell(item.authMethods)} | ${cell(item.secrets.map(name => `\`${name}\``))} | ${formatFindings(item.findings)} | ${modified} |\n`;
+    });
+    doc += '\n';
+  });
+  return doc;
+}
+
+/**
+ * Render the audit report from a snapshot, the previous snapshot and the repository-wide analysis
+ */
+function renderAuditReport(snapshot, previous, { graph = null, findings = null, coverage = null } = {}) {
+  const { metrics } = snapshot;
+
+  let doc = `# Azure Integration Audit Report
+
+**Generated:** ${snapshot.generatedAt}
+**Commit:** ${snapshot.commit ? `\`${snapshot.commit.substring(0, 7)}\`` : '-'}
+**Total Files:** ${metrics.files}
+
+## Summary
+
+This repository contains ${metrics.files} Azure integration files across ${Object.keys(metrics.serviceTypes).length} service types.
+
+| Metric | Value |
+|--------|-------|
+`;
+  METRIC_ROWS.forEach(([label, read]) => {
+    doc += `| ${label} | ${metricValue(read, metrics)} |\n`;
+  });
+  doc += '\n';
+
+  doc += renderTrendSection(snapshot, previous);
+  doc += renderInventorySection(snapshot.integrations);
+
+  if (graph) {
+    doc += '## Integration Dependency Graph\n\n';
+    doc += `_Derived from ${graph.nodes.size} resource(s) and ${graph.edges.size} link(s) found in the repository files; regenerated on every audit._\n\n`;
+    doc += `\`\`\`mermaid\n${dependencyGraph.renderMermaid(graph)}\`\`\`\n\n`;
+  }
+
+  if (findings) {
+    doc += '## Security Findings\n\n';
+    doc += `_${findings.length} finding(s) from static checks over the integration files; also exported as SARIF for code scanning._\n\n`;
+    doc += `${securityLint.renderSecurityFindings(findings)}\n`;
+  }
+
+  if (coverage) {
+    doc += docDrift.renderCoverageSection(coverage);
+  }
+
+  doc += `---
+*This audit was automatically generated by Azure Integration Doc Agent. Machine-readable data: \`${SNAPSHOT_FILE}\`*
+`;
+
+  return doc;
+}
+
+module.exports = {
+  REPORT_FILE,
+  SNAPSHOT_FILE,
+  auditPaths,
+  inventoryEntry,
+  buildSnapshot,
+  loadPreviousSnapshot,
+  renderAuditReport
+};
@@ -0,0 +1,553 @@
+/**
+ * Breaking-change detection for integration contracts.
+ *
+ * Compares the parsed base and head versions of a file and classifies each
+ * contract-level change as breaking (consumers must change), risky (behaviour
+ * consumers may notice) or safe.
+ */
+
+const YAML = require('yaml');
+const { parseLogicAppDefinition } = require('./logicapp');
+const { parseApimPolicy } = require('./apim');
+const { parseIac, resourcesOfType } = require('./iac');
+const { parseDuration } = require('./messaging');
+
+const SEVERITIES = ['breaking', 'risky', 'safe'];
+const SEVERITY_LABELS = { breaking: '🔴 Breaking', risky: '🟠 Risky', safe: '🟢 Safe' };
+
+// APIM policies that impose a requirement on callers
+const CALLER_REQUIREMENT_POLICIES = [
+  'validate-jwt', 'validate-azure-ad-token', 'check-header', 'ip-filter', 'validate-client-certificate',
+  'validate-content', 'validate-parameters', 'validate-headers'
+];
+const ROUTING_POLICIES = ['set-backend-service', 'rewrite-uri', 'forward-request'];
+
+// Service Bus entity properties compared across versions, with their Terraform names
+const SERVICE_BUS_PROPERTIES = {
+  requiresSession: 'requires_session',
+  enablePartitioning: 'partitioning_enabled',
+  requiresDuplicateDetection: 'requires_duplicate_detection',
+  maxDeliveryCount: 'max_delivery_count',
+  lockDuration: 'lock_duration',
+  defaultMessageTimeToLive: 'default_message_ttl',
+  maxSizeInMegabytes: 'max_size_in_megabytes',
+  deadLetteringOnMessageExpiration: 'dead_lettering_on_message_expiration',
+  forwardTo: 'forward_to'
+};
+const TERRAFORM_ALIASES = { enable_partitioning: 'enablePartitioning' };
+const SERVICE_BUS_TERRAFORM_TYPES = /^azurerm_servicebus_(queue|topic|subscription)$/;
+const SERVICE_BUS_BICEP_TYPES = /^Microsoft\.ServiceBus\/namespaces\/(queues|topics|topics\/subscriptions)$/i;
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options', 'trace'];
+
+/**
+ * Build a finding
+ */
+function finding(severity, element, message) {
+  return { severity, element, message };
+}
+
+/**
+ * Comparable numeric value for a setting (numbers and ISO-8601 durations)
+ */
+function numericValue(value) {
+  if (typeof value === 'number') return value;
+  const duration = parseDuration(value);
+  if (duration !== null) return duration;
+  const number = Number(value);
+  return value !== '' && value !== null && value !== undefined && !Number.isNaN(number) ? number : null;
+}
+
+/**
+ * Service Bus entities and their settings: Map(label -> { setting: value })
+ */
+function serviceBusEntities(content, filename) {
+  const entities = new Map();
+  if (!content) return entities;
+
+  if (/\.(bicep|tf)$/.test(filename)) {
+    const terraform = filename.endsWith('.tf');
+    resourcesOfType(parseIac(content, filename), terraform ? SERVICE_BUS_TERRAFORM_TYPES : SERVICE_BUS_BICEP_TYPES)
+      .forEach(resource => {
+        const kind = resource.type.split(/[/_]/).pop().replace(/s$/, '');
+        const settings = {};
+        Object.entries(SERVICE_BUS_PROPERTIES).forEach(([property, terraformName]) => {
+          const paths = terraform
+            ? [terraformName].concat(Object.keys(TERRAFORM_ALIASES).filter(alias => TERRAFORM_ALIASES[alias] === property))
+            : [`properties.${property}`];
+          paths.forEach(path => {
+            if (resource.properties[path] !== undefined) settings[property] = resource.properties[path];
+          });
+        });
+        entities.set(`${kind} ${resource.name}`, settings);
+      });
+    return entities;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return entities;
+  }
+
+  const pick = object => {
+    const settings = {};
+    Object.keys(SERVICE_BUS_PROPERTIES).forEach(property => {
+      if (object[property] !== undefined) settings[property] = object[property];
+    });
+    return Object.keys(settings).length > 0 ? settings : null;
+  };
+
+  const walk = (node, trail) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, trail.concat(String(index))));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const source = node.properties && typeof node.properties === 'object' ? node.properties : node;
+    const settings = pick(source);
+    if (settings) {
+      const name = node.queueName || node.topicName || node.subscriptionName || node.name || trail.join('.') || 'entity';
+      const kind = node.topicName ? 'topic' : trail.includes('subscriptions') ? 'subscription' : 'queue';
+      entities.set(`${kind} ${name}`, settings);
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (settings && value === source) return;
+      if (value && typeof value === 'object') walk(value, trail.concat(key));
+    });
+  };
+  walk(document, []);
+
+  return entities;
+}
+
+/**
+ * Service Bus rules: entity removal, session and immutable settings, delivery/lock/TTL reductions
+ */
+function serviceBusFindings(base, head, filename) {
+  const before = serviceBusEntities(base, filename);
+  const after = serviceBusEntities(head, filename);
+  const findings = [];
+
+  before.forEach((settings, entity) => {
+    if (!after.has(entity)) {
+      findings.push(finding('breaking', entity, 'Entity removed; senders and receivers using it will fail'));
+    }
+  });
+
+  after.forEach((settings, entity) => {
+    const old = before.get(entity);
+    if (!old) {
+      findings.push(finding('safe', entity, 'Entity added'));
+      return;
+    }
+
+    const changed = property => old[property] !== undefined && settings[property] !== undefined &&
+      String(old[property]) !== String(settings[property]);
+    const lowered = property => {
+      const a = numericValue(old[property]);
+      const b = numericValue(settings[property]);
+      return a !== null && b !== null && b < a;
+    };
+    const describe = property => `\`${property}\` ${old[property]} → ${settings[property]}`;
+
+    if (changed('requiresSession')) {
+      findings.push(finding('breaking', entity, settings.requiresSession === true
+        ? `${describe('requiresSession')}: senders must set a SessionId and receivers must accept sessions`
+        : `${describe('requiresSession')}: session-aware receivers can no longer accept sessions`));
+    }
+    ['enablePartitioning', 'requiresDuplicateDetection'].forEach(property => {
+      if (changed(property)) {
+        findings.push(finding('breaking', entity, `${describe(property)}: cannot be changed on an existing entity; it must be recreated`));
+      }
+    });
+    if (changed('forwardTo')) {
+      findings.push(finding('breaking', entity, `${describe('forwardTo')}: messages are delivered to a different entity`));
+    }
+
+    const reductions = {
+      maxDeliveryCount: 'messages are dead-lettered after fewer delivery attempts',
+      lockDuration: 'receivers have less time to complete a message before it is redelivered',
+      defaultMessageTimeToLive: 'messages expire sooner',
+      maxSizeInMegabytes: 'the entity fills up sooner and senders may be throttled'
+    };
+    Object.entries(reductions).forEach(([property, impact]) => {
+      if (!changed(property)) return;
+      findings.push(lowered(property)
+        ? finding('risky', entity, `${describe(property)}: ${impact}`)
+        : finding('safe', entity, describe(property)));
+    });
+    if (changed('deadLetteringOnMessageExpiration')) {
+      findings.push(finding('risky', entity, `${describe('deadLetteringOnMessageExpiration')}: expired messages are handled differently`));
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Flatten a JSON schema into field paths: Map(path -> { type, required })
+ */
+function schemaFields(schema, prefix = '', fields = new Map()) {
+  if (!schema || typeof schema !== 'object') return fields;
+  const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    const fieldPath = prefix ? `${prefix}.${name}` : name;
+    fields.set(fieldPath, { type: property && property.type, required: required.has(name) });
+    schemaFields(property, fieldPath, fields);
+    if (property && property.items) schemaFields(property.items, `${fieldPath}[]`, fields);
+  });
+
+  return fields;
+}
+
+/**
+ * Compare two request schemas
+ */
+function schemaFindings(element, oldSchema, newSchema) {
+  const before = schemaFields(oldSchema);
+  const after = schemaFields(newSchema);
+  const findings = [];
+
+  after.forEach((field, fieldPath) => {
+    const old = before.get(fieldPath);
+    if (field.required && (!old || !old.required)) {
+      findings.push(finding('breaking', element, `Request schema field \`${fieldPath}\` is now required; callers that omit it are rejected`));
+    } else if (!old) {
+      findings.push(finding('safe', element, `Optional request schema field \`${fieldPath}\` added`));
+    } else if (old.type && field.type && String(old.type) !== String(field.type)) {
+      findings.push(finding('breaking', element, `Request schema field \`${fieldPath}\` type changed from ${old.type} to ${field.type}`));
+    }
+  });
+  before.forEach((field, fieldPath) => {
+    if (!after.has(fieldPath)) {
+      findings.push(finding('risky', element, `Request schema field \`${fieldPath}\` removed; callers still sending it may be rejected by strict validation`));
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Logic App rules: trigger contract (type, method, path, request schema), removed actions, new secure parameters
+ */
+function logicAppFindings(base, head) {
+  const before = parseLogicAppDefinition(base);
+  const after = parseLogicAppDefinition(head);
+  if (!before || !after) return [];
+
+  const findings = [];
+  const inputs = item => {
+    try {
+      return JSON.parse(item.inputs || '{}');
+    } catch (error) {
+      return {};
+    }
+  };
+
+  Object.values(before.triggers).forEach(trigger => {
+    if (!after.triggers[trigger.name]) {
+      findings.push(finding('breaking', `trigger ${trigger.name}`, 'Trigger removed; callers and event sources using it stop starting runs'));
+    }
+  });
+
+  Object.values(after.triggers).forEach(trigger => {
+    const element = `trigger ${trigger.name}`;
+    const old = before.triggers[trigger.name];
+    if (!old) {
+      findings.push(finding('safe', element, 'Trigger added'));
+      return;
+    }
+
+    if (old.type !== trigger.type || old.kind !== trigger.kind) {
+      const describe = t => [t.type, t.kind].filter(Boolean).join('/');
+      findings.push(finding('breaking', element, `Trigger type changed from ${describe(old)} to ${describe(trigger)}`));
+      return;
+    }
+
+    const oldInputs = inputs(old);
+    const newInputs = inputs(trigger);
+    if (trigger.type === 'Request') {
+      if ((oldInputs.method || 'POST') !== (newInputs.method || 'POST')) {
+        findings.push(finding('breaking', element, `HTTP method changed from ${oldInputs.method || 'POST'} to ${newInputs.method || 'POST'}`));
+      }
+      if ((oldInputs.relativePath || '') !== (newInputs.relativePath || '')) {
+        findings.push(finding('breaking', element, `Relative path changed from \`${oldInputs.relativePath || '/'}\` to \`${newInputs.relativePath || '/'}\``));
+      }
+      findings.push(...schemaFindings(element, oldInputs.schema, newInputs.schema));
+    } else if (oldInputs.path !== newInputs.path && oldInputs.path && newInputs.path) {
+      findings.push(finding('breaking', element, `Trigger source changed from \`${oldInputs.path}\` to \`${newInputs.path}\``));
+    }
+  });
+
+  Object.values(before.actions).forEach(action => {
+    if (!after.actions[action.name]) {
+      findings.push(finding('risky', `action ${action.name}`, `${action.type} action removed; downstream systems no longer receive its effect`));
+    }
+  });
+
+  Object.values(after.parameters).forEach(parameter => {
+    const secure = ['securestring', 'secureobject'].includes(parameter.type);
+    if (secure && !before.parameters[parameter.name]) {
+      findings.push(finding('risky', `parameter ${parameter.name}`, 'New secure parameter; every deployment must supply a value'));
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * APIM policy rules: new caller requirements, auth/CORS narrowing, lowered limits, routing changes
+ */
+function apimPolicyFindings(base, head) {
+  const before = base ? parseApimPolicy(base) : null;
+  const after = head ? parseApimPolicy(head) : null;
+  if (!before || !after) return [];
+
+  const flatten = model => {
+    const entries = new Map();
+    Object.entries(model.sections).forEach(([section, policies]) => {
+      Object.entries(policies).forEach(([key, entry]) => entries.set(`${section} > ${key}`, entry));
+    });
+    return entries;
+  };
+  const oldPolicies = flatten(before);
+  const newPolicies = flatten(after);
+  const findings = [];
+
+  newPolicies.forEach((entry, key) => {
+    const old = oldPolicies.get(key);
+    if (!old) {
+      if (CALLER_REQUIREMENT_POLICIES.includes(entry.policy)) {
+        findings.push(finding('breaking', key, `\`${entry.policy}\` added; callers must now satisfy it`));
+      } else if (/^(rate-limit|quota)/.test(entry.policy) || ROUTING_POLICIES.includes(entry.policy)) {
+        findings.push(finding('risky', key, `\`${entry.policy}\` added`));
+      } else {
+        findings.push(finding('safe', key, `\`${entry.policy}\` added`));
+      }
+      return;
+    }
+
+    const removedItems = fact => (old.facts[fact] || []).filter(value => !(entry.facts[fact] || []).includes(value));
+    const addedItems = fact => (entry.facts[fact] || []).filter(value => !(old.facts[fact] || []).includes(value));
+    const changedKeys = Array.from(new Set(Object.keys(old.facts).concat(Object.keys(entry.facts))))
+      .filter(fact => JSON.stringify(old.facts[fact]) !== JSON.stringify(entry.facts[fact]));
+    if (changedKeys.length === 0) return;
+
+    if (['validate-jwt', 'validate-azure-ad-token'].includes(entry.policy)) {
+      const narrowed = removedItems('audiences').map(value => `audience \`${value}\` no longer accepted`)
+        .concat(removedItems('issuers').map(value => `issuer \`${value}\` no longer accepted`))
+        .concat(addedItems('required-claims').map(value => `claim \`${value}\` now required`));
+      findings.push(narrowed.length > 0
+        ? finding('breaking', key, narrowed.join('; '))
+        : finding('risky', key, `Token validation changed (${changedKeys.join(', ')})`));
+    } else if (entry.policy === 'cors') {
+      const narrowed = ['origins', 'methods', 'headers'].flatMap(fact => removedItems(fact).map(value => `\`${value}\` no longer allowed`));
+      findings.push(narrowed.length > 0
+        ? finding('breaking', key, `CORS narrowed: ${narrowed.join(', ')}`)
+        : finding('safe', key, 'CORS widened'));
+    } else if (/^(rate-limit|quota)/.test(entry.policy)) {
+      const oldCalls = numericValue(old.facts.calls);
+      const newCalls = numericValue(entry.facts.calls);
+      const oldPeriod = numericValue(old.facts['renewal-period']);
+      const newPeriod = numericValue(entry.facts['renewal-period']);
+      const tighter = (oldCalls !== null && newCalls !== null && newCalls < oldCalls) ||
+        (oldPeriod !== null && newPeriod !== null && newPeriod > oldPeriod);
+      findings.push(tighter
+        ? finding('risky', key, `Limit tightened from ${old.facts.calls}/${old.facts['renewal-period']}s to ${entry.facts.calls}/${entry.facts['renewal-period']}s; callers may be throttled`)
+        : finding('safe', key, 'Limit relaxed'));
+    } else if (CALLER_REQUIREMENT_POLICIES.includes(entry.policy) || ROUTING_POLICIES.includes(entry.policy)) {
+      findings.push(finding('risky', key, `\`${entry.policy}\` changed (${changedKeys.join(', ')})`));
+    } else {
+      findings.push(finding('safe', key, `\`${entry.policy}\` changed`));
+    }
+  });
+
+  oldPolicies.forEach((entry, key) => {
+    if (newPolicies.has(key)) return;
+    if (entry.policy === 'cors') {
+      findings.push(finding('breaking', key, 'CORS policy removed; browser clients on other origins are blocked'));
+    } else if (CALLER_REQUIREMENT_POLICIES.includes(entry.policy)) {
+      findings.push(finding('risky', key, `\`${entry.policy}\` removed; access control loosened`));
+    } else if (/^(rate-limit|quota)/.test(entry.policy) || ROUTING_POLICIES.includes(entry.policy)) {
+      findings.push(finding('risky', key, `\`${entry.policy}\` removed`));
+    } else {
+      findings.push(finding('safe', key, `\`${entry.policy}\` removed`));
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Operations of an OpenAPI/Swagger document: Map("METHOD /path" -> { required parameters, body required })
+ */
+function openApiOperations(content) {
+  let document;
+  try {
+    document = YAML.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!document || typeof document !== 'object' || !(document.openapi || document.swagger) || !document.paths) return null;
+
+  const operations = new Map();
+  Object.entries(document.paths).forEach(([route, item]) => {
+    if (!item || typeof item !== 'object') return;
+    const shared = Array.isArray(item.parameters) ? item.parameters : [];
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      const operation = item[method];
+      const parameters = shared.concat(Array.isArray(operation.parameters) ? operation.parameters : []);
+      operations.set(`${method.toUpperCase()} ${route}`, {
+        required: parameters.filter(p => p && (p.required || p.in === 'path')).map(p => `${p.in} ${p.name}`),
+        bodyRequired: Boolean(operation.requestBody && operation.requestBody.required)
+      });
+    });
+  });
+  return operations;
+}
+
+/**
+ * OpenAPI rules: removed operations, new required parameters or bodies
+ */
+function openApiFindings(base, head) {
+  const before = base && openApiOperations(base);
+  const after = head && openApiOperations(head);
+  if (!before || !after) return [];
+
+  const findings = [];
+  before.forEach((operation, key) => {
+    if (!after.has(key)) findings.push(finding('breaking', key, 'API operation removed'));
+  });
+  after.forEach((operation, key) => {
+    const old = before.get(key);
+    if (!old) {
+      findings.push(finding('safe', key, 'API operation added'));
+      return;
+    }
+    operation.required.filter(parameter => !old.required.includes(parameter)).forEach(parameter => {
+      findings.push(finding('breaking', key, `Parameter \`${parameter}\` is now required`));
+    });
+    if (operation.bodyRequired && !old.bodyRequired) {
+      findings.push(finding('breaking', key, 'Request body is now required'));
+    }
+  });
+  return findings;
+}
+
+/**
+ * IaC rules: removed APIM APIs/operations, modules and other removed resources
+ */
+function iacFindings(base, head, filename) {
+  if (!base || !head) return [];
+  const before = parseIac(base, filename).resources;
+  const after = parseIac(head, filename).resources;
+
+  const key = resource => `${resource.type} ${resource.address}`;
+  const afterKeys = new Set(after.map(key));
+  const serviceBusTypes = filename.endsWith('.tf') ? SERVICE_BUS_TERRAFORM_TYPES : SERVICE_BUS_BICEP_TYPES;
+
+  return before
+    .filter(resource => !afterKeys.has(key(resource)) && !serviceBusTypes.test(resource.type))
+    .map(resource => {
+      const element = `${resource.type} ${resource.name}`;
+      if (/apis\/operations$|api_management_api_operation$/i.test(resource.type)) {
+        return finding('breaking', element, 'APIM operation removed; callers get 404');
+      }
+      if (/service\/apis$|api_management_api$/i.test(resource.type)) {
+        return finding('breaking', element, 'APIM API removed; all of its operations disappear');
+      }
+      if (resource.kind === 'module') {
+        return finding('risky', element, 'Module removed; every resource it deployed is removed too');
+      }
+      return finding('risky', element, 'Resource removed from the template');
+    });
+}
+
+/**
+ * Classify the changes in one file from its base and head contents. Returns findings sorted by severity.
+ */
+function classifyChanges(file, versions, serviceType) {
+  const { base, head } = versions;
+  const filename = file.filename;
+  let findings = [];
+
+  if (file.status === 'removed' && base !== null) {
+    findings.push(finding('breaking', filename, 'Integration file removed; anything deployed from it will be deleted or orphaned'));
+  }
+
+  if (/\.(bicep|tf)$/.test(filename)) {
+    findings = findings.concat(serviceBusFindings(base, head, filename), iacFindings(base, head, filename));
+  } else if (serviceType === 'Azure Logic App') {
+    findings = findings.concat(logicAppFindings(base, head));
+  } else if (serviceType === 'API Management' && /\.xml$/i.test(filename)) {
+    findings = findings.concat(apimPolicyFindings(base, head));
+  } else if (/\.(json|ya?ml)$/i.test(filename)) {
+    findings = findings.concat(openApiFindings(base, head), /\.json$/i.test(filename) ? serviceBusFindings(base, head, filename) : []);
+  }
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Short name of an element for finding it in files and text ("queue `orders`" -> orders, "inbound > validate-jwt" -> validate-jwt)
+ */
+function elementName(element) {
+  return String(element).replace(/`/g, '').trim().split(/[\s>]+/).pop();
+}
+
+/**
+ * Overall impact of a set of classified files: { level, counts }
+ */
+function summarizeImpact(fileDiffs) {
+  const counts = { breaking: 0, risky: 0, safe: 0 };
+  fileDiffs.forEach(file => (file.impact || []).forEach(item => counts[item.severity]++));
+  const level = SEVERITIES.find(severity => counts[severity] > 0) || 'safe';
+  return { level, counts };
+}
+
+/**
+ * Format findings as plain facts for the LLM prompt
+ */
+function formatImpactForPrompt(findings) {
+  if (!findings || findings.length === 0) return '- No contract changes detected';
+  return findings.map(item => `- [${item.severity}] ${item.element}: ${item.message}`).join('\n');
+}
+
+/**
+ * Render the severity-tagged impact section
+ */
+function renderImpactSection(fileDiffs) {
+  const classified = fileDiffs.filter(file => file.impact && file.impact.length > 0);
+  if (classified.length === 0) return '';
+
+  const { level, counts } = summarizeImpact(classified);
+  const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  let section = '\n\n## Change Impact\n\n';
+  section += `**Overall: ${SEVERITY_LABELS[level]}** — ${SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}\n\n`;
+  section += '| Severity | File | Element | Change |\n|----------|------|---------|--------|\n';
+  SEVERITIES.forEach(severity => {
+    classified.forEach(file => {
+      file.impact.filter(item => item.severity === severity).forEach(item => {
+        section += `| ${SEVERITY_LABELS[severity]} | \`${escape(file.filename)}\` | ${escape(item.element)} | ${escape(item.message)} |\n`;
+      });
+    });
+  });
+
+  return section;
+}
+
+module.exports = {
+  SEVERITIES,
+  SEVERITY_LABELS,
+  classifyChanges,
+  elementName,
+  summarizeImpact,
+  formatImpactForPrompt,
+  renderImpactSection
+};
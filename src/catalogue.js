@@ -0,0 +1,188 @@
+/**
+ * Section-aware centralized documentation.
+ *
+ * The central doc is kept as a catalogue with one marked section per
+ * integration file, updated in place, removed when the file is deleted, plus
+ * a generated table of contents and a changelog pointing back to PRs.
+ */
+
+const CATALOGUE_MARKER = '<!-- azure-doc-agent:catalogue v1 -->';
+const SECTION_START = /^<!-- azure-doc-agent:section key="([^"]+)" -->$/;
+const SECTION_END = '<!-- azure-doc-agent:end -->';
+const CHANGELOG_MARKER = '<!-- azure-doc-agent:changelog -->';
+const ARCHIVE_MARKER = '<!-- azure-doc-agent:archive -->';
+const MAX_CHANGELOG_ENTRIES = 100;
+
+/**
+ * GitHub-style heading anchor
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s/g, '-');
+}
+
+/**
+ * Parse an existing central doc. Content without the catalogue marker is kept as archived legacy notes.
+ */
+function parseCatalogue(content) {
+  const catalogue = { sections: new Map(), changelog: [], archive: null };
+  if (!content || !content.trim()) return catalogue;
+
+  if (!content.includes(CATALOGUE_MARKER)) {
+    catalogue.archive = content.trim();
+    return catalogue;
+  }
+
+  const lines = content.split('\n');
+  let currentKey = null;
+  let buffer = [];
+  let inChangelog = false;
+  let inArchive = false;
+  const archive = [];
+
+  lines.forEach(line => {
+    const start = line.match(SECTION_START);
+    if (start) {
+      currentKey = start[1];
+      buffer = [];
+      inChangelog = false;
+      inArchive = false;
+      return;
+    }
+    if (line === SECTION_END && currentKey) {
+      catalogue.sections.set(currentKey, buffer.join('\n').replace(/^\s*## .*\n/, '').trim());
+      currentKey = null;
+      return;
+    }
+    if (currentKey) {
+      buffer.push(line);
+      return;
+    }
+    if (line === CHANGELOG_MARKER) {
+      inChangelog = true;
+      inArchive = false;
+      return;
+    }
+    if (line === ARCHIVE_MARKER) {
+      inArchive = true;
+      inChangelog = false;
+      return;
+    }
+    if (inChangelog && line.startsWith('- ')) catalogue.changelog.push(line);
+    if (inArchive) archive.push(line);
+  });
+
+  if (archive.join('').trim()) catalogue.archive = archive.join('\n').trim();
+  return catalogue;
+}
+
+/**
+ * Date (YYYY-MM-DD) of the last change recorded in a section's summary table, or null
+ */
+function sectionDate(section) {
+  const match = (section || '').match(/^\|.*\| (\d{4}-\d{2}-\d{2}) \|\s*$/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract the part of a generated document that discusses one file (heading mentioning the file name)
+ */
+function extractFileExcerpt(documentation, filename) {
+  const lines = (documentation || '').split('\n');
+  const basename = filename.split('/').pop();
+
+  const start = lines.findIndex(line => /^#{2,6}\s/.test(line) && (line.includes(filename) || line.includes(basename)));
+  if (start === -1) return null;
+
+  const level = lines[start].match(/^#+/)[0].length;
+  let end = lines.length;
+  for (let i = start + 1; i < lines.length; i++) {
+    const heading = lines[i].match(/^(#+)\s/);
+    if (heading && heading[1].length <= level) {
+      end = i;
+      break;
+    }
+  }
+
+  const excerpt = lines.slice(start + 1, end).join('\n').trim();
+  return excerpt || null;
+}
+
+/**
+ * Apply a run's file changes to the catalogue.
+ * `renderEntry(file)` produces the section body for a changed file.
+ */
+function updateCatalogue(catalogue, fileDiffs, metadata, renderEntry) {
+  const updated = [];
+  const removed = [];
+
+  fileDiffs.forEach(file => {
+    if (file.previousFilename && file.previousFilename !== file.filename) {
+      if (catalogue.sections.delete(file.previousFilename)) removed.push(file.previousFilename);
+    }
+
+    if (file.status === 'removed') {
+      if (catalogue.sections.delete(file.filename)) removed.push(file.filename);
+    } else {
+      catalogue.sections.set(file.filename, renderEntry(file).trim());
+      updated.push(file.filename);
+    }
+  });
+
+  const date = new Date().toISOString().split('T')[0];
+  const label = metadata.number ? `#${metadata.number}` : metadata.title;
+  const source = metadata.url ? `[${label}](${metadata.url})` : label;
+  const parts = [];
+  if (updated.length) parts.push(`updated ${updated.map(f => `\`${f}\``).join(', ')}`);
+  if (removed.length) parts.push(`removed ${removed.map(f => `\`${f}\``).join(', ')}`);
+
+  if (parts.length > 0) {
+    catalogue.changelog.unshift(`- ${date} — ${source}: ${parts.join('; ')}`);
+    catalogue.changelog = catalogue.changelog.slice(0, MAX_CHANGELOG_ENTRIES);
+  }
+
+  return catalogue;
+}
+
+/**
+ * Render the catalogue back to Markdown
+ */
+function renderCatalogue(catalogue) {
+  const keys = Array.from(catalogue.sections.keys()).sort();
+
+  let doc = `# Azure Integration Catalogue\n\n${CATALOGUE_MARKER}\n`;
+  doc += '_Maintained automatically by Azure Integration Doc Agent. Each section is updated in place when its file changes._\n\n';
+
+  doc += '## Table of Contents\n\n';
+  if (keys.length === 0) {
+    doc += '_No integrations documented yet._\n';
+  } else {
+    keys.forEach(key => {
+      doc += `- [${key}](#${slugify(key)})\n`;
+    });
+  }
+  doc += '\n';
+
+  keys.forEach(key => {
+    doc += `<!-- azure-doc-agent:section key="${key}" -->\n`;
+    doc += `## ${key}\n\n`;
+    doc += `${catalogue.sections.get(key)}\n`;
+    doc += `${SECTION_END}\n\n`;
+  });
+
+  doc += `## Changelog\n\n${CHANGELOG_MARKER}\n`;
+  doc += catalogue.changelog.length ? `${catalogue.changelog.join('\n')}\n` : '_No changes recorded yet._\n';
+
+  if (catalogue.archive) {
+    doc += `\n## Archived Notes\n\n${ARCHIVE_MARKER}\n${catalogue.archive}\n`;
+  }
+
+  return doc;
+}
+
+module.exports = {
+  parseCatalogue,
+  updateCatalogue,
+  renderCatalogue,
+  sectionDate,
+  extractFileExcerpt
+};
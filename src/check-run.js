@@ -0,0 +1,269 @@
+/**
+ * "Azure Integration Docs" Check Run for pull requests.
+ *
+ * The run is started when a pull request is processed and completed with a
+ * rendered summary, per-file annotations and a conclusion chosen by the
+ * `check-conclusions` policy, so it can be a required status check.
+ *
+ * Policy lines map a condition to a conclusion; the most severe conclusion
+ * among the conditions that hold wins (success when none do):
+ *
+ *   error: failure
+ *   breaking-undocumented: failure
+ *   llm-unavailable: neutral
+ */
+
+const log = require('./log');
+const breakingChanges = require('./breaking-changes');
+const securityLint = require('./security-lint');
+const docDrift = require('./doc-drift');
+const { collectFindings } = require('./review-comments');
+
+const CHECK_NAME = 'Azure Integration Docs';
+
+// Conclusions from least to most severe; pass/warn/fail are accepted as aliases
+const CONCLUSIONS = ['success', 'neutral', 'failure'];
+const CONCLUSION_ALIASES = { pass: 'success', warn: 'neutral', fail: 'failure' };
+const CONCLUSION_LABELS = { success: '✅ Success', neutral: '⚠️ Neutral', failure: '❌ Failure', skipped: '⏭️ Skipped' };
+
+const CONDITIONS = {
+  error: 'The action failed before the documentation was published',
+  breaking: 'Breaking contract changes were detected',
+  'breaking-undocumented': 'Breaking changes are not mentioned in the PR description or the written documentation',
+  risky: 'Risky contract changes were detected',
+  'security-error': 'Error-level security findings in the changed files',
+  'security-warning': 'Warning-level security findings in the changed files',
+  'llm-unavailable': 'The LLM was not configured or failed, so template documentation was published',
+  'docs-drift': 'Integration files changed without updating the hand-written documentation that describes them'
+};
+
+const DEFAULT_POLICY = 'error: failure\nbreaking-undocumented: failure\nllm-unavailable: neutral';
+
+// Checks API limits: 50 annotations per request, 65535 characters of summary
+const ANNOTATION_BATCH = 50;
+const MAX_SUMMARY_LENGTH = 60000;
+
+/**
+ * Parse the policy text into Map(condition -> conclusion); throws on unknown conditions or conclusions
+ */
+function parsePolicy(text) {
+  const policy = new Map();
+  String(text || DEFAULT_POLICY).split(/[\n,]/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(/^([\w-]+)\s*[:=]\s*(\w+)$/);
+    if (!match) {
+      throw new Error(`Invalid check-conclusions entry "${line}": expected "condition: conclusion"`);
+    }
+    const [, condition, value] = match;
+    const conclusion = CONCLUSION_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    if (!CONDITIONS[condition]) {
+      throw new Error(`Invalid check-conclusions condition "${condition}". Must be one of ${Object.keys(CONDITIONS).join(', ')}`);
+    }
+    if (!CONCLUSIONS.includes(conclusion)) {
+      throw new Error(`Invalid check-conclusions conclusion "${value}" for ${condition}. Must be success, neutral or failure (or pass, warn, fail)`);
+    }
+    policy.set(condition, conclusion);
+  });
+  return policy;
+}
+
+/**
+ * Breaking changes whose element is mentioned neither in the PR description nor in the written prose:
+ * the LLM-written documentation and the lines added to hand-written Markdown. Generated tables and
+ * template documentation do not count, since they list every change (all of them when nothing was published).
+ */
+function undocumentedBreakingChanges(fileDiffs, { prose = '', docPaths = [], description = '' }) {
+  const breaking = fileDiffs.flatMap(file => (file.impact || []).filter(item => item.severity === 'breaking'));
+  if (docPaths.length === 0) return breaking;
+
+  const text = `${description}\n${prose}`.toLowerCase();
+  return breaking.filter(item => !text.includes(breakingChanges.elementName(item.element).toLowerCase()));
+}
+
+/**
+ * Which policy conditions hold for a run: { condition: detail } for each of them
+ */
+function evaluateConditions(outcome, config) {
+  const conditions = {};
+  if (outcome.error) {
+    conditions.error = outcome.error.message;
+    return conditions;
+  }
+
+  const fileDiffs = outcome.fileDiffs || [];
+  const { counts } = breakingChanges.summarizeImpact(fileDiffs);
+  if (counts.breaking > 0) conditions.breaking = `${counts.breaking} breaking change(s)`;
+  if (counts.risky > 0) conditions.risky = `${counts.risky} risky change(s)`;
+
+  const undocumented = undocumentedBreakingChanges(fileDiffs, outcome);
+  if (undocumented.length > 0) {
+    conditions['breaking-undocumented'] = undocumented.map(item => item.element.replace(/`/g, '')).join(', ');
+  }
+
+  const paths = new Set(fileDiffs.map(file => file.filename));
+  const findings = (config.securityFindings || []).filter(item => paths.has(item.path));
+  ['error', 'warning'].forEach(level => {
+    const count = findings.filter(item => securityLint.RULES[item.ruleId].level === level).length;
+    if (count > 0) conditions[`security-${level}`] = `${count} finding(s)`;
+  });
+
+  const untouched = outcome.untouchedDocs || [];
+  if (untouched.length > 0) {
+    conditions['docs-drift'] = untouched.map(item => item.filename).join(', ');
+  }
+
+  if (config.llmUnavailable || (config.generationMode === 'llm' && outcome.generationMode === 'template')) {
+    conditions['llm-unavailable'] = config.llmUnavailable || 'the LLM request failed';
+  }
+  return conditions;
+}
+
+/**
+ * Apply the policy: { conclusion, reasons: [{ condition, conclusion, detail }] }, most severe first
+ */
+function decideConclusion(conditions, policy) {
+  const reasons = Object.entries(conditions)
+    .filter(([condition]) => policy.has(condition))
+    .map(([condition, detail]) => ({ condition, conclusion: policy.get(condition), detail }))
+    .sort((a, b) => CONCLUSIONS.indexOf(b.conclusion) - CONCLUSIONS.indexOf(a.conclusion));
+  return { conclusion: reasons.length > 0 ? reasons[0].conclusion : 'success', reasons };
+}
+
+/**
+ * Check annotations for the findings in the changed files (files removed by the PR have none)
+ */
+function buildAnnotations(fileDiffs, config) {
+  const present = new Set(fileDiffs.filter(file => file.status !== 'removed').map(file => file.filename));
+  return collectFindings(fileDiffs, config)
+    .filter(item => present.has(item.path))
+    .map(item => ({
+      path: item.path,
+      start_line: item.line || 1,
+      end_line: item.line || 1,
+      annotation_level: item.level,
+      title: item.title,
+      message: item.message.replace(/\*\*|`/g, '')
+    }));
+}
+
+/**
+ * Check Run title and Markdown summary
+ */
+function renderOutput(outcome, conditions, decision, config) {
+  if (outcome.skipped) {
+    return { title: outcome.skipped, summary: `${outcome.skipped}.` };
+  }
+
+  const fileDiffs = outcome.fileDiffs || [];
+  const { counts } = breakingChanges.summarizeImpact(fileDiffs);
+  const title = outcome.error
+    ? 'Documentation failed'
+    : `${fileDiffs.length} integration file(s): ${counts.breaking} breaking, ${counts.risky} risky` +
+      (conditions['security-error'] || conditions['security-warning'] ? ', security findings' : '');
+
+  let summary = `## ${CONCLUSION_LABELS[decision.conclusion]}\n\n`;
+  if (decision.reasons.length > 0) {
+    summary += '| Condition | Conclusion | Detail |\n|-----------|------------|--------|\n';
+    decision.reasons.forEach(reason => {
+      summary += `| ${CONDITIONS[reason.condition]} (\`${reason.condition}\`) | ${CONCLUSION_LABELS[reason.conclusion]} | ${String(reason.detail).replace(/\|/g, '\\|').replace(/\n/g, ' ')} |\n`;
+    });
+    summary += '\n';
+  } else {
+    summary += '_No policy condition applies._\n\n';
+  }
+
+  if (!outcome.error) {
+    summary += `📄 **Documentation:** ${(outcome.docPaths || []).map(p => `\`${p}\``).join(', ') || '_none_'}` +
+      (outcome.generationMode ? ` (${outcome.generationMode})` : '') + '\n';
+    summary += breakingChanges.renderImpactSection(fileDiffs);
+    summary += docDrift.renderUntouchedDocs(outcome.untouchedDocs);
+    const paths = new Set(fileDiffs.map(file => file.filename));
+    const findings = (config.securityFindings || []).filter(item => paths.has(item.path));
+    if (findings.length > 0) {
+      summary += `\n\n## Security Findings\n\n${securityLint.renderSecurityFindings(findings)}`;
+    }
+  }
+
+  if (summary.length > MAX_SUMMARY_LENGTH) {
+    summary = `${summary.substring(0, MAX_SUMMARY_LENGTH)}\n\n_… truncated; see the documentation for the full report._`;
+  }
+  return { title, summary };
+}
+
+/**
+ * Create the check run in progress on the pull request head (null when checks cannot be written)
+ */
+async function startCheckRun(octokit, context, headSha) {
+  try {
+    const { data } = await octokit.rest.checks.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: 'in_progress',
+      started_at: new Date().toISOString()
+    });
+    log.info(`☑️ Started check run "${CHECK_NAME}"`);
+    return data.id;
+  } catch (error) {
+    log.warning(`Could not create the "${CHECK_NAME}" check run (needs checks: write): ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write a completed result: update the run `checkRunId`, or create a completed run on `headSha`.
+ * The first request carries the conclusion; further requests append annotations in batches.
+ */
+async function writeResult(octokit, context, { checkRunId = null, headSha = null }, conclusion, output, annotations) {
+  let id = checkRunId;
+  for (let start = 0; start === 0 || start < annotations.length; start += ANNOTATION_BATCH) {
+    const request = {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      ...(start === 0 ? { status: 'completed', conclusion, completed_at: new Date().toISOString() } : {}),
+      output: { ...output, annotations: annotations.slice(start, start + ANNOTATION_BATCH) }
+    };
+    if (id) {
+      await octokit.rest.checks.update({ ...request, check_run_id: id });
+    } else {
+      ({ data: { id } } = await octokit.rest.checks.create({ ...request, name: CHECK_NAME, head_sha: headSha }));
+    }
+  }
+}
+
+/**
+ * Complete the check run. `outcome` is { fileDiffs, docPaths, documentation, prose, description, generationMode,
+ * docsCommitSha, untouchedDocs }, { skipped: reason } when there was nothing to document, or { error }.
+ * The documentation commit becomes the pull request head, so it gets the same result. Returns the conclusion.
+ */
+async function completeCheckRun(octokit, context, checkRunId, outcome, config) {
+  const conditions = outcome.skipped ? {} : evaluateConditions(outcome, config);
+  const decision = outcome.skipped
+    ? { conclusion: 'skipped', reasons: [] }
+    : decideConclusion(conditions, config.checkPolicy || parsePolicy(config.checkConclusions));
+  const output = renderOutput(outcome, conditions, decision, config);
+  const annotations = outcome.fileDiffs ? buildAnnotations(outcome.fileDiffs, config) : [];
+
+  try {
+    await writeResult(octokit, context, { checkRunId }, decision.conclusion, output, annotations);
+    if (outcome.docsCommitSha) {
+      await writeResult(octokit, context, { headSha: outcome.docsCommitSha }, decision.conclusion, output, annotations);
+    }
+    log.info(`☑️ Check run "${CHECK_NAME}": ${decision.conclusion} (${annotations.length} annotation(s))`);
+  } catch (error) {
+    log.warning(`Could not complete the "${CHECK_NAME}" check run: ${error.message}`);
+  }
+  log.setOutput('check-conclusion', decision.conclusion);
+  return decision.conclusion;
+}
+
+module.exports = {
+  CHECK_NAME,
+  CONDITIONS,
+  parsePolicy,
+  evaluateConditions,
+  decideConclusion,
+  buildAnnotations,
+  startCheckRun,
+  completeCheckRun
+};
@@ -0,0 +1,201 @@
+/**
+ * Command-line entry point: run the documentation pipeline on a local git
+ * repository, outside GitHub Actions.
+ *
+ * `azure-doc-agent generate --base main --head HEAD` diffs the two refs like a
+ * pull request, runs the same filtering, analysis and generation as the
+ * action and writes the documents to disk (or stdout with --dry-run). Any
+ * action input can be passed as a flag; defaults come from action.yml.
+ */
+
+const path = require('path');
+const log = require('./log');
+const localGit = require('./local-git');
+const githubFiles = require('./github-files');
+const breakingChanges = require('./breaking-changes');
+const agent = require('./agent');
+
+const USAGE = `Usage: azure-doc-agent generate [options]
+
+Generate documentation for the Azure integration changes between two git refs.
+
+Options:
+  --base <ref>        Ref to compare against, diffed from its merge base like a pull request (default: main)
+  --head <ref>        Ref with the changes (default: HEAD)
+  --pr <number>       Name the document after this pull request (pr-<number>-azure-integrations.md)
+  --provider <name>   LLM provider: azure-openai, openai, openai-compatible, or azure-openai-entra
+                      (only inside a GitHub Actions job with id-token: write)
+  --config <path>     Repository config file (default: .github/azure-doc-agent.yml)
+  --dry-run           Print the documentation to stdout instead of writing files
+  --verbose           Show debug messages
+  --<input> <value>   Any action input, e.g. --generation-mode template or --mode integration
+  -h, --help          Show this help
+
+Provider credentials are read from the environment, named after their inputs:
+AZURE_OPENAI_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT, LLM_API_KEY, LLM_ENDPOINT, LLM_MODEL.
+`;
+
+// CLI flags that are not action inputs, and short names for common inputs
+const BOOLEAN_FLAGS = ['dry-run', 'verbose', 'help'];
+const VALUE_FLAGS = ['base', 'head', 'pr'];
+const ALIASES = { provider: 'llm-provider', config: 'config-file', h: 'help' };
+
+// Inputs that may come from environment variables (credentials stay out of shell history)
+const ENVIRONMENT_INPUTS = /^(azure-|llm-)/;
+
+/**
+ * Parse `generate --flag value --other=value --switch` into { command, flags }
+ */
+function parseArguments(argv) {
+  const flags = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = arg.match(/^--?([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = ALIASES[match[1]] || match[1];
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = match[2] === undefined ? true : match[2] !== 'false';
+    } else if (match[2] !== undefined) {
+      flags[name] = match[2];
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for --${match[1]}`);
+    }
+  }
+
+  if (positional.length > 1) {
+    throw new Error(`Unexpected argument: ${positional[1]}`);
+  }
+  return { command: positional[0] || null, flags };
+}
+
+/**
+ * Input reader over CLI flags, credential environment variables and action.yml defaults
+ */
+function createInputReader(flags, defaults, env = process.env) {
+  const unknown = Object.keys(flags)
+    .filter(name => !BOOLEAN_FLAGS.includes(name) && !VALUE_FLAGS.includes(name) && !(name in defaults));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option(s): ${unknown.map(name => `--${name}`).join(', ')}`);
+  }
+
+  return name => {
+    if (flags[name] !== undefined) return String(flags[name]);
+    const variable = name.replace(/-/g, '_').toUpperCase();
+    if (ENVIRONMENT_INPUTS.test(name) && env[variable]) return env[variable];
+    return defaults[name] || '';
+  };
+}
+
+/**
+ * Generate documentation for the changes between two local refs. Returns the process exit code.
+ */
+async function generate(flags) {
+  const root = await localGit.repositoryRoot(process.cwd());
+  process.chdir(root);
+
+  let config = agent.readConfig(createInputReader(flags, agent.readActionDefaults()));
+  config.dryRun = Boolean(flags['dry-run']);
+
+  const baseRef = flags.base || 'main';
+  const headRef = flags.head || 'HEAD';
+  const head = await localGit.resolveRef(headRef, root);
+  const base = await localGit.mergeBase(await localGit.resolveRef(baseRef, root), head, root);
+  const branch = await localGit.currentBranch(root);
+
+  // Local stand-in for the Actions context; a null octokit makes reads go through local git
+  const context = {
+    eventName: 'local',
+    sha: head,
+    ref: branch && headRef === 'HEAD' ? `refs/heads/${branch}` : headRef,
+    repo: { owner: null, repo: path.basename(root) },
+    payload: {}
+  };
+  config = await agent.prepareConfig(null, context, config);
+
+  log.info(`📋 Comparing ${headRef} (${head.substring(0, 7)}) with ${baseRef} (merge base ${base.substring(0, 7)})`);
+  const files = await localGit.listChangedFiles(base, head, root);
+  const azureFiles = agent.filterAzureFiles(files, config.filePatterns);
+  if (azureFiles.length === 0) {
+    log.info('No Azure integration files changed.');
+    return 0;
+  }
+
+  log.info(`Found ${azureFiles.length} Azure integration file(s):`);
+  azureFiles.forEach(file => log.info(`  - ${file.filename} (${file.status})`));
+
+  const refs = { base, head };
+  const fileDiffs = await agent.prepareFileDiffs(null, context, azureFiles, refs, config);
+  const prNumber = flags.pr ? parseInt(flags.pr, 10) : null;
+  const metadata = prNumber
+    ? { type: 'pull_request', local: true, title: `${headRef} into ${baseRef}`, number: prNumber, author: 'local', body: '' }
+    : {
+      type: 'push',
+      local: true,
+      title: `${headRef} compared with ${baseRef}`,
+      branch: branch || headRef,
+      commits: await localGit.listCommits(base, head, root)
+    };
+
+  const { documentation, docPaths } = await agent.documentFileGroups(fileDiffs, metadata, prNumber, config, {
+    loadVersions: file => githubFiles.loadFileVersions(null, context, file, refs)
+  });
+
+  if (config.dryRun) {
+    process.stdout.write(`${documentation}\n`);
+    log.info(`🧪 Dry run: would write ${docPaths.join(', ')}`);
+  } else {
+    log.info(`✅ Wrote ${docPaths.join(', ')}`);
+  }
+
+  const impact = breakingChanges.summarizeImpact(fileDiffs);
+  if (config.failOnBreakingChange && impact.counts.breaking > 0) {
+    log.error(`${impact.counts.breaking} breaking change(s) detected in integration contracts`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Run the CLI with arguments (without `node` and the script). Resolves to the exit code.
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArguments(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, flags } = parsed;
+  if (flags.help || !command) {
+    (flags.help ? process.stdout : process.stderr).write(USAGE);
+    return flags.help ? 0 : 2;
+  }
+  if (command !== 'generate') {
+    process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  log.setLogger(log.createConsoleLogger({ verbose: Boolean(flags.verbose) }));
+  try {
+    return await generate(flags);
+  } catch (error) {
+    log.error(error.message);
+    log.debug(error.stack);
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  parseArguments
+};
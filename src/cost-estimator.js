@@ -0,0 +1,469 @@
+/**
+ * Rule-based cost impact estimator.
+ *
+ * Reads the billable settings of Azure integration resources (Service Bus and
+ * Event Hubs tiers and capacity, Logic App actions per run, APIM SKUs,
+ * Function / App Service plans) from the base and head versions of a file and
+ * prices both with the bundled price table (src/azure-prices.json), so the
+ * documentation can state a monthly delta instead of the model guessing one.
+ */
+
+const BUNDLED_PRICES = require('./azure-prices.json');
+const { parseLogicAppDefinition } = require('./logicapp');
+const { readRepositoryFile } = require('./github-files');
+const { parseBicep, parseTerraform } = require('./iac');
+
+const CONNECTOR_ACTION_TYPES = ['ApiConnection', 'ApiConnectionWebhook'];
+
+/**
+ * Deep-merge an override price table over the bundled one
+ */
+function mergePrices(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+      ? mergePrices(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+/**
+ * Parse a price table override (JSON) and merge it over the bundled prices
+ */
+function parsePriceTable(content, source = 'price table') {
+  let override;
+  try {
+    override = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid price table ${source}: ${error.message}`);
+  }
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error(`Invalid price table ${source}: must be a JSON object`);
+  }
+  return mergePrices(BUNDLED_PRICES, override);
+}
+
+/**
+ * Load the price table: bundled prices, overridden by a repository file when `tablePath` is set
+ */
+async function loadPriceTable(octokit, context, tablePath, ref) {
+  if (!tablePath) return BUNDLED_PRICES;
+
+  const content = await readRepositoryFile(octokit, context, tablePath, ref);
+  if (content === null) {
+    throw new Error(`Price table not found: ${tablePath}`);
+  }
+  return parsePriceTable(content, tablePath);
+}
+
+/**
+ * Resources of a parsed IaC model (modules are priced through their own files)
+ */
+function declaredResources(model) {
+  return model.resources.filter(resource => resource.kind === 'resource');
+}
+
+/**
+ * Billable facts of a parsed Bicep resource, in ARM shape: { type, name, sku: { name, tier, capacity }, properties }
+ */
+function bicepResource(resource) {
+  const props = resource.properties;
+  const read = key => props[`properties.${key}`];
+  return {
+    type: resource.type,
+    name: resource.name,
+    sku: { name: props['sku.name'], tier: props['sku.tier'], capacity: props['sku.capacity'] },
+    properties: {
+      maximumThroughputUnits: read('maximumThroughputUnits'),
+      isAutoInflateEnabled: read('isAutoInflateEnabled'),
+      premiumMessagingPartitions: read('premiumMessagingPartitions'),
+      partitionCount: read('partitionCount'),
+      enablePartitioning: read('enablePartitioning'),
+      maxSizeInMegabytes: read('maxSizeInMegabytes'),
+      captureEnabled: read('captureDescription.enabled') === true
+    }
+  };
+}
+
+/**
+ * Map a resource (Bicep/ARM shape) to a priced resource, or null when it is not billed by this model
+ */
+function fromArmShape(resource) {
+  const type = resource.type.toLowerCase();
+  const { sku, properties } = resource;
+  const tier = sku.tier || sku.name;
+
+  if (type === 'microsoft.servicebus/namespaces') {
+    return { service: 'Service Bus', kind: 'namespace', name: resource.name, facts: { tier, capacity: sku.capacity, partitions: properties.premiumMessagingPartitions } };
+  }
+  if (/^microsoft\.servicebus\/namespaces\/(queues|topics)$/.test(type)) {
+    return { service: 'Service Bus', kind: 'entity', name: resource.name, facts: { partitioning: properties.enablePartitioning, maxSizeInMegabytes: properties.maxSizeInMegabytes } };
+  }
+  if (type === 'microsoft.eventhub/namespaces') {
+    return {
+      service: 'Event Hubs',
+      kind: 'namespace',
+      name: resource.name,
+      facts: { tier, capacity: sku.capacity, autoInflate: properties.isAutoInflateEnabled, maximumThroughputUnits: properties.maximumThroughputUnits }
+    };
+  }
+  if (type === 'microsoft.eventhub/namespaces/eventhubs') {
+    return { service: 'Event Hubs', kind: 'hub', name: resource.name, facts: { partitions: properties.partitionCount, capture: properties.captureEnabled } };
+  }
+  if (type === 'microsoft.apimanagement/service') {
+    return { service: 'API Management', kind: 'service', name: resource.name, facts: { sku: sku.name, capacity: sku.capacity } };
+  }
+  if (type === 'microsoft.web/serverfarms') {
+    return { service: 'App Service plan', kind: 'plan', name: resource.name, facts: { sku: sku.name, instances: sku.capacity } };
+  }
+  return null;
+}
+
+/**
+ * Map a parsed Terraform resource to a priced resource
+ */
+function fromTerraform(block) {
+  const read = key => block.properties[key];
+  const enabled = name => read(`${name}.enabled`) === true;
+
+  switch (block.type) {
+    case 'azurerm_servicebus_namespace':
+      return { service: 'Service Bus', kind: 'namespace', name: block.name, facts: { tier: read('sku'), capacity: read('capacity'), partitions: read('premium_messaging_partitions') } };
+    case 'azurerm_servicebus_queue':
+    case 'azurerm_servicebus_topic':
+      return { service: 'Service Bus', kind: 'entity', name: block.name, facts: { partitioning: read('partitioning_enabled') ?? read('enable_partitioning'), maxSizeInMegabytes: read('max_size_in_megabytes') } };
+    case 'azurerm_eventhub_namespace':
+      return {
+        service: 'Event Hubs',
+        kind: 'namespace',
+        name: block.name,
+        facts: { tier: read('sku'), capacity: read('capacity'), autoInflate: read('auto_inflate_enabled'), maximumThroughputUnits: read('maximum_throughput_units') }
+      };
+    case 'azurerm_eventhub':
+      return { service: 'Event Hubs', kind: 'hub', name: block.name, facts: { partitions: read('partition_count'), capture: enabled('capture_description') } };
+    case 'azurerm_api_management': {
+      const [sku, capacity] = String(read('sku_name') || '').split('_');
+      return { service: 'API Management', kind: 'service', name: block.name, facts: { sku: sku || undefined, capacity: capacity ? Number(capacity) : undefined } };
+    }
+    case 'azurerm_service_plan':
+      return { service: 'App Service plan', kind: 'plan', name: block.name, facts: { sku: read('sku_name'), instances: read('worker_count') } };
+    case 'azurerm_app_service_plan':
+      return { service: 'App Service plan', kind: 'plan', name: block.name, facts: { sku: read('sku.size'), instances: read('sku.capacity') } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Priced resources in a JSON file: ARM template resources, or a bare Service Bus / Event Hub entity definition
+ */
+function fromJson(content, filename) {
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return [];
+  }
+
+  const resources = [];
+  const walk = node => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.type === 'string' && node.type.includes('/')) {
+      const properties = node.properties || {};
+      const priced = fromArmShape({
+        type: node.type,
+        name: typeof node.name === 'string' && !node.name.startsWith('[') ? node.name.split('/').pop() : node.type.split('/').pop(),
+        sku: node.sku || {},
+        properties: { ...properties, captureEnabled: Boolean(properties.captureDescription && properties.captureDescription.enabled) }
+      });
+      if (priced) resources.push(priced);
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(document);
+
+  if (resources.length === 0 && document && document.properties && (document.queueName || document.topicName)) {
+    resources.push({
+      service: 'Service Bus',
+      kind: 'entity',
+      name: document.queueName || document.topicName,
+      facts: { partitioning: document.properties.enablePartitioning, maxSizeInMegabytes: document.properties.maxSizeInMegabytes }
+    });
+  }
+  if (resources.length === 0 && document && document.properties && document.eventHubName) {
+    resources.push({
+      service: 'Event Hubs',
+      kind: 'hub',
+      name: document.eventHubName,
+      facts: { partitions: document.properties.partitionCount, capture: Boolean(document.properties.captureDescription && document.properties.captureDescription.enabled) }
+    });
+  }
+
+  return resources.map(resource => ({ ...resource, name: resource.name || filename }));
+}
+
+/**
+ * Logic App workflow: actions executed per run, split by billing meter
+ */
+function fromLogicApp(content, filename) {
+  const model = parseLogicAppDefinition(content);
+  if (!model) return [];
+
+  const actions = Object.values(model.actions);
+  const connector = actions.filter(action => CONNECTOR_ACTION_TYPES.includes(action.type)).length;
+  const triggerConnector = Object.values(model.triggers).filter(trigger => CONNECTOR_ACTION_TYPES.includes(trigger.type)).length;
+  const standard = /(^|\/)workflow\.json$/.test(filename);
+
+  return [{
+    service: 'Logic Apps',
+    kind: 'workflow',
+    name: filename,
+    facts: {
+      hosting: standard ? 'Standard' : 'Consumption',
+      builtInActions: actions.length - connector + Object.keys(model.triggers).length - triggerConnector,
+      connectorActions: connector + triggerConnector
+    }
+  }];
+}
+
+/**
+ * Priced resources declared in one file version: Map(key -> resource)
+ */
+function pricedResources(content, filename, serviceType) {
+  const resources = new Map();
+  if (!content) return resources;
+
+  let list = [];
+  if (serviceType === 'Azure Logic App') list = fromLogicApp(content, filename);
+  else if (filename.endsWith('.bicep')) list = declaredResources(parseBicep(content)).map(resource => fromArmShape(bicepResource(resource)));
+  else if (filename.endsWith('.tf')) list = declaredResources(parseTerraform(content)).map(fromTerraform);
+  else if (filename.endsWith('.json')) list = fromJson(content, filename);
+
+  list.filter(Boolean).forEach(resource => resources.set(`${resource.service}:${resource.kind}:${resource.name}`, resource));
+  return resources;
+}
+
+/**
+ * Monthly cost of a resource: { amount, basis }; amount is null when the resource cannot be priced
+ */
+function monthlyCost(resource, prices) {
+  const hours = prices.hoursPerMonth;
+  const assumptions = prices.assumptions;
+  const { facts } = resource;
+
+  switch (`${resource.service}:${resource.kind}`) {
+    case 'Service Bus:namespace': {
+      const tier = prices.serviceBus[facts.tier];
+      if (!tier) return { amount: null, basis: `No price for Service Bus tier ${facts.tier || '(unspecified)'}` };
+      if (facts.tier === 'Premium') {
+        const units = facts.capacity || 1;
+        return { amount: units * tier.perMessagingUnitHourly * hours, basis: `${units} messaging unit(s) × ${hours} h` };
+      }
+      const operations = assumptions.serviceBusMillionOperationsPerMonth;
+      if (facts.tier === 'Basic') {
+        return { amount: operations * tier.perMillionOperations, basis: `${operations}M operations/month` };
+      }
+      return {
+        amount: tier.baseHourly * hours + Math.max(0, operations - tier.includedMillionOperations) * tier.perMillionOperations,
+        basis: `base charge + ${operations}M operations/month (${tier.includedMillionOperations}M included)`
+      };
+    }
+    case 'Service Bus:entity':
+      return { amount: 0, basis: 'Partitioning and entity size are not billed separately; cost follows the namespace tier' };
+    case 'Event Hubs:namespace': {
+      const tier = prices.eventHubs[facts.tier];
+      if (!tier) return { amount: null, basis: `No price for Event Hubs tier ${facts.tier || '(unspecified)'}` };
+      const units = facts.capacity || 1;
+      if (facts.tier === 'Premium') return { amount: units * tier.perProcessingUnitHourly * hours, basis: `${units} processing unit(s) × ${hours} h` };
+      if (facts.tier === 'Dedicated') return { amount: units * tier.perCapacityUnitHourly * hours, basis: `${units} capacity unit(s) × ${hours} h` };
+      const events = assumptions.eventHubMillionEventsPerMonth;
+      const inflate = facts.autoInflate && facts.maximumThroughputUnits
+        ? `; auto-inflate can scale to ${facts.maximumThroughputUnits} TUs`
+        : '';
+      return {
+        amount: units * tier.perThroughputUnitHourly * hours + events * tier.perMillionEvents,
+        basis: `${units} throughput unit(s) × ${hours} h + ${events}M ingress events/month${inflate}`
+      };
+    }
+    case 'Event Hubs:hub': {
+      const capture = prices.eventHubs.Standard.capturePerThroughputUnitHourly;
+      return facts.capture
+        ? { amount: capture * hours, basis: 'Capture on a Standard namespace, 1 throughput unit assumed; partitions are not billed separately' }
+        : { amount: 0, basis: 'Partitions are not billed separately; throughput is billed on the namespace' };
+    }
+    case 'API Management:service': {
+      const sku = prices.apiManagement[facts.sku];
+      if (!sku) return { amount: null, basis: `No price for APIM SKU ${facts.sku || '(unspecified)'}` };
+      if (facts.sku === 'Consumption') {
+        const calls = assumptions.apimMillionCallsPerMonth;
+        return {
+          amount: Math.max(0, calls - sku.includedMillionCalls) * sku.perMillionCalls,
+          basis: `${calls}M calls/month (${sku.includedMillionCalls}M included)`
+        };
+      }
+      const units = facts.capacity || 1;
+      return { amount: units * sku.perUnitHourly * hours, basis: `${units} unit(s) × ${hours} h` };
+    }
+    case 'App Service plan:plan': {
+      const sku = prices.appServicePlans[facts.sku];
+      if (!sku) return { amount: null, basis: `No price for plan SKU ${facts.sku || '(unspecified)'}` };
+      if (sku.perInstanceHourly === 0) return { amount: 0, basis: `${sku.label}: billed per execution, not estimated` };
+      const instances = facts.instances || 1;
+      return { amount: instances * sku.perInstanceHourly * hours, basis: `${sku.label}, ${instances} instance(s) × ${hours} h` };
+    }
+    case 'Logic Apps:workflow': {
+      const runs = assumptions.logicAppRunsPerMonth;
+      const meters = prices.logicApps;
+      if (facts.hosting === 'Standard') {
+        return {
+          amount: runs * facts.connectorActions * meters.perStandardConnectorAction,
+          basis: `${runs} runs/month × ${facts.connectorActions} managed connector call(s); built-in actions are included in the plan`
+        };
+      }
+      return {
+        amount: runs * (facts.builtInActions * meters.perBuiltInAction + facts.connectorActions * meters.perStandardConnectorAction),
+        basis: `${runs} runs/month × (${facts.builtInActions} built-in + ${facts.connectorActions} standard connector execution(s))`
+      };
+    }
+    default:
+      return { amount: null, basis: 'Not priced' };
+  }
+}
+
+/**
+ * Describe how billable facts changed between two versions of a resource
+ */
+function describeFactChanges(base, head) {
+  if (!base) return 'added';
+  if (!head) return 'removed';
+
+  const show = value => (value === undefined || value === null ? '—' : String(value));
+  return Object.keys({ ...base.facts, ...head.facts })
+    .filter(key => show(base.facts[key]) !== show(head.facts[key]))
+    .map(key => `${key} ${show(base.facts[key])} → ${show(head.facts[key])}`)
+    .join(', ');
+}
+
+/**
+ * Estimate the monthly cost delta of one changed file.
+ * Returns [{ service, resource, change, before, after, delta, basis }] for resources whose billable settings changed.
+ */
+function estimateFileCost(file, versions, serviceType, prices = BUNDLED_PRICES) {
+  const base = pricedResources(versions.base, file.previousFilename || file.filename, serviceType);
+  const head = pricedResources(versions.head, file.filename, serviceType);
+  const rows = [];
+
+  new Set([...base.keys(), ...head.keys()]).forEach(key => {
+    const before = base.get(key);
+    const after = head.get(key);
+    const change = describeFactChanges(before, after);
+    if (!change) return;
+
+    const beforeCost = before ? monthlyCost(before, prices) : { amount: 0, basis: '' };
+    const afterCost = after ? monthlyCost(after, prices) : { amount: 0, basis: '' };
+    const priced = beforeCost.amount !== null && afterCost.amount !== null;
+    const resource = after || before;
+
+    rows.push({
+      service: resource.service,
+      resource: resource.name,
+      change,
+      before: before ? beforeCost.amount : 0,
+      after: after ? afterCost.amount : 0,
+      delta: priced ? afterCost.amount - beforeCost.amount : null,
+      basis: (after ? afterCost : beforeCost).basis
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Total estimated monthly delta across files (unpriced rows are counted separately)
+ */
+function summarizeCost(fileDiffs) {
+  const rows = fileDiffs.flatMap(file => file.cost || []);
+  return {
+    rows: rows.length,
+    total: rows.reduce((sum, row) => sum + (row.delta || 0), 0),
+    unpriced: rows.filter(row => row.delta === null).length
+  };
+}
+
+/**
+ * Format an amount as currency; `signed` adds +/− for deltas
+ */
+function formatAmount(amount, prices, signed = false) {
+  if (amount === null || amount === undefined) return 'n/a';
+  const symbol = prices.currency === 'USD' ? '$' : `${prices.currency} `;
+  const text = `${symbol}${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (!signed) return text;
+  if (Math.abs(amount) < 0.005) return `±${text}`;
+  return amount > 0 ? `+${text}` : `−${text}`;
+}
+
+/**
+ * The assumptions every estimate rests on
+ */
+function describeAssumptions(prices) {
+  const a = prices.assumptions;
+  return [
+    `${prices.source || 'List prices'}, ${prices.currency}, ${prices.region}, effective ${prices.effectiveDate}; ${prices.hoursPerMonth} hours per month`,
+    `Logic Apps: ${a.logicAppRunsPerMonth} runs/month, every action executes once per run, connector actions billed as standard connectors`,
+    `Service Bus: ${a.serviceBusMillionOperationsPerMonth}M operations/month; Event Hubs: ${a.eventHubMillionEventsPerMonth}M ingress events/month; APIM Consumption: ${a.apimMillionCallsPerMonth}M calls/month`,
+    'Excludes data transfer, reserved-capacity discounts and consumption-plan execution charges'
+  ];
+}
+
+/**
+ * Format cost rows as plain facts for the LLM prompt
+ */
+function formatCostForPrompt(rows, prices = BUNDLED_PRICES) {
+  return rows.map(row =>
+    `- ${row.service} \`${row.resource}\` (${row.change}): ${formatAmount(row.before, prices)} → ${formatAmount(row.after, prices)} per month ` +
+    `(${formatAmount(row.delta, prices, true)}; ${row.basis})`
+  ).join('\n');
+}
+
+/**
+ * Render the "Estimated Cost Impact" section for the changed files (empty when nothing billable changed)
+ */
+function renderCostSection(fileDiffs, prices = BUNDLED_PRICES) {
+  const files = fileDiffs.filter(file => file.cost && file.cost.length > 0);
+  if (files.length === 0) return '';
+
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  let section = '\n\n## Estimated Cost Impact\n\n';
+  section += '_Rule-based estimate from the bundled price table, independent of the AI summary; not a quote._\n\n';
+  section += '| Service | Resource | Change | Before /month | After /month | Δ /month | Basis |\n';
+  section += '|---------|----------|--------|---------------|--------------|----------|-------|\n';
+  files.forEach(file => {
+    file.cost.forEach(row => {
+      section += `| ${row.service} | \`${escape(row.resource)}\` | ${escape(row.change)} | ${formatAmount(row.before, prices)} | ` +
+        `${formatAmount(row.after, prices)} | ${formatAmount(row.delta, prices, true)} | ${escape(row.basis)} |\n`;
+    });
+  });
+
+  const { total, unpriced } = summarizeCost(files);
+  section += `\n**Estimated monthly delta:** ${formatAmount(total, prices, true)}`;
+  section += unpriced ? ` (${unpriced} change(s) could not be priced)\n` : '\n';
+  section += `\n**Assumptions:**\n${describeAssumptions(prices).map(line => `- ${line}`).join('\n')}\n`;
+  return section;
+}
+
+module.exports = {
+  BUNDLED_PRICES,
+  parsePriceTable,
+  loadPriceTable,
+  estimateFileCost,
+  summarizeCost,
+  formatAmount,
+  describeAssumptions,
+  formatCostForPrompt,
+  renderCostSection
+};
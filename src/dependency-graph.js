@@ -0,0 +1,423 @@
+/**
+ * Cross-file integration dependency graph.
+ *
+ * Scans integration files (workflows, APIM policies, function bindings and
+ * code, Service Bus definitions, Bicep and Terraform) for the resources they
+ * reference and links them into one graph, rendered as deterministic Mermaid
+ * flowcharts for the whole repository or the part a change touches.
+ */
+
+const { minimatch } = require('minimatch');
+const { parseLogicAppDefinition } = require('./logicapp');
+const { parseApimPolicy } = require('./apim');
+const { parseBicep, parseTerraform, appSettingsOf } = require('./iac');
+const { parseFunctionFile } = require('./functions');
+
+// Function source files scanned in addition to the configured file patterns
+const SOURCE_PATTERNS = ['**/*function*.{js,ts,cs,py}', '**/functions/**/*.{js,ts,cs,py}'];
+const CODE_EXTENSIONS = /\.(js|ts|cs|py)$/;
+
+// Node kinds and their Mermaid shapes
+const SHAPES = {
+  file: ['["', '"]'],
+  resource: ['["', '"]'],
+  queue: ['[("', '")]'],
+  topic: ['[("', '")]'],
+  eventhub: ['[("', '")]'],
+  setting: ['{{"', '"}}'],
+  app: ['(["', '"])'],
+  endpoint: ['>"', '"]']
+};
+
+// Terraform resource types that model a queue, topic or Function App by name
+const TERRAFORM_NAMED = {
+  azurerm_servicebus_queue: 'queue',
+  azurerm_servicebus_topic: 'topic',
+  azurerm_eventhub: 'eventhub',
+  azurerm_function_app: 'app',
+  azurerm_linux_function_app: 'app',
+  azurerm_windows_function_app: 'app'
+};
+
+// Bicep resource types that model a queue, topic or Function App by name
+const BICEP_NAMED = [
+  [/\/queues$/i, 'queue'],
+  [/\/topics$/i, 'topic'],
+  [/^Microsoft\.EventHub\/namespaces\/eventhubs$/i, 'eventhub'],
+  [/^Microsoft\.Web\/sites$/i, 'app']
+];
+
+/**
+ * Empty graph
+ */
+function createGraph() {
+  return { nodes: new Map(), edges: new Map() };
+}
+
+/**
+ * Add a node (the first declaration wins; a later owner fills a missing one)
+ */
+function addNode(graph, id, kind, label, owner = null) {
+  const existing = graph.nodes.get(id);
+  if (existing) {
+    if (!existing.owner && owner) existing.owner = owner;
+    return id;
+  }
+  graph.nodes.set(id, { id, kind, label, owner });
+  return id;
+}
+
+/**
+ * Add a labelled edge (duplicates are ignored)
+ */
+function addEdge(graph, from, to, label) {
+  if (from === to) return;
+  const key = `${from}|${to}|${label}`;
+  if (!graph.edges.has(key)) graph.edges.set(key, { from, to, label });
+}
+
+/**
+ * Node for a host name; Function App hosts map to their app
+ */
+function endpointNode(graph, url) {
+  const host = url.replace(/^https?:\/\//, '').split(/[/:?]/)[0].toLowerCase();
+  const app = host.match(/^([\w-]+)\.azurewebsites\.net$/);
+  if (app) return addNode(graph, `app:${app[1]}`, 'app', app[1]);
+  return addNode(graph, `endpoint:${host}`, 'endpoint', host);
+}
+
+/**
+ * Literal https URLs in a string (expressions and placeholders are skipped)
+ */
+function literalUrls(text) {
+  return Array.from(String(text || '').matchAll(/https?:\/\/[\w.-]+\.[a-z]{2,}(?=[/:"'?\s]|$)/gi), match => match[0]);
+}
+
+/**
+ * Logic App: Service Bus queues/topics used by triggers and actions, HTTP and Function calls
+ */
+function scanLogicApp(graph, file, content) {
+  const model = parseLogicAppDefinition(content);
+  if (!model) return;
+
+  const items = Object.values(model.triggers).map(item => ({ ...item, trigger: true }))
+    .concat(Object.values(model.actions));
+
+  items.forEach(item => {
+    let inputs;
+    try {
+      inputs = JSON.parse(item.inputs || '{}');
+    } catch (error) {
+      return;
+    }
+
+    // Service Bus managed connector paths end in /messages...; built-in connector actions name the entity
+    const path = String(inputs.path || '');
+    const entity = /\/(messages|subscriptions)\b/.test(path) && path.match(/encodeURIComponent\('([^']+)'\)/);
+    const provider = inputs.serviceProviderConfiguration && String(inputs.serviceProviderConfiguration.serviceProviderId || '');
+    const parameters = inputs.parameters || {};
+    const providerEntity = /servicebus/i.test(provider || '') &&
+      (parameters.queueName || parameters.topicName || parameters.entityName);
+
+    if (entity || providerEntity) {
+      const name = entity ? entity[1] : providerEntity;
+      const isTopic = parameters.topicName || /\/subscriptions\//.test(path);
+      const target = addNode(graph, `${isTopic ? 'topic' : 'queue'}:${name}`, isTopic ? 'topic' : 'queue', name);
+      const receives = item.trigger || /\/messages\/(head|peek|batch)/.test(path);
+      if (receives) addEdge(graph, target, file, item.trigger ? 'triggers' : 'receives');
+      else addEdge(graph, file, target, 'sends');
+    }
+
+    if (typeof inputs.uri === 'string') {
+      literalUrls(inputs.uri).forEach(url => addEdge(graph, file, endpointNode(graph, url), 'calls'));
+    }
+
+    const functionId = inputs.function && inputs.function.id;
+    const site = typeof functionId === 'string' && functionId.match(/\/sites\/([^/]+)\/functions\//i);
+    if (site) addEdge(graph, file, addNode(graph, `app:${site[1]}`, 'app', site[1]), 'calls');
+  });
+}
+
+/**
+ * APIM policy: backends selected by set-backend-service and URLs called with send-request
+ */
+function scanApimPolicy(graph, file, content) {
+  const policy = parseApimPolicy(content);
+  if (!policy) return;
+
+  Object.values(policy.sections).forEach(section => {
+    Object.values(section).forEach(entry => {
+      if (entry.policy !== 'set-backend-service') return;
+      literalUrls(entry.facts['base-url']).forEach(url => addEdge(graph, file, endpointNode(graph, url), 'routes to'));
+      if (entry.facts['backend-id']) {
+        const id = entry.facts['backend-id'];
+        addEdge(graph, file, addNode(graph, `endpoint:backend/${id}`, 'endpoint', `backend ${id}`), 'routes to');
+      }
+    });
+  });
+
+  Array.from(content.matchAll(/<set-url>([^<]*)<\/set-url>/g)).forEach(match => {
+    literalUrls(match[1]).forEach(url => addEdge(graph, file, endpointNode(graph, url), 'calls'));
+  });
+}
+
+/**
+ * Functions (function.json, Node.js v4 registrations, C# attributes): Service Bus / Event Hub
+ * triggers and bindings, plus the app settings they read
+ */
+function scanFunction(graph, file, content, filePath) {
+  const model = parseFunctionFile(content, filePath);
+  if (!model) return;
+
+  model.bindings.forEach(binding => {
+    if (binding.entity) {
+      const { kind, name } = binding.entity;
+      const target = addNode(graph, `${kind}:${name}`, kind, name);
+      if (binding.direction === 'out') addEdge(graph, file, target, 'sends');
+      else addEdge(graph, target, file, binding.direction === 'trigger' ? 'triggers' : 'receives');
+    }
+  });
+  model.settings
+    .filter(setting => /^[\w:]+$/.test(setting.name) && !setting.usages.every(usage => usage.endsWith('(default)')))
+    .forEach(setting => addEdge(graph, file, addNode(graph, `setting:${setting.name}`, 'setting', setting.name), 'reads'));
+}
+
+/**
+ * Service Bus definition files: queues, topics and subscriptions they define
+ */
+function scanServiceBusDefinition(graph, file, content) {
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return;
+  }
+
+  if (typeof document.queueName === 'string') {
+    addEdge(graph, file, addNode(graph, `queue:${document.queueName}`, 'queue', document.queueName, file), 'defines');
+  }
+  if (typeof document.topicName === 'string') {
+    addEdge(graph, file, addNode(graph, `topic:${document.topicName}`, 'topic', document.topicName, file), 'defines');
+  }
+}
+
+/**
+ * Bicep: resources, references between them, and app settings they assign
+ */
+function scanBicep(graph, file, content) {
+  const resources = parseBicep(content).resources
+    .filter(resource => resource.kind === 'resource')
+    .map(resource => {
+      const { symbol, type, literalName: name } = resource;
+      const named = name && BICEP_NAMED.find(([pattern]) => pattern.test(type));
+      const id = named
+        ? addNode(graph, `${named[1]}:${name}`, named[1], name, file)
+        : addNode(graph, `resource:${file}#${symbol}`, 'resource', `${symbol}<br/>${type.split('/').slice(1).join('/') || type}`, file);
+      return { ...resource, id };
+    });
+
+  resources.forEach(resource => {
+    // Nested child resources are declared inside their parent's body; their references are their own
+    const ownBody = resources.filter(child => child.parent === resource.symbol)
+      .reduce((text, child) => text.replace(child.body, ''), resource.body);
+
+    resources.forEach(other => {
+      if (other === resource) return;
+      if (resource.parent === other.symbol) {
+        addEdge(graph, other.id, resource.id, 'contains');
+      } else if (new RegExp(`\\b${other.symbol}\\.(id|name|properties)\\b`).test(ownBody)) {
+        addEdge(graph, resource.id, other.id, 'references');
+      }
+    });
+
+    appSettingsOf(resource).forEach(([setting, value]) => {
+      const settingId = addNode(graph, `setting:${setting}`, 'setting', setting);
+      addEdge(graph, resource.id, settingId, 'sets');
+      resources.filter(other => new RegExp(`\\b${other.symbol}\\.`).test(value))
+        .forEach(other => addEdge(graph, settingId, other.id, 'points to'));
+    });
+  });
+}
+
+/**
+ * Terraform: declared resources. References may point at other files of the module,
+ * so they are linked by linkTerraform() once every file has been scanned.
+ */
+function scanTerraform(graph, file, content) {
+  return parseTerraform(content).resources
+    .filter(resource => resource.kind === 'resource')
+    .map(resource => {
+      const { address, symbol, type, literalName: name } = resource;
+      const kind = name && TERRAFORM_NAMED[type];
+      const id = kind
+        ? addNode(graph, `${kind}:${name}`, kind, name, file)
+        : addNode(graph, `resource:tf:${address}`, 'resource', `${symbol}<br/>${type}`, file);
+      return { ...resource, id };
+    });
+}
+
+/**
+ * Link Terraform references and the app settings resources assign
+ */
+function linkTerraform(graph, resources) {
+  const byAddress = new Map(resources.map(resource => [resource.address, resource.id]));
+  const referenced = text => Array.from(text.matchAll(/\b(azurerm_\w+\.[\w-]+)\./g), match => match[1])
+    .filter(address => byAddress.has(address));
+
+  resources.forEach(resource => {
+    const settings = appSettingsOf(resource);
+    settings.forEach(([setting, value]) => {
+      const settingId = addNode(graph, `setting:${setting}`, 'setting', setting);
+      addEdge(graph, resource.id, settingId, 'sets');
+      referenced(value).forEach(address => addEdge(graph, settingId, byAddress.get(address), 'points to'));
+    });
+
+    const settingValues = settings.map(([, value]) => value).join('\n');
+    referenced(resource.body)
+      .filter(address => !referenced(settingValues).includes(address))
+      .forEach(address => addEdge(graph, resource.id, byAddress.get(address), 'references'));
+  });
+}
+
+/**
+ * Whether a path should be scanned for dependencies (configured patterns plus function source)
+ */
+function isGraphSource(filePath, patterns) {
+  if (filePath.includes('node_modules/')) return false;
+  return patterns.concat(SOURCE_PATTERNS).some(pattern => minimatch(filePath, pattern));
+}
+
+/**
+ * Build the dependency graph from [{ path, content }].
+ * `detectServiceType` is injected so service naming matches the rest of the action.
+ */
+function buildDependencyGraph(files, detectServiceType) {
+  const graph = createGraph();
+  const terraformResources = [];
+  const sorted = files.slice().sort((a, b) => a.path.localeCompare(b.path));
+
+  sorted.forEach(({ path: filePath, content }) => {
+    if (content === null || content === undefined) return;
+
+    const serviceType = detectServiceType(filePath);
+    const basename = filePath.split('/').pop();
+    const isIac = /\.(bicep|tf)$/.test(filePath);
+    const fileId = isIac ? null : addNode(graph, `file:${filePath}`, 'file', `${basename}<br/>${serviceType}`, filePath);
+
+    try {
+      if (filePath.endsWith('.bicep')) scanBicep(graph, filePath, content);
+      else if (filePath.endsWith('.tf')) terraformResources.push(...scanTerraform(graph, filePath, content));
+      else if (basename === 'function.json' || CODE_EXTENSIONS.test(filePath)) scanFunction(graph, fileId, content, filePath);
+      else if (serviceType === 'Azure Logic App') scanLogicApp(graph, fileId, content);
+      else if (serviceType === 'API Management') scanApimPolicy(graph, fileId, content);
+      else if (serviceType === 'Service Bus') scanServiceBusDefinition(graph, fileId, content);
+    } catch (error) {
+      // Unparseable files stay in the graph without links
+    }
+  });
+
+  linkTerraform(graph, terraformResources);
+  return graph;
+}
+
+/**
+ * Part of the graph a change touches: nodes declared in the changed files, their neighbours,
+ * and the consumers of shared queues/settings/apps they connect to. Returns { graph, changed }.
+ */
+function selectSubgraph(graph, changedPaths) {
+  const paths = new Set(changedPaths);
+  const changed = new Set(Array.from(graph.nodes.values()).filter(node => paths.has(node.owner)).map(node => node.id));
+  const selected = new Set(changed);
+  const edges = Array.from(graph.edges.values());
+  const neighbours = id => edges.filter(edge => edge.from === id || edge.to === id).map(edge => (edge.from === id ? edge.to : edge.from));
+
+  changed.forEach(id => neighbours(id).forEach(other => selected.add(other)));
+  Array.from(selected)
+    .filter(id => !changed.has(id) && ['queue', 'topic', 'eventhub', 'setting', 'app'].includes(graph.nodes.get(id).kind))
+    .forEach(id => neighbours(id).forEach(other => selected.add(other)));
+
+  const subgraph = createGraph();
+  selected.forEach(id => subgraph.nodes.set(id, graph.nodes.get(id)));
+  graph.edges.forEach((edge, key) => {
+    if (selected.has(edge.from) && selected.has(edge.to)) subgraph.edges.set(key, edge);
+  });
+
+  return { graph: subgraph, changed };
+}
+
+/**
+ * Render a graph as a Mermaid flowchart. IaC resources are grouped by declaring file; `highlight` node ids are styled.
+ */
+function renderMermaid(graph, highlight = new Set()) {
+  const nodes = Array.from(graph.nodes.values()).sort((a, b) => a.id.localeCompare(b.id));
+  const ids = new Map();
+  nodes.forEach(node => {
+    const base = node.id.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    let id = base;
+    for (let n = 2; Array.from(ids.values()).includes(id); n++) id = `${base}_${n}`;
+    ids.set(node.id, id);
+  });
+
+  const escape = text => String(text).replace(/"/g, '#quot;');
+  const shape = node => {
+    const [open, close] = SHAPES[node.kind] || SHAPES.resource;
+    return `${ids.get(node.id)}${open}${escape(node.label)}${close}`;
+  };
+
+  let diagram = 'flowchart LR\n';
+
+  const grouped = new Map();
+  nodes.forEach(node => {
+    const iacOwner = node.owner && /\.(bicep|tf)$/.test(node.owner) ? node.owner : null;
+    if (!grouped.has(iacOwner)) grouped.set(iacOwner, []);
+    grouped.get(iacOwner).push(node);
+  });
+
+  Array.from(grouped.keys()).sort((a, b) => (a || '').localeCompare(b || '')).forEach(owner => {
+    if (owner) {
+      diagram += `  subgraph ${owner.replace(/[^A-Za-z0-9]+/g, '_')}["${escape(owner)}"]\n`;
+      grouped.get(owner).forEach(node => {
+        diagram += `    ${shape(node)}\n`;
+      });
+      diagram += '  end\n';
+    } else {
+      grouped.get(owner).forEach(node => {
+        diagram += `  ${shape(node)}\n`;
+      });
+    }
+  });
+
+  Array.from(graph.edges.values())
+    .sort((a, b) => `${a.from}|${a.to}|${a.label}`.localeCompare(`${b.from}|${b.to}|${b.label}`))
+    .forEach(edge => {
+      diagram += `  ${ids.get(edge.from)} -->|${edge.label}| ${ids.get(edge.to)}\n`;
+    });
+
+  const highlighted = nodes.filter(node => highlight.has(node.id)).map(node => ids.get(node.id));
+  if (highlighted.length > 0) {
+    diagram += '  classDef changed fill:#fff3b0,stroke:#d97706,stroke-width:2px\n';
+    diagram += `  class ${highlighted.join(',')} changed\n`;
+  }
+
+  return diagram;
+}
+
+/**
+ * Plain-text edge list for the LLM prompt
+ */
+function formatGraphForPrompt(graph) {
+  const label = id => graph.nodes.get(id).label.replace(/<br\/>/g, ' — ');
+  const lines = Array.from(graph.edges.values())
+    .map(edge => `- ${label(edge.from)} ${edge.label} ${label(edge.to)}`)
+    .sort();
+  return lines.length ? lines.join('\n') : '- No cross-file dependencies detected';
+}
+
+module.exports = {
+  SOURCE_PATTERNS,
+  isGraphSource,
+  buildDependencyGraph,
+  selectSubgraph,
+  renderMermaid,
+  formatGraphForPrompt
+};
@@ -0,0 +1,282 @@
+/**
+ * Documentation drift: integration files whose documentation is missing or
+ * older than the file's last commit.
+ *
+ * A file's documentation is its living integration page, its section of the
+ * centralized catalogue, the per-PR documents that mention it and any
+ * hand-written Markdown that refers to it by path. Scheduled audits report
+ * coverage per service type; pull requests flag integration files changed
+ * without touching the hand-written docs that describe them.
+ */
+
+const path = require('path');
+const log = require('./log');
+const githubFiles = require('./github-files');
+const catalogue = require('./catalogue');
+const integrationPages = require('./integration-pages');
+
+const MARKDOWN = /\.(md|markdown)$/i;
+const PR_DOCUMENT = /(^|\/)(pr-\d+|local)-azure-integrations[^/]*\.md$/;
+const AUDIT_DOCUMENT = /(^|\/)azure-integration-audit\.md$/;
+const AGENT_MARKER = '<!-- azure-doc-agent:';
+
+// Markdown files larger than this are not documentation worth scanning
+const MAX_DOC_BYTES = 512 * 1024;
+
+// Code searches per pull request (the search API allows 10 a minute); more file names read every document
+const MAX_DOC_SEARCHES = 5;
+
+const DOC_KINDS = {
+  page: 'integration page',
+  catalogue: 'catalogue section',
+  pr: 'PR document',
+  manual: 'hand-written'
+};
+
+/**
+ * What produced a Markdown file: page, catalogue, pr, manual, or null for the audit report
+ */
+function classifyDoc(docPath, content) {
+  if (AUDIT_DOCUMENT.test(docPath)) return null;
+  if (integrationPages.pageSource(content)) return 'page';
+  if (catalogue.parseCatalogue(content).sections.size > 0) return 'catalogue';
+  if (PR_DOCUMENT.test(docPath)) return 'pr';
+  return content.includes(AGENT_MARKER) ? null : 'manual';
+}
+
+/**
+ * Read the Markdown files of the repository tree: [{ path, kind, content }]
+ */
+async function loadDocs(octokit, context, ref, repositoryFiles) {
+  const docs = [];
+  for (const item of repositoryFiles.filter(entry => MARKDOWN.test(entry.path) && !(entry.size > MAX_DOC_BYTES))) {
+    try {
+      const content = await githubFiles.readRepositoryFile(octokit, context, item.path, ref);
+      const kind = content === null ? null : classifyDoc(item.path, content);
+      if (kind) docs.push({ path: item.path, kind, content });
+    } catch (error) {
+      log.warning(`Could not read ${item.path}: ${error.message}`);
+    }
+  }
+  return docs;
+}
+
+/**
+ * Whether a Markdown file refers to an integration file, by repository path or relative link
+ */
+function referencesFile(doc, filename) {
+  if (doc.content.includes(filename)) return true;
+  const relative = path.posix.relative(path.posix.dirname(doc.path), filename);
+  return doc.content.includes(`](${relative})`) || doc.content.includes(`](./${relative})`);
+}
+
+/**
+ * The documents covering an integration file: [{ path, kind, section }] (`section` for the catalogue)
+ */
+function documentsFor(filename, docs) {
+  const found = [];
+  docs.forEach(doc => {
+    if (doc.kind === 'page') {
+      if (integrationPages.pageSource(doc.content) === filename) found.push({ path: doc.path, kind: 'page' });
+    } else if (doc.kind === 'catalogue') {
+      const section = catalogue.parseCatalogue(doc.content).sections.get(filename);
+      if (section) found.push({ path: doc.path, kind: 'catalogue', section });
+    } else if (referencesFile(doc, filename)) {
+      found.push({ path: doc.path, kind: doc.kind });
+    }
+  });
+  return found;
+}
+
+/**
+ * Check every integration file against its documentation at `ref`.
+ * Returns [{ path, serviceType, status: 'current'|'stale'|'missing', lastCommit, docs: [{ path, kind, date }] }].
+ */
+async function checkDocumentation(octokit, context, ref, integrationFiles, repositoryFiles, detectServiceType) {
+  const docs = await loadDocs(octokit, context, ref, repositoryFiles);
+  log.info(`📝 Checking documentation drift for ${integrationFiles.length} file(s) against ${docs.length} Markdown document(s)`);
+
+  const commits = new Map();
+  const lastCommit = async filePath => {
+    if (!commits.has(filePath)) {
+      try {
+        commits.set(filePath, await githubFiles.lastCommit(octokit, context, filePath, ref));
+      } catch (error) {
+        log.warning(`Could not read the history of ${filePath}: ${error.message}`);
+        commits.set(filePath, null);
+      }
+    }
+    return commits.get(filePath);
+  };
+
+  const report = [];
+  for (const file of integrationFiles) {
+    const fileCommit = await lastCommit(file.path);
+    const covering = [];
+    for (const doc of documentsFor(file.path, docs)) {
+      // Catalogue sections record their own date; other documents date from their last commit
+      const commit = doc.kind === 'catalogue' ? null : await lastCommit(doc.path);
+      covering.push({ path: doc.path, kind: doc.kind, date: doc.kind === 'catalogue' ? catalogue.sectionDate(doc.section) : commit && commit.date });
+    }
+
+    // Day-precision catalogue dates count as current on the day of the commit
+    const isCurrent = doc => !fileCommit || (doc.date && doc.date >= fileCommit.date.substring(0, doc.date.length));
+    let status = 'missing';
+    if (covering.length > 0) status = covering.some(isCurrent) ? 'current' : 'stale';
+
+    report.push({ path: file.path, serviceType: detectServiceType(file.path), status, lastCommit: fileCommit, docs: covering });
+  }
+  return report;
+}
+
+/**
+ * Coverage per service type: [{ serviceType, files, current, stale, missing }], sorted by service type
+ */
+function summarizeCoverage(report) {
+  const byType = new Map();
+  report.forEach(item => {
+    if (!byType.has(item.serviceType)) {
+      byType.set(item.serviceType, { serviceType: item.serviceType, files: 0, current: 0, stale: 0, missing: 0 });
+    }
+    const row = byType.get(item.serviceType);
+    row.files++;
+    row[item.status]++;
+  });
+  return Array.from(byType.values()).sort((a, b) => a.serviceType.localeCompare(b.serviceType));
+}
+
+/**
+ * Percentage of files with current documentation
+ */
+function coveragePercent(current, files) {
+  return files === 0 ? 100 : Math.round((current / files) * 100);
+}
+
+/**
+ * Documentation Coverage section of the audit report
+ */
+function renderCoverageSection(report) {
+  const rows = summarizeCoverage(report);
+  const current = report.filter(item => item.status === 'current').length;
+
+  let doc = '## Documentation Coverage\n\n';
+  doc += `_${current} of ${report.length} integration file(s) (${coveragePercent(current, report.length)}%) have documentation updated since their last commit: a living page, a catalogue section, a PR document or hand-written Markdown that links to them._\n\n`;
+  doc += '| Service | Files | ✅ Current | 🕰️ Stale | ❌ Missing | Coverage |\n|---------|-------|-----------|----------|-----------|----------|\n';
+  rows.forEach(row => {
+    doc += `| ${row.serviceType} | ${row.files} | ${row.current} | ${row.stale} | ${row.missing} | ${coveragePercent(row.current, row.files)}% |\n`;
+  });
+  doc += '\n';
+
+  const stale = report.filter(item => item.status === 'stale');
+  if (stale.length > 0) {
+    doc += '### Stale Documentation\n\n| File | Last commit | Documentation |\n|------|-------------|---------------|\n';
+    stale.forEach(item => {
+      const docs = item.docs.map(d => `\`${d.path}\` (${DOC_KINDS[d.kind]}, ${d.date ? d.date.split('T')[0] : 'unknown'})`).join('<br>');
+      doc += `| \`${item.path}\` | ${item.lastCommit.date.split('T')[0]} by ${item.lastCommit.author} | ${docs} |\n`;
+    });
+    doc += '\n';
+  }
+
+  const missing = report.filter(item => item.status === 'missing');
+  if (missing.length > 0) {
+    doc += '### Missing Documentation\n\n';
+    missing.forEach(item => {
+      doc += `- \`${item.path}\` (${item.serviceType})\n`;
+    });
+    doc += '\n';
+  }
+
+  return doc;
+}
+
+/**
+ * Markdown files that may refer to the integration files: code search on their base names, which also
+ * matches relative links. Returns a Set of paths, or null when the search cannot answer (local runs, too
+ * many names, more results than one page, or a failed request such as a repository that is not indexed).
+ */
+async function searchDocCandidates(octokit, context, filenames) {
+  const names = Array.from(new Set(filenames.map(filename => path.posix.basename(filename))));
+  if (!octokit || names.length > MAX_DOC_SEARCHES) return null;
+
+  const candidates = new Set();
+  try {
+    for (const name of names) {
+      const { data } = await octokit.rest.search.code({
+        q: `"${name}" repo:${context.repo.owner}/${context.repo.repo} language:Markdown`,
+        per_page: 100
+      });
+      if (data.incomplete_results || data.total_count > data.items.length) return null;
+      data.items.forEach(item => candidates.add(item.path));
+    }
+  } catch (error) {
+    log.warning(`Could not search for documentation that refers to the changed files: ${error.message}`);
+    return null;
+  }
+  return candidates;
+}
+
+/**
+ * Integration files changed in a pull request whose hand-written documentation was not touched by it.
+ * `changedFiles` is the full list of changed files. Only the Markdown files code search finds for the
+ * changed file names are read; every one of them when the search cannot answer. Returns [{ filename, docs: [path] }].
+ */
+async function findUntouchedDocs(octokit, context, ref, changedFiles, azureFiles) {
+  const changed = azureFiles.filter(file => file.status !== 'removed');
+  const candidates = await searchDocCandidates(octokit, context, changed.flatMap(file => [file.filename, file.previousFilename].filter(Boolean)));
+  if (candidates && candidates.size === 0) return [];
+
+  const repositoryFiles = (await githubFiles.listRepositoryFiles(octokit, context, ref))
+    .filter(item => !candidates || candidates.has(item.path));
+  const docs = (await loadDocs(octokit, context, ref, repositoryFiles)).filter(doc => doc.kind === 'manual');
+  const touched = new Set(changedFiles.map(file => file.filename));
+
+  const untouched = [];
+  changed.forEach(file => {
+    const names = [file.filename, file.previousFilename].filter(Boolean);
+    const describing = docs.filter(doc => names.some(name => referencesFile(doc, name))).map(doc => doc.path);
+    if (describing.length > 0 && !describing.some(docPath => touched.has(docPath))) {
+      untouched.push({ filename: file.filename, docs: describing });
+      log.warning(`${file.filename} changed but its documentation was not updated: ${describing.join(', ')}`);
+    }
+  });
+  return untouched;
+}
+
+/**
+ * Lines a pull request adds to hand-written Markdown, joined: every changed Markdown file except
+ * the documents this agent generates (`docPaths`, PR documents and files carrying its marker)
+ */
+function addedDocLines(changedFiles, docPaths = []) {
+  const generated = new Set(docPaths);
+  return changedFiles
+    .filter(file => MARKDOWN.test(file.filename) && file.patch && !generated.has(file.filename) &&
+      !PR_DOCUMENT.test(file.filename) && !file.patch.includes(AGENT_MARKER))
+    .flatMap(file => file.patch.split('\n').filter(line => line.startsWith('+')).map(line => line.substring(1)))
+    .join('\n');
+}
+
+/**
+ * PR comment section listing integration files changed without their hand-written docs
+ */
+function renderUntouchedDocs(untouched) {
+  if (!untouched || untouched.length === 0) return '';
+
+  let section = '\n\n## Documentation Drift\n\n';
+  section += '_These integration files changed, but the hand-written documentation that describes them was not updated in this pull request._\n\n';
+  section += '| File | Documentation |\n|------|---------------|\n';
+  untouched.forEach(item => {
+    section += `| \`${item.filename}\` | ${item.docs.map(docPath => `\`${docPath}\``).join('<br>')} |\n`;
+  });
+  return section;
+}
+
+module.exports = {
+  classifyDoc,
+  documentsFor,
+  checkDocumentation,
+  summarizeCoverage,
+  renderCoverageSection,
+  findUntouchedDocs,
+  addedDocLines,
+  renderUntouchedDocs
+};
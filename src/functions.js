@@ -0,0 +1,532 @@
+/**
+ * Azure Functions trigger and binding analyser.
+ *
+ * Reads function.json bindings, Node.js v4 programming model registrations
+ * (`app.http(...)`, `app.serviceBusQueue(...)`, `output.serviceBusTopic(...)`)
+ * and C# binding attributes into one bindings model, and lists the app
+ * settings the functions need so they can be checked against the settings
+ * declared in Bicep and Terraform.
+ */
+
+const { parseIac, appSettingsOf } = require('./iac');
+
+// Node.js v4 `app.*` / `input.*` / `output.*` helpers and the binding type they register
+const NODE_TYPES = {
+  http: 'http',
+  serviceBusQueue: 'serviceBus',
+  serviceBusTopic: 'serviceBus',
+  eventHub: 'eventHub',
+  timer: 'timer',
+  storageBlob: 'blob',
+  storageQueue: 'queue',
+  cosmosDB: 'cosmosDB',
+  eventGrid: 'eventGrid',
+  table: 'table',
+  sql: 'sql'
+};
+
+// C# attribute names (isolated and in-process) and the binding they declare; direction null = decided by the parameter
+const CSHARP_ATTRIBUTES = {
+  HttpTrigger: ['http', 'trigger'],
+  ServiceBusTrigger: ['serviceBus', 'trigger'],
+  ServiceBusOutput: ['serviceBus', 'out'],
+  ServiceBus: ['serviceBus', 'out'],
+  EventHubTrigger: ['eventHub', 'trigger'],
+  EventHubOutput: ['eventHub', 'out'],
+  EventHub: ['eventHub', 'out'],
+  TimerTrigger: ['timer', 'trigger'],
+  BlobTrigger: ['blob', 'trigger'],
+  BlobInput: ['blob', 'in'],
+  BlobOutput: ['blob', 'out'],
+  Blob: ['blob', null],
+  QueueTrigger: ['queue', 'trigger'],
+  QueueOutput: ['queue', 'out'],
+  Queue: ['queue', 'out'],
+  CosmosDBTrigger: ['cosmosDB', 'trigger'],
+  CosmosDBInput: ['cosmosDB', 'in'],
+  CosmosDBOutput: ['cosmosDB', 'out'],
+  CosmosDB: ['cosmosDB', null],
+  EventGridTrigger: ['eventGrid', 'trigger'],
+  EventGridOutput: ['eventGrid', 'out'],
+  EventGrid: ['eventGrid', 'out'],
+  TableInput: ['table', 'in'],
+  TableOutput: ['table', 'out'],
+  Table: ['table', null]
+};
+
+// Binding types whose connection defaults to the host storage account
+const STORAGE_TYPES = ['blob', 'queue', 'table'];
+
+// App settings read from the environment in function code
+const ENVIRONMENT_PATTERNS = [
+  /process\.env\.([A-Za-z_]\w*)/g,
+  /process\.env\[\s*['"]([^'"]+)['"]\s*\]/g,
+  /Environment\.GetEnvironmentVariable\(\s*"([^"]+)"/g,
+  /os\.environ(?:\.get\(|\[)\s*['"]([^'"]+)['"]/g,
+  /os\.getenv\(\s*['"]([^'"]+)['"]/g
+];
+
+const DIRECTION_LABELS = { trigger: '⚡ trigger', in: '⬅️ input', out: '➡️ output' };
+
+/**
+ * App settings read from the environment in code, in order of first use
+ */
+function environmentVariables(content) {
+  const names = new Set();
+  ENVIRONMENT_PATTERNS.forEach(pattern => {
+    Array.from(content.matchAll(pattern)).forEach(match => names.add(match[1]));
+  });
+  return Array.from(names);
+}
+
+/**
+ * Build a binding; `entity` names the Service Bus / Event Hub / queue resource for the dependency graph
+ */
+function binding(fn, direction, type, values) {
+  const { queueName, topicName, subscriptionName, eventHubName } = values;
+  let target = values.target;
+  let entity = null;
+
+  if (topicName) {
+    target = subscriptionName ? `${topicName}/${subscriptionName}` : topicName;
+    entity = { kind: 'topic', name: topicName };
+  } else if (queueName) {
+    target = queueName;
+    entity = { kind: 'queue', name: queueName };
+  } else if (eventHubName) {
+    target = eventHubName;
+    entity = { kind: 'eventhub', name: eventHubName };
+  }
+
+  const connection = values.connection || (STORAGE_TYPES.includes(type) ? null : undefined);
+  return {
+    function: fn,
+    direction,
+    type,
+    target: target || null,
+    details: values.details || null,
+    connection: connection === null ? 'AzureWebJobsStorage' : connection || null,
+    defaultConnection: connection === null,
+    entity
+  };
+}
+
+/**
+ * Common target fields of a binding definition (function.json entry or Node.js options)
+ */
+function targetValues(type, options) {
+  const values = {
+    queueName: options.queueName,
+    topicName: options.topicName,
+    subscriptionName: options.subscriptionName,
+    eventHubName: options.eventHubName,
+    connection: options.connection
+  };
+
+  if (type === 'http') {
+    const methods = Array.isArray(options.methods) ? options.methods.map(method => method.toUpperCase()).join(', ') : 'any method';
+    values.target = `/${options.route || ''}`;
+    values.details = `${methods}, ${options.authLevel || 'function'} auth`;
+  } else if (type === 'timer') {
+    values.target = options.schedule;
+  } else if (type === 'cosmosDB') {
+    values.target = [options.databaseName, options.containerName || options.collectionName].filter(Boolean).join('/');
+  } else if (type === 'blob') {
+    values.target = options.path;
+  } else if (type === 'table') {
+    values.target = options.tableName;
+  } else if (type === 'sql') {
+    values.target = options.commandText;
+  }
+  return values;
+}
+
+/**
+ * function.json: one function named after its folder
+ */
+function fromFunctionJson(content, filename) {
+  const document = JSON.parse(content);
+  if (!document || !Array.isArray(document.bindings)) return [];
+
+  const parts = filename.split('/');
+  const fn = parts.length > 1 ? parts[parts.length - 2] : 'function';
+
+  return document.bindings.map(item => {
+    const rawType = String(item.type || 'unknown');
+    const trigger = /Trigger$/i.test(rawType);
+    const type = rawType.replace(/Trigger$/i, '');
+    const direction = trigger ? 'trigger' : item.direction === 'out' ? 'out' : 'in';
+    const values = targetValues(type, item);
+    if (type === 'http' && !trigger) {
+      values.target = item.name === '$return' ? 'response' : item.name;
+      values.details = null;
+    }
+    return binding(fn, direction, type, values);
+  });
+}
+
+/**
+ * End index (exclusive) of the bracketed region starting at `start`, skipping strings
+ */
+function closingIndex(text, start) {
+  const pairs = { '{': '}', '(': ')', '[': ']' };
+  const stack = [];
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '\'' || char === '"' || char === '`') quote = char;
+    else if (pairs[char]) stack.push(pairs[char]);
+    else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Top-level properties of a JavaScript object literal ({ key: 'value', list: ['a'], ref: name }).
+ * Nested objects (handlers, inline bindings) are skipped; identifiers are resolved through `constants`.
+ */
+function objectOptions(text, constants) {
+  let topLevel = '';
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote && text[i - 1] !== '\\') quote = null;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+      if (depth > 1) continue;
+    } else if (char === '}') {
+      depth--;
+      if (depth > 0) continue;
+    }
+    if (depth <= 1) topLevel += char;
+  }
+
+  const options = {};
+  const property = /(\w+)\s*:\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\[[^\]]*\]|[\w.]+)/g;
+  Array.from(topLevel.matchAll(property)).forEach(([, key, raw]) => {
+    if (raw.startsWith('[')) {
+      options[key] = Array.from(raw.matchAll(/['"`]([^'"`]+)['"`]/g), match => match[1]);
+      options[`${key}Refs`] = raw.slice(1, -1).split(',').map(item => item.trim()).filter(item => /^\w+$/.test(item));
+    } else if (/^['"`]/.test(raw)) {
+      options[key] = raw.slice(1, -1);
+    } else {
+      options[key] = constants.has(raw) ? constants.get(raw) : raw;
+      options[`${key}Ref`] = raw;
+    }
+  });
+  return options;
+}
+
+/**
+ * Node.js v4 programming model: app.<trigger>('name', {...}) registrations plus input/output bindings
+ */
+function fromNodeV4(content) {
+  const constants = new Map(Array.from(content.matchAll(/\b(?:const|let|var)\s+(\w+)\s*=\s*(['"`])([^'"`]*)\2/g), match => [match[1], match[3]]));
+  const bindingFor = (fn, direction, helper, objectText) => {
+    const type = NODE_TYPES[helper] || helper;
+    const values = type === 'http' && direction === 'out' ? { target: 'response' } : targetValues(type, objectOptions(objectText, constants));
+    return binding(fn, direction, type, values);
+  };
+
+  // Bindings declared once and referenced from extraInputs / extraOutputs / return; unreferenced ones bind nothing
+  const declared = new Map();
+  Array.from(content.matchAll(/\b(?:const|let|var)\s+(\w+)\s*=\s*(input|output)\.(\w+)\(\s*\{/g)).forEach(match => {
+    const open = match.index + match[0].length - 1;
+    declared.set(match[1], { direction: match[2] === 'output' ? 'out' : 'in', helper: match[3], text: content.slice(open, closingIndex(content, open)) });
+  });
+
+  const bindings = [];
+  Array.from(content.matchAll(/\bapp\.(\w+)\(\s*(['"`])([^'"`]+)\2\s*,\s*\{/g)).forEach(match => {
+    const [, helper, , fn] = match;
+    if (['setup', 'hook', 'generic'].includes(helper)) return;
+    const open = match.index + match[0].length - 1;
+    const text = content.slice(open, closingIndex(content, open));
+    const options = objectOptions(text, constants);
+
+    bindings.push(bindingFor(fn, 'trigger', helper, text));
+
+    Array.from(text.matchAll(/\b(input|output)\.(\w+)\(\s*\{/g)).forEach(inline => {
+      const start = inline.index + inline[0].length - 1;
+      bindings.push(bindingFor(fn, inline[1] === 'output' ? 'out' : 'in', inline[2], text.slice(start, closingIndex(text, start))));
+    });
+
+    [...(options.extraInputsRefs || []), ...(options.extraOutputsRefs || []), options.returnRef]
+      .filter(ref => ref && declared.has(ref))
+      .forEach(ref => {
+        const item = declared.get(ref);
+        bindings.push(bindingFor(fn, item.direction, item.helper, item.text));
+      });
+  });
+  return bindings;
+}
+
+/**
+ * Split C# attribute arguments into positional strings, named values and bare identifiers
+ */
+function attributeArguments(text) {
+  const positional = [];
+  const named = {};
+  const identifiers = [];
+  let depth = 0;
+  let current = '';
+  const parts = [];
+  for (const char of text || '') {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  parts.map(part => part.trim()).filter(Boolean).forEach(part => {
+    const assignment = part.match(/^(\w+)\s*[=:]\s*(.+)$/);
+    const value = raw => {
+      const quoted = raw.trim().match(/^@?"([^"]*)"$/);
+      return quoted ? quoted[1] : raw.trim();
+    };
+    if (assignment) named[assignment[1].charAt(0).toLowerCase() + assignment[1].slice(1)] = value(assignment[2]);
+    else if (/^@?"/.test(part)) positional.push(value(part));
+    else identifiers.push(part);
+  });
+  return { positional, named, identifiers };
+}
+
+/**
+ * C# functions: [Function("Name")] / [FunctionName("Name")] methods and their binding attributes
+ */
+function fromCSharp(content) {
+  const starts = Array.from(content.matchAll(/\[(?:Function|FunctionName)\(\s*(?:nameof\((\w+)\)|"([^"]+)")\s*\)\]/g));
+  const bindings = [];
+
+  starts.forEach((start, index) => {
+    const fn = start[1] || start[2];
+    const end = index + 1 < starts.length ? starts[index + 1].index : content.length;
+    const chunk = content.slice(start.index + start[0].length, end);
+    const attribute = /\[(?:return:\s*)?(\w+?)(?:Attribute)?(?:\(((?:[^()"]|"[^"]*"|\([^()]*\))*)\))?\]/g;
+
+    Array.from(chunk.matchAll(attribute)).forEach(match => {
+      const known = CSHARP_ATTRIBUTES[match[1]];
+      if (!known) return;
+      const [type, fixedDirection] = known;
+      const { positional, named, identifiers } = attributeArguments(match[2]);
+      const following = chunk.slice(match.index + match[0].length, match.index + match[0].length + 80);
+      const direction = fixedDirection || (/^\s*(out\s|I(Async)?Collector)/.test(following) ? 'out' : 'in');
+
+      const values = { connection: named.connection };
+      if (type === 'http') {
+        const level = identifiers.map(item => (item.match(/AuthorizationLevel\.(\w+)/) || [])[1]).find(Boolean);
+        values.target = `/${named.route || ''}`;
+        values.details = `${positional.length ? positional.map(method => method.toUpperCase()).join(', ') : 'any method'}, ${(level || 'function').toLowerCase()} auth`;
+      } else if (type === 'serviceBus') {
+        const topic = positional.length > 1 || /Topic/.test(named.entityType || '') || named.topicName;
+        if (topic) {
+          values.topicName = named.topicName || positional[0];
+          values.subscriptionName = named.subscriptionName || positional[1];
+        } else {
+          values.queueName = named.queueName || positional[0];
+        }
+      } else if (type === 'eventHub') {
+        values.eventHubName = named.eventHubName || positional[0];
+      } else if (type === 'cosmosDB') {
+        values.target = [named.databaseName || positional[0], named.containerName || named.collectionName || positional[1]].filter(Boolean).join('/');
+      } else if (type === 'queue') {
+        values.queueName = named.queueName || positional[0];
+      } else {
+        values.target = positional[0] || named.blobPath || named.tableName || null;
+      }
+      bindings.push(binding(fn, direction, type, values));
+    });
+  });
+  return bindings;
+}
+
+/**
+ * Parse a function definition or function code file.
+ * Returns { functions, bindings, settings } or null when the file declares no bindings and reads no settings.
+ */
+function parseFunctionFile(content, filename = '') {
+  if (!content) return null;
+
+  let bindings = [];
+  let environment = [];
+  try {
+    if (/function\.json$/i.test(filename)) {
+      bindings = fromFunctionJson(content, filename);
+    } else {
+      if (/\.(js|mjs|cjs|ts)$/i.test(filename)) bindings = fromNodeV4(content);
+      else if (/\.cs$/i.test(filename)) bindings = fromCSharp(content);
+      environment = environmentVariables(content);
+    }
+  } catch (error) {
+    return null;
+  }
+  if (bindings.length === 0 && environment.length === 0) return null;
+
+  const settings = new Map();
+  const use = (name, usage) => {
+    if (!settings.has(name)) settings.set(name, new Set());
+    settings.get(name).add(usage);
+  };
+  bindings.forEach(item => {
+    if (item.connection) use(item.connection, `${item.type} connection${item.defaultConnection ? ' (default)' : ''}`);
+    [item.target, item.details].filter(Boolean).forEach(text => {
+      Array.from(String(text).matchAll(/%([\w:.-]+)%/g)).forEach(match => use(match[1], `${item.type} binding expression`));
+    });
+  });
+  environment.forEach(name => use(name, 'environment variable'));
+
+  return {
+    functions: Array.from(new Set(bindings.map(item => item.function).filter(Boolean))),
+    bindings,
+    settings: Array.from(settings.entries())
+      .map(([name, usages]) => ({ name, usages: Array.from(usages) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Diff two parsed function files: head bindings (marked added) plus removed bindings, and required settings
+ */
+function diffFunctionBindings(base, head) {
+  const key = item => [item.function, item.direction, item.type, item.target, item.connection].join('|');
+  const before = (base && base.bindings) || [];
+  const after = (head && head.bindings) || [];
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+  const oldSettings = new Set(((base && base.settings) || []).map(setting => setting.name));
+  const newSettings = (head && head.settings) || [];
+
+  return {
+    bindings: after.map(item => ({ ...item, change: beforeKeys.has(key(item)) ? null : 'added' }))
+      .concat(before.filter(item => !afterKeys.has(key(item))).map(item => ({ ...item, change: 'removed' }))),
+    settings: newSettings.map(setting => ({ ...setting, added: !oldSettings.has(setting.name), declaredIn: null })),
+    removedSettings: Array.from(oldSettings).filter(name => !newSettings.some(setting => setting.name === name)).sort(),
+    settingsChecked: false
+  };
+}
+
+/**
+ * App settings declared in Bicep/Terraform sources: Map(name -> [paths])
+ */
+function collectDeclaredSettings(sources) {
+  const declared = new Map();
+  sources.filter(source => /\.(bicep|tf)$/.test(source.path)).forEach(source => {
+    const model = parseIac(source.content, source.path);
+    if (!model) return;
+    model.resources.forEach(resource => {
+      appSettingsOf(resource).forEach(([name]) => {
+        if (!declared.has(name)) declared.set(name, []);
+        if (!declared.get(name).includes(source.path)) declared.get(name).push(source.path);
+      });
+    });
+  });
+  return declared;
+}
+
+/**
+ * Mark which required settings are declared in IaC (identity-based `NAME__*` settings count).
+ * Updates `changes` in place and returns the names of the missing settings.
+ */
+function checkAppSettings(changes, declared) {
+  changes.settingsChecked = true;
+  changes.settings.forEach(setting => {
+    const paths = new Set(declared.get(setting.name) || []);
+    declared.forEach((settingPaths, name) => {
+      if (name.startsWith(`${setting.name}__`)) settingPaths.forEach(item => paths.add(item));
+    });
+    setting.declaredIn = Array.from(paths).sort();
+  });
+  return changes.settings.filter(setting => setting.declaredIn.length === 0).map(setting => setting.name);
+}
+
+/**
+ * One-line description of a binding for prompts and tables
+ */
+function describeTarget(item) {
+  const target = item.target ? `\`${item.target}\`` : '—';
+  return item.details ? `${target} (${item.details})` : target;
+}
+
+/**
+ * Format bindings and required settings as plain facts for the LLM prompt
+ */
+function formatFunctionChangesForPrompt(changes) {
+  const lines = changes.bindings.map(item => {
+    const change = item.change ? ` [${item.change}]` : '';
+    const connection = item.connection ? `, connection setting ${item.connection}` : '';
+    return `- ${item.function}: ${item.direction} ${item.type} ${describeTarget(item)}${connection}${change}`;
+  });
+  if (lines.length === 0) lines.push('- No trigger or binding declarations found');
+
+  changes.settings.forEach(setting => {
+    const status = !changes.settingsChecked ? ''
+      : setting.declaredIn.length ? ` (declared in ${setting.declaredIn.join(', ')})` : ' (NOT declared in any Bicep/Terraform app settings)';
+    lines.push(`- Required app setting ${setting.name}: ${setting.usages.join(', ')}${status}`);
+  });
+  changes.removedSettings.forEach(name => lines.push(`- App setting ${name} is no longer referenced`));
+  return lines.join('\n');
+}
+
+/**
+ * Render the bindings table and the required app settings list
+ */
+function renderFunctionChanges(changes) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  let output;
+
+  if (changes.bindings.length === 0) {
+    output = '_No trigger or binding declarations found._\n';
+  } else {
+    output = '| Function | Binding | Type | Target | Connection | Change |\n|----------|---------|------|--------|------------|--------|\n';
+    changes.bindings.forEach(item => {
+      const connection = item.connection ? `\`${escape(item.connection)}\`` : '—';
+      output += `| ${escape(item.function)} | ${DIRECTION_LABELS[item.direction]} | ${item.type} | ${escape(describeTarget(item))} | ${connection} | ${item.change || '—'} |\n`;
+    });
+  }
+
+  if (changes.settings.length > 0) {
+    output += '\n**Required app settings**\n\n';
+    changes.settings.forEach(setting => {
+      const usage = setting.usages.join(', ');
+      if (!changes.settingsChecked) {
+        output += `- \`${setting.name}\` — ${usage}\n`;
+      } else if (setting.declaredIn.length > 0) {
+        output += `- ✅ \`${setting.name}\` — ${usage} (declared in ${setting.declaredIn.map(item => `\`${item}\``).join(', ')})\n`;
+      } else {
+        output += `- ⚠️ \`${setting.name}\` — ${usage} — not declared in any Bicep/Terraform app settings\n`;
+      }
+    });
+  }
+
+  if (changes.removedSettings.length > 0) {
+    output += `\n_No longer referenced: ${changes.removedSettings.map(name => `\`${name}\``).join(', ')}._\n`;
+  }
+  return output;
+}
+
+module.exports = {
+  environmentVariables,
+  parseFunctionFile,
+  diffFunctionBindings,
+  collectDeclaredSettings,
+  checkAppSettings,
+  formatFunctionChangesForPrompt,
+  renderFunctionChanges
+};
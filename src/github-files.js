@@ -0,0 +1,329 @@
+/**
+ * Changed-file discovery and file content retrieval via the GitHub API.
+ *
+ * Handles pagination, the file limits of the pull request files and compare
+ * APIs and files whose patch GitHub omits (large or many-hunk diffs). Without
+ * an octokit client (local runs), contents and trees come from local git.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { structuredPatch } = require('diff');
+const log = require('./log');
+const localGit = require('./local-git');
+
+// GitHub returns at most this many files from pulls.listFiles and repos.compareCommits
+const PULL_FILES_LIMIT = 3000;
+const COMPARE_FILES_LIMIT = 300;
+const PER_PAGE = 100;
+
+/**
+ * List every file changed in a pull request, falling back to a tree comparison beyond GitHub's 3000-file limit
+ */
+async function listPullRequestFiles(octokit, context, pullRequest) {
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pullRequest.number,
+    per_page: PER_PAGE
+  });
+
+  if (files.length >= PULL_FILES_LIMIT || (pullRequest.changed_files && pullRequest.changed_files > files.length)) {
+    log.warning(`PR reports ${pullRequest.changed_files || 'more than ' + PULL_FILES_LIMIT} changed files but the API returned ${files.length}; comparing trees to find the rest`);
+
+    const { data: comparison } = await octokit.rest.repos.compareCommits({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      base: pullRequest.base.sha,
+      head: pullRequest.head.sha,
+      per_page: 1
+    });
+    const mergeBase = comparison.merge_base_commit ? comparison.merge_base_commit.sha : pullRequest.base.sha;
+
+    return mergeFileLists(files, await listFilesViaTrees(octokit, context, mergeBase, pullRequest.head.sha));
+  }
+
+  return files;
+}
+
+/**
+ * List every file changed between two commits, falling back to a tree comparison beyond the compare API's 300-file limit
+ */
+async function listComparisonFiles(octokit, context, base, head) {
+  // The compare API returns its whole (capped) file list with the first page; pages only cover commits
+  const { data } = await octokit.rest.repos.compareCommits({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    base,
+    head,
+    per_page: 1
+  });
+  const files = data.files || [];
+
+  if (files.length >= COMPARE_FILES_LIMIT) {
+    log.warning(`Comparison returned ${files.length} files, the compare API's limit; comparing trees to find the rest`);
+    const mergeBase = data.merge_base_commit ? data.merge_base_commit.sha : base;
+    return mergeFileLists(files, await listFilesViaTrees(octokit, context, mergeBase, head));
+  }
+
+  return files;
+}
+
+/**
+ * Root of the checked-out repository
+ */
+function workspaceRoot() {
+  return process.env.GITHUB_WORKSPACE || process.cwd();
+}
+
+/**
+ * List every file (blob) in the repository at a commit via the recursive git tree
+ */
+async function listRepositoryFiles(octokit, context, sha) {
+  if (!octokit) return localGit.listFiles(sha, workspaceRoot());
+
+  const { data } = await octokit.rest.git.getTree({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    tree_sha: sha,
+    recursive: 'true'
+  });
+  if (data.truncated) {
+    log.warning(`Git tree for ${sha.substring(0, 7)} was truncated by the API; some files may be missed`);
+  }
+  return data.tree.filter(item => item.type === 'blob');
+}
+
+/**
+ * Find changed files by comparing two recursive git trees (no patches, no line counts)
+ */
+async function listFilesViaTrees(octokit, context, baseSha, headSha) {
+  const loadTree = async sha => {
+    const blobs = new Map();
+    (await listRepositoryFiles(octokit, context, sha)).forEach(item => blobs.set(item.path, item.sha));
+    return blobs;
+  };
+
+  const [baseTree, headTree] = await Promise.all([loadTree(baseSha), loadTree(headSha)]);
+  const files = [];
+
+  headTree.forEach((sha, filename) => {
+    if (!baseTree.has(filename)) files.push({ filename, status: 'added', sha });
+    else if (baseTree.get(filename) !== sha) files.push({ filename, status: 'modified', sha });
+  });
+  baseTree.forEach((sha, filename) => {
+    if (!headTree.has(filename)) files.push({ filename, status: 'removed', sha });
+  });
+
+  return files;
+}
+
+/**
+ * Merge two file lists, keeping the richer (first) entry for duplicates
+ */
+function mergeFileLists(primary, secondary) {
+  const known = new Set(primary.map(file => file.filename));
+  return primary.concat(secondary.filter(file => !known.has(file.filename)));
+}
+
+/**
+ * List all comments on an issue or pull request
+ */
+async function listAllComments(octokit, context, issueNumber) {
+  return octokit.paginate(octokit.rest.issues.listComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: issueNumber,
+    per_page: PER_PAGE
+  });
+}
+
+/**
+ * List all review (diff) comments on a pull request
+ */
+async function listAllReviewComments(octokit, context, pullNumber) {
+  return octokit.paginate(octokit.rest.pulls.listReviewComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    pull_number: pullNumber,
+    per_page: PER_PAGE
+  });
+}
+
+/**
+ * Last commit reachable from `ref` that touched a file: { sha, date, author } (null when none did).
+ * `author` is the GitHub login when the commit is linked to an account, otherwise the git author name.
+ */
+async function lastCommit(octokit, context, filePath, ref) {
+  if (!octokit) return localGit.lastCommit(filePath, ref, workspaceRoot());
+
+  const { data } = await octokit.rest.repos.listCommits({
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    sha: ref,
+    path: filePath,
+    per_page: 1
+  });
+  if (data.length === 0) return null;
+  const commit = data[0];
+  return {
+    sha: commit.sha,
+    date: commit.commit.committer.date,
+    author: commit.author ? commit.author.login : commit.commit.author.name
+  };
+}
+
+/**
+ * Fetch a file's content at a given ref (returns null if it does not exist there).
+ * Files between 1 MB and 100 MB are read through the git blob API.
+ */
+async function fetchFileContent(octokit, context, filePath, ref) {
+  if (!ref || /^0+$/.test(ref)) return null;
+  if (!octokit) return localGit.readFileAt(filePath, ref, workspaceRoot());
+
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      path: filePath,
+      ref
+    });
+
+    if (Array.isArray(data) || data.type !== 'file') {
+      return null;
+    }
+
+    if (data.encoding === 'none' || (!data.content && data.size > 0)) {
+      const { data: blob } = await octokit.rest.git.getBlob({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        file_sha: data.sha
+      });
+      return Buffer.from(blob.content, blob.encoding || 'base64').toString('utf8');
+    }
+
+    return Buffer.from(data.content || '', data.encoding || 'base64').toString('utf8');
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Whether each workspace root has `ref` checked out, keyed by "root\0ref"
+const checkedOutRefs = new Map();
+
+/**
+ * Whether the workspace is a checkout of this repository at `ref`: only in GitHub Actions or local
+ * runs (no octokit), and only when its HEAD is the same commit as `ref`
+ */
+function isCheckedOut(octokit, ref) {
+  if (octokit && process.env.GITHUB_ACTIONS !== 'true') return Promise.resolve(false);
+
+  const root = workspaceRoot();
+  const key = `${root}\0${ref}`;
+  if (!checkedOutRefs.has(key)) {
+    checkedOutRefs.set(key, Promise.all([localGit.resolveRef('HEAD', root), localGit.resolveRef(ref, root)])
+      .then(([head, target]) => head === target)
+      .catch(() => false));
+  }
+  return checkedOutRefs.get(key);
+}
+
+/**
+ * Read a repository file at `ref`: from the workspace when `ref` is checked out there (so local edits
+ * to config files count), otherwise through the API or local git. Returns null when the file does not exist.
+ */
+async function readRepositoryFile(octokit, context, filePath, ref) {
+  if (ref && await isCheckedOut(octokit, ref)) {
+    try {
+      return await fs.readFile(path.join(workspaceRoot(), filePath), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  }
+
+  return fetchFileContent(octokit, context, filePath, ref);
+}
+
+/**
+ * Load (and cache on the diff object) the base and head contents of a changed file
+ */
+async function loadFileVersions(octokit, context, file, refs) {
+  if (!file.versions) {
+    const base = file.status === 'added'
+      ? null
+      : await fetchFileContent(octokit, context, file.previousFilename || file.filename, refs.base);
+    const head = file.status === 'removed'
+      ? null
+      : await fetchFileContent(octokit, context, file.filename, refs.head);
+
+    // Keep contents out of JSON output and logs
+    Object.defineProperty(file, 'versions', { value: { base, head }, enumerable: false, writable: true });
+  }
+
+  return file.versions;
+}
+
+/**
+ * Build a unified diff (hunks only) and line counts from two file versions
+ */
+function diffContents(baseContent, headContent) {
+  const isBinary = content => content !== null && content.includes('\u0000');
+  if (isBinary(baseContent) || isBinary(headContent)) {
+    return { diff: '(Binary file)', additions: 0, deletions: 0 };
+  }
+
+  const patch = structuredPatch('a', 'b', baseContent || '', headContent || '', '', '', { context: 3 });
+  let additions = 0;
+  let deletions = 0;
+
+  const diff = patch.hunks.map(hunk => {
+    hunk.lines.forEach(line => {
+      if (line.startsWith('+')) additions++;
+      else if (line.startsWith('-')) deletions++;
+    });
+    return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@\n${hunk.lines.join('\n')}`;
+  }).join('\n');
+
+  return { diff, additions, deletions };
+}
+
+/**
+ * Compute diffs locally for files GitHub returned without a patch
+ */
+async function hydrateMissingPatches(octokit, context, fileDiffs, refs) {
+  for (const file of fileDiffs) {
+    if (!file.patchMissing) continue;
+
+    try {
+      const { base, head } = await loadFileVersions(octokit, context, file, refs);
+      const local = diffContents(base, head);
+
+      file.diff = local.diff || '(No textual changes)';
+      file.additions = file.additions || local.additions;
+      file.deletions = file.deletions || local.deletions;
+      file.patchMissing = false;
+      log.info(`🧮 Computed local diff for ${file.filename} (+${local.additions}/-${local.deletions})`);
+    } catch (error) {
+      log.warning(`Could not compute diff for ${file.filename}: ${error.message}`);
+    }
+  }
+
+  return fileDiffs;
+}
+
+module.exports = {
+  listPullRequestFiles,
+  listComparisonFiles,
+  listFilesViaTrees,
+  listRepositoryFiles,
+  listAllComments,
+  listAllReviewComments,
+  lastCommit,
+  fetchFileContent,
+  readRepositoryFile,
+  loadFileVersions,
+  diffContents,
+  hydrateMissingPatches
+};
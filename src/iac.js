@@ -0,0 +1,526 @@
+/**
+ * Bicep and Terraform parsers and resource-level differ.
+ *
+ * Reads Bicep `resource`/`module` declarations and Terraform `resource`/`module`
+ * blocks into flat property maps (`sku.name`, `properties.siteConfig.appSettings[0].value`,
+ * `capture_description.enabled`), and compares base and head versions into a
+ * resource-level change list. The other analysers read infrastructure through
+ * these models instead of matching raw Bicep/HCL text.
+ */
+
+// Well-known built-in role definition ids used by integration workloads
+const BUILT_IN_ROLES = {
+  '8e3af657-a8ff-443c-a75c-2fe8c4bcb635': 'Owner',
+  'b24988ac-6180-42a0-ab88-20f7382dd24c': 'Contributor',
+  'acdd72a7-3385-48ef-bd42-f606fba81ae7': 'Reader',
+  '090c5cfd-751d-490a-894a-3ce6f1109419': 'Azure Service Bus Data Owner',
+  '69a216fc-b8fb-44d8-bc22-1f3c2cd27a39': 'Azure Service Bus Data Sender',
+  '4f6d3b9b-027b-4f4c-9142-0e5a2a2247e0': 'Azure Service Bus Data Receiver',
+  'f526a384-b230-433a-b45c-95f59c4a2dec': 'Azure Event Hubs Data Owner',
+  '2b629674-e913-4c01-ae53-ef4638d8f975': 'Azure Event Hubs Data Sender',
+  'a638d3c7-ab3a-418d-83e6-5f17a39d4fde': 'Azure Event Hubs Data Receiver',
+  'ba92f5b4-2d11-453d-a403-e96b0029c9fe': 'Storage Blob Data Contributor',
+  '2a2b9908-6ea1-4ae2-8e65-a410df84e7d1': 'Storage Blob Data Reader',
+  '974c5e8b-45b9-4653-ba55-5f855dd0fb88': 'Storage Queue Data Contributor',
+  '4633458b-17de-408a-b874-0445c86b69e6': 'Key Vault Secrets User',
+  'de139f84-1756-47ae-9be6-808fbbe84772': 'Website Contributor',
+  '87a39d53-fc1b-424a-814c-f7e04687dc9e': 'Logic App Contributor'
+};
+
+const ROLE_ASSIGNMENT_TYPES = ['Microsoft.Authorization/roleAssignments', 'azurerm_role_assignment'];
+
+// Properties that make up a resource's SKU
+const SKU_PATH = /^(sku(\.\w+)?|sku_name|sku_tier|capacity)$/;
+
+/**
+ * Find the matching closing brace for the brace at `start`
+ */
+function blockEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Normalise a literal from Bicep/Terraform source: booleans, numbers and quoted strings are unwrapped
+ */
+function literal(raw) {
+  const text = raw.trim().replace(/,$/, '').trim();
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  const quoted = text.match(/^(['"])(.*)\1$/);
+  return quoted ? quoted[2] : text;
+}
+
+/**
+ * Drop a trailing `//` (or Terraform `#`) comment that is not inside a string
+ */
+function stripComment(line, terraform) {
+  const quote = terraform ? '"' : '\'';
+  let inString = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === quote && line[i - 1] !== '\\') inString = !inString;
+    if (inString) continue;
+    if ((line[i] === '/' && line[i + 1] === '/') || (terraform && line[i] === '#')) return line.slice(0, i);
+  }
+  return line;
+}
+
+/**
+ * Net bracket depth of a fragment ({[( minus }]) ), ignoring strings
+ */
+function bracketDepth(text, terraform) {
+  const quote = terraform ? '"' : '\'';
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === quote && text[i - 1] !== '\\') inString = !inString;
+    if (inString) continue;
+    if ('{[('.includes(text[i])) depth++;
+    if ('}])'.includes(text[i])) depth--;
+  }
+  return depth;
+}
+
+/**
+ * Whether a raw value is a plain literal (quoted string without interpolation, number or boolean)
+ */
+function isLiteral(raw) {
+  const text = raw.trim().replace(/,$/, '').trim();
+  return /^(true|false|-?\d+(\.\d+)?)$/.test(text) || (/^(['"])(.*)\1$/.test(text) && !text.includes('${'));
+}
+
+/**
+ * Flatten the body of a block ({ ... }) into { path: value }.
+ * `literals` collects the paths whose value is a plain literal rather than an expression.
+ * Nested objects and blocks become dotted paths, array items `[index]`; repeated
+ * Terraform blocks are numbered from the second (`ip_restriction[1]`).
+ */
+function flattenBody(body, terraform, literals = new Set()) {
+  const properties = {};
+  const inner = body.slice(body.indexOf('{') + 1, body.lastIndexOf('}'));
+  const root = { prefix: '', array: false, index: 0, blocks: {}, skip: false };
+  const stack = [root];
+  const assignment = terraform ? /^("?[\w.:/-]+"?)\s*=\s*(.*)$/ : /^('?[\w.:/$-]+'?)\s*:\s*(.*)$/;
+  const nestedBlock = /^([\w-]+)((?:\s+"[^"]*")*)\s*\{$/;
+  const join = (prefix, key) => (prefix ? `${prefix}.${key}` : key);
+  let pending = null;
+
+  inner.split('\n').forEach(rawLine => {
+    const line = stripComment(rawLine, terraform).trim();
+    if (!line) return;
+
+    // Continuation of a multi-line value (heredoc, function call, inline object)
+    if (pending) {
+      if (pending.heredoc) {
+        if (line === pending.heredoc) {
+          properties[pending.path] = pending.text.join('\n');
+          pending = null;
+        } else {
+          pending.text.push(rawLine.trim());
+        }
+        return;
+      }
+      pending.text.push(line);
+      pending.depth += bracketDepth(line, terraform);
+      if (pending.depth <= 0) {
+        properties[pending.path] = literal(pending.text.join(' '));
+        pending = null;
+      }
+      return;
+    }
+
+    const frame = stack[stack.length - 1];
+
+    if (/^[}\]]/.test(line)) {
+      if (stack.length > 1) stack.pop();
+      return;
+    }
+
+    const open = (prefix, array) => stack.push({ prefix, array, index: 0, blocks: {}, skip: frame.skip || prefix === null });
+
+    if (frame.array) {
+      const itemPath = frame.skip ? null : `${frame.prefix}[${frame.index++}]`;
+      if (line === '{' || line === '[') open(itemPath, line === '[');
+      else if (itemPath) {
+        properties[itemPath] = literal(line);
+        if (isLiteral(line)) literals.add(itemPath);
+      }
+      return;
+    }
+
+    const block = terraform && line.match(nestedBlock);
+    if (block) {
+      // `dynamic "ip_restriction" { ... }` generates ip_restriction blocks
+      const label = (block[2].match(/"([^"]*)"/) || [])[1];
+      const name = block[1] === 'dynamic' && label ? label : block[1];
+      const count = frame.blocks[name] || 0;
+      frame.blocks[name] = count + 1;
+      open(frame.skip ? null : join(frame.prefix, count ? `${name}[${count}]` : name), false);
+      return;
+    }
+
+    const match = line.match(assignment);
+    if (!match) {
+      // Anything else that opens a block (nested Bicep resources, loops) is tracked but not flattened
+      if (/[{[]$/.test(line)) open(null, line.endsWith('['));
+      return;
+    }
+
+    const key = match[1].replace(/^['"]|['"]$/g, '');
+    const value = match[2].trim();
+    const path = frame.skip ? null : join(frame.prefix, key);
+
+    if (value === '{' || value === '[') {
+      open(path, value === '[');
+    } else if (/^<<-?\s*(\w+)$/.test(value)) {
+      pending = { path, heredoc: value.match(/(\w+)$/)[1], text: [] };
+    } else if (bracketDepth(value, terraform) > 0) {
+      pending = { path, text: [value], depth: bracketDepth(value, terraform) };
+    } else if (path) {
+      properties[path] = literal(value);
+      if (isLiteral(value)) literals.add(path);
+    }
+
+    if (pending && !path) pending.path = null;
+  });
+
+  delete properties.null;
+  return properties;
+}
+
+/**
+ * Literal `name` of a resource (null when the name is an expression or missing)
+ */
+function literalName(properties, literals) {
+  return literals.has('name') && properties.name !== '' ? String(properties.name) : null;
+}
+
+/**
+ * Parse Bicep `resource` and `module` declarations (including nested child resources)
+ */
+function parseBicep(content) {
+  if (!content) return null;
+  const header = /^\s*(resource|module)\s+(\w+)\s+'([^'@]+)(?:@([^']*))?'(\s+existing)?\s*=/gm;
+  const declarations = [];
+
+  Array.from(content.matchAll(header)).forEach(match => {
+    const braceStart = content.indexOf('{', match.index + match[0].length);
+    if (braceStart === -1) return;
+    const end = blockEnd(content, braceStart);
+    const [, kind, symbol, rawType, apiVersion, existing] = match;
+    const parent = declarations.filter(other => other.start < match.index && match.index < other.end).pop();
+
+    const type = kind === 'module'
+      ? `module ${rawType}`
+      : (parent && !rawType.includes('/') ? `${parent.type}/${rawType}` : rawType);
+    const body = content.slice(braceStart, end);
+    const literals = new Set();
+    const properties = flattenBody(body, false, literals);
+    const name = literalName(properties, literals);
+    const explicitParent = typeof properties.parent === 'string' ? properties.parent : null;
+
+    declarations.push({
+      kind,
+      address: symbol,
+      symbol,
+      type,
+      apiVersion: apiVersion || null,
+      name: name || symbol,
+      literalName: name,
+      parent: parent ? parent.symbol : explicitParent,
+      existing: Boolean(existing),
+      body,
+      properties,
+      start: match.index,
+      end
+    });
+  });
+
+  return { language: 'bicep', resources: declarations.map(({ start, end, ...resource }) => resource) };
+}
+
+/**
+ * Parse Terraform `resource` and `module` blocks
+ */
+function parseTerraform(content) {
+  if (!content) return null;
+  const header = /^\s*(resource|module)\s+"([\w-]+)"(?:\s+"([\w-]+)")?\s*\{/gm;
+
+  const resources = Array.from(content.matchAll(header)).map(match => {
+    const braceStart = match.index + match[0].length - 1;
+    const body = content.slice(braceStart, blockEnd(content, braceStart));
+    const literals = new Set();
+    const properties = flattenBody(body, true, literals);
+    const [, kind, first, second] = match;
+    const name = literalName(properties, literals);
+
+    if (kind === 'module') {
+      return {
+        kind,
+        address: `module.${first}`,
+        symbol: first,
+        type: `module ${properties.source || first}`,
+        apiVersion: null,
+        name: first,
+        literalName: null,
+        parent: null,
+        existing: false,
+        body,
+        properties
+      };
+    }
+    return {
+      kind,
+      address: `${first}.${second}`,
+      symbol: second,
+      type: first,
+      apiVersion: null,
+      name: name || second,
+      literalName: name,
+      parent: null,
+      existing: false,
+      body,
+      properties
+    };
+  });
+
+  return { language: 'terraform', resources };
+}
+
+/**
+ * Parse an IaC file by extension (null for other files or empty content)
+ */
+function parseIac(content, filename) {
+  if (filename.endsWith('.bicep')) return parseBicep(content);
+  if (filename.endsWith('.tf')) return parseTerraform(content);
+  return null;
+}
+
+/**
+ * Resources of a parsed model by type (exact string or RegExp)
+ */
+function resourcesOfType(model, type) {
+  if (!model) return [];
+  return model.resources.filter(resource => (type instanceof RegExp ? type.test(resource.type) : resource.type === type));
+}
+
+/**
+ * SKU of a resource as a short string ("Premium/2"), or null when none is declared
+ */
+function skuOf(resource) {
+  const props = resource.properties;
+  const name = props['sku.name'] || props.sku_name || (typeof props.sku === 'string' ? props.sku : null) || props['sku.size'];
+  const tier = props['sku.tier'] || props.sku_tier;
+  const capacity = props['sku.capacity'] !== undefined ? props['sku.capacity'] : props.capacity;
+  if (!name && !tier && capacity === undefined) return null;
+
+  const label = [name, tier && tier !== name ? tier : null].filter(Boolean).join(' ') || 'default';
+  return capacity !== undefined ? `${label} ×${capacity}` : label;
+}
+
+/**
+ * App settings assigned by a web/function app resource: [name, value expression].
+ * Covers Bicep `siteConfig.appSettings`, `sites/config` appsettings resources and Terraform `app_settings`.
+ */
+function appSettingsOf(resource) {
+  const props = resource.properties;
+  const appSettingsResource = /\/config$/i.test(resource.type) && /appsettings$/i.test(String(props.name || ''));
+  const settings = [];
+
+  Object.keys(props).forEach(path => {
+    const bicep = path.match(/^(.*appSettings\[\d+\])\.name$/);
+    if (bicep && /^[\w:.-]+$/.test(props[path]) && props[`${bicep[1]}.value`] !== undefined) {
+      settings.push([String(props[path]), String(props[`${bicep[1]}.value`])]);
+    }
+    const terraform = path.match(/^app_settings\.([\w:.-]+)$/);
+    if (terraform) settings.push([terraform[1], String(props[path])]);
+    const config = appSettingsResource && path.match(/^properties\.([\w:.-]+)$/);
+    if (config) settings.push([config[1], String(props[path])]);
+  });
+  return settings;
+}
+
+/**
+ * Describe a role assignment resource: { role, principal, scope }
+ */
+function describeRoleAssignment(resource) {
+  const props = resource.properties;
+  const roleId = String(props['properties.roleDefinitionId'] || props.role_definition_id || '');
+  const guid = (roleId.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i) || [])[0];
+  return {
+    role: props.role_definition_name || (guid && BUILT_IN_ROLES[guid.toLowerCase()]) || roleId || 'unknown role',
+    principal: String(props['properties.principalId'] || props.principal_id || 'unknown principal'),
+    scope: String(props.scope || resource.parent || 'deployment scope')
+  };
+}
+
+/**
+ * Compare two resource versions: [{ path, before, after }]
+ */
+function propertyChanges(before, after) {
+  const show = value => (value === undefined ? undefined : JSON.stringify(value));
+  return Array.from(new Set(Object.keys(before.properties).concat(Object.keys(after.properties))))
+    .filter(path => show(before.properties[path]) !== show(after.properties[path]))
+    .sort()
+    .map(path => ({ path, before: before.properties[path], after: after.properties[path] }));
+}
+
+/**
+ * Short identity of a resource for change lists (no body or properties)
+ */
+function summarize(resource) {
+  return { address: resource.address, symbol: resource.symbol, type: resource.type, name: resource.name, kind: resource.kind, sku: skuOf(resource) };
+}
+
+/**
+ * Diff two parsed IaC models into a resource-level change set
+ */
+function diffIacResources(base, head) {
+  const before = new Map(((base && base.resources) || []).map(resource => [resource.address, resource]));
+  const after = new Map(((head && head.resources) || []).map(resource => [resource.address, resource]));
+  const changes = { added: [], removed: [], modified: [], roleAssignments: [] };
+
+  after.forEach((resource, address) => {
+    if (!before.has(address)) changes.added.push(summarize(resource));
+  });
+  before.forEach((resource, address) => {
+    if (!after.has(address)) changes.removed.push(summarize(resource));
+  });
+  after.forEach((resource, address) => {
+    const previous = before.get(address);
+    if (!previous) return;
+    const skuBefore = skuOf(previous);
+    const skuAfter = skuOf(resource);
+    const sku = skuBefore !== skuAfter ? { before: skuBefore, after: skuAfter } : null;
+    const properties = propertyChanges(previous, resource).filter(change => !SKU_PATH.test(change.path));
+    if (properties.length === 0 && !sku && previous.type === resource.type) return;
+
+    changes.modified.push({
+      ...summarize(resource),
+      typeChanged: previous.type !== resource.type ? previous.type : null,
+      sku,
+      properties
+    });
+  });
+
+  const isRoleAssignment = resource => ROLE_ASSIGNMENT_TYPES.includes(resource.type);
+  const roleRow = (change, resource) => ({ change, address: resource.address, ...describeRoleAssignment(resource) });
+  changes.added.filter(isRoleAssignment).forEach(item => changes.roleAssignments.push(roleRow('added', after.get(item.address))));
+  changes.removed.filter(isRoleAssignment).forEach(item => changes.roleAssignments.push(roleRow('removed', before.get(item.address))));
+  changes.modified.filter(isRoleAssignment).forEach(item => changes.roleAssignments.push(roleRow('modified', after.get(item.address))));
+
+  return changes;
+}
+
+/**
+ * Whether a change set contains any resource-level change
+ */
+function hasIacChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.modified.length > 0;
+}
+
+/**
+ * Format a property value for display (long values are shortened)
+ */
+function showValue(value) {
+  if (value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Change rows grouped by resource type: Map(type -> [{ change, resource, details }]).
+ * Role assignments are listed separately.
+ */
+function changeRowsByType(changes) {
+  const groups = new Map();
+  const add = (type, row) => {
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(row);
+  };
+  const label = item => (item.name !== item.symbol ? `${item.address} (${item.name})` : item.address);
+  const listed = item => !ROLE_ASSIGNMENT_TYPES.includes(item.type);
+
+  changes.added.filter(listed).forEach(item => add(item.type, { change: 'added', resource: label(item), details: item.sku ? [`SKU ${item.sku}`] : [] }));
+  changes.removed.filter(listed).forEach(item => add(item.type, { change: 'removed', resource: label(item), details: [] }));
+  changes.modified.filter(listed).forEach(item => {
+    const details = [];
+    if (item.typeChanged) details.push(`type ${item.typeChanged} → ${item.type}`);
+    if (item.sku) details.push(`SKU ${item.sku.before || '—'} → ${item.sku.after || '—'}`);
+    item.properties.forEach(change => details.push(`${change.path}: ${showValue(change.before)} → ${showValue(change.after)}`));
+    add(item.type, { change: 'modified', resource: label(item), details });
+  });
+
+  return new Map(Array.from(groups.entries()).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Format IaC changes as plain facts for the LLM prompt
+ */
+function formatIacChangesForPrompt(changes) {
+  if (!hasIacChanges(changes)) return '- No resource-level changes (parameters, variables or outputs only)';
+
+  const lines = [];
+  changeRowsByType(changes).forEach((rows, type) => {
+    rows.forEach(row => {
+      lines.push(`- ${type} \`${row.resource}\` ${row.change}${row.details.length ? `: ${row.details.join('; ')}` : ''}`);
+    });
+  });
+  changes.roleAssignments.forEach(role => {
+    lines.push(`- Role assignment ${role.change}: ${role.role} for principal ${role.principal} on ${role.scope}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render IaC changes as Markdown tables grouped by resource type
+ */
+function renderIacChanges(changes) {
+  if (!hasIacChanges(changes)) return '_No resource-level changes (parameters, variables or outputs only)._\n';
+
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  const badges = { added: '➕ Added', removed: '➖ Removed', modified: '✏️ Modified' };
+  const maxDetails = 6;
+  const tables = [];
+
+  changeRowsByType(changes).forEach((rows, type) => {
+    let table = `**\`${type}\`**\n\n| Change | Resource | Details |\n|--------|----------|---------|\n`;
+    rows.forEach(row => {
+      const details = row.details.slice(0, maxDetails).map(detail => escape(detail));
+      if (row.details.length > maxDetails) details.push(`+${row.details.length - maxDetails} more`);
+      table += `| ${badges[row.change]} | \`${escape(row.resource)}\` | ${details.join('<br>') || '—'} |\n`;
+    });
+    tables.push(table);
+  });
+
+  if (changes.roleAssignments.length > 0) {
+    let table = '**Role assignments**\n\n| Change | Role | Principal | Scope |\n|--------|------|-----------|-------|\n';
+    changes.roleAssignments.forEach(role => {
+      table += `| ${badges[role.change]} | ${escape(role.role)} | \`${escape(role.principal)}\` | \`${escape(role.scope)}\` |\n`;
+    });
+    tables.push(table);
+  }
+
+  return tables.join('\n');
+}
+
+module.exports = {
+  literal,
+  parseBicep,
+  parseTerraform,
+  parseIac,
+  resourcesOfType,
+  skuOf,
+  appSettingsOf,
+  diffIacResources,
+  hasIacChanges,
+  formatIacChangesForPrompt,
+  renderIacChanges
+};
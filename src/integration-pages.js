@@ -0,0 +1,155 @@
+/**
+ * Living integration pages.
+ *
+ * One page per integration artifact (e.g. docs/integrations/logic-apps/order-processing.md),
+ * regenerated from the file's current content and latest diff on every change,
+ * with a history section listing the PRs that touched it.
+ */
+
+const PAGE_MARKER = '<!-- azure-doc-agent:integration-page v1 -->';
+const BODY_MARKER = '<!-- azure-doc-agent:body -->';
+const HISTORY_MARKER = '<!-- azure-doc-agent:history -->';
+
+// Sub-folder per service type
+const SERVICE_FOLDERS = {
+  'Azure Logic App': 'logic-apps',
+  'API Management': 'apim',
+  'Service Bus': 'service-bus',
+  'Event Hub': 'event-hubs',
+  'Event Grid': 'event-grid',
+  'Azure Function': 'functions',
+  'Bicep IaC': 'infrastructure',
+  'Terraform IaC': 'infrastructure',
+  'Azure Configuration': 'configuration'
+};
+
+// File names that say nothing about the integration; the parent folder names it instead
+const GENERIC_BASENAMES = ['workflow', 'function', 'main', 'policy', 'apim-policy', 'azuredeploy', 'template', 'parameters'];
+
+/**
+ * Lower-case, dash-separated page name
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'integration';
+}
+
+/**
+ * Derive the integration name from its file path (workflows/order-processing/workflow.json -> order-processing)
+ */
+function integrationName(filename) {
+  const parts = filename.split('/');
+  const base = parts[parts.length - 1]
+    .replace(/\.(json|xml|bicep|tf|ya?ml)$/i, '')
+    .replace(/\.logicapp$/i, '');
+
+  if (GENERIC_BASENAMES.includes(base.toLowerCase()) && parts.length > 1) {
+    return slugify(parts[parts.length - 2]);
+  }
+  return slugify(base);
+}
+
+/**
+ * Page path for an integration file.
+ * `qualified` names the page after the whole file path, for files whose short names collide.
+ */
+function integrationPagePath(filename, serviceType, folder, { qualified = false } = {}) {
+  const serviceFolder = SERVICE_FOLDERS[serviceType] || 'other';
+  const name = qualified ? slugify(filename.replace(/\.[^./]+$/, '')) : integrationName(filename);
+  return `${folder.replace(/\/+$/, '')}/${serviceFolder}/${name}.md`;
+}
+
+/**
+ * Read the preserved parts (body and history) of an existing page
+ */
+function parseIntegrationPage(content) {
+  const page = { body: null, history: [] };
+  if (!content || !content.includes(PAGE_MARKER)) return page;
+
+  const bodyStart = content.indexOf(BODY_MARKER);
+  const historyStart = content.indexOf(HISTORY_MARKER);
+
+  if (bodyStart !== -1) {
+    const end = historyStart > bodyStart ? historyStart : content.length;
+    page.body = content.slice(bodyStart + BODY_MARKER.length, end).trim() || null;
+  }
+  if (historyStart !== -1) {
+    page.history = content.slice(historyStart + HISTORY_MARKER.length)
+      .split('\n')
+      .filter(line => line.startsWith('- '));
+  }
+
+  return page;
+}
+
+/**
+ * Source file a living page documents (null when the content is not a living page)
+ */
+function pageSource(content) {
+  if (!content || !content.includes(PAGE_MARKER)) return null;
+  const match = content.match(/^\| `([^`]+)` \|/m);
+  return match ? match[1] : null;
+}
+
+/**
+ * Link to the PR (or push) that produced a change
+ */
+function describeSource(metadata) {
+  const label = metadata.number ? `#${metadata.number}` : metadata.title;
+  return metadata.url ? `[${label}](${metadata.url})` : label;
+}
+
+/**
+ * Add (or, on a re-run for the same PR, replace) the history entry for a change. Newest first.
+ */
+function addHistoryEntry(history, file, metadata) {
+  const source = describeSource(metadata);
+  const date = new Date().toISOString().split('T')[0];
+  const title = metadata.number ? ` ${metadata.title}` : '';
+  const renamed = file.previousFilename && file.previousFilename !== file.filename
+    ? ` from \`${file.previousFilename}\``
+    : '';
+  const entry = `- ${date} — ${source}${title} — ${file.status}${renamed} (+${file.additions} / -${file.deletions})`;
+
+  return [entry].concat(history.filter(line => !line.includes(`— ${source} `)));
+}
+
+/**
+ * Render a complete integration page
+ */
+function renderIntegrationPage({ filename, serviceType, body, history, metadata, retired = false }) {
+  let page = `# ${integrationName(filename)}\n\n${PAGE_MARKER}\n`;
+  page += '_Living page maintained by Azure Integration Doc Agent; regenerated whenever the source file changes._\n\n';
+
+  if (retired) {
+    page += `> ⚠️ **Retired:** \`${filename}\` was removed in ${describeSource(metadata)}. The last known documentation is kept below.\n\n`;
+  }
+
+  page += '| Source | Service | Last updated |\n|--------|---------|--------------|\n';
+  page += `| \`${filename}\` | ${serviceType} | ${new Date().toISOString().split('T')[0]} (${describeSource(metadata)}) |\n\n`;
+
+  page += `${BODY_MARKER}\n${body.trim()}\n\n`;
+  page += `${HISTORY_MARKER}\n## History\n\n`;
+  page += history.length ? `${history.join('\n')}\n` : '_No changes recorded yet._\n';
+
+  return page;
+}
+
+/**
+ * Short page left at the old location when an integration file is renamed
+ */
+function renderMovedPage(previousFilename, newPagePath, metadata) {
+  return `# ${integrationName(previousFilename)}\n\n` +
+    `> ➡️ \`${previousFilename}\` was renamed in ${describeSource(metadata)}. ` +
+    `This page now lives at \`${newPagePath}\`.\n`;
+}
+
+module.exports = {
+  SERVICE_FOLDERS,
+  integrationName,
+  integrationPagePath,
+  parseIntegrationPage,
+  pageSource,
+  addHistoryEntry,
+  renderIntegrationPage,
+  renderMovedPage
+};
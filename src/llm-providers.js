@@ -0,0 +1,381 @@
+/**
+ * LLM provider layer.
+ *
+ * Each provider owns URL building, authentication headers, request body
+ * shape and HTTP error mapping for one chat-completions backend.
+ */
+
+const core = require('@actions/core');
+const axios = require('axios');
+const log = require('./log');
+
+const AZURE_API_VERSION = '2024-02-15-preview';
+const AZURE_COGNITIVE_SERVICES_SCOPE = 'https://cognitiveservices.azure.com/.default';
+const GITHUB_OIDC_AUDIENCE = 'api://AzureADTokenExchange';
+const OPENAI_DEFAULT_ENDPOINT = 'https://api.openai.com/v1';
+
+// Entra ID access tokens, keyed by tenant, client and scope
+const entraTokenCache = new Map();
+
+/**
+ * Build the Azure OpenAI chat-completions URL from a base or full endpoint
+ */
+function buildAzureUrl(config) {
+  let fullEndpoint = config.azureOpenAIEndpoint;
+
+  // Check if endpoint already includes the full path or just the base URL
+  if (!fullEndpoint.includes('/openai/deployments/')) {
+    fullEndpoint = fullEndpoint.replace(/\/$/, '');
+    fullEndpoint = `${fullEndpoint}/openai/deployments/${config.azureOpenAIDeployment}/chat/completions?api-version=${AZURE_API_VERSION}`;
+  }
+
+  return fullEndpoint;
+}
+
+/**
+ * Build an OpenAI-style chat-completions URL from a base (`.../v1`) or full endpoint
+ */
+function buildOpenAIUrl(endpoint) {
+  const base = endpoint.replace(/\/$/, '');
+  return base.endsWith('/chat/completions') ? base : `${base}/chat/completions`;
+}
+
+/**
+ * Validate Azure OpenAI endpoint and deployment inputs
+ */
+function validateAzureConfig(config) {
+  if (!config.azureOpenAIEndpoint) {
+    throw new Error('azure-openai-endpoint is required for Azure OpenAI providers');
+  }
+  if (!config.azureOpenAIEndpoint.includes('openai.azure.com')) {
+    throw new Error('Invalid Azure OpenAI endpoint. Must be an Azure OpenAI endpoint (*.openai.azure.com)');
+  }
+  if (!config.azureOpenAIEndpoint.includes('/openai/deployments/') && !config.azureOpenAIDeployment) {
+    throw new Error('azure-openai-deployment is required when azure-openai-endpoint is a base URL');
+  }
+}
+
+/**
+ * Whether a federated-credential assertion can be obtained: an injected `idTokenProvider`, or a
+ * GitHub Actions job with `id-token: write` (the runner then sets ACTIONS_ID_TOKEN_REQUEST_URL)
+ */
+function hasIdTokenSource(config) {
+  return Boolean(config.idTokenProvider || process.env.ACTIONS_ID_TOKEN_REQUEST_URL);
+}
+
+/**
+ * Exchange an OIDC token for an Entra ID access token (federated credential). The token comes from
+ * `config.idTokenProvider(audience)` when given, otherwise from the GitHub Actions runner.
+ */
+async function acquireEntraToken(config, httpClient) {
+  const cacheKey = `${config.azureTenantId}:${config.azureClientId}:${AZURE_COGNITIVE_SERVICES_SCOPE}`;
+  const cached = entraTokenCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now() + 60000) {
+    return cached.token;
+  }
+
+  let assertion;
+  try {
+    assertion = config.idTokenProvider
+      ? await config.idTokenProvider(GITHUB_OIDC_AUDIENCE)
+      : await core.getIDToken(GITHUB_OIDC_AUDIENCE);
+  } catch (error) {
+    throw new Error(config.idTokenProvider
+      ? `Could not obtain an OIDC token from idTokenProvider. (${error.message})`
+      : `Could not obtain GitHub OIDC token. Add "id-token: write" to the workflow permissions. (${error.message})`);
+  }
+
+  const response = await httpClient.post(
+    `https://login.microsoftonline.com/${config.azureTenantId}/oauth2/v2.0/token`,
+    new URLSearchParams({
+      client_id: config.azureClientId,
+      scope: AZURE_COGNITIVE_SERVICES_SCOPE,
+      grant_type: 'client_credentials',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      client_assertion: assertion
+    }).toString(),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 30000,
+      validateStatus: status => status >= 200 && status < 600
+    }
+  );
+
+  if (response.status >= 400 || !response.data || !response.data.access_token) {
+    const description = (response.data && (response.data.error_description || response.data.error)) || `status ${response.status}`;
+    throw new Error(`Entra ID token exchange failed: ${description}. Check the federated credential on app ${config.azureClientId}.`);
+  }
+
+  log.setSecret(response.data.access_token);
+  entraTokenCache.set(cacheKey, {
+    token: response.data.access_token,
+    expiresAt: Date.now() + (Number(response.data.expires_in) || 3600) * 1000
+  });
+
+  return response.data.access_token;
+}
+
+/**
+ * Map Azure OpenAI HTTP errors to actionable messages
+ */
+function mapAzureError(status, data, authHint) {
+  if (status === 401 || status === 403) {
+    return new Error(`Azure OpenAI authentication failed. ${authHint}`);
+  } else if (status === 404) {
+    return new Error(`Azure OpenAI deployment not found. Verify your endpoint URL and deployment name. Expected format: https://<resource>.openai.azure.com/openai/deployments/<deployment>/chat/completions?api-version=${AZURE_API_VERSION}`);
+  } else if (status === 429) {
+    return new Error('Azure OpenAI rate limit exceeded. Check your quota in Azure Portal.');
+  } else if (status === 400) {
+    const errorMsg = (data && data.error && data.error.message) || 'Bad request';
+    return new Error(`Azure OpenAI bad request: ${errorMsg}`);
+  }
+  return new Error(`Azure OpenAI API request failed with status ${status}: ${JSON.stringify(data)}`);
+}
+
+/**
+ * Map OpenAI-style HTTP errors to actionable messages
+ */
+function mapOpenAIError(label, status, data) {
+  const errorMsg = (data && data.error && (data.error.message || data.error)) || JSON.stringify(data);
+
+  if (status === 401 || status === 403) {
+    return new Error(`${label} authentication failed. Check the llm-api-key input.`);
+  } else if (status === 404) {
+    return new Error(`${label} endpoint or model not found. Verify llm-endpoint and llm-model. (${errorMsg})`);
+  } else if (status === 429) {
+    return new Error(`${label} rate limit exceeded: ${errorMsg}`);
+  } else if (status === 400) {
+    return new Error(`${label} bad request: ${errorMsg}`);
+  }
+  return new Error(`${label} request failed with status ${status}: ${errorMsg}`);
+}
+
+const PROVIDERS = {
+  'azure-openai': {
+    label: 'Azure OpenAI',
+    validate(config) {
+      validateAzureConfig(config);
+      if (!config.azureOpenAIKey) {
+        throw new Error('azure-openai-key is required for the azure-openai provider');
+      }
+    },
+    describe(config) {
+      return [
+        `📍 Endpoint: ${config.azureOpenAIEndpoint.split('?')[0]}`,
+        `🤖 Deployment: ${config.azureOpenAIDeployment}`
+      ];
+    },
+    buildUrl: buildAzureUrl,
+    async buildHeaders(config) {
+      return { 'api-key': config.azureOpenAIKey };
+    },
+    buildBody(request) {
+      return request;
+    },
+    mapError(status, data) {
+      return mapAzureError(status, data, 'Check your API key in Azure Portal.');
+    }
+  },
+
+  'azure-openai-entra': {
+    label: 'Azure OpenAI (Entra ID)',
+    validate(config) {
+      validateAzureConfig(config);
+      if (!config.azureClientId || !config.azureTenantId) {
+        throw new Error('azure-client-id and azure-tenant-id are required for the azure-openai-entra provider');
+      }
+      if (!hasIdTokenSource(config)) {
+        throw new Error('azure-openai-entra needs an OIDC token: run it in a GitHub Actions job with "id-token: write" permission, ' +
+          'pass idTokenProvider to the library API, or use the azure-openai provider with azure-openai-key');
+      }
+    },
+    describe(config) {
+      return [
+        `📍 Endpoint: ${config.azureOpenAIEndpoint.split('?')[0]}`,
+        `🤖 Deployment: ${config.azureOpenAIDeployment}`,
+        `🔐 Entra ID app: ${config.azureClientId}`
+      ];
+    },
+    buildUrl: buildAzureUrl,
+    async buildHeaders(config, httpClient) {
+      const token = await acquireEntraToken(config, httpClient);
+      return { Authorization: `Bearer ${token}` };
+    },
+    buildBody(request) {
+      return request;
+    },
+    mapError(status, data) {
+      return mapAzureError(status, data, 'Ensure the Entra ID app has the "Cognitive Services OpenAI User" role on the resource.');
+    }
+  },
+
+  openai: {
+    label: 'OpenAI',
+    validate(config) {
+      if (!config.llmApiKey) throw new Error('llm-api-key is required for the openai provider');
+      if (!config.llmModel) throw new Error('llm-model is required for the openai provider');
+    },
+    describe(config) {
+      return [
+        `📍 Endpoint: ${config.llmEndpoint || OPENAI_DEFAULT_ENDPOINT}`,
+        `🤖 Model: ${config.llmModel}`
+      ];
+    },
+    buildUrl(config) {
+      return buildOpenAIUrl(config.llmEndpoint || OPENAI_DEFAULT_ENDPOINT);
+    },
+    async buildHeaders(config) {
+      return { Authorization: `Bearer ${config.llmApiKey}` };
+    },
+    buildBody(request, config) {
+      return { model: config.llmModel, ...request };
+    },
+    mapError(status, data) {
+      return mapOpenAIError('OpenAI', status, data);
+    }
+  },
+
+  'openai-compatible': {
+    label: 'OpenAI-compatible server',
+    validate(config) {
+      if (!config.llmEndpoint) {
+        throw new Error('llm-endpoint is required for the openai-compatible provider (e.g. http://localhost:11434/v1)');
+      }
+      if (!config.llmModel) throw new Error('llm-model is required for the openai-compatible provider');
+    },
+    describe(config) {
+      return [
+        `📍 Endpoint: ${config.llmEndpoint}`,
+        `🤖 Model: ${config.llmModel}`
+      ];
+    },
+    buildUrl(config) {
+      return buildOpenAIUrl(config.llmEndpoint);
+    },
+    async buildHeaders(config) {
+      // Local servers (Ollama, vLLM, LM Studio) usually run without auth
+      return config.llmApiKey ? { Authorization: `Bearer ${config.llmApiKey}` } : {};
+    },
+    buildBody(request, config) {
+      return { model: config.llmModel, ...request };
+    },
+    mapError(status, data) {
+      return mapOpenAIError('OpenAI-compatible server', status, data);
+    }
+  }
+};
+
+/**
+ * Resolve a provider by name
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name || 'azure-openai'];
+  if (!provider) {
+    throw new Error(`Invalid llm-provider: ${name}. Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Map network-level failures (no HTTP response) to actionable messages
+ */
+function mapTransportError(provider, error, timeout) {
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new Error(`${provider.label} request timeout. The API took longer than ${timeout / 1000} seconds to respond.`);
+  } else if (error.code === 'ENOTFOUND') {
+    return new Error(`${provider.label} endpoint not found. Check your endpoint URL.`);
+  } else if (error.code === 'ECONNREFUSED') {
+    return new Error(`Connection refused to ${provider.label} endpoint. Check your network and endpoint URL.`);
+  }
+  return null;
+}
+
+/**
+ * Send a chat-completions request through the configured provider.
+ * The HTTP client (axios-compatible `post`) comes from `options.httpClient` or `config.httpClient`, defaulting to axios.
+ * Returns { content, usage }.
+ */
+async function requestChatCompletion(config, messages, options = {}) {
+  const provider = getProvider(config.llmProvider);
+  const httpClient = options.httpClient || config.httpClient || axios;
+  const timeout = options.timeout || 60000;
+
+  const url = provider.buildUrl(config);
+  log.debug(`Full API URL: ${url}`);
+
+  let response;
+  try {
+    response = await httpClient.post(
+      url,
+      provider.buildBody({
+        messages,
+        temperature: options.temperature !== undefined ? options.temperature : 0.3,
+        max_tokens: options.maxTokens || 3000
+      }, config),
+      {
+        headers: {
+          ...(await provider.buildHeaders(config, httpClient)),
+          'Content-Type': 'application/json'
+        },
+        timeout,
+        validateStatus: function (status) {
+          return status >= 200 && status < 600; // Don't throw on any status
+        }
+      }
+    );
+  } catch (error) {
+    if (error.response) {
+      log.error(`${provider.label} API Error: ${error.response.status} ${error.response.statusText}`);
+      log.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
+      const mapped = provider.mapError(error.response.status, error.response.data);
+      mapped.status = error.response.status;
+      throw mapped;
+    }
+    throw mapTransportError(provider, error, timeout) || error;
+  }
+
+  log.debug(`Response status: ${response.status}`);
+  log.debug(`Response data keys: ${Object.keys(response.data || {}).join(', ')}`);
+
+  if (response.status >= 400) {
+    log.error(`${provider.label} API Error: ${response.status} ${response.statusText}`);
+    log.error(`Response data: ${JSON.stringify(response.data, null, 2)}`);
+    const error = provider.mapError(response.status, response.data);
+    error.status = response.status;
+    throw error;
+  }
+
+  // Validate response structure
+  if (!response.data) {
+    log.error(`- status: ${response.status}`);
+    log.error(`- statusText: ${response.statusText}`);
+    throw new Error(`${provider.label} returned empty response data. The API may be returning an unexpected format.`);
+  }
+
+  if (!response.data.choices || !Array.isArray(response.data.choices)) {
+    log.error(`Response keys: ${Object.keys(response.data).join(', ')}`);
+    log.error(`Full response: ${JSON.stringify(response.data, null, 2)}`);
+    throw new Error(`${provider.label} response missing "choices" array. Check your endpoint URL format and API version.`);
+  }
+
+  if (response.data.choices.length === 0) {
+    log.error(`Response data: ${JSON.stringify(response.data, null, 2)}`);
+    throw new Error(`${provider.label} returned empty choices array. The model may have filtered the content or encountered an error.`);
+  }
+
+  if (!response.data.choices[0].message || !response.data.choices[0].message.content) {
+    log.error(`Choice structure: ${JSON.stringify(response.data.choices[0], null, 2)}`);
+    throw new Error(`${provider.label} response missing message content. The response may have been filtered or is incomplete.`);
+  }
+
+  return {
+    content: response.data.choices[0].message.content,
+    usage: response.data.usage || null
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  requestChatCompletion
+};
@@ -0,0 +1,165 @@
+/**
+ * Local git access for running the agent outside GitHub Actions.
+ *
+ * Mirrors the GitHub file listing and content calls with `git` commands run
+ * in a local checkout, returning the same shapes (changed files like the
+ * pulls/compare APIs, blobs like the git trees API).
+ */
+
+const { execFile } = require('child_process');
+
+// Generous enough for large generated files; git output beyond this is an error
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+const STATUSES = {
+  A: 'added',
+  D: 'removed',
+  M: 'modified',
+  R: 'renamed',
+  C: 'copied',
+  T: 'changed'
+};
+
+/**
+ * Run git in `cwd` and resolve with its stdout
+ */
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_OUTPUT_BYTES, encoding: 'utf8' }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * Top-level directory of the repository containing `cwd`
+ */
+async function repositoryRoot(cwd) {
+  return (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+}
+
+/**
+ * Commit SHA of a ref (branch, tag, HEAD~1...)
+ */
+async function resolveRef(ref, cwd) {
+  return (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd).catch(() => {
+    throw new Error(`Unknown git ref: ${ref}`);
+  })).trim();
+}
+
+/**
+ * Best common ancestor of two commits, the base GitHub diffs a pull request against
+ */
+async function mergeBase(base, head, cwd) {
+  return (await git(['merge-base', base, head], cwd)).trim();
+}
+
+/**
+ * Name of the checked-out branch (null when detached)
+ */
+async function currentBranch(cwd) {
+  const name = (await git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd)).trim();
+  return name === 'HEAD' ? null : name;
+}
+
+/**
+ * Files changed between two commits, shaped like the GitHub pulls/compare file lists (without patches)
+ */
+async function listChangedFiles(base, head, cwd) {
+  const statusFields = (await git(['diff', '--name-status', '-z', '-M', base, head], cwd)).split('\0');
+  const countFields = (await git(['diff', '--numstat', '-z', '-M', base, head], cwd)).split('\0');
+
+  // numstat -z: "add\tdel\tpath" or, for renames, "add\tdel\t" followed by old and new paths
+  const counts = new Map();
+  for (let i = 0; i < countFields.length; i++) {
+    if (!countFields[i]) continue;
+    const [additions, deletions, filename] = countFields[i].split('\t');
+    const target = filename || countFields[i += 2];
+    counts.set(target, {
+      additions: additions === '-' ? 0 : parseInt(additions, 10),
+      deletions: deletions === '-' ? 0 : parseInt(deletions, 10)
+    });
+  }
+
+  const files = [];
+  for (let i = 0; i < statusFields.length; i++) {
+    const code = statusFields[i];
+    if (!code) continue;
+    const status = STATUSES[code[0]] || 'modified';
+    const moved = code[0] === 'R' || code[0] === 'C';
+    const previousFilename = moved ? statusFields[++i] : null;
+    const filename = statusFields[++i];
+    const { additions, deletions } = counts.get(filename) || { additions: 0, deletions: 0 };
+
+    files.push({
+      filename,
+      status,
+      ...(previousFilename ? { previous_filename: previousFilename } : {}),
+      additions,
+      deletions,
+      changes: additions + deletions
+    });
+  }
+  return files;
+}
+
+/**
+ * Commits reachable from `head` but not `base`, oldest first, shaped like push event commits
+ */
+async function listCommits(base, head, cwd) {
+  const output = await git(['log', '--reverse', '--format=%H%x1f%an%x1f%s%x1e', `${base}..${head}`], cwd);
+  return output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [id, author, message] = entry.split('\x1f');
+    return { id, message, author: { name: author } };
+  });
+}
+
+/**
+ * Last commit reachable from `ref` that touched a file, shaped { sha, date, author } (null when none did)
+ */
+async function lastCommit(filePath, ref, cwd) {
+  const output = await git(['log', '-1', '--format=%H%x1f%ct%x1f%an', ref, '--', filePath], cwd);
+  if (!output.trim()) return null;
+  const [sha, timestamp, author] = output.trim().split('\x1f');
+  // UTC ISO 8601 like the commits API, so dates compare as strings
+  return { sha, date: new Date(parseInt(timestamp, 10) * 1000).toISOString(), author };
+}
+
+/**
+ * Content of a file at a commit (null when it does not exist there)
+ */
+async function readFileAt(filePath, ref, cwd) {
+  try {
+    return await git(['show', `${ref}:${filePath}`], cwd);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every blob in the tree of a commit, shaped like the git trees API entries
+ */
+async function listFiles(ref, cwd) {
+  const output = await git(['ls-tree', '-r', '-z', '--long', ref], cwd);
+  return output.split('\0').filter(Boolean).map(entry => {
+    const [meta, filePath] = entry.split('\t');
+    const [mode, type, sha, size] = meta.trim().split(/\s+/);
+    return { path: filePath, mode, type, sha, size: size === '-' ? undefined : parseInt(size, 10) };
+  }).filter(item => item.type === 'blob');
+}
+
+module.exports = {
+  repositoryRoot,
+  resolveRef,
+  mergeBase,
+  currentBranch,
+  listChangedFiles,
+  listCommits,
+  lastCommit,
+  readFileAt,
+  listFiles
+};
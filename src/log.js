@@ -0,0 +1,59 @@
+/**
+ * Progress messages, step outputs and secret masking.
+ *
+ * Goes to the GitHub Actions runner (@actions/core) by default. Local runs
+ * switch to a console logger that writes to stderr, so generated documents
+ * can be piped from stdout, and keeps outputs in memory.
+ */
+
+const core = require('@actions/core');
+
+const actionsLogger = {
+  info: message => core.info(message),
+  warning: message => core.warning(message),
+  error: message => core.error(message),
+  debug: message => core.debug(message),
+  setOutput: (name, value) => core.setOutput(name, value),
+  setSecret: value => core.setSecret(value)
+};
+
+let logger = actionsLogger;
+
+/**
+ * Logger for terminals: messages on `stream`, debug lines only when verbose, outputs collected in `outputs`
+ */
+function createConsoleLogger({ verbose = false, stream = process.stderr } = {}) {
+  const outputs = {};
+  return {
+    outputs,
+    info: message => stream.write(`${message}\n`),
+    warning: message => stream.write(`⚠️  ${message}\n`),
+    error: message => stream.write(`❌ ${message}\n`),
+    debug: message => {
+      if (verbose) stream.write(`${message}\n`);
+    },
+    setOutput: (name, value) => {
+      outputs[name] = value;
+    },
+    // Nothing to mask outside the runner's log
+    setSecret: () => {}
+  };
+}
+
+/**
+ * Route messages to another logger (null restores the Actions runner)
+ */
+function setLogger(next) {
+  logger = next || actionsLogger;
+}
+
+module.exports = {
+  info: message => logger.info(message),
+  warning: message => logger.warning(message),
+  error: message => logger.error(message),
+  debug: message => logger.debug(message),
+  setOutput: (name, value) => logger.setOutput(name, value),
+  setSecret: value => (logger.setSecret ? logger.setSecret(value) : undefined),
+  createConsoleLogger,
+  setLogger
+};
@@ -0,0 +1,277 @@
+/**
+ * Logic App workflow definition parser and differ.
+ *
+ * Produces a deterministic change set (triggers, actions, connections,
+ * secure parameters) from the base and head versions of a workflow so the
+ * generated documentation does not depend on the model reading raw JSON.
+ */
+
+const SECURE_PARAMETER_TYPES = ['securestring', 'secureobject'];
+
+/**
+ * Locate the workflow definition inside a Logic App file.
+ * Supports bare definitions, Standard `workflow.json` ({ definition }) and
+ * ARM resources ({ properties: { definition } }).
+ */
+function resolveDefinition(document) {
+  if (!document || typeof document !== 'object') return null;
+  if (document.definition && typeof document.definition === 'object') return document.definition;
+  if (document.properties && document.properties.definition) return document.properties.definition;
+  if (document.triggers || document.actions) return document;
+  return null;
+}
+
+/**
+ * Extract the connection name an action or trigger uses, if any
+ */
+function extractConnectionName(inputs) {
+  if (!inputs || typeof inputs !== 'object') return null;
+
+  const connection = inputs.host && inputs.host.connection;
+  if (connection) {
+    if (connection.referenceName) return connection.referenceName;
+    const match = typeof connection.name === 'string' && connection.name.match(/'\$connections'[)\]]\['([^']+)'\]/);
+    if (match) return match[1];
+  }
+
+  if (inputs.serviceProviderConfiguration && inputs.serviceProviderConfiguration.connectionName) {
+    return inputs.serviceProviderConfiguration.connectionName;
+  }
+
+  return null;
+}
+
+/**
+ * Collect the child action containers of a control action (Scope, If, Foreach, Until, Switch)
+ */
+function childContainers(action) {
+  const containers = [];
+
+  if (action.actions) {
+    containers.push({ branch: action.type === 'If' ? 'true' : null, actions: action.actions });
+  }
+  if (action.else && action.else.actions) {
+    containers.push({ branch: 'false', actions: action.else.actions });
+  }
+  if (action.cases) {
+    Object.entries(action.cases).forEach(([caseName, caseDef]) => {
+      if (caseDef && caseDef.actions) containers.push({ branch: `case ${caseName}`, actions: caseDef.actions });
+    });
+  }
+  if (action.default && action.default.actions) {
+    containers.push({ branch: 'default', actions: action.default.actions });
+  }
+
+  return containers;
+}
+
+/**
+ * Walk actions recursively, flattening nested scopes into a single map
+ */
+function walkActions(actions, parent, result) {
+  Object.entries(actions || {}).forEach(([name, action]) => {
+    if (!action || typeof action !== 'object') return;
+
+    result[name] = {
+      name,
+      type: action.type || 'Unknown',
+      parent,
+      runAfter: Object.entries(action.runAfter || {})
+        .map(([dependency, statuses]) => `${dependency} (${[].concat(statuses || []).join('|')})`)
+        .sort(),
+      connection: extractConnectionName(action.inputs),
+      inputs: JSON.stringify(action.inputs || {})
+    };
+
+    childContainers(action).forEach(container => {
+      const scope = container.branch ? `${name} [${container.branch}]` : name;
+      walkActions(container.actions, scope, result);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Parse a Logic App file into a normalized model.
+ * Returns null when the content is empty or not a workflow definition.
+ */
+function parseLogicAppDefinition(content) {
+  if (!content) return null;
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid Logic App JSON: ${error.message}`);
+  }
+
+  const definition = resolveDefinition(document);
+  if (!definition) return null;
+
+  const triggers = {};
+  Object.entries(definition.triggers || {}).forEach(([name, trigger]) => {
+    triggers[name] = {
+      name,
+      type: trigger.type || 'Unknown',
+      kind: trigger.kind || null,
+      connection: extractConnectionName(trigger.inputs),
+      inputs: JSON.stringify(trigger.inputs || {})
+    };
+  });
+
+  const parameters = {};
+  Object.entries(definition.parameters || {}).forEach(([name, parameter]) => {
+    parameters[name] = { name, type: String((parameter && parameter.type) || 'string').toLowerCase() };
+  });
+
+  return {
+    triggers,
+    actions: walkActions(definition.actions, null, {}),
+    parameters
+  };
+}
+
+/**
+ * Collect the connections referenced by a parsed workflow
+ */
+function collectConnections(model) {
+  const names = new Set();
+  Object.values(model.triggers).concat(Object.values(model.actions)).forEach(item => {
+    if (item.connection) names.add(item.connection);
+  });
+  return Array.from(names).sort();
+}
+
+/**
+ * Diff two parsed workflows (either side may be null for added/removed files)
+ */
+function diffLogicAppDefinitions(base, head) {
+  const empty = { triggers: {}, actions: {}, parameters: {} };
+  const before = base || empty;
+  const after = head || empty;
+
+  const added = (a, b) => Object.keys(b).filter(key => !(key in a)).sort();
+
+  const actionsRewired = [];
+  const actionsModified = [];
+  Object.keys(after.actions).filter(name => name in before.actions).sort().forEach(name => {
+    const oldAction = before.actions[name];
+    const newAction = after.actions[name];
+
+    if (oldAction.parent !== newAction.parent || oldAction.runAfter.join(',') !== newAction.runAfter.join(',')) {
+      actionsRewired.push({
+        name,
+        before: { parent: oldAction.parent, runAfter: oldAction.runAfter },
+        after: { parent: newAction.parent, runAfter: newAction.runAfter }
+      });
+    }
+
+    if (oldAction.type !== newAction.type || oldAction.inputs !== newAction.inputs) {
+      actionsModified.push({ name, type: newAction.type, typeChanged: oldAction.type !== newAction.type, previousType: oldAction.type });
+    }
+  });
+
+  const baseConnections = collectConnections(before);
+  const headConnections = collectConnections(after);
+
+  const isSecure = parameter => parameter && SECURE_PARAMETER_TYPES.includes(parameter.type);
+
+  return {
+    triggersAdded: added(before.triggers, after.triggers).map(name => after.triggers[name]),
+    triggersRemoved: added(after.triggers, before.triggers).map(name => before.triggers[name]),
+    actionsAdded: added(before.actions, after.actions).map(name => after.actions[name]),
+    actionsRemoved: added(after.actions, before.actions).map(name => before.actions[name]),
+    actionsRewired,
+    actionsModified,
+    connections: headConnections,
+    connectionsAdded: headConnections.filter(name => !baseConnections.includes(name)),
+    connectionsRemoved: baseConnections.filter(name => !headConnections.includes(name)),
+    secureParametersAdded: Object.keys(after.parameters)
+      .filter(name => isSecure(after.parameters[name]) && !isSecure(before.parameters[name]))
+      .sort()
+  };
+}
+
+/**
+ * Whether a change set contains anything worth reporting
+ */
+function hasLogicAppChanges(changes) {
+  return ['triggersAdded', 'triggersRemoved', 'actionsAdded', 'actionsRemoved', 'actionsRewired',
+    'actionsModified', 'connectionsAdded', 'connectionsRemoved', 'secureParametersAdded']
+    .some(key => changes[key].length > 0);
+}
+
+/**
+ * Describe where an action sits in the workflow
+ */
+function describePlacement(placement) {
+  const scope = placement.parent ? `in \`${placement.parent}\`` : 'top level';
+  const runAfter = placement.runAfter.length > 0 ? `after ${placement.runAfter.join(', ')}` : 'runs first';
+  return `${scope}, ${runAfter}`;
+}
+
+/**
+ * Flatten a change set into table rows: [change, element, details]
+ */
+function logicAppChangeRows(changes) {
+  const rows = [];
+
+  changes.triggersAdded.forEach(t => rows.push(['Trigger added', t.name, [t.type, t.kind].filter(Boolean).join(' / ')]));
+  changes.triggersRemoved.forEach(t => rows.push(['Trigger removed', t.name, [t.type, t.kind].filter(Boolean).join(' / ')]));
+  changes.actionsAdded.forEach(a => rows.push(['Action added', a.name, `${a.type}, ${describePlacement(a)}`]));
+  changes.actionsRemoved.forEach(a => rows.push(['Action removed', a.name, a.type]));
+  changes.actionsRewired.forEach(a => rows.push(['Action rewired', a.name, `${describePlacement(a.before)} → ${describePlacement(a.after)}`]));
+  changes.actionsModified.forEach(a => rows.push([
+    'Action modified',
+    a.name,
+    a.typeChanged ? `type ${a.previousType} → ${a.type}` : `${a.type} inputs changed`
+  ]));
+  changes.connectionsAdded.forEach(c => rows.push(['Connection added', c, 'Referenced via $connections']));
+  changes.connectionsRemoved.forEach(c => rows.push(['Connection removed', c, 'No longer referenced']));
+  changes.secureParametersAdded.forEach(p => rows.push(['Secure parameter added', p, 'Secure parameter — supply via Key Vault or deployment secrets']));
+
+  return rows;
+}
+
+/**
+ * Format a change set as plain facts for the LLM prompt
+ */
+function formatLogicAppChangesForPrompt(changes) {
+  const rows = logicAppChangeRows(changes);
+  if (rows.length === 0) return '- No structural workflow changes detected';
+
+  let text = rows.map(([change, element, details]) => `- ${change}: ${element} (${details})`).join('\n');
+  if (changes.connections.length > 0) {
+    text += `\n- Connections referenced: ${changes.connections.join(', ')}`;
+  }
+  return text;
+}
+
+/**
+ * Render a change set as a deterministic Markdown table
+ */
+function renderLogicAppChanges(changes) {
+  const rows = logicAppChangeRows(changes);
+  if (rows.length === 0) return '_No structural workflow changes detected._\n';
+
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  let table = '| Change | Element | Details |\n|--------|---------|---------|\n';
+  rows.forEach(row => {
+    table += `| ${row.map(escape).join(' | ')} |\n`;
+  });
+
+  if (changes.connections.length > 0) {
+    table += `\n**Connections referenced:** ${changes.connections.map(c => `\`${c}\``).join(', ')}\n`;
+  }
+
+  return table;
+}
+
+module.exports = {
+  parseLogicAppDefinition,
+  diffLogicAppDefinitions,
+  hasLogicAppChanges,
+  formatLogicAppChangesForPrompt,
+  renderLogicAppChanges
+};
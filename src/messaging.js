@@ -0,0 +1,580 @@
+/**
+ * Service Bus, Event Hubs and Event Grid configuration analyser.
+ *
+ * Reads messaging entity definitions (bare entity configs such as
+ * servicebus-*.json, and ARM templates) into typed entities with Azure's
+ * defaults applied, validates durations and ranges, and explains changes
+ * between base and head in plain words ("dead-lettering on expiration disabled").
+ */
+
+// TimeSpan.MaxValue, which Service Bus uses for "never"
+const TIMESPAN_MAX = 'P10675199DT2H48M5.4775807S';
+const UNLIMITED_SECONDS = 10675199 * 86400;
+
+// Settings shared by Service Bus queues, topics and subscriptions
+const SERVICE_BUS_COMMON = {
+  defaultMessageTimeToLive: {
+    label: 'message time-to-live', type: 'duration', default: TIMESPAN_MAX, min: 'PT1S',
+    lowered: 'unprocessed messages expire sooner'
+  },
+  enableBatchedOperations: { label: 'batched operations', type: 'boolean', default: true },
+  autoDeleteOnIdle: {
+    label: 'auto-delete on idle', type: 'duration', default: TIMESPAN_MAX, min: 'PT5M',
+    lowered: 'the entity is deleted sooner when nothing uses it'
+  },
+  status: { label: 'status', type: 'string', default: 'Active', changed: 'senders and receivers may be rejected unless the status is Active' }
+};
+
+const SERVICE_BUS_DELIVERY = {
+  lockDuration: {
+    label: 'lock duration', type: 'duration', default: 'PT1M', min: 'PT5S', max: 'PT5M',
+    lowered: 'receivers must complete or renew message locks sooner'
+  },
+  maxDeliveryCount: {
+    label: 'max delivery count', type: 'number', default: 10, min: 1, max: 2000,
+    lowered: 'messages are dead-lettered after fewer delivery attempts'
+  },
+  deadLetteringOnMessageExpiration: {
+    label: 'dead-lettering on expiration', type: 'boolean', default: false,
+    on: 'expired messages are moved to the dead-letter queue',
+    off: 'expired messages are discarded instead of dead-lettered'
+  },
+  requiresSession: {
+    label: 'sessions', type: 'boolean', default: false,
+    on: 'receivers must accept sessions and senders must set SessionId',
+    off: 'per-session ordering is no longer guaranteed'
+  },
+  forwardTo: { label: 'auto-forwarding target', type: 'string', default: null, removed: 'messages stay in this entity instead of being forwarded' },
+  forwardDeadLetteredMessagesTo: { label: 'dead-letter forwarding target', type: 'string', default: null }
+};
+
+const SERVICE_BUS_STORAGE = {
+  requiresDuplicateDetection: {
+    label: 'duplicate detection', type: 'boolean', default: false,
+    off: 'resent messages with the same MessageId are delivered again'
+  },
+  duplicateDetectionHistoryTimeWindow: { label: 'duplicate detection window', type: 'duration', default: 'PT10M', min: 'PT20S', max: 'P7D' },
+  enablePartitioning: { label: 'partitioning', type: 'boolean', default: false },
+  enableExpress: { label: 'express mode', type: 'boolean', default: false, on: 'messages may be held in memory and lost if the broker restarts' },
+  maxSizeInMegabytes: { label: 'max size', type: 'number', unit: 'MB', default: 1024, min: 1, lowered: 'senders are throttled sooner when the entity fills up' }
+};
+
+// Known settings per entity kind: label, type, Azure default, valid range and the consequence of a change
+const SETTINGS = {
+  queue: { ...SERVICE_BUS_DELIVERY, ...SERVICE_BUS_STORAGE, ...SERVICE_BUS_COMMON },
+  topic: {
+    ...SERVICE_BUS_STORAGE,
+    supportOrdering: { label: 'ordering support', type: 'boolean', default: false },
+    ...SERVICE_BUS_COMMON
+  },
+  subscription: {
+    ...SERVICE_BUS_DELIVERY,
+    deadLetteringOnFilterEvaluationExceptions: {
+      label: 'dead-lettering on filter exceptions', type: 'boolean', default: true,
+      off: 'messages whose filter evaluation fails are dropped'
+    },
+    ...SERVICE_BUS_COMMON
+  },
+  rule: {
+    filterType: { label: 'filter type', type: 'string', default: 'SqlFilter' },
+    sqlExpression: { label: 'SQL filter', type: 'string', default: null, changed: 'the subscription may receive a different set of messages' },
+    action: { label: 'rule action', type: 'string', default: null, changed: 'message properties are modified differently on delivery' }
+  },
+  'eventhub-namespace': {
+    sku: { label: 'tier', type: 'string', default: 'Standard' },
+    capacity: { label: 'throughput units', type: 'number', default: 1, min: 1, max: 40, lowered: 'ingress and egress are throttled sooner' },
+    isAutoInflateEnabled: { label: 'auto-inflate', type: 'boolean', default: false, off: 'throughput no longer scales up under load' },
+    maximumThroughputUnits: { label: 'auto-inflate maximum', type: 'number', default: 0, min: 0, max: 40 },
+    kafkaEnabled: { label: 'Kafka endpoint', type: 'boolean', default: true, off: 'Kafka clients can no longer connect' },
+    zoneRedundant: { label: 'zone redundancy', type: 'boolean', default: false },
+    disableLocalAuth: { label: 'local (SAS) authentication disabled', type: 'boolean', default: false, on: 'SAS keys and connection strings stop working; clients must use Azure AD' },
+    minimumTlsVersion: { label: 'minimum TLS version', type: 'string', default: '1.2' }
+  },
+  eventhub: {
+    partitionCount: {
+      label: 'partition count', type: 'number', default: 4, min: 1, max: 1024,
+      changed: 'partition-key placement changes for new events, and Basic/Standard hubs cannot reduce partitions'
+    },
+    messageRetentionInDays: { label: 'retention', type: 'number', unit: 'day(s)', default: 1, min: 1, max: 90, lowered: 'consumers have less time to catch up' },
+    status: { label: 'status', type: 'string', default: 'Active' },
+    'capture.enabled': { label: 'Capture', type: 'boolean', default: false, on: 'events are archived to storage', off: 'events are no longer archived to storage' },
+    'capture.intervalInSeconds': { label: 'Capture interval', type: 'number', unit: 's', default: 300, min: 60, max: 900 },
+    'capture.sizeLimitInBytes': { label: 'Capture size window', type: 'number', unit: 'bytes', default: 314572800, min: 10485760, max: 524288000 },
+    'capture.encoding': { label: 'Capture encoding', type: 'string', default: 'Avro' },
+    'capture.skipEmptyArchives': { label: 'skip empty Capture archives', type: 'boolean', default: false },
+    'capture.storageAccount': { label: 'Capture storage account', type: 'string', default: null },
+    'capture.blobContainer': { label: 'Capture container', type: 'string', default: null },
+    'capture.archiveNameFormat': { label: 'Capture archive name format', type: 'string', default: null }
+  },
+  'consumer-group': {
+    userMetadata: { label: 'metadata', type: 'string', default: null }
+  },
+  'event-subscription': {
+    endpointType: { label: 'endpoint type', type: 'string', default: 'WebHook', changed: 'events are delivered to a different kind of handler' },
+    endpoint: { label: 'endpoint', type: 'string', default: null, changed: 'events are delivered to a different handler' },
+    includedEventTypes: { label: 'event type', type: 'list', default: [] },
+    subjectBeginsWith: { label: 'subject prefix filter', type: 'string', default: null },
+    subjectEndsWith: { label: 'subject suffix filter', type: 'string', default: null },
+    isSubjectCaseSensitive: { label: 'case-sensitive subject matching', type: 'boolean', default: false },
+    advancedFilters: { label: 'advanced filter', type: 'list', default: [] },
+    maxDeliveryAttempts: {
+      label: 'max delivery attempts', type: 'number', default: 30, min: 1, max: 30,
+      lowered: 'undeliverable events are given up on sooner'
+    },
+    eventTimeToLiveInMinutes: {
+      label: 'event time-to-live', type: 'number', unit: 'min', default: 1440, min: 1, max: 1440,
+      lowered: 'events that cannot be delivered expire sooner'
+    },
+    deadLetterDestination: { label: 'dead-letter destination', type: 'string', default: null, removed: 'undeliverable events are dropped' },
+    eventDeliverySchema: { label: 'delivery schema', type: 'string', default: 'EventGridSchema', changed: 'handlers receive events in a different envelope' }
+  }
+};
+
+const KIND_LABELS = {
+  queue: 'queue',
+  topic: 'topic',
+  subscription: 'subscription',
+  rule: 'rule',
+  'eventhub-namespace': 'Event Hubs namespace',
+  eventhub: 'event hub',
+  'consumer-group': 'consumer group',
+  'event-subscription': 'Event Grid subscription'
+};
+
+// ARM resource types modelled here
+const ARM_KINDS = [
+  [/^Microsoft\.ServiceBus\/namespaces\/queues$/i, 'queue'],
+  [/^Microsoft\.ServiceBus\/namespaces\/topics$/i, 'topic'],
+  [/^Microsoft\.ServiceBus\/namespaces\/topics\/subscriptions$/i, 'subscription'],
+  [/^Microsoft\.ServiceBus\/namespaces\/topics\/subscriptions\/rules$/i, 'rule'],
+  [/^Microsoft\.EventHub\/namespaces$/i, 'eventhub-namespace'],
+  [/^Microsoft\.EventHub\/namespaces\/eventhubs$/i, 'eventhub'],
+  [/^Microsoft\.EventHub\/namespaces\/eventhubs\/consumergroups$/i, 'consumer-group'],
+  [/eventSubscriptions$/i, 'event-subscription']
+];
+
+/**
+ * Parse an ISO-8601 duration (P1DT2H3M4S, P2W) into seconds; null when not a duration
+ */
+function parseDuration(value) {
+  const match = String(value || '').match(/^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+  if (!match || match[0] === 'P' || match[0].endsWith('T')) return null;
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+/**
+ * Human-readable duration ("5 min", "14 days", "1 h 30 min", "unlimited")
+ */
+function formatDuration(seconds) {
+  if (seconds >= UNLIMITED_SECONDS) return 'unlimited';
+  const parts = [];
+  let rest = Math.round(seconds);
+  [[86400, 'day'], [3600, 'h'], [60, 'min'], [1, 's']].forEach(([size, unit]) => {
+    const count = Math.floor(rest / size);
+    rest -= count * size;
+    if (count > 0) parts.push(unit === 'day' ? `${count} day${count === 1 ? '' : 's'}` : `${count} ${unit}`);
+  });
+  return parts.slice(0, 2).join(' ') || '0 s';
+}
+
+/**
+ * Spec of a setting; settings outside the catalogue (e.g. correlation filter properties) are described generically
+ */
+function settingSpec(kind, key, value) {
+  const known = (SETTINGS[kind] || {})[key];
+  if (known) return known;
+  const type = typeof value === 'boolean' ? 'boolean' : typeof value === 'number' ? 'number' : 'string';
+  return { label: key.replace(/^correlation\.(properties\.)?/, 'correlation filter '), type, default: null };
+}
+
+/**
+ * Comparable numeric value of a duration or number setting
+ */
+function numeric(spec, value) {
+  if (value === null || value === undefined) return null;
+  if (spec.type === 'duration') return parseDuration(value);
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Display a setting value
+ */
+function formatSetting(spec, value) {
+  if (value === null || value === undefined) return '(none)';
+  if (spec.type === 'boolean') return value ? 'enabled' : 'disabled';
+  if (spec.type === 'list') return value.length ? value.join(', ') : '(none)';
+  if (spec.type === 'duration') {
+    const seconds = parseDuration(value);
+    return seconds === null ? String(value) : formatDuration(seconds);
+  }
+  const text = `${value}${spec.unit ? ` ${spec.unit}` : ''}`;
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Last segment of an ARM resource id
+ */
+function resourceName(id) {
+  return typeof id === 'string' ? id.split('/').filter(Boolean).pop() : id;
+}
+
+/**
+ * Copy the catalogued settings present on a definition (its `properties` object or the node itself)
+ */
+function pickSettings(kind, node) {
+  const source = node.properties && typeof node.properties === 'object' ? node.properties : node;
+  const settings = {};
+  Object.entries(SETTINGS[kind]).forEach(([key, spec]) => {
+    if (key.includes('.') || source[key] === undefined || source[key] === null) return;
+    if (spec.type === 'list' || typeof source[key] !== 'object') settings[key] = source[key];
+  });
+  return { source, settings };
+}
+
+/**
+ * Typed settings of one entity definition
+ */
+function readSettings(kind, node) {
+  const { source, settings } = pickSettings(kind, node);
+
+  if (kind === 'rule') {
+    const sql = source.sqlFilter ? source.sqlFilter.sqlExpression : source.sqlExpression;
+    if (sql !== undefined) settings.sqlExpression = sql;
+    const correlation = source.correlationFilter;
+    if (correlation && typeof correlation === 'object') {
+      if (!settings.filterType) settings.filterType = 'CorrelationFilter';
+      Object.entries(correlation).forEach(([key, value]) => {
+        if (key === 'properties' && value && typeof value === 'object') {
+          Object.entries(value).forEach(([property, propertyValue]) => {
+            settings[`correlation.properties.${property}`] = propertyValue;
+          });
+        } else if (value !== null && typeof value !== 'object') {
+          settings[`correlation.${key}`] = value;
+        }
+      });
+    }
+    const action = source.action && typeof source.action === 'object' ? source.action.sqlExpression : source.action;
+    if (typeof action === 'string') settings.action = action;
+    else delete settings.action;
+  }
+
+  if (kind === 'eventhub-namespace' && node.sku) {
+    if (node.sku.name) settings.sku = node.sku.name;
+    if (node.sku.capacity !== undefined) settings.capacity = node.sku.capacity;
+  }
+
+  if (kind === 'eventhub') {
+    const hours = source.retentionDescription && source.retentionDescription.retentionTimeInHours;
+    if (settings.messageRetentionInDays === undefined && hours) settings.messageRetentionInDays = hours / 24;
+    const capture = source.captureDescription || source.capture;
+    if (capture && typeof capture === 'object') {
+      ['enabled', 'intervalInSeconds', 'sizeLimitInBytes', 'encoding', 'skipEmptyArchives'].forEach(key => {
+        if (capture[key] !== undefined) settings[`capture.${key}`] = capture[key];
+      });
+      const destination = (capture.destination && capture.destination.properties) || {};
+      if (destination.storageAccountResourceId) settings['capture.storageAccount'] = resourceName(destination.storageAccountResourceId);
+      if (destination.blobContainer) settings['capture.blobContainer'] = destination.blobContainer;
+      if (destination.archiveNameFormat) settings['capture.archiveNameFormat'] = destination.archiveNameFormat;
+    }
+  }
+
+  if (kind === 'event-subscription') {
+    const destination = source.destination || {};
+    const endpoint = destination.properties || {};
+    if (destination.endpointType) settings.endpointType = destination.endpointType;
+    if (endpoint.endpointUrl || endpoint.resourceId) settings.endpoint = endpoint.endpointUrl || endpoint.resourceId;
+
+    const filter = source.filter || {};
+    ['includedEventTypes', 'subjectBeginsWith', 'subjectEndsWith', 'isSubjectCaseSensitive'].forEach(key => {
+      if (filter[key] !== undefined && filter[key] !== null) settings[key] = filter[key];
+    });
+    if (Array.isArray(filter.advancedFilters)) {
+      settings.advancedFilters = filter.advancedFilters.map(item => {
+        const values = item.values || (item.value !== undefined ? [item.value] : []);
+        return `${item.key} ${item.operatorType}${values.length ? ` ${values.join(',')}` : ''}`;
+      });
+    }
+
+    const retry = source.retryPolicy || {};
+    if (retry.maxDeliveryAttempts !== undefined) settings.maxDeliveryAttempts = retry.maxDeliveryAttempts;
+    if (retry.eventTimeToLiveInMinutes !== undefined) settings.eventTimeToLiveInMinutes = retry.eventTimeToLiveInMinutes;
+
+    const deadLetter = source.deadLetterDestination && source.deadLetterDestination.properties;
+    if (deadLetter) {
+      settings.deadLetterDestination = [resourceName(deadLetter.resourceId), deadLetter.blobContainerName].filter(Boolean).join('/');
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Validate the explicit settings of an entity: ISO-8601 durations and documented ranges.
+ * Returns [{ message, setting, value, fix }] where `fix` is the nearest valid value for range errors.
+ */
+function validateEntity(entity) {
+  const issues = [];
+  const issue = (message, setting, fix = null) => ({ message, setting, value: entity.settings[setting], fix });
+
+  Object.entries(entity.settings).forEach(([key, value]) => {
+    const spec = settingSpec(entity.kind, key, value);
+    if (spec.type !== 'duration' && spec.type !== 'number') return;
+
+    const number = numeric(spec, value);
+    if (number === null) {
+      issues.push(issue(spec.type === 'duration'
+        ? `${spec.label} \`${value}\` is not a valid ISO-8601 duration (e.g. \`PT5M\`)`
+        : `${spec.label} \`${value}\` is not a number`, key));
+      return;
+    }
+
+    const limit = bound => (spec.type === 'duration' ? formatDuration(parseDuration(bound)) : formatSetting(spec, bound));
+    if (spec.min !== undefined && number < numeric(spec, spec.min)) {
+      issues.push(issue(`${spec.label} ${formatSetting(spec, value)} is below the minimum of ${limit(spec.min)}`, key, spec.min));
+    } else if (spec.max !== undefined && number > numeric(spec, spec.max)) {
+      issues.push(issue(`${spec.label} ${formatSetting(spec, value)} is above the maximum of ${limit(spec.max)}`, key, spec.max));
+    }
+  });
+
+  if (entity.kind === 'eventhub-namespace' && entity.settings.isAutoInflateEnabled === true &&
+    Number(entity.settings.maximumThroughputUnits || 0) < Number(entity.settings.capacity || 1)) {
+    issues.push(issue('auto-inflate maximum must be at least the configured throughput units', 'maximumThroughputUnits',
+      entity.settings.maximumThroughputUnits === undefined ? null : Number(entity.settings.capacity || 1)));
+  }
+  return issues;
+}
+
+/**
+ * Clean one segment of an ARM resource name ("[concat(parameters('ns'), '/orders')]" -> ns, orders)
+ */
+function nameSegments(name) {
+  return String(name || '').split('/')
+    .map(segment => segment
+      .replace(/(parameters|variables)\('([^']+)'\)/g, '$2')
+      .replace(/^\[?\s*(concat|format)\(/, '')
+      .replace(/[[\]'(),\s]/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Collect entities from ARM template resources (including nested child resources)
+ */
+function collectArm(resources, parentType, parentSegments, add) {
+  (resources || []).forEach(resource => {
+    if (!resource || typeof resource.type !== 'string') return;
+    const type = parentType && !resource.type.includes('.') ? `${parentType}/${resource.type}` : resource.type;
+    const own = nameSegments(resource.name);
+    const segments = parentType && !resource.type.includes('.') ? parentSegments.concat(own) : own;
+    const match = ARM_KINDS.find(([pattern]) => pattern.test(type));
+
+    if (match) {
+      const kind = match[1];
+      const path = kind === 'eventhub-namespace' ? segments[0]
+        : kind === 'event-subscription' ? segments[segments.length - 1]
+          : segments.slice(1).join('/');
+      add(kind, path || resource.name, resource);
+    }
+    collectArm(resource.resources, type, segments, add);
+  });
+}
+
+/**
+ * Collect entities from a bare entity config (queueName/topicName/eventHubName, subscriptions, consumerGroups...)
+ */
+function collectConfig(document, add) {
+  const list = value => (Array.isArray(value) ? value : []);
+
+  const subscriptions = (items, parent) => list(items).forEach(subscription => {
+    const path = `${parent}/${subscription.subscriptionName || subscription.name}`;
+    add('subscription', path, subscription);
+    list(subscription.rules || subscription.filters).forEach((rule, index) => {
+      add('rule', `${path}/${rule.name || `filter-${index + 1}`}`, rule);
+    });
+  });
+  const entity = (kind, nameKey) => node => {
+    const name = node[nameKey] || node.name;
+    add(kind, name, node);
+    subscriptions(node.subscriptions, name);
+  };
+  const eventHub = node => {
+    const name = node.eventHubName || node.name;
+    add('eventhub', name, node);
+    list(node.consumerGroups).forEach(group => {
+      const groupNode = typeof group === 'string' ? { name: group } : group;
+      add('consumer-group', `${name}/${groupNode.name}`, groupNode);
+    });
+  };
+  const eventSubscription = node => add('event-subscription', node.name || 'subscription', node);
+
+  if (document.queueName) entity('queue', 'queueName')(document);
+  if (document.topicName) entity('topic', 'topicName')(document);
+  if (document.eventHubName) eventHub(document);
+  if (document.destination && (document.filter || document.name)) eventSubscription(document);
+  list(document.queues).forEach(entity('queue', 'queueName'));
+  list(document.topics).forEach(entity('topic', 'topicName'));
+  list(document.eventHubs).forEach(eventHub);
+  list(document.eventSubscriptions).forEach(eventSubscription);
+}
+
+/**
+ * Parse a messaging configuration (bare entity config or ARM template).
+ * Returns null when the content is not JSON or defines no messaging entities.
+ */
+function parseMessagingConfig(content) {
+  if (!content) return null;
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!document || typeof document !== 'object') return null;
+
+  const entities = {};
+  const add = (kind, path, node) => {
+    const entity = { kind, path: String(path), settings: readSettings(kind, node) };
+    entities[`${kind}:${entity.path}`] = entity;
+  };
+
+  if (Array.isArray(document.resources)) collectArm(document.resources, null, [], add);
+  else collectConfig(document, add);
+  if (Object.keys(entities).length === 0) return null;
+
+  const issues = [];
+  Object.values(entities).forEach(entity => {
+    validateEntity(entity).forEach(item => issues.push({ entity: describeEntityName(entity), ...item }));
+  });
+
+  return { entities, issues };
+}
+
+/**
+ * Entity label, e.g. "subscription `orders/audit`"
+ */
+function describeEntityName(entity) {
+  return `${KIND_LABELS[entity.kind]} \`${entity.path}\``;
+}
+
+/**
+ * Describe one setting change using effective values (explicit or Azure default)
+ */
+function describeSettingChange(kind, key, oldValue, newValue) {
+  const spec = settingSpec(kind, key, newValue === undefined ? oldValue : newValue);
+  const effective = value => (value === undefined ? spec.default : value);
+  const before = effective(oldValue);
+  const after = effective(newValue);
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  const show = (value, explicit) => `${formatSetting(spec, value)}${explicit === undefined && value !== null ? ' (default)' : ''}`;
+  const withNote = (text, note) => (note ? `${text}; ${note}` : text);
+
+  if (spec.type === 'list') {
+    const oldList = before || [];
+    const newList = after || [];
+    return newList.filter(item => !oldList.includes(item)).map(item => `${spec.label} \`${item}\` added`)
+      .concat(oldList.filter(item => !newList.includes(item)).map(item => `${spec.label} \`${item}\` removed`));
+  }
+
+  if (spec.type === 'boolean') {
+    return [withNote(`${spec.label} ${after ? 'enabled' : 'disabled'}`, after ? spec.on : spec.off)];
+  }
+
+  if (spec.type === 'duration' || spec.type === 'number') {
+    const a = numeric(spec, before);
+    const b = numeric(spec, after);
+    if (a !== null && b !== null) {
+      const lowered = b < a;
+      const text = `${spec.label} ${lowered ? 'lowered' : 'raised'} from ${show(before, oldValue)} to ${show(after, newValue)}`;
+      return [withNote(text, spec.changed || (lowered ? spec.lowered : spec.raised))];
+    }
+  }
+
+  if (before === null) return [withNote(`${spec.label} set to \`${formatSetting(spec, after)}\``, spec.changed)];
+  if (after === null) return [withNote(`${spec.label} removed (was \`${formatSetting(spec, before)}\`)`, spec.removed || spec.changed)];
+  return [withNote(`${spec.label} changed from \`${show(before, oldValue)}\` to \`${show(after, newValue)}\``, spec.changed)];
+}
+
+/**
+ * Explicit settings of a new entity, described briefly
+ */
+function describeSettings(entity) {
+  return Object.entries(entity.settings).map(([key, value]) => {
+    const spec = settingSpec(entity.kind, key, value);
+    return spec.type === 'boolean' ? `${spec.label} ${value ? 'enabled' : 'disabled'}` : `${spec.label} ${formatSetting(spec, value)}`;
+  });
+}
+
+/**
+ * Diff two parsed messaging configurations (either side may be null for added/removed files)
+ */
+function diffMessagingConfigs(base, head) {
+  const before = (base && base.entities) || {};
+  const after = (head && head.entities) || {};
+  const changes = [];
+
+  Object.entries(after).forEach(([id, entity]) => {
+    if (!before[id]) {
+      changes.push({ entity: describeEntityName(entity), kind: entity.kind, change: 'added', details: describeSettings(entity) });
+      return;
+    }
+    const old = before[id].settings;
+    const details = Array.from(new Set(Object.keys(old).concat(Object.keys(entity.settings))))
+      .flatMap(key => describeSettingChange(entity.kind, key, old[key], entity.settings[key]));
+    if (details.length > 0) changes.push({ entity: describeEntityName(entity), kind: entity.kind, change: 'modified', details });
+  });
+
+  Object.entries(before).forEach(([id, entity]) => {
+    if (!after[id]) changes.push({ entity: describeEntityName(entity), kind: entity.kind, change: 'removed', details: [] });
+  });
+
+  return { changes, issues: (head && head.issues) || [] };
+}
+
+/**
+ * Format messaging changes as plain facts for the LLM prompt
+ */
+function formatMessagingChangesForPrompt(result) {
+  const lines = result.changes.length === 0
+    ? ['- No messaging setting changes detected']
+    : result.changes.map(c => `- ${c.entity} ${c.change}${c.details.length ? `: ${c.details.join('; ')}` : ''}`);
+  result.issues.forEach(issue => lines.push(`- Validation: ${issue.entity}: ${issue.message}`));
+  return lines.join('\n');
+}
+
+/**
+ * Render messaging changes and validation issues as Markdown
+ */
+function renderMessagingChanges(result) {
+  const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  let output;
+
+  if (result.changes.length === 0) {
+    output = '_No messaging setting changes detected._\n';
+  } else {
+    output = '| Entity | Change | Details |\n|--------|--------|---------|\n';
+    result.changes.forEach(c => {
+      output += `| ${escape(c.entity)} | ${c.change} | ${escape(c.details.join('<br>') || '-')} |\n`;
+    });
+  }
+
+  if (result.issues.length > 0) {
+    output += '\n**Validation:**\n\n';
+    result.issues.forEach(issue => {
+      output += `- ⚠️ ${issue.entity}: ${issue.message}\n`;
+    });
+  }
+  return output;
+}
+
+module.exports = {
+  SETTINGS,
+  KIND_LABELS,
+  parseDuration,
+  formatDuration,
+  parseMessagingConfig,
+  diffMessagingConfigs,
+  formatMessagingChangesForPrompt,
+  renderMessagingChanges
+};
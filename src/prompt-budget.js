@@ -0,0 +1,125 @@
+/**
+ * Token budgeting for documentation prompts.
+ *
+ * Large diffs are split into chunks and summarised in a first (map) pass so
+ * the final (reduce) prompt stays within the configured budget instead of
+ * silently truncating files.
+ */
+
+// Rough average for English text and code with GPT tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a string
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a diff into chunks of at most `maxTokens`, preferring hunk (@@) boundaries, then line boundaries
+ */
+function splitIntoChunks(text, maxTokens) {
+  const maxChars = Math.max(1, maxTokens) * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return [text];
+
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  text.split('\n').forEach(line => {
+    // Lines longer than a chunk are hard-split
+    const pieces = [];
+    for (let i = 0; i < line.length || i === 0; i += maxChars) {
+      pieces.push(line.slice(i, i + maxChars));
+    }
+
+    pieces.forEach(piece => {
+      const startsHunk = piece.startsWith('@@');
+      const wouldOverflow = current.length + piece.length + 1 > maxChars;
+      const hunkBreak = startsHunk && current.length > maxChars / 2;
+
+      if (current && (wouldOverflow || hunkBreak)) flush();
+      current += (current ? '\n' : '') + piece;
+    });
+  });
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Summarise the largest diffs until `measure()` fits within `maxPromptTokens`.
+ * `summarize(file, chunk, index, total)` performs the map-phase request for one chunk.
+ * Requests are counted in `budget.requests` ({ used }, shared across a run) up to `budget.maxRequests`;
+ * files whose chunks no longer fit are described by `fallback(file)` instead.
+ * Marks each processed file with `summarised`, `summary` and `chunkCount` (`summaryFallback` for fallbacks).
+ */
+async function summarizeToBudget(fileDiffs, budget, measure, summarize, fallback) {
+  const requests = budget.requests || { used: 0 };
+  const maxRequests = budget.maxRequests || Infinity;
+
+  const candidates = fileDiffs
+    .filter(file => !file.summarised && estimateTokens(file.diff) > 0)
+    .sort((a, b) => b.diff.length - a.diff.length);
+
+  for (const file of candidates) {
+    const overBudget = measure() > budget.maxPromptTokens;
+    const overFileLimit = estimateTokens(file.diff) > budget.maxFileTokens;
+    if (!overBudget && !overFileLimit) continue;
+
+    const chunks = splitIntoChunks(file.diff, budget.maxFileTokens);
+    if (fallback && requests.used + chunks.length > maxRequests) {
+      file.summarised = true;
+      file.summaryFallback = true;
+      file.chunkCount = chunks.length;
+      file.summary = fallback(file);
+      continue;
+    }
+
+    requests.used += chunks.length;
+    const summaries = [];
+    for (let index = 0; index < chunks.length; index++) {
+      summaries.push(await summarize(file, chunks[index], index, chunks.length));
+    }
+
+    file.summarised = true;
+    file.chunkCount = chunks.length;
+    file.summary = chunks.length === 1
+      ? summaries[0]
+      : summaries.map((summary, index) => `Part ${index + 1}/${chunks.length}:\n${summary}`).join('\n\n');
+  }
+
+  return fileDiffs;
+}
+
+/**
+ * Render which files were fully analysed versus summarised
+ */
+function renderCoverageSection(fileDiffs) {
+  const summarised = fileDiffs.filter(file => file.summarised);
+  if (summarised.length === 0) return '';
+
+  let section = '\n\n## Analysis Coverage\n\n';
+  section += '_Diffs larger than the token budget were summarised in chunks before the final document was written._\n\n';
+  section += '| File | Analysis |\n|------|----------|\n';
+  fileDiffs.forEach(file => {
+    let analysis = 'Full diff';
+    if (file.summaryFallback) analysis = 'Listed from file analysis (summary request limit reached)';
+    else if (file.summarised) analysis = `Summarised (${file.chunkCount} chunk${file.chunkCount === 1 ? '' : 's'})`;
+    section += `| \`${file.filename}\` | ${analysis} |\n`;
+  });
+
+  return section;
+}
+
+module.exports = {
+  estimateTokens,
+  splitIntoChunks,
+  summarizeToBudget,
+  renderCoverageSection
+};
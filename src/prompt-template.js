@@ -0,0 +1,160 @@
+/**
+ * Custom prompt templates.
+ *
+ * A template is a Markdown file with optional YAML front matter:
+ *
+ *   ---
+ *   system: |
+ *     You are the architecture board's technical writer for {{serviceTypes}} changes.
+ *   onMissingSections: reprompt   # reprompt | flag
+ *   ---
+ *   # {{title}}
+ *
+ *   ## Business Context
+ *   <!-- Why the change was made -->
+ *
+ *   ## Changed Components
+ *   {{fileList}}
+ *
+ * Every `##` heading in the body is a required section unless the front
+ * matter lists `requiredSections` explicitly.
+ */
+
+const YAML = require('yaml');
+const { readRepositoryFile } = require('./github-files');
+
+const PLACEHOLDERS = ['title', 'number', 'author', 'body', 'branch', 'fileList', 'serviceTypes', 'date'];
+const FRONT_MATTER_KEYS = ['system', 'requiredSections', 'onMissingSections'];
+const MISSING_SECTION_ACTIONS = ['reprompt', 'flag'];
+
+/**
+ * Normalise a heading for comparison (case, numbering, emoji and punctuation insensitive)
+ */
+function normalizeHeading(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/^\s*\d+[.)]\s*/, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * List placeholders used in a string
+ */
+function findPlaceholders(text) {
+  return Array.from((text || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]);
+}
+
+/**
+ * Parse and validate a template file
+ */
+function parsePromptTemplate(content, source) {
+  let frontMatter = {};
+  let body = content;
+
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (match) {
+    try {
+      frontMatter = YAML.parse(match[1]) || {};
+    } catch (error) {
+      throw new Error(`Invalid prompt template ${source}: front matter YAML error: ${error.message}`);
+    }
+    body = content.slice(match[0].length);
+  }
+
+  const errors = [];
+  Object.keys(frontMatter).forEach(key => {
+    if (!FRONT_MATTER_KEYS.includes(key)) {
+      errors.push(`unknown front matter key "${key}" (expected ${FRONT_MATTER_KEYS.join(', ')})`);
+    }
+  });
+  if (frontMatter.system !== undefined && typeof frontMatter.system !== 'string') {
+    errors.push('system: must be a string');
+  }
+  if (frontMatter.requiredSections !== undefined &&
+    (!Array.isArray(frontMatter.requiredSections) || frontMatter.requiredSections.some(s => typeof s !== 'string'))) {
+    errors.push('requiredSections: must be a list of headings');
+  }
+  if (frontMatter.onMissingSections !== undefined && !MISSING_SECTION_ACTIONS.includes(frontMatter.onMissingSections)) {
+    errors.push(`onMissingSections: must be one of ${MISSING_SECTION_ACTIONS.join(', ')}`);
+  }
+  if (!body.trim()) {
+    errors.push('template body is empty');
+  }
+
+  const unknown = findPlaceholders(`${frontMatter.system || ''}\n${body}`).filter(name => !PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    errors.push(`unknown placeholder(s): ${Array.from(new Set(unknown)).map(name => `{{${name}}}`).join(', ')} (available: ${PLACEHOLDERS.join(', ')})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt template ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  const bodyHeadings = Array.from(body.matchAll(/^##\s+(.+?)\s*#*\s*$/gm), m => m[1])
+    .filter(heading => findPlaceholders(heading).length === 0);
+
+  return {
+    source,
+    system: frontMatter.system || null,
+    body: body.trim(),
+    requiredSections: frontMatter.requiredSections || bodyHeadings,
+    onMissingSections: frontMatter.onMissingSections || 'reprompt'
+  };
+}
+
+/**
+ * Load a template from the repository (null when no path is configured)
+ */
+async function loadPromptTemplate(octokit, context, templatePath, ref) {
+  if (!templatePath) return null;
+
+  const content = await readRepositoryFile(octokit, context, templatePath, ref);
+  if (content === null) {
+    throw new Error(`Prompt template not found: ${templatePath}`);
+  }
+
+  return parsePromptTemplate(content, templatePath);
+}
+
+/**
+ * Build placeholder values for a documentation request
+ */
+function buildTemplateValues(fileDiffs, metadata, detectServiceType) {
+  return {
+    title: metadata.title || '',
+    number: metadata.number ? `#${metadata.number}` : '',
+    author: metadata.author ? `@${metadata.author}` : '',
+    body: metadata.body || '',
+    branch: metadata.branch || '',
+    fileList: fileDiffs.map(file => `- \`${file.filename}\` (${file.status})`).join('\n'),
+    serviceTypes: Array.from(new Set(fileDiffs.map(file => detectServiceType(file.filename)))).join(', '),
+    date: new Date().toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Substitute {{placeholders}} in a template string
+ */
+function renderTemplateString(text, values) {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Required sections whose heading does not appear in the generated Markdown
+ */
+function findMissingSections(markdown, requiredSections) {
+  const present = new Set(
+    Array.from((markdown || '').matchAll(/^#{1,6}\s+(.+?)\s*#*\s*$/gm), m => normalizeHeading(m[1]))
+  );
+  return requiredSections.filter(section => !present.has(normalizeHeading(section)));
+}
+
+module.exports = {
+  parsePromptTemplate,
+  loadPromptTemplate,
+  buildTemplateValues,
+  renderTemplateString,
+  findMissingSections
+};
@@ -0,0 +1,276 @@
+/**
+ * Publishing generated documentation, chosen by `commit-strategy`:
+ *
+ *   direct        commit to the pull request head or the pushed branch
+ *   pull-request  commit to a docs branch and open (or update) a pull request
+ *                 into that branch; one branch and PR per target, reused
+ *   none          leave the files in the workspace, e.g. for upload-artifact
+ *
+ * Commits are made through the git data API, so nothing is pushed from the
+ * runner. Fork pull requests cannot be pushed to with the workflow token
+ * and are not committed.
+ */
+
+const fs = require('fs').promises;
+const log = require('./log');
+
+const STRATEGIES = ['direct', 'pull-request', 'none'];
+const DOCS_PR_MARKER = '<!-- azure-integration-doc-agent:docs-pr -->';
+
+/**
+ * Whether a pull request comes from another repository (the workflow token cannot push to it)
+ */
+function isForkPullRequest(pullRequest) {
+  const head = pullRequest.head && pullRequest.head.repo;
+  const base = pullRequest.base && pullRequest.base.repo;
+  if (!head || !base) return Boolean(base);
+  return head.full_name !== base.full_name;
+}
+
+/**
+ * Strategy for a run: the configured one, or none for fork pull requests
+ */
+function resolveStrategy(config, pullRequest = null) {
+  if (config.commitStrategy !== 'none' && pullRequest && isForkPullRequest(pullRequest)) {
+    log.info('🍴 Pull request from a fork: the token cannot push to it, so the documentation is not committed');
+    return 'none';
+  }
+  return config.commitStrategy;
+}
+
+/**
+ * Split a comma-separated reviewer list into users and `org/team` teams
+ */
+function splitReviewers(reviewers) {
+  return {
+    reviewers: reviewers.filter(name => !name.includes('/')),
+    team_reviewers: reviewers.filter(name => name.includes('/')).map(name => name.split('/').pop())
+  };
+}
+
+/**
+ * Commit files on top of `parentSha`. Returns the new commit SHA, or null when the files
+ * already have this content there (the tree did not change).
+ */
+async function createDocsCommit(octokit, context, parentSha, filePaths, commitMessage) {
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  const { data: commitData } = await octokit.rest.git.getCommit({
+    owner,
+    repo,
+    commit_sha: parentSha
+  });
+  const currentTreeSha = commitData.tree.sha;
+
+  const treeItems = await Promise.all(
+    filePaths.map(async (filePath) => {
+      const content = await fs.readFile(filePath, 'utf8');
+      const { data: blobData } = await octokit.rest.git.createBlob({
+        owner,
+        repo,
+        content: Buffer.from(content).toString('base64'),
+        encoding: 'base64'
+      });
+
+      return {
+        path: filePath,
+        mode: '100644',
+        type: 'blob',
+        sha: blobData.sha
+      };
+    })
+  );
+
+  const { data: newTreeData } = await octokit.rest.git.createTree({
+    owner,
+    repo,
+    base_tree: currentTreeSha,
+    tree: treeItems
+  });
+  if (newTreeData.sha === currentTreeSha) return null;
+
+  const { data: newCommitData } = await octokit.rest.git.createCommit({
+    owner,
+    repo,
+    message: commitMessage,
+    tree: newTreeData.sha,
+    parents: [parentSha]
+  });
+  return newCommitData.sha;
+}
+
+/**
+ * Commit the documentation straight to `branch`; returns the new commit SHA
+ */
+async function commitDirect(octokit, context, branch, filePaths, commitMessage) {
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  log.info(`Committing ${filePaths.length} file(s) to branch: ${branch}`);
+
+  const { data: refData } = await octokit.rest.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${branch}`
+  });
+  const commitSha = await createDocsCommit(octokit, context, refData.object.sha, filePaths, commitMessage);
+  if (!commitSha) {
+    log.info(`Documentation on ${branch} is already up to date`);
+    return null;
+  }
+
+  try {
+    await octokit.rest.git.updateRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`,
+      sha: commitSha
+    });
+  } catch (error) {
+    if (/protected branch/i.test(error.message)) {
+      throw new Error(`${error.message} (set commit-strategy: pull-request to publish through a pull request)`);
+    }
+    throw error;
+  }
+
+  log.info(`✅ Commit created: ${commitSha}`);
+  return commitSha;
+}
+
+/**
+ * Render the body of the documentation pull request
+ */
+function renderDocsPullRequestBody(summary, filePaths) {
+  return `${DOCS_PR_MARKER}
+## 📚 Azure Integration Documentation
+
+${summary}
+
+**Files:**
+${filePaths.map(filePath => `- \`${filePath}\``).join('\n')}
+
+---
+*Opened by Azure Integration Doc Agent and updated on every run until it is merged.*`;
+}
+
+/**
+ * Commit the documentation to `docsBranch` and open a pull request into `branch`, or update the open one.
+ * The docs branch starts from `branch` whenever no documentation PR is open. Returns { commitSha, pullRequest }.
+ */
+async function commitViaPullRequest(octokit, context, config, { branch, docsBranch, filePaths, commitMessage, title, summary }) {
+  const owner = context.repo.owner;
+  const repo = context.repo.repo;
+
+  const { data: openPulls } = await octokit.rest.pulls.list({
+    owner,
+    repo,
+    state: 'open',
+    head: `${owner}:${docsBranch}`,
+    base: branch,
+    per_page: 10
+  });
+  const existing = openPulls[0] || null;
+
+  const { data: refData } = await octokit.rest.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${existing ? docsBranch : branch}`
+  });
+
+  log.info(`Committing ${filePaths.length} file(s) to ${docsBranch} for a pull request into ${branch}`);
+  const commitSha = await createDocsCommit(octokit, context, refData.object.sha, filePaths, commitMessage);
+  if (!commitSha) {
+    log.info(`Documentation on ${existing ? docsBranch : branch} is already up to date`);
+    return { commitSha: null, pullRequest: existing };
+  }
+
+  if (existing) {
+    await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${docsBranch}`, sha: commitSha });
+  } else {
+    // A branch left over from a merged or closed documentation PR is reset to the target
+    try {
+      await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${docsBranch}`, sha: commitSha });
+    } catch (error) {
+      if (error.status !== 422) throw error;
+      await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${docsBranch}`, sha: commitSha, force: true });
+    }
+  }
+  log.info(`✅ Commit created on ${docsBranch}: ${commitSha}`);
+
+  const body = renderDocsPullRequestBody(summary, filePaths);
+  if (existing) {
+    await octokit.rest.pulls.update({ owner, repo, pull_number: existing.number, body });
+    log.info(`🔀 Documentation pull request #${existing.number} updated`);
+    return { commitSha, pullRequest: existing };
+  }
+
+  const { data: created } = await octokit.rest.pulls.create({ owner, repo, title, head: docsBranch, base: branch, body });
+  log.info(`🔀 Documentation pull request #${created.number} opened`);
+
+  if (config.docsPrLabels.length > 0) {
+    try {
+      await octokit.rest.issues.addLabels({ owner, repo, issue_number: created.number, labels: config.docsPrLabels });
+    } catch (error) {
+      log.warning(`Could not label documentation pull request #${created.number}: ${error.message}`);
+    }
+  }
+  if (config.docsPrReviewers.length > 0) {
+    try {
+      await octokit.rest.pulls.requestReviewers({ owner, repo, pull_number: created.number, ...splitReviewers(config.docsPrReviewers) });
+    } catch (error) {
+      log.warning(`Could not request reviewers on documentation pull request #${created.number}: ${error.message}`);
+    }
+  }
+  return { commitSha, pullRequest: created };
+}
+
+/**
+ * Publish documentation written to `filePaths` for a change to `branch`.
+ * `pullRequest` is the pull request being documented (null for pushes and audits); `title` and `summary`
+ * describe the documentation PR. Returns { strategy, commitSha, pullRequest } where `commitSha` is the
+ * new commit (null when nothing was committed) and `pullRequest` the documentation PR, if any.
+ */
+async function publishDocumentation(octokit, context, config, { branch, filePaths, commitMessage, pullRequest = null, title, summary }) {
+  const strategy = resolveStrategy(config, pullRequest);
+  let result = { commitSha: null, pullRequest: null };
+
+  try {
+    if (strategy === 'direct') {
+      result.commitSha = await commitDirect(octokit, context, branch, filePaths, commitMessage);
+    } else if (strategy === 'pull-request') {
+      const docsBranch = `${config.docsBranchPrefix}${pullRequest ? `pr-${pullRequest.number}` : branch}`;
+      result = await commitViaPullRequest(octokit, context, config, { branch, docsBranch, filePaths, commitMessage, title, summary });
+    } else {
+      log.info(`📦 Documentation not committed (commit-strategy: none): ${filePaths.join(', ')}`);
+    }
+  } catch (error) {
+    throw new Error(`Failed to commit documentation: ${error.message}`);
+  }
+
+  log.setOutput('commit-strategy', strategy);
+  log.setOutput('docs-commit-sha', result.commitSha || '');
+  log.setOutput('docs-pr-number', result.pullRequest ? String(result.pullRequest.number) : '');
+  log.setOutput('docs-pr-url', result.pullRequest ? result.pullRequest.html_url : '');
+  return { strategy, ...result };
+}
+
+/**
+ * One-line Markdown note on where the documentation went, for PR comments ('' for direct commits)
+ */
+function describePublication(publication) {
+  if (publication.strategy === 'pull-request' && publication.pullRequest) {
+    return `🔀 **Documentation PR:** [#${publication.pullRequest.number}](${publication.pullRequest.html_url})\n`;
+  }
+  if (publication.strategy === 'none') {
+    return '📦 **Not committed:** the documentation is left in the workflow workspace\n';
+  }
+  return '';
+}
+
+module.exports = {
+  STRATEGIES,
+  isForkPullRequest,
+  publishDocumentation,
+  describePublication
+};
@@ -0,0 +1,178 @@
+/**
+ * Secret detection and redaction.
+ *
+ * Diffs and file contents are passed through a redactor before they are
+ * parsed, sent to the LLM or written into documentation. Each distinct secret
+ * gets a stable placeholder such as [REDACTED:shared-access-key:1], so the
+ * same value reads the same everywhere in a run and a rotated key shows up as
+ * a different placeholder.
+ */
+
+// Pattern flags: `d` exposes the index of the `secret` group within each match
+const DETECTORS = [
+  {
+    type: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /(?<secret>\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/dg
+  },
+  {
+    type: 'shared-access-signature',
+    description: 'Shared access signature token',
+    pattern: /SharedAccessSignature[ =]\s*(?<secret>(?:SharedAccessSignature\s+)?sr=[^\s"'<;]+)/dgi
+  },
+  {
+    type: 'shared-access-signature',
+    description: 'SAS token signature',
+    pattern: /[?&]sig=(?<secret>[A-Za-z0-9%+/=]{16,})/dg
+  },
+  {
+    type: 'shared-access-key',
+    description: 'Service Bus / Event Hub connection string key',
+    pattern: /SharedAccessKey=(?<secret>[A-Za-z0-9+/=]{20,})/dg
+  },
+  {
+    type: 'storage-account-key',
+    description: 'Storage account key',
+    pattern: /AccountKey=(?<secret>[A-Za-z0-9+/]{40,}={0,2})/dg
+  },
+  {
+    type: 'apim-subscription-key',
+    description: 'APIM subscription key',
+    pattern: /(?:Ocp-Apim-Subscription-Key|subscription-key)[\s\S]{0,40}?\b(?<secret>[0-9a-f]{32})\b/dgi
+  },
+  {
+    type: 'secret-fallback',
+    description: 'Hard-coded fallback for a secret app setting',
+    pattern: /process\.env\.\w*(?:KEY|SECRET|PASSWORD|TOKEN|CONNECTION)\w*\s*(?:\|\||\?\?)\s*['"`](?<secret>[^'"`\s]{8,})['"`]/dgi
+  },
+  {
+    type: 'credential-setting',
+    description: 'Key-like setting with a literal value',
+    pattern: /\w*(?:ApiKey|AccessKey|ClientSecret|Password|SubscriptionKey|PrimaryKey|SecondaryKey)["']?\s*[:=]\s*["'](?<secret>[A-Za-z0-9+/=_-]{16,})["']/dgi
+  },
+  {
+    type: 'high-entropy-string',
+    description: 'High-entropy string',
+    pattern: /(?<![A-Za-z0-9+/=_-])(?<secret>[A-Za-z0-9+/_-]{32,}={0,2})(?![A-Za-z0-9+/=_-])/dg,
+    accept: value => !/^sha\d+-/.test(value) && /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9]/.test(value) &&
+      !value.includes('//') && shannonEntropy(value) >= 4.5
+  }
+];
+
+// Publicly documented development keys that are not secrets
+const DEFAULT_ALLOWLIST = [
+  // Azurite / storage emulator account key
+  'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw=='
+];
+
+// Values that are clearly placeholders or references, not secrets
+const PLACEHOLDER = /[{}<>$@[\]]|^(x+|\*+|\.{3}|changeme|your[-_]|example|placeholder|redacted)/i;
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Compile allowlist entries: `/regex/flags` entries are patterns, anything else must match exactly
+ */
+function compileAllowlist(entries) {
+  return DEFAULT_ALLOWLIST.concat(entries || []).map(entry => {
+    const regex = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regex) return value => value === entry;
+    try {
+      const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      return value => pattern.test(value);
+    } catch (error) {
+      throw new Error(`Invalid redaction allowlist pattern ${entry}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Find secrets in a text. Returns [{ type, description, value, index }] in text order,
+ * skipping placeholders, allowlisted values and overlapping matches.
+ * `types` limits detection to some detector types.
+ */
+function detectSecrets(text, { allowlist = [], types = null } = {}) {
+  if (!text) return [];
+  const allowed = compileAllowlist(allowlist);
+
+  const found = [];
+  const overlaps = (start, end) => found.some(item => start < item.index + item.value.length && item.index < end);
+
+  DETECTORS.filter(detector => !types || types.includes(detector.type)).forEach(detector => {
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = match.groups.secret;
+      const index = match.indices.groups.secret[0];
+      if (PLACEHOLDER.test(value) || (detector.accept && !detector.accept(value))) continue;
+      if (allowed.some(isAllowed => isAllowed(value)) || overlaps(index, index + value.length)) continue;
+      found.push({ type: detector.type, description: detector.description, value, index });
+    }
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Create a redactor with run-wide placeholder numbering.
+ * `redact(text)` returns the text with secrets replaced; `stats()` reports what was redacted.
+ */
+function createRedactor({ allowlist = [] } = {}) {
+  compileAllowlist(allowlist); // fail fast on invalid patterns
+  const placeholders = new Map();
+  const counters = {};
+  let occurrences = 0;
+
+  const placeholderFor = (type, value) => {
+    if (!placeholders.has(value)) {
+      counters[type] = (counters[type] || 0) + 1;
+      placeholders.set(value, { type, text: `[REDACTED:${type}:${counters[type]}]` });
+    }
+    return placeholders.get(value).text;
+  };
+
+  return {
+    redact(text) {
+      if (!text) return text;
+      let result = '';
+      let position = 0;
+      detectSecrets(text, { allowlist }).forEach(secret => {
+        result += text.slice(position, secret.index) + placeholderFor(secret.type, secret.value);
+        position = secret.index + secret.value.length;
+        occurrences++;
+      });
+      return result + text.slice(position);
+    },
+
+    stats() {
+      const byType = {};
+      placeholders.forEach(({ type }) => {
+        byType[type] = (byType[type] || 0) + 1;
+      });
+      return { secrets: placeholders.size, occurrences, byType };
+    }
+  };
+}
+
+/**
+ * One-line description of redaction stats, e.g. "3 secret(s) (2 shared-access-key, 1 jwt)"
+ */
+function describeRedactions(stats) {
+  const types = Object.entries(stats.byType).map(([type, count]) => `${count} ${type}`).join(', ');
+  return `${stats.secrets} secret(s)${types ? ` (${types})` : ''}`;
+}
+
+module.exports = {
+  DETECTORS,
+  detectSecrets,
+  createRedactor,
+  describeRedactions
+};
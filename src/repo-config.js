@@ -0,0 +1,215 @@
+/**
+ * Repository-level configuration (.github/azure-doc-agent.yml).
+ *
+ * Loads and validates the config file and resolves per-path rules on top of
+ * the action inputs.
+ *
+ * Example:
+ *
+ *   defaults:
+ *     docsFolder: docs/azure
+ *   rules:
+ *     - name: orders
+ *       paths: ['integrations/orders/**']
+ *       docsFolder: docs/orders
+ *       owners: ['@contoso/orders-team']
+ *     - paths: ['policies/**']
+ *       includeSecurityNotes: true
+ *       includeCostImpact: false
+ */
+
+const YAML = require('yaml');
+const { minimatch } = require('minimatch');
+const { readRepositoryFile } = require('./github-files');
+
+const MODES = ['pr', 'centralized', 'both', 'integration'];
+
+// Settings a rule may override, with their validators
+const RULE_SETTINGS = {
+  docsFolder: 'string',
+  integrationsFolder: 'string',
+  mode: 'mode',
+  includeSecurityNotes: 'boolean',
+  includeCostImpact: 'boolean',
+  includeArchitectureDiagram: 'boolean',
+  owners: 'string[]',
+  promptAdditions: 'string',
+  promptTemplate: 'string'
+};
+
+// Settings only allowed under `defaults`
+const DEFAULT_ONLY_SETTINGS = {
+  centralDocFile: 'string',
+  filePatterns: 'string[]',
+  redactionAllowlist: 'string[]',
+  priceTable: 'string'
+};
+
+/**
+ * Validate one value against a simple type descriptor; returns an error message or null
+ */
+function checkType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'mode':
+      return MODES.includes(value) ? null : `must be one of ${MODES.join(', ')}`;
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())
+        ? null
+        : 'must be a list of strings';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a settings block against the allowed keys
+ */
+function validateSettings(block, allowed, location, errors) {
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    errors.push(`${location}: must be a mapping`);
+    return;
+  }
+
+  Object.entries(block).forEach(([key, value]) => {
+    if (!(key in allowed)) {
+      const suggestion = Object.keys(allowed).find(name => name.toLowerCase() === key.toLowerCase().replace(/[-_]/g, ''));
+      errors.push(`${location}.${key}: unknown setting${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      return;
+    }
+    const problem = checkType(value, allowed[key]);
+    if (problem) errors.push(`${location}.${key}: ${problem}`);
+  });
+}
+
+/**
+ * Validate and normalise a parsed config document.
+ * Throws a single error listing every problem found.
+ */
+function validateRepoConfig(raw, source) {
+  const errors = [];
+  const document = raw || {};
+
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`Invalid ${source}: top level must be a mapping with "defaults" and/or "rules"`);
+  }
+
+  Object.keys(document).forEach(key => {
+    if (!['version', 'defaults', 'rules'].includes(key)) {
+      errors.push(`${key}: unknown top-level key (expected version, defaults, rules)`);
+    }
+  });
+
+  if (document.version !== undefined && document.version !== 1) {
+    errors.push('version: only version 1 is supported');
+  }
+
+  if (document.defaults !== undefined) {
+    validateSettings(document.defaults, { ...RULE_SETTINGS, ...DEFAULT_ONLY_SETTINGS }, 'defaults', errors);
+  }
+
+  const rules = document.rules === undefined ? [] : document.rules;
+  if (!Array.isArray(rules)) {
+    errors.push('rules: must be a list');
+  } else {
+    rules.forEach((rule, index) => {
+      const location = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${location}: must be a mapping`);
+        return;
+      }
+
+      const { paths, name, ...settings } = rule;
+      const pathList = typeof paths === 'string' ? [paths] : paths;
+      if (!Array.isArray(pathList) || pathList.length === 0 || pathList.some(p => typeof p !== 'string' || !p.trim())) {
+        errors.push(`${location}.paths: required; must be a glob or a list of globs`);
+      }
+      if (name !== undefined && (typeof name !== 'string' || !/^[\w-]+$/.test(name))) {
+        errors.push(`${location}.name: must contain only letters, digits, "-" or "_"`);
+      }
+      validateSettings(settings, RULE_SETTINGS, location, errors);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return {
+    defaults: document.defaults || {},
+    rules: (Array.isArray(rules) ? rules : []).map((rule, index) => {
+      const { paths, name, ...settings } = rule;
+      return {
+        name: name || `rule-${index + 1}`,
+        paths: typeof paths === 'string' ? [paths] : paths,
+        settings
+      };
+    })
+  };
+}
+
+/**
+ * Load the config file from the workspace, or from the repository at `ref` via the API.
+ * Returns null when no config file exists.
+ */
+async function loadRepoConfig(octokit, context, configPath, ref) {
+  const content = await readRepositoryFile(octokit, context, configPath, ref);
+  if (content === null) return null;
+
+  let raw;
+  try {
+    raw = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid ${configPath}: YAML parse error: ${error.message}`);
+  }
+
+  return validateRepoConfig(raw, configPath);
+}
+
+/**
+ * Merge the config file defaults on top of the action inputs
+ */
+function applyRepoDefaults(config, repoConfig) {
+  if (!repoConfig) return config;
+  return { ...config, ...repoConfig.defaults };
+}
+
+/**
+ * Group changed files by the effective settings of the rules matching them.
+ * Later matching rules override earlier ones. Returns [{ name, config, files }].
+ */
+function groupFilesByRules(fileDiffs, repoConfig, config) {
+  const groups = new Map();
+
+  fileDiffs.forEach(file => {
+    const matched = repoConfig
+      ? repoConfig.rules.filter(rule => rule.paths.some(pattern => minimatch(file.filename, pattern, { dot: true })))
+      : [];
+
+    const key = matched.map(rule => rule.name).join('+');
+    if (!groups.has(key)) {
+      const effective = matched.reduce((acc, rule) => ({ ...acc, ...rule.settings }), { ...config });
+      groups.set(key, { name: key || null, config: effective, files: [] });
+    }
+    groups.get(key).files.push(file);
+  });
+
+  // Groups writing into the same folder get a name suffix so their per-PR files don't collide
+  const list = Array.from(groups.values());
+  list.forEach(group => {
+    const sharesFolder = list.some(other => other !== group && other.config.docsFolder === group.config.docsFolder);
+    group.config.docSuffix = sharesFolder && group.name ? `-${group.name.replace(/\+/g, '-')}` : '';
+  });
+
+  return list;
+}
+
+module.exports = {
+  loadRepoConfig,
+  validateRepoConfig,
+  applyRepoDefaults,
+  groupFilesByRules
+};
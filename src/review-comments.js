@@ -0,0 +1,375 @@
+/**
+ * Inline pull request review comments for the analysis results.
+ *
+ * Security findings, breaking and risky contract changes, messaging
+ * validation errors and undeclared Function app settings are anchored to the
+ * lines the pull request changes and posted as a single review, with a
+ * suggested change where the fix is mechanical. Each comment carries a hidden
+ * key, so re-runs update comments whose text changed, leave the others alone
+ * and resolve the threads of findings that are gone. The same findings are
+ * the Check Run annotations.
+ */
+
+const crypto = require('crypto');
+const log = require('./log');
+const githubFiles = require('./github-files');
+const { RULES } = require('./security-lint');
+const { SEVERITY_LABELS, elementName } = require('./breaking-changes');
+
+const MARKER = 'azure-integration-doc-agent:review';
+const MARKER_PATTERN = new RegExp(`<!-- ${MARKER}:([0-9a-f]+) -->`);
+const RESOLVED_LABEL = '✅ **Resolved:**';
+
+// Analysers whose validation issues are reviewed
+const MESSAGING_KINDS = ['servicebus', 'eventhub', 'eventgrid'];
+
+// Lines below an element or finding searched for the changed line a comment belongs on
+const BLOCK_LINES = 20;
+
+const LEVEL_ICONS = { failure: '🔴', warning: '🟠' };
+
+/**
+ * Line numbers a pull request changes, from a unified diff: { RIGHT: added lines, LEFT: removed lines }
+ */
+function changedLines(patch) {
+  const sides = { RIGHT: new Set(), LEFT: new Set() };
+  let oldLine = null;
+  let newLine = null;
+
+  String(patch || '').split('\n').forEach(text => {
+    const hunk = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+    } else if (newLine === null || text.startsWith('\\')) {
+      return;
+    } else if (text.startsWith('+')) {
+      sides.RIGHT.add(newLine++);
+    } else if (text.startsWith('-')) {
+      sides.LEFT.add(oldLine++);
+    } else {
+      oldLine++;
+      newLine++;
+    }
+  });
+  return sides;
+}
+
+/**
+ * Search strings for a named element ("queue `orders`", "inbound > validate-jwt", "GET /orders"),
+ * quoted forms first so an exact JSON key or Bicep string wins over a longer name containing it
+ */
+function needlesFor(element) {
+  const name = elementName(element);
+  const names = [name, name.split('/').pop()].filter(Boolean);
+  return Array.from(new Set(names.flatMap(item => [`"${item}"`, `'${item}'`, item])));
+}
+
+/**
+ * Index of the first line at or after `from` containing one of `needles`, trying the needles in order
+ */
+function indexOfAny(lines, needles, from = 0) {
+  for (const needle of needles) {
+    const index = lines.findIndex((text, i) => i >= from && text.includes(needle));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Find the changed line a comment belongs on. `anchors` locate the element in the file (its start when
+ * empty), `details` the line within it; otherwise the first changed line of the element's block is used.
+ * Returns { side, line, text } or null when the element has no changed line.
+ */
+function locate(file, changed, sides, anchors, details = []) {
+  for (const side of sides) {
+    const content = side === 'RIGHT' ? file.versions.head : file.versions.base;
+    if (content === null || content === undefined) continue;
+
+    const lines = content.split('\n');
+    const start = anchors.length > 0 ? indexOfAny(lines, anchors) : 0;
+    if (start === -1) continue;
+
+    const detail = details.length > 0 ? indexOfAny(lines, details, start) : -1;
+    if (detail !== -1 && changed[side].has(detail + 1)) {
+      return { side, line: detail + 1, text: lines[detail] };
+    }
+    if (anchors.length === 0) continue;
+
+    for (let index = start; index < Math.min(lines.length, start + BLOCK_LINES); index++) {
+      if (changed[side].has(index + 1)) return { side, line: index + 1, text: lines[index] };
+    }
+  }
+  return null;
+}
+
+/**
+ * One finding in a changed file. `target` is the changed line a review comment goes on (null when the
+ * finding is not on a changed line) and `line` the head line an annotation goes on (null when unknown).
+ * The key identifies the finding across runs, independent of its line.
+ */
+function finding(file, id, { target, line = null, level, title, message, suggestion = null }) {
+  return {
+    key: crypto.createHash('sha256').update(`${file.filename}\n${id}`).digest('hex').slice(0, 16),
+    path: file.filename,
+    target,
+    line: line || (target && target.side === 'RIGHT' ? target.line : null),
+    level,
+    title,
+    message,
+    // Never suggest a line that contains a redaction placeholder instead of the real value
+    suggestion: suggestion !== null && !suggestion.includes('[REDACTED:') ? suggestion : null
+  };
+}
+
+/**
+ * Mechanical fix for a Service Bus rule granting Manage: drop it from a one-line rights list or turn off
+ * `manage` in Terraform. Searches the changed lines below the finding; returns { target, text } or null.
+ */
+function suggestRightsFix(file, changed, item) {
+  const lines = file.versions.head.split('\n');
+  for (let index = item.line - 1; index < Math.min(lines.length, item.line - 1 + BLOCK_LINES); index++) {
+    const text = lines[index];
+    if (!changed.RIGHT.has(index + 1)) continue;
+
+    let fixed = null;
+    if (/\bmanage\s*=\s*true\b/.test(text)) {
+      fixed = text.replace(/\bmanage(\s*=\s*)true\b/, 'manage$1false');
+    } else if (/\brights\b/i.test(text)) {
+      fixed = text.replace(/\s*,\s*(['"])Manage\1|(['"])Manage\2\s*,\s*/, '');
+    }
+    if (fixed !== null && fixed !== text) return { target: { side: 'RIGHT', line: index + 1 }, text: fixed };
+  }
+  return null;
+}
+
+/**
+ * Security lint findings in the file
+ */
+function securityFindings(file, changed, findings) {
+  if (!file.versions.head) return [];
+  const lines = file.versions.head.split('\n');
+
+  return findings.filter(item => item.path === file.filename).map(item => {
+    const rule = RULES[item.ruleId];
+    const fix = item.ruleId === 'AZINT004' ? suggestRightsFix(file, changed, item) : null;
+    const target = fix ? fix.target : changed.RIGHT.has(item.line) ? { side: 'RIGHT', line: item.line } : null;
+    return finding(file, `security:${item.ruleId}:${item.message}:${(lines[item.line - 1] || '').trim()}`, {
+      target,
+      line: item.line,
+      level: rule.level === 'error' ? 'failure' : 'warning',
+      title: `${item.ruleId} ${rule.name}`,
+      message: `${item.message}\n\n${rule.help}`,
+      suggestion: fix ? fix.text : null
+    });
+  });
+}
+
+/**
+ * Breaking and risky contract changes, one finding per element
+ */
+function impactFindings(file, changed) {
+  const elements = new Map();
+  (file.impact || []).filter(item => item.severity !== 'safe').forEach(item => {
+    if (!elements.has(item.element)) elements.set(item.element, []);
+    elements.get(item.element).push(item);
+  });
+
+  return Array.from(elements).map(([element, items]) => {
+    // Removals are anchored in the base version, on the deleted lines
+    const removed = items.every(item => /removed/i.test(item.message));
+    const sides = removed ? ['LEFT', 'RIGHT'] : ['RIGHT', 'LEFT'];
+    const details = items.flatMap(item => Array.from(item.message.matchAll(/`([^`]+)`/g), match => match[1]))
+      .flatMap(value => [`"${value}"`, value]);
+
+    return finding(file, `impact:${element}`, {
+      target: locate(file, changed, sides, needlesFor(element), details),
+      level: items.some(item => item.severity === 'breaking') ? 'failure' : 'warning',
+      title: element.replace(/`/g, ''),
+      message: items.map(item => `- ${SEVERITY_LABELS[item.severity]}: ${item.message}`).join('\n')
+    });
+  });
+}
+
+/**
+ * Messaging settings outside their documented range or format; range errors suggest the nearest valid value
+ */
+function messagingFindings(file, changed) {
+  if (!file.analysis || !MESSAGING_KINDS.includes(file.analysis.kind)) return [];
+
+  return (file.analysis.changes.issues || []).filter(issue => issue.setting).map(issue => {
+    const target = locate(file, changed, ['RIGHT'], needlesFor(issue.entity), [`"${issue.setting}"`]);
+
+    let suggestion = null;
+    if (target && issue.fix !== null && issue.fix !== undefined && issue.value !== undefined) {
+      const value = JSON.stringify(issue.value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`("${issue.setting}"\\s*:\\s*)${value}`);
+      if (pattern.test(target.text)) suggestion = target.text.replace(pattern, `$1${JSON.stringify(issue.fix)}`);
+    }
+
+    return finding(file, `messaging:${issue.entity}:${issue.setting}`, {
+      target,
+      level: 'warning',
+      title: `Invalid setting on ${issue.entity.replace(/`/g, '')}`,
+      message: issue.message,
+      suggestion
+    });
+  });
+}
+
+/**
+ * New Function app settings that no Bicep/Terraform app settings declare
+ */
+function settingFindings(file, changed) {
+  if (!file.analysis || file.analysis.kind !== 'function' || !file.analysis.changes.settingsChecked) return [];
+
+  return file.analysis.changes.settings
+    .filter(setting => setting.added && setting.declaredIn.length === 0)
+    .map(setting => finding(file, `setting:${setting.name}`, {
+      target: locate(file, changed, ['RIGHT'], [], [`'${setting.name}'`, `"${setting.name}"`, setting.name]),
+      level: 'warning',
+      title: `App setting ${setting.name}`,
+      message: `Used by ${setting.usages.join(', ')} but not declared in the Bicep/Terraform app settings; make sure it is configured in every environment.`
+    }));
+}
+
+/**
+ * Findings in the analysed files: [{ key, path, target, line, level, title, message, suggestion }].
+ * Files GitHub shows without a patch get no targets, since review comments cannot be placed on them.
+ */
+function collectFindings(fileDiffs, config) {
+  const seen = new Set();
+  return fileDiffs
+    .filter(file => file.versions)
+    .flatMap(file => {
+      const changed = file.patchMissing ? { RIGHT: new Set(), LEFT: new Set() } : changedLines(file.diff);
+      return securityFindings(file, changed, config.securityFindings || [])
+        .concat(impactFindings(file, changed), messagingFindings(file, changed), settingFindings(file, changed));
+    })
+    .filter(item => !seen.has(item.key) && seen.add(item.key));
+}
+
+/**
+ * Review comments for the findings on changed lines: [{ key, path, line, side, body }] sorted by file and line
+ */
+function buildReviewComments(fileDiffs, config) {
+  return collectFindings(fileDiffs, config)
+    .filter(item => item.target)
+    .map(item => {
+      let body = `<!-- ${MARKER}:${item.key} -->\n${LEVEL_ICONS[item.level]} **${item.title}**\n\n${item.message}`;
+      if (item.suggestion !== null) body += `\n\n\`\`\`suggestion\n${item.suggestion}\n\`\`\``;
+      return { key: item.key, path: item.path, line: item.target.line, side: item.target.side, body };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line);
+}
+
+/**
+ * Resolve review threads through GraphQL (the REST API cannot); comment ids map to their thread
+ */
+async function resolveThreads(octokit, context, prNumber, commentIds) {
+  const threads = new Map();
+  let cursor = null;
+  do {
+    const result = await octokit.graphql(`
+      query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+            reviewThreads(first: 100, after: $cursor) {
+              nodes { id isResolved comments(first: 1) { nodes { databaseId } } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      }`, { owner: context.repo.owner, repo: context.repo.repo, number: prNumber, cursor });
+    const page = result.repository.pullRequest.reviewThreads;
+    page.nodes.forEach(thread => {
+      const first = thread.comments.nodes[0];
+      if (first && !thread.isResolved) threads.set(first.databaseId, thread.id);
+    });
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor);
+
+  for (const id of commentIds.filter(commentId => threads.has(commentId))) {
+    await octokit.graphql(`
+      mutation($threadId: ID!) {
+        resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+      }`, { threadId: threads.get(id) });
+  }
+}
+
+/**
+ * Publish review comments on a pull request: unchanged comments are kept, changed ones updated in place,
+ * new ones posted as one review, and the agent's comments no longer reported are marked and resolved.
+ * Returns { created, updated, resolved }.
+ */
+async function publishReview(octokit, context, pullRequest, comments) {
+  const existing = (await githubFiles.listAllReviewComments(octokit, context, pullRequest.number))
+    .filter(comment => comment.body && MARKER_PATTERN.test(comment.body) && !comment.in_reply_to_id);
+  const open = new Map(existing
+    .filter(comment => !comment.body.includes(RESOLVED_LABEL))
+    .map(comment => [comment.body.match(MARKER_PATTERN)[1], comment]));
+
+  const kept = new Set();
+  const created = [];
+  let updated = 0;
+  for (const item of comments) {
+    const previous = open.get(item.key);
+    if (previous && previous.path === item.path && previous.line === item.line && (previous.side || 'RIGHT') === item.side) {
+      kept.add(previous.id);
+      if (previous.body !== item.body) {
+        await octokit.rest.pulls.updateReviewComment({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          comment_id: previous.id,
+          body: item.body
+        });
+        updated++;
+      }
+    } else {
+      created.push(item);
+    }
+  }
+
+  if (created.length > 0) {
+    await octokit.rest.pulls.createReview({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      pull_number: pullRequest.number,
+      commit_id: pullRequest.head.sha,
+      event: 'COMMENT',
+      body: `🔍 **Azure Integration Doc Agent** found ${created.length} new item(s) on the changed lines.`,
+      comments: created.map(({ path, line, side, body }) => ({ path, line, side, body }))
+    });
+  }
+
+  // Comments whose finding is gone, or moved to a new line (outdated), are marked and resolved
+  const current = new Set(comments.map(item => item.key));
+  const stale = Array.from(open.values()).filter(comment => !kept.has(comment.id));
+  for (const comment of stale) {
+    const key = comment.body.match(MARKER_PATTERN)[1];
+    const reason = current.has(key) ? 'superseded by a comment on the latest changes' : `no longer reported at ${pullRequest.head.sha.substring(0, 7)}`;
+    const original = comment.body.replace(MARKER_PATTERN, '').replace(/\n*```suggestion\n[\s\S]*?\n```/g, '').trim();
+    await octokit.rest.pulls.updateReviewComment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      comment_id: comment.id,
+      body: `<!-- ${MARKER}:${key} -->\n${RESOLVED_LABEL} ${reason}.\n\n<details>\n<summary>Original comment</summary>\n\n${original}\n\n</details>`
+    });
+  }
+  if (stale.length > 0) {
+    try {
+      await resolveThreads(octokit, context, pullRequest.number, stale.map(comment => comment.id));
+    } catch (error) {
+      log.warning(`Could not resolve outdated review threads: ${error.message}`);
+    }
+  }
+
+  return { created: created.length, updated, resolved: stale.length };
+}
+
+module.exports = {
+  changedLines,
+  collectFindings,
+  buildReviewComments,
+  publishReview
+};
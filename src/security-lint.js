@@ -0,0 +1,304 @@
+/**
+ * Static security checks for Azure integration files, with SARIF export.
+ *
+ * Rules run over file contents (no deployment access needed) and report a
+ * file and line per finding so GitHub code scanning can show them inline.
+ */
+
+const crypto = require('crypto');
+const { parseApimPolicy } = require('./apim');
+const { DETECTORS, detectSecrets } = require('./redaction');
+
+const RULES = {
+  AZINT001: {
+    name: 'HardcodedSecret',
+    level: 'error',
+    securitySeverity: '8.5',
+    description: 'Hard-coded key, SAS token or connection string',
+    help: 'Remove the value from source control, rotate it, and read it from Key Vault or an app setting (Key Vault reference) instead.'
+  },
+  AZINT002: {
+    name: 'ApimCorsWildcardWithCredentials',
+    level: 'error',
+    securitySeverity: '7.5',
+    description: 'APIM CORS allows credentials together with wildcard headers or origins',
+    help: 'List the allowed origins and headers explicitly when `allow-credentials="true"`; wildcards let any site make credentialed requests.'
+  },
+  AZINT003: {
+    name: 'LogicAppHttpTriggerWithoutAuth',
+    level: 'warning',
+    securitySeverity: '5.0',
+    description: 'Logic App HTTP trigger relies only on the SAS URL',
+    help: 'Add an Azure AD authorization policy (`accessControl.triggers.openAuthenticationPolicies`) or restrict callers with `allowedCallerIpAddresses`, or front the workflow with APIM.'
+  },
+  AZINT004: {
+    name: 'ServiceBusBroadManageRights',
+    level: 'warning',
+    securitySeverity: '6.0',
+    description: 'Service Bus authorization rule grants Manage rights',
+    help: 'Grant only Send or Listen to applications; Manage allows creating and deleting entities and changing rules. Prefer managed identities with Azure RBAC.'
+  }
+};
+
+// Secret detectors reported as findings; generic high-entropy matches are left to redaction to avoid noisy alerts
+const SECRET_TYPES = DETECTORS.map(detector => detector.type).filter(type => type !== 'high-entropy-string');
+
+/**
+ * 1-based line number of a character offset
+ */
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Line of the first occurrence of `needle` (1 when not found)
+ */
+function lineOf(content, needle) {
+  const index = content.indexOf(needle);
+  return index === -1 ? 1 : lineAt(content, index);
+}
+
+/**
+ * Literal keys, SAS signatures, JWTs and connection strings
+ */
+function checkSecrets(filePath, content, allowlist) {
+  const seen = new Set();
+
+  return detectSecrets(content, { allowlist, types: SECRET_TYPES })
+    .map(secret => ({ ...secret, line: lineAt(content, secret.index) }))
+    .filter(secret => !seen.has(secret.line) && seen.add(secret.line))
+    .map(secret => ({
+      ruleId: 'AZINT001',
+      path: filePath,
+      line: secret.line,
+      message: `Possible ${secret.description.toLowerCase()} committed in source`
+    }));
+}
+
+/**
+ * APIM cors with allow-credentials="true" and a wildcard header or origin
+ */
+function checkApimCors(filePath, content) {
+  const policy = parseApimPolicy(content);
+  if (!policy) return [];
+
+  const findings = [];
+  Object.values(policy.sections).forEach(section => {
+    Object.values(section).forEach(entry => {
+      if (entry.policy !== 'cors' || String(entry.facts['allow-credentials']).toLowerCase() !== 'true') return;
+      const wildcards = ['origins', 'headers', 'methods']
+        .filter(fact => (entry.facts[fact] || []).includes('*'))
+        .map(fact => fact.replace(/s$/, ''));
+      if (wildcards.length === 0) return;
+      findings.push({
+        ruleId: 'AZINT002',
+        path: filePath,
+        line: lineOf(content, '<cors'),
+        message: `CORS allows credentials with wildcard ${wildcards.join(' and ')} values`
+      });
+    });
+  });
+  return findings;
+}
+
+/**
+ * Logic App Request (HTTP) triggers without an authorization policy or caller IP restriction
+ */
+function checkLogicAppTriggers(filePath, content) {
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return [];
+  }
+
+  const properties = document.properties || document;
+  const definition = document.definition || properties.definition || (document.triggers ? document : null);
+  if (!definition || !definition.triggers) return [];
+
+  const accessControl = (properties.accessControl || document.accessControl || {}).triggers || {};
+  const hasAuth = Object.keys(accessControl.openAuthenticationPolicies || {}).length > 0 ||
+    (accessControl.openAuthenticationPolicies && accessControl.openAuthenticationPolicies.policies) ||
+    (Array.isArray(accessControl.allowedCallerIpAddresses) && accessControl.allowedCallerIpAddresses.length > 0);
+  if (hasAuth) return [];
+
+  return Object.entries(definition.triggers)
+    .filter(([, trigger]) => trigger && trigger.type === 'Request')
+    .map(([name]) => ({
+      ruleId: 'AZINT003',
+      path: filePath,
+      line: lineOf(content, `"${name}"`),
+      message: `HTTP trigger \`${name}\` accepts any caller holding its SAS URL (no Azure AD policy or IP restriction)`
+    }));
+}
+
+/**
+ * Service Bus authorization rules granting Manage (JSON definitions, Bicep, Terraform)
+ */
+function checkServiceBusRights(filePath, content) {
+  const findings = [];
+
+  if (filePath.endsWith('.tf')) {
+    Array.from(content.matchAll(/resource\s+"azurerm_servicebus_\w*authorization_rule"\s+"([\w-]+)"[^{]*\{[^}]*?\bmanage\s*=\s*true/g))
+      .forEach(match => findings.push({
+        ruleId: 'AZINT004',
+        path: filePath,
+        line: lineAt(content, match.index),
+        message: `Authorization rule \`${match[1]}\` grants Manage rights`
+      }));
+    return findings;
+  }
+
+  if (filePath.endsWith('.bicep')) {
+    Array.from(content.matchAll(/resource\s+(\w+)\s+'Microsoft\.ServiceBus\/[^']*authorizationRules@[^']*'[^{]*\{[\s\S]*?rights:\s*\[([^\]]*)\]/gi))
+      .filter(match => /'Manage'/.test(match[2]))
+      .forEach(match => findings.push({
+        ruleId: 'AZINT004',
+        path: filePath,
+        line: lineAt(content, match.index),
+        message: `Authorization rule \`${match[1]}\` grants Manage rights`
+      }));
+    return findings;
+  }
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    return findings;
+  }
+
+  const walk = node => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+    const rights = node.rights || (node.properties && node.properties.rights);
+    if (Array.isArray(rights) && rights.includes('Manage')) {
+      const name = node.name || 'authorization rule';
+      findings.push({
+        ruleId: 'AZINT004',
+        path: filePath,
+        line: lineOf(content, `"${name}"`),
+        message: `Authorization rule \`${name}\` grants Manage rights (${rights.join(', ')})`
+      });
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(document);
+
+  return findings;
+}
+
+/**
+ * Run every applicable rule over one file.
+ * `detectServiceType` is injected so service naming matches the rest of the action;
+ * `allowlist` is the redaction allowlist, so values accepted there are not reported either.
+ */
+function lintFile(filePath, content, detectServiceType, allowlist = []) {
+  if (!content) return [];
+  const serviceType = detectServiceType(filePath);
+  let findings = checkSecrets(filePath, content, allowlist);
+
+  try {
+    if (serviceType === 'API Management' && /\.xml$/i.test(filePath)) findings = findings.concat(checkApimCors(filePath, content));
+    if (serviceType === 'Azure Logic App') findings = findings.concat(checkLogicAppTriggers(filePath, content));
+    if (/\.(json|bicep|tf)$/i.test(filePath)) findings = findings.concat(checkServiceBusRights(filePath, content));
+  } catch (error) {
+    // Unparseable files only get the text-based secret checks
+  }
+
+  return findings;
+}
+
+/**
+ * Lint [{ path, content }] and return findings sorted by file and line
+ */
+function lintSources(sources, detectServiceType, allowlist = []) {
+  return sources
+    .flatMap(source => lintFile(source.path, source.content, detectServiceType, allowlist))
+    .sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.ruleId.localeCompare(b.ruleId));
+}
+
+/**
+ * Build a SARIF 2.1.0 log for GitHub code scanning
+ */
+function buildSarif(findings, sources = []) {
+  const ruleIds = Object.keys(RULES);
+  const contents = new Map(sources.map(source => [source.path, source.content || '']));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Azure Integration Doc Agent',
+          informationUri: 'https://github.com/mayankgupta7673/azure-integration-doc-agent',
+          rules: ruleIds.map(id => ({
+            id,
+            name: RULES[id].name,
+            shortDescription: { text: RULES[id].description },
+            help: { text: RULES[id].help, markdown: RULES[id].help },
+            defaultConfiguration: { level: RULES[id].level },
+            properties: { tags: ['security', 'azure'], 'security-severity': RULES[id].securitySeverity }
+          }))
+        }
+      },
+      results: findings.map(item => {
+        const lineText = (contents.get(item.path) || '').split('\n')[item.line - 1] || '';
+        return {
+          ruleId: item.ruleId,
+          ruleIndex: ruleIds.indexOf(item.ruleId),
+          level: RULES[item.ruleId].level,
+          message: { text: item.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: item.path, uriBaseId: '%SRCROOT%' },
+              region: { startLine: item.line }
+            }
+          }],
+          partialFingerprints: {
+            primaryLocationLineHash: crypto.createHash('sha256').update(`${item.ruleId}:${item.path}:${lineText.trim()}`).digest('hex').slice(0, 32)
+          }
+        };
+      })
+    }]
+  };
+}
+
+/**
+ * Format findings as plain facts for the LLM prompt
+ */
+function formatFindingsForPrompt(findings) {
+  return findings.map(item => `- ${item.ruleId} ${RULES[item.ruleId].name} (line ${item.line}): ${item.message}`).join('\n');
+}
+
+/**
+ * Render findings as a Markdown section
+ */
+function renderSecurityFindings(findings) {
+  if (findings.length === 0) return '_No security findings in the scanned files._\n';
+
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  let table = '| Severity | Rule | Location | Finding |\n|----------|------|----------|---------|\n';
+  findings.forEach(item => {
+    const rule = RULES[item.ruleId];
+    const severity = rule.level === 'error' ? '🔴 Error' : '🟠 Warning';
+    table += `| ${severity} | ${item.ruleId} ${rule.name} | \`${escape(item.path)}:${item.line}\` | ${escape(item.message)} |\n`;
+  });
+
+  const rules = Array.from(new Set(findings.map(item => item.ruleId))).sort();
+  table += '\n' + rules.map(id => `- **${id}**: ${RULES[id].help}`).join('\n') + '\n';
+  return table;
+}
+
+module.exports = {
+  RULES,
+  lintFile,
+  lintSources,
+  buildSarif,
+  formatFindingsForPrompt,
+  renderSecurityFindings
+};
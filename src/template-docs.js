@@ -0,0 +1,301 @@
+/**
+ * Template ("no-LLM") documentation renderer.
+ *
+ * Builds a Markdown document purely from collected file metadata and the
+ * deterministic analysers, so documentation can be produced without network
+ * access or model credentials.
+ */
+
+// Added diff lines that indicate a secret or secure value is referenced (names only, never values)
+const SECRET_PATTERNS = [
+  { pattern: /"([\w$-]+)"\s*:\s*\{\s*"type"\s*:\s*"secure(string|object)"/i, label: 'secure parameter' },
+  { pattern: /@secure\(\)\s*param\s+(\w+)/, label: 'Bicep @secure() parameter' },
+  { pattern: /variable\s+"([\w-]+)"[^\n]*sensitive\s*=\s*true/, label: 'Terraform sensitive variable' },
+  { pattern: /process\.env\.(\w*(?:KEY|SECRET|PASSWORD|TOKEN|CONNECTION\w*)\w*)/i, label: 'environment variable' },
+  { pattern: /@Microsoft\.KeyVault\(([^)]+)\)/, label: 'Key Vault reference' },
+  { pattern: /["']?(\w*(?:ConnectionString|AccountKey|SharedAccessKey|ClientSecret|Password)\w*)["']?\s*[:=]/i, label: 'credential setting' }
+];
+
+// Resource declarations recognisable from diff lines, keyed by file extension
+const RESOURCE_PATTERNS = {
+  '.bicep': /^resource\s+(\w+)\s+'([^'@]+)(?:@[^']*)?'/,
+  '.tf': /^(?:resource|module)\s+"([^"]+)"(?:\s+"([^"]+)")?/
+};
+
+const SERVICE_CHECKLISTS = {
+  'Azure Logic App': [
+    'Verify API connections exist in the target environment',
+    'Run the workflow with a sample payload and check run history'
+  ],
+  'API Management': [
+    'Test the API through the APIM gateway with a valid and an invalid token',
+    'Confirm rate-limit and CORS behaviour from a client application'
+  ],
+  'Service Bus': [
+    'Check dead-letter queue behaviour and max delivery count',
+    'Confirm consumers handle the queue/topic settings'
+  ],
+  'Event Hub': [
+    'Verify consumer groups and partition count for downstream consumers'
+  ],
+  'Event Grid': [
+    'Send a test event and confirm the handler receives it with the expected schema',
+    'Check the dead-letter destination and retry policy'
+  ],
+  'Azure Function': [
+    'Confirm required app settings are configured in every environment',
+    'Verify trigger bindings against the deployed resources'
+  ],
+  'Bicep IaC': [
+    'Run `az deployment group what-if` against the target resource group'
+  ],
+  'Terraform IaC': [
+    'Review `terraform plan` output for unexpected replacements'
+  ]
+};
+
+/**
+ * Added lines of a unified diff, without the leading '+'
+ */
+function addedLines(diff) {
+  return (diff || '').split('\n')
+    .filter(line => line.startsWith('+') && !line.startsWith('+++'))
+    .map(line => line.slice(1));
+}
+
+/**
+ * Removed lines of a unified diff, without the leading '-'
+ */
+function removedLines(diff) {
+  return (diff || '').split('\n')
+    .filter(line => line.startsWith('-') && !line.startsWith('---'))
+    .map(line => line.slice(1));
+}
+
+/**
+ * Find secret references introduced by a file's diff (names only)
+ */
+function detectSecretReferences(file) {
+  const found = new Map();
+
+  addedLines(file.diff).forEach(line => {
+    SECRET_PATTERNS.forEach(({ pattern, label }) => {
+      const match = line.match(pattern);
+      if (match && !found.has(match[1])) found.set(match[1], label);
+    });
+  });
+
+  if (file.analysis && file.analysis.kind === 'logicapp') {
+    file.analysis.changes.secureParametersAdded.forEach(name => found.set(name, 'secure parameter'));
+  }
+
+  return Array.from(found.entries()).map(([name, label]) => ({ name, label }));
+}
+
+/**
+ * Added/removed/modified resources for a file, from analysis results or IaC diff lines
+ */
+function detectResourceChanges(file) {
+  const analysis = file.analysis;
+
+  if (analysis && analysis.kind === 'logicapp') {
+    const changes = analysis.changes;
+    return {
+      added: changes.triggersAdded.map(t => `trigger ${t.name}`).concat(changes.actionsAdded.map(a => `action ${a.name}`)),
+      removed: changes.triggersRemoved.map(t => `trigger ${t.name}`).concat(changes.actionsRemoved.map(a => `action ${a.name}`)),
+      modified: []
+    };
+  }
+
+  if (analysis && analysis.kind === 'apim') {
+    return {
+      added: analysis.changes.changes.filter(c => c.change === 'added').map(c => `${c.section} policy ${c.key}`),
+      removed: analysis.changes.changes.filter(c => c.change === 'removed').map(c => `${c.section} policy ${c.key}`),
+      modified: []
+    };
+  }
+
+  if (analysis && ['servicebus', 'eventhub', 'eventgrid'].includes(analysis.kind)) {
+    const entities = change => analysis.changes.changes.filter(c => c.change === change).map(c => c.entity.replace(/`/g, ''));
+    return { added: entities('added'), removed: entities('removed'), modified: entities('modified') };
+  }
+
+  if (analysis && (analysis.kind === 'bicep' || analysis.kind === 'terraform')) {
+    const label = item => (item.address.startsWith(`${item.type}.`) ? item.address : `${item.type} ${item.address}`);
+    return {
+      added: analysis.changes.added.map(item => (item.sku ? `${label(item)} (SKU ${item.sku})` : label(item))),
+      removed: analysis.changes.removed.map(label),
+      modified: analysis.changes.modified.map(item => {
+        const count = item.properties.length;
+        const parts = [];
+        if (item.sku) parts.push(`SKU ${item.sku.before || '—'} → ${item.sku.after || '—'}`);
+        if (count > 0) parts.push(`${count} propert${count === 1 ? 'y' : 'ies'} changed`);
+        return parts.length > 0 ? `${label(item)} (${parts.join(', ')})` : label(item);
+      })
+    };
+  }
+
+  if (analysis && analysis.kind === 'function') {
+    const bindings = change => analysis.changes.bindings
+      .filter(item => item.change === change)
+      .map(item => `${item.function} ${item.type} ${item.direction}${item.target ? ` ${item.target}` : ''}`);
+    return { added: bindings('added'), removed: bindings('removed'), modified: [] };
+  }
+
+  const pattern = RESOURCE_PATTERNS[file.filename.slice(file.filename.lastIndexOf('.'))];
+  if (!pattern) return { added: [], removed: [], modified: [] };
+
+  const declarations = lines => lines
+    .map(line => line.trim().match(pattern))
+    .filter(Boolean)
+    .map(match => match.slice(1).filter(Boolean).join(' '));
+
+  const added = declarations(addedLines(file.diff));
+  const removed = declarations(removedLines(file.diff));
+  return {
+    added: added.filter(name => !removed.includes(name)),
+    removed: removed.filter(name => !added.includes(name)),
+    modified: []
+  };
+}
+
+/**
+ * Short change summary for the Files Changed table: line counts plus resource counts when known
+ */
+function describeFileChanges(file) {
+  const lines = `+${file.additions} / -${file.deletions}`;
+  const { added, removed, modified } = detectResourceChanges(file);
+  const counts = [[added, 'added'], [removed, 'removed'], [modified, 'modified']]
+    .filter(([items]) => items.length > 0)
+    .map(([items, label]) => `${items.length} ${label}`);
+  return counts.length > 0 ? `${lines} (${counts.join(', ')})` : lines;
+}
+
+/**
+ * Render documentation without an LLM.
+ * `detectServiceType` is injected so service naming matches the rest of the action.
+ */
+function renderTemplateDocumentation(fileDiffs, metadata, detectServiceType, options = {}) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  const serviceTypes = {};
+  fileDiffs.forEach(file => {
+    const type = detectServiceType(file.filename);
+    serviceTypes[type] = (serviceTypes[type] || 0) + 1;
+  });
+
+  let doc = '# Azure Integration Changes\n\n';
+
+  if (metadata.type === 'pull_request') {
+    doc += `**PR:** #${metadata.number} — ${metadata.title}  \n**Author:** @${metadata.author}\n\n`;
+  } else if (metadata.type === 'push') {
+    doc += `**Branch:** ${metadata.branch}  \n**Title:** ${metadata.title}\n\n`;
+  }
+
+  doc += '> ℹ️ This document was generated from deterministic file analysis without an AI model';
+  doc += options.fallbackReason ? ` (AI generation unavailable: ${options.fallbackReason}).\n\n` : '.\n\n';
+
+  doc += '## Summary\n\n';
+  doc += `${fileDiffs.length} Azure integration file(s) changed across ${Object.keys(serviceTypes).length} service type(s): `;
+  doc += Object.entries(serviceTypes).map(([type, count]) => `${type} (${count})`).join(', ') + '.\n\n';
+
+  doc += '## Files Changed\n\n';
+  doc += '| File | Service | Status | Changes |\n|------|---------|--------|---------|\n';
+  fileDiffs.forEach(file => {
+    doc += `| \`${escape(file.filename)}\` | ${detectServiceType(file.filename)} | ${file.status} | ${describeFileChanges(file)} |\n`;
+  });
+  doc += '\n';
+
+  const resourceRows = [];
+  fileDiffs.forEach(file => {
+    const { added, removed, modified } = detectResourceChanges(file);
+    added.forEach(name => resourceRows.push([file.filename, 'Added', name]));
+    removed.forEach(name => resourceRows.push([file.filename, 'Removed', name]));
+    modified.forEach(name => resourceRows.push([file.filename, 'Modified', name]));
+  });
+
+  doc += '## Resource Changes\n\n';
+  if (resourceRows.length === 0) {
+    doc += '_No resource additions, removals or modifications detected._\n\n';
+  } else {
+    doc += '| File | Change | Resource |\n|------|--------|----------|\n';
+    resourceRows.forEach(([filename, change, name]) => {
+      doc += `| \`${escape(filename)}\` | ${change} | ${escape(name)} |\n`;
+    });
+    doc += '\n';
+  }
+
+  const secretRows = [];
+  fileDiffs.forEach(file => {
+    detectSecretReferences(file).forEach(secret => secretRows.push([file.filename, secret.name, secret.label]));
+  });
+
+  doc += '## Secrets & Secure Parameters\n\n';
+  if (secretRows.length === 0) {
+    doc += '_No new secret references detected._\n\n';
+  } else {
+    doc += '| File | Name | Kind |\n|------|------|------|\n';
+    secretRows.forEach(([filename, name, label]) => {
+      doc += `| \`${escape(filename)}\` | \`${escape(name)}\` | ${label} |\n`;
+    });
+    doc += '\nEnsure these values come from Key Vault or pipeline secrets and are never committed.\n\n';
+  }
+
+  doc += '## Review Checklist\n\n';
+  doc += '- [ ] Changes reviewed by the integration owner\n';
+  doc += '- [ ] Configuration and secrets provisioned in every environment\n';
+  Object.keys(serviceTypes).forEach(type => {
+    (SERVICE_CHECKLISTS[type] || []).forEach(item => {
+      doc += `- [ ] ${item}\n`;
+    });
+  });
+  doc += '- [ ] Deployment and rollback steps documented\n';
+
+  return doc;
+}
+
+/**
+ * Render the body of a living integration page without an LLM.
+ * `content` is the file's current content (null when unavailable).
+ */
+function renderTemplateIntegrationPage(file, content, detectServiceType, options = {}) {
+  const escape = value => String(value).replace(/\|/g, '\\|');
+  const serviceType = detectServiceType(file.filename);
+
+  let doc = '> ℹ️ This page was generated from deterministic file analysis without an AI model';
+  doc += options.fallbackReason ? ` (AI generation unavailable: ${options.fallbackReason}).\n\n` : '.\n\n';
+
+  doc += '## Overview\n\n';
+  doc += '| Property | Value |\n|----------|-------|\n';
+  doc += `| Source file | \`${escape(file.filename)}\` |\n`;
+  doc += `| Service | ${serviceType} |\n`;
+  doc += `| Size | ${content === null ? 'unavailable' : `${content.split('\n').length} lines`} |\n\n`;
+
+  doc += '## Latest Change\n\n';
+  doc += `Status: **${file.status}** (+${file.additions} / -${file.deletions} lines).\n\n`;
+
+  const { added, removed, modified } = detectResourceChanges(file);
+  const items = added.map(name => `Added ${escape(name)}`)
+    .concat(removed.map(name => `Removed ${escape(name)}`))
+    .concat(modified.map(name => `Modified ${escape(name)}`))
+    .concat(detectSecretReferences(file).map(secret => `References ${secret.label} \`${escape(secret.name)}\``));
+  if (items.length > 0) {
+    doc += `${items.map(item => `- ${item}`).join('\n')}\n\n`;
+  }
+
+  const checklist = SERVICE_CHECKLISTS[serviceType] || [];
+  if (checklist.length > 0) {
+    doc += '## Operational Checks\n\n';
+    checklist.forEach(item => {
+      doc += `- ${item}\n`;
+    });
+  }
+
+  return doc;
+}
+
+module.exports = {
+  renderTemplateDocumentation,
+  renderTemplateIntegrationPage,
+  detectSecretReferences,
+  detectResourceChanges
+};
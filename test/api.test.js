@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const api = require('../src/api');
+const githubFiles = require('../src/github-files');
+const { silenceLog, fakeOctokit, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+const filename = 'queues/servicebus-orders.json';
+const queue = requiresSession => JSON.stringify({ queueName: 'orders', properties: { requiresSession } });
+
+/**
+ * Set environment variables for the duration of `body`
+ */
+async function withEnvironment(variables, body) {
+  const previous = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return await body();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+test('validates the refs and repository it is given', async () => {
+  await assert.rejects(api.analyzeChanges([], { refs: { head: 'head' } }), /requires refs.base and refs.head/);
+  await assert.rejects(api.analyzeChanges([], { octokit: fakeOctokit(), refs: { base: 'a', head: 'b' } }), /requires repo.owner and repo.repo/);
+  assert.equal(api.createConfig({ generationMode: 'template' }).generationMode, 'template');
+});
+
+test('analyses, prompts and documents changes through the injected clients', async () => {
+  const octokit = fakeOctokit({ base: { [filename]: queue(false) }, head: { [filename]: queue(true) } });
+  const files = [{ filename, status: 'modified', additions: 1, deletions: 1, patch: '@@ -1 +1 @@\n-false\n+true' }, { filename: 'README.md', status: 'modified' }];
+  const client = fakeHttpClient(() => completion('# Orders queue\n\nSessions are now required.'));
+  const analysis = await api.analyzeChanges(files, {
+    octokit,
+    repo: context.repo,
+    refs: { base: 'base', head: 'head' },
+    config: { llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o' },
+    httpClient: client
+  });
+  const metadata = { type: 'pull_request', number: 5, title: 'Require sessions', author: 'dev', body: 'Ordering per customer.' };
+
+  assert.deepEqual(analysis.files.map(file => file.filename), [filename]);
+  assert.equal(analysis.files[0].impact[0].severity, 'breaking');
+  assert.match(api.buildPrompt(analysis, metadata).user, /Ordering per customer\./);
+
+  const documentation = await api.generateDocumentation(analysis, metadata);
+  assert.equal(client.requests.length, 1);
+  assert.match(documentation, /^# Orders queue\n\nSessions are now required\.\n\n## Change Impact/);
+  assert.match(await api.renderDocs(analysis, metadata), /\| `queues\/servicebus-orders.json` \| Service Bus \| modified \|/);
+  assert.equal(client.requests.length, 1);
+});
+
+test('reads repository files through the octokit outside Actions, even when the working directory has them', async () => {
+  const octokit = fakeOctokit({ head: { 'package.json': '{"name":"from-api"}' } });
+
+  await withEnvironment({ GITHUB_ACTIONS: undefined, GITHUB_WORKSPACE: undefined }, async () => {
+    assert.equal(await githubFiles.readRepositoryFile(octokit, context, 'package.json', 'head'), '{"name":"from-api"}');
+  });
+});
+
+test('reads the workspace only when it has the requested commit checked out', async () => {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'azure-doc-agent-workspace-'));
+  const git = (...args) => execFileSync('git', args, {
+    cwd: workspace,
+    encoding: 'utf8',
+    env: { ...process.env, GIT_AUTHOR_NAME: 'dev', GIT_AUTHOR_EMAIL: 'dev@example.com', GIT_COMMITTER_NAME: 'dev', GIT_COMMITTER_EMAIL: 'dev@example.com' }
+  }).trim();
+
+  try {
+    git('init', '-q');
+    fs.writeFileSync(path.join(workspace, 'config.yml'), 'committed: 1\n');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'First');
+    const first = git('rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(workspace, 'config.yml'), 'committed: 2\n');
+    git('commit', '-q', '-am', 'Second');
+    const second = git('rev-parse', 'HEAD');
+    fs.writeFileSync(path.join(workspace, 'config.yml'), 'edited: true\n');
+
+    const octokit = fakeOctokit({ [first]: { 'config.yml': 'from-api: true\n' } });
+    await withEnvironment({ GITHUB_ACTIONS: 'true', GITHUB_WORKSPACE: workspace }, async () => {
+      assert.equal(await githubFiles.readRepositoryFile(octokit, context, 'config.yml', second), 'edited: true\n');
+      assert.equal(await githubFiles.readRepositoryFile(octokit, context, 'missing.yml', second), null);
+      assert.equal(await githubFiles.readRepositoryFile(octokit, context, 'config.yml', first), 'from-api: true\n');
+      assert.deepEqual(octokit.called('repos.getContent').map(args => args.ref), [first]);
+
+      // Local runs read other commits from git
+      assert.equal(await githubFiles.readRepositoryFile(null, context, 'config.yml', first), 'committed: 1\n');
+    });
+  } finally {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+});
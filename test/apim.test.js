@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const apim = require('../src/apim');
+
+const sample = fs.readFileSync(path.join(__dirname, 'apim-policy.xml'), 'utf8');
+
+/**
+ * Diff the sample policy against a copy with string replacements applied
+ */
+function diffWith(...replacements) {
+  let head = sample;
+  replacements.forEach(([from, to]) => {
+    assert.ok(head.includes(from), `fixture contains ${from}`);
+    head = head.replace(from, to);
+  });
+  return apim.diffApimPolicies(apim.parseApimPolicy(sample), apim.parseApimPolicy(head));
+}
+
+test('parses sections, named policies and nested choose blocks despite policy expressions', () => {
+  const { sections } = apim.parseApimPolicy(sample);
+
+  assert.deepEqual(Object.keys(sections), ['inbound', 'backend', 'outbound', 'on-error']);
+  assert.ok('validate-jwt' in sections.inbound);
+  assert.ok('set-variable[backendUrl]' in sections.inbound);
+  assert.ok(Object.keys(sections.inbound).some(key => key.startsWith('choose/when') && key.endsWith('> check-header[X-API-Key]')));
+  assert.deepEqual(sections.inbound.cors.facts.origins, ['https://app.contoso.com', 'https://portal.contoso.com']);
+  assert.deepEqual(sections.inbound['validate-jwt'].facts.audiences, ['api://order-processing-api']);
+});
+
+test('ignores content that is not a policy document', () => {
+  assert.equal(apim.parseApimPolicy(''), null);
+  assert.equal(apim.parseApimPolicy('{"policies": []}'), null);
+  assert.equal(apim.parseApimPolicy('<configuration></configuration>'), null);
+});
+
+test('parses policy fragments', () => {
+  const fragment = apim.parseApimPolicy('<fragment><set-header name="X-Trace" exists-action="override"><value>1</value></set-header></fragment>');
+  assert.deepEqual(Object.keys(fragment.sections), ['fragment']);
+  assert.deepEqual(fragment.sections.fragment['set-header[X-Trace]'].facts.values, ['1']);
+});
+
+test('describes rate limit and list changes in words', () => {
+  const result = diffWith(
+    ['calls="100" renewal-period="60"', 'calls="50" renewal-period="60"'],
+    ['<origin>https://portal.contoso.com</origin>', '<origin>https://new.contoso.com</origin>']
+  );
+
+  assert.deepEqual(result.changes.map(c => [c.section, c.key, c.change]), [
+    ['inbound', 'rate-limit-by-key', 'modified'],
+    ['inbound', 'cors', 'modified']
+  ]);
+  assert.deepEqual(result.changes[0].details, ['rate limit lowered from 100 calls/60s to 50 calls/60s']);
+  assert.deepEqual(result.changes[1].details, [
+    'origin `https://new.contoso.com` added to cors',
+    'origin `https://portal.contoso.com` removed from cors'
+  ]);
+  assert.equal(result.sections.inbound.length, 2);
+});
+
+test('reports added and removed policies', () => {
+  const result = diffWith(['<base />', '<base />\n<rate-limit calls="10" renewal-period="30" />']);
+  assert.deepEqual(result.changes, [{
+    section: 'inbound', key: 'rate-limit', policy: 'rate-limit', change: 'added', details: ['10 calls/30s']
+  }]);
+
+  const removed = apim.diffApimPolicies(apim.parseApimPolicy(sample), null);
+  assert.ok(removed.changes.length > 0);
+  assert.ok(removed.changes.every(c => c.change === 'removed'));
+});
+
+test('renders a table and prompt facts, or a placeholder when nothing changed', () => {
+  const unchanged = apim.diffApimPolicies(apim.parseApimPolicy(sample), apim.parseApimPolicy(sample));
+  assert.equal(apim.renderApimChanges(unchanged), '_No semantic policy changes detected._\n');
+  assert.equal(apim.formatApimChangesForPrompt(unchanged), '- No semantic policy changes detected');
+
+  const result = diffWith(['calls="100" renewal-period="60"', 'calls="200" renewal-period="60"']);
+  assert.match(apim.renderApimChanges(result), /\| inbound \| rate-limit-by-key \| modified \| rate limit raised from 100 calls\/60s to 200 calls\/60s \|/);
+  assert.equal(apim.formatApimChangesForPrompt(result), '- [inbound] rate-limit-by-key modified: rate limit raised from 100 calls/60s to 200 calls/60s');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const audit = require('../src/audit');
+const { detectAzureServiceType } = require('../src/agent');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const log = silenceLog();
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+const intake = 'functions/intake/function.json';
+const orders = 'queues/servicebus-orders.json';
+const sources = [
+  { path: intake, content: JSON.stringify({ bindings: [{ type: 'httpTrigger', direction: 'in', authLevel: 'anonymous', name: 'req' }] }) },
+  { path: orders, content: JSON.stringify({ queueName: 'orders', properties: { requiresSession: true } }) }
+];
+const coverage = [{ path: orders, status: 'current', lastCommit: { date: '2024-01-01T00:00:00Z', author: 'dev' } }];
+
+/**
+ * Snapshot of `files` taken at `date`
+ */
+function snapshotAt(date, files, options = {}) {
+  return audit.buildSnapshot(files.map(filePath => ({ path: filePath })), {
+    sources,
+    graph: null,
+    findings: [],
+    coverage: null,
+    commit: `${date.replace(/-/g, '')}abc`,
+    detectServiceType: detectAzureServiceType,
+    now: new Date(`${date}T00:00:00Z`),
+    ...options
+  });
+}
+
+test('inventories triggers, entities, auth methods and referenced secrets', () => {
+  const bicep = "resource app 'Microsoft.Web/sites@2023-01-01' = {\n  identity: { type: 'SystemAssigned' }\n}\n" +
+    "var setting = '@Microsoft.KeyVault(SecretUri=https://kv.vault.azure.net/secrets/sb-conn/)'\n";
+  const entry = audit.inventoryEntry('infra/app.bicep', bicep, { graph: null, findings: null, coverage: null, detectServiceType: detectAzureServiceType });
+
+  assert.equal(entry.serviceType, 'Bicep IaC');
+  assert.deepEqual(entry.authMethods, ['Managed identity']);
+  assert.deepEqual(entry.secrets, ['sb-conn']);
+  assert.equal(entry.findings, null);
+  assert.deepEqual(snapshotAt('2026-01-05', [orders, intake]).integrations.map(item => [item.path, item.triggers, item.queues, item.authMethods]), [
+    [intake, ['intake: http trigger /'], [], ['Anonymous']],
+    [orders, [], ['queue orders'], []]
+  ]);
+});
+
+test('computes metrics and compares them with the previous audit', () => {
+  const previous = snapshotAt('2026-01-05', [orders]);
+  const snapshot = snapshotAt('2026-01-12', [orders, intake], { coverage, previous });
+
+  assert.deepEqual(snapshot.metrics, {
+    files: 2,
+    serviceTypes: { 'Azure Function': 1, 'Service Bus': 1 },
+    findings: { error: 0, warning: 0, files: 0 },
+    documentation: { current: 1, stale: 0, missing: 0, coverage: 100 },
+    secretsReferenced: 0,
+    anonymousTriggers: 1,
+    dormant: 1
+  });
+  assert.deepEqual(snapshot.history.map(entry => entry.generatedAt), ['2026-01-12T00:00:00.000Z', '2026-01-05T00:00:00.000Z']);
+
+  const report = audit.renderAuditReport(snapshot, previous);
+  assert.match(report, /\| Integration files \| 1 \| 2 \| ▲ \+1 \|/);
+  assert.match(report, /\| Documentation coverage \(%\) \| - \| 100 \| - \|/);
+  assert.match(report, /\| Security findings \(error\) \| 0 \| 0 \| = \|/);
+  assert.match(report, /\*\*Added:\*\* `functions\/intake\/function.json`/);
+  assert.match(report, /\| `queues\/servicebus-orders.json` \| - \| queue orders \| - \| - \| - \| ✅ \| 2024-01-01 by dev \|/);
+  assert.match(audit.renderAuditReport(previous, null), /_First audit with a snapshot; the next one will be compared with it\._/);
+});
+
+test('reads back the previous snapshot, ignoring unsupported ones', async () => {
+  const { snapshotPath } = audit.auditPaths('docs');
+  const previous = snapshotAt('2026-01-05', [orders]);
+  const octokit = fakeOctokit({
+    main: { [snapshotPath]: JSON.stringify(previous) },
+    old: { [snapshotPath]: JSON.stringify({ ...previous, version: 0 }) }
+  });
+
+  assert.equal(snapshotPath, 'docs/azure-integration-audit.json');
+  assert.deepEqual(await audit.loadPreviousSnapshot(octokit, context, snapshotPath, 'main'), previous);
+  assert.equal(await audit.loadPreviousSnapshot(octokit, context, snapshotPath, 'old'), null);
+  assert.equal(await audit.loadPreviousSnapshot(octokit, context, snapshotPath, 'missing'), null);
+  assert.ok(log.messages.some(message => message.includes('unsupported audit snapshot version 0')));
+});
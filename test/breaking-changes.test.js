@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const breakingChanges = require('../src/breaking-changes');
+
+const queue = (requiresSession, maxDeliveryCount) => JSON.stringify({ queueName: 'orders', properties: { requiresSession, maxDeliveryCount } });
+const logicApp = (schema, actions) => JSON.stringify({ definition: { triggers: { manual: { type: 'Request', kind: 'Http', inputs: { schema } } }, actions } });
+const policy = inbound => `<policies><inbound><base />${inbound}</inbound><backend><base /></backend><outbound><base /></outbound></policies>`;
+
+test('classifies Service Bus session and delivery changes', () => {
+  const findings = breakingChanges.classifyChanges({ filename: 'queues/servicebus-orders.json', status: 'modified' },
+    { base: queue(false, 10), head: queue(true, 5) }, 'Service Bus');
+
+  assert.deepEqual(findings.map(item => [item.severity, item.element]), [['breaking', 'queue orders'], ['risky', 'queue orders']]);
+  assert.match(findings[0].message, /^`requiresSession` false → true: senders must set a SessionId/);
+  assert.match(findings[1].message, /^`maxDeliveryCount` 10 → 5: messages are dead-lettered/);
+});
+
+test('classifies Logic App trigger schema and action changes', () => {
+  const schema = { type: 'object', properties: { id: { type: 'string' } } };
+  const findings = breakingChanges.classifyChanges({ filename: 'workflows/orders.logicapp.json', status: 'modified' },
+    { base: logicApp(schema, { Notify: { type: 'Http' } }), head: logicApp({ ...schema, required: ['id'] }, {}) }, 'Azure Logic App');
+
+  assert.deepEqual(findings.map(item => `${item.severity} ${item.element}: ${item.message}`), [
+    'breaking trigger manual: Request schema field `id` is now required; callers that omit it are rejected',
+    'risky action Notify: Http action removed; downstream systems no longer receive its effect'
+  ]);
+});
+
+test('classifies APIM policies and removed API operations as breaking', () => {
+  const jwt = breakingChanges.classifyChanges({ filename: 'policies/apim-orders.xml', status: 'modified' },
+    { base: policy(''), head: policy('<validate-jwt header-name="Authorization" />') }, 'API Management');
+  assert.deepEqual(jwt, [{ severity: 'breaking', element: 'inbound > validate-jwt', message: '`validate-jwt` added; callers must now satisfy it' }]);
+
+  const spec = operations => JSON.stringify({ openapi: '3.0.0', paths: { '/orders': operations } });
+  const removed = breakingChanges.classifyChanges({ filename: 'api/orders.openapi.json', status: 'modified' },
+    { base: spec({ get: {}, delete: {} }), head: spec({ get: {} }) }, 'Unknown');
+  assert.deepEqual(removed, [{ severity: 'breaking', element: 'DELETE /orders', message: 'API operation removed' }]);
+  assert.equal(breakingChanges.elementName('inbound > validate-jwt'), 'validate-jwt');
+});
+
+test('summarises and renders findings by severity', () => {
+  const fileDiffs = [
+    { filename: 'queues/servicebus-orders.json', impact: [{ severity: 'risky', element: 'queue orders', message: 'a | b' }] },
+    { filename: 'policies/apim-orders.xml', impact: [{ severity: 'breaking', element: 'inbound > validate-jwt', message: 'added' }] },
+    { filename: 'README.md', impact: [] }
+  ];
+
+  assert.deepEqual(breakingChanges.summarizeImpact(fileDiffs), { level: 'breaking', counts: { breaking: 1, risky: 1, safe: 0 } });
+
+  const section = breakingChanges.renderImpactSection(fileDiffs);
+  const rows = section.split('\n').filter(line => line.startsWith('| ') && !line.startsWith('| Severity'));
+  assert.match(section, /^\n\n## Change Impact\n\n\*\*Overall: .*\*\* — 1 breaking, 1 risky, 0 safe\n/);
+  assert.match(rows[0], /^\| .* \| `policies\/apim-orders.xml` \| inbound > validate-jwt \| added \|$/);
+  assert.match(rows[1], /\| queue orders \| a \\\| b \|$/);
+  assert.equal(breakingChanges.renderImpactSection([{ filename: 'README.md', impact: [] }]), '');
+  assert.equal(breakingChanges.formatImpactForPrompt([]), '- No contract changes detected');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const catalogue = require('../src/catalogue');
+
+const today = new Date().toISOString().split('T')[0];
+const entry = file => `| Last change | Date |\n|---|---|\n| ${file.status} | 2026-03-01 |`;
+
+test('keeps legacy content as archived notes', () => {
+  const parsed = catalogue.parseCatalogue('# Old notes\n\nHand-written.');
+  assert.equal(parsed.sections.size, 0);
+  assert.equal(parsed.archive, '# Old notes\n\nHand-written.');
+
+  const rendered = catalogue.renderCatalogue(parsed);
+  assert.match(rendered, /## Archived Notes\n\n<!-- azure-doc-agent:archive -->\n# Old notes\n\nHand-written.\n$/);
+  assert.equal(catalogue.parseCatalogue(rendered).archive, '# Old notes\n\nHand-written.');
+});
+
+test('updates, renames and removes sections and records the changelog', () => {
+  let parsed = catalogue.updateCatalogue(catalogue.parseCatalogue(''), [
+    { filename: 'orders/orders.logicapp.json', status: 'added' },
+    { filename: 'billing/apim-billing.xml', status: 'added' }
+  ], { number: 5, url: 'https://github.com/o/r/pull/5' }, entry);
+  parsed = catalogue.parseCatalogue(catalogue.renderCatalogue(parsed));
+
+  assert.deepEqual(Array.from(parsed.sections.keys()), ['billing/apim-billing.xml', 'orders/orders.logicapp.json']);
+
+  parsed = catalogue.updateCatalogue(parsed, [
+    { filename: 'orders/order-intake.logicapp.json', previousFilename: 'orders/orders.logicapp.json', status: 'renamed' },
+    { filename: 'billing/apim-billing.xml', status: 'removed' }
+  ], { number: 6 }, entry);
+  const rendered = catalogue.renderCatalogue(parsed);
+  const reparsed = catalogue.parseCatalogue(rendered);
+
+  assert.deepEqual(Array.from(reparsed.sections.keys()), ['orders/order-intake.logicapp.json']);
+  assert.match(rendered, /- \[orders\/order-intake.logicapp.json\]\(#ordersorder-intakelogicappjson\)/);
+  assert.deepEqual(reparsed.changelog, [
+    `- ${today} — #6: updated \`orders/order-intake.logicapp.json\`; removed \`orders/orders.logicapp.json\`, \`billing/apim-billing.xml\``,
+    `- ${today} — [#5](https://github.com/o/r/pull/5): updated \`orders/orders.logicapp.json\`, \`billing/apim-billing.xml\``
+  ]);
+});
+
+test('leaves the changelog alone for deleted files that never had a section', () => {
+  const parsed = catalogue.updateCatalogue(catalogue.parseCatalogue(''), [
+    { filename: 'queues/servicebus-legacy.json', status: 'removed' }
+  ], { number: 7 }, entry);
+
+  assert.equal(parsed.sections.size, 0);
+  assert.deepEqual(parsed.changelog, []);
+});
+
+test('reads the date of a section from its summary table', () => {
+  assert.equal(catalogue.sectionDate(entry({ status: 'modified' })), '2026-03-01');
+  assert.equal(catalogue.sectionDate('No table here'), null);
+});
+
+test('extracts the part of a document about one file', () => {
+  const documentation = '# Changes\n\n## Files\n\n### `orders.logicapp.json`\nAdds a retry.\n\n#### Details\nMore.\n\n### `apim-billing.xml`\nOther.';
+
+  assert.equal(catalogue.extractFileExcerpt(documentation, 'orders/orders.logicapp.json'), 'Adds a retry.\n\n#### Details\nMore.');
+  assert.equal(catalogue.extractFileExcerpt(documentation, 'queues/servicebus-orders.json'), null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const agent = require('../src/agent');
+const api = require('../src/api');
+const checkRun = require('../src/check-run');
+const docDrift = require('../src/doc-drift');
+const { silenceLog, fakeOctokit, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+const filename = 'queues/servicebus-orders.json';
+const queue = requiresSession => JSON.stringify({ queueName: 'orders', properties: { requiresSession } }, null, 2);
+const metadata = { type: 'pull_request', number: 9, title: 'Tune the queue', author: 'dev', body: '' };
+
+/**
+ * Document a queue change that requires sessions; returns the outcome the action hands to the check run
+ */
+async function documentSessionChange(config, httpClient = null) {
+  const octokit = fakeOctokit({ base: { [filename]: queue(false) }, head: { [filename]: queue(true) } });
+  const analysis = await api.analyzeChanges([{ filename, status: 'modified', additions: 1, deletions: 1, patch: '@@ -3 +3 @@\n-false\n+true' }], {
+    octokit,
+    repo: { owner: 'o', repo: 'r' },
+    refs: { base: 'base', head: 'head' },
+    config,
+    httpClient
+  });
+  const result = await agent.documentFileGroups(analysis.files, metadata, metadata.number, analysis.config);
+  return { outcome: { fileDiffs: analysis.files, ...result, description: metadata.body }, config: analysis.config };
+}
+
+/**
+ * The conclusion the default policy gives an outcome
+ */
+function conclude(outcome, config) {
+  return checkRun.decideConclusion(checkRun.evaluateConditions(outcome, config), checkRun.parsePolicy(''));
+}
+
+test('parses policies with aliases and rejects unknown entries', () => {
+  assert.deepEqual(Array.from(checkRun.parsePolicy('breaking: warn, docs-drift = FAIL\nrisky: pass')), [
+    ['breaking', 'neutral'], ['docs-drift', 'failure'], ['risky', 'success']
+  ]);
+  assert.deepEqual(Array.from(checkRun.parsePolicy()), [['error', 'failure'], ['breaking-undocumented', 'failure'], ['llm-unavailable', 'neutral']]);
+  assert.throws(() => checkRun.parsePolicy('breaking failure'), /expected "condition: conclusion"/);
+  assert.throws(() => checkRun.parsePolicy('typo: failure'), /Invalid check-conclusions condition "typo"/);
+  assert.throws(() => checkRun.parsePolicy('breaking: maybe'), /Invalid check-conclusions conclusion "maybe" for breaking/);
+});
+
+test('picks the most severe conclusion among the conditions the policy names', () => {
+  const policy = checkRun.parsePolicy('risky: neutral, breaking: failure');
+  assert.deepEqual(checkRun.decideConclusion({ risky: '1 risky change(s)', breaking: '1 breaking change(s)', 'docs-drift': 'a.json' }, policy), {
+    conclusion: 'failure',
+    reasons: [
+      { condition: 'breaking', conclusion: 'failure', detail: '1 breaking change(s)' },
+      { condition: 'risky', conclusion: 'neutral', detail: '1 risky change(s)' }
+    ]
+  });
+  assert.equal(checkRun.decideConclusion({ 'docs-drift': 'a.json' }, policy).conclusion, 'success');
+});
+
+test('fails an undocumented breaking change even though the template documentation lists it', async () => {
+  const { outcome, config } = await documentSessionChange({ generationMode: 'template' });
+
+  assert.match(outcome.documentation, /servicebus-orders\.json[\s\S]*## Change Impact[\s\S]*`requiresSession`/);
+  assert.equal(outcome.prose, '');
+  const decision = conclude(outcome, config);
+  assert.equal(decision.conclusion, 'failure');
+  assert.deepEqual(decision.reasons.map(reason => [reason.condition, reason.detail]), [['breaking-undocumented', 'queue orders']]);
+
+  assert.equal(conclude({ ...outcome, description: 'The orders queue now requires sessions.' }, config).conclusion, 'success');
+  assert.equal(conclude({ ...outcome, docPaths: [], description: 'The orders queue now requires sessions.' }, config).conclusion, 'failure');
+});
+
+test('accepts breaking changes the LLM or the author wrote about', async () => {
+  const client = fakeHttpClient(() => completion('# Queue sessions\n\nThe orders queue now requires sessions.'));
+  const { outcome, config } = await documentSessionChange({ llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o' }, client);
+
+  assert.equal(outcome.prose, '# Queue sessions\n\nThe orders queue now requires sessions.');
+  assert.equal(conclude(outcome, config).conclusion, 'success');
+
+  const { outcome: templated, config: templateConfig } = await documentSessionChange({ generationMode: 'template' });
+  const files = [
+    { filename: 'docs/messaging.md', patch: '@@ -4 +4,2 @@\n Queues\n+Senders to orders must set a SessionId.' },
+    { filename: 'docs/pr-8-azure-integrations.md', patch: '@@ -1 +1 @@\n+| `queues/servicebus-orders.json` | Service Bus | orders |' }
+  ];
+  assert.equal(docDrift.addedDocLines(files, templated.docPaths), 'Senders to orders must set a SessionId.');
+  assert.equal(conclude({ ...templated, prose: docDrift.addedDocLines(files.slice(1), templated.docPaths) }, templateConfig).conclusion, 'failure');
+  assert.equal(conclude({ ...templated, prose: docDrift.addedDocLines(files, templated.docPaths) }, templateConfig).conclusion, 'success');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const cli = require('../src/cli');
+
+const bin = path.join(__dirname, '..', 'bin', 'azure-doc-agent.js');
+const gitEnvironment = { GIT_AUTHOR_NAME: 'dev', GIT_AUTHOR_EMAIL: 'dev@example.com', GIT_COMMITTER_NAME: 'dev', GIT_COMMITTER_EMAIL: 'dev@example.com' };
+
+/**
+ * Run the CLI in `cwd`; returns { status, stdout, stderr }
+ */
+function run(args, cwd) {
+  return spawnSync(process.execPath, [bin, ...args], { cwd, encoding: 'utf8', timeout: 60000, env: { ...process.env, ...gitEnvironment } });
+}
+
+test('parses commands, flags, aliases and switches', () => {
+  assert.deepEqual(cli.parseArguments(['generate', '--base', 'develop', '--provider=openai', '--dry-run', '-h']), {
+    command: 'generate',
+    flags: { base: 'develop', 'llm-provider': 'openai', 'dry-run': true, help: true }
+  });
+  assert.deepEqual(cli.parseArguments(['generate', '--verbose=false', '--config', '.github/docs.yml']).flags, { verbose: false, 'config-file': '.github/docs.yml' });
+  assert.throws(() => cli.parseArguments(['generate', '--head']), /^Error: Missing value for --head$/);
+  assert.throws(() => cli.parseArguments(['generate', 'extra']), /^Error: Unexpected argument: extra$/);
+});
+
+test('exits with usage errors for unknown commands and options', () => {
+  const unknownCommand = run(['publish'], __dirname);
+  assert.equal(unknownCommand.status, 2);
+  assert.match(unknownCommand.stderr, /^Unknown command: publish\n\nUsage: azure-doc-agent generate/);
+
+  const help = run(['--help'], __dirname);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /--<input> <value>/);
+});
+
+test('documents the changes of a local branch', () => {
+  const repository = fs.mkdtempSync(path.join(os.tmpdir(), 'azure-doc-agent-cli-'));
+  const git = (...args) => execFileSync('git', args, { cwd: repository, env: { ...process.env, ...gitEnvironment }, stdio: 'pipe' });
+
+  try {
+    git('init', '-q', '-b', 'main');
+    fs.mkdirSync(path.join(repository, 'queues'));
+    fs.writeFileSync(path.join(repository, 'queues', 'servicebus-orders.json'), JSON.stringify({ queueName: 'orders', properties: { requiresSession: false } }, null, 2));
+    git('add', '-A');
+    git('commit', '-q', '-m', 'Add orders queue');
+    git('checkout', '-q', '-b', 'sessions');
+    fs.writeFileSync(path.join(repository, 'queues', 'servicebus-orders.json'), JSON.stringify({ queueName: 'orders', properties: { requiresSession: true } }, null, 2));
+    git('commit', '-q', '-am', 'Require sessions');
+
+    const dryRun = run(['generate', '--base', 'main', '--dry-run', '--generation-mode', 'template', '--pr', '9'], repository);
+    assert.equal(dryRun.status, 0, dryRun.stderr);
+    assert.match(dryRun.stdout, /\| `queues\/servicebus-orders.json` \| Service Bus \| modified \|/);
+    assert.match(dryRun.stdout, /## Change Impact[\s\S]*`requiresSession` false → true/);
+    assert.equal(fs.existsSync(path.join(repository, 'docs')), false);
+
+    const failing = run(['generate', '--base', 'main', '--generation-mode', 'template', '--fail-on-breaking-change', 'true'], repository);
+    assert.equal(failing.status, 1);
+    assert.match(failing.stdout + failing.stderr, /1 breaking change\(s\) detected in integration contracts/);
+    assert.ok(fs.existsSync(path.join(repository, 'docs', 'local-azure-integrations.md')));
+
+    const unknown = run(['generate', '--genration-mode', 'template'], repository);
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stdout + unknown.stderr, /Unknown option\(s\): --genration-mode/);
+  } finally {
+    fs.rmSync(repository, { recursive: true, force: true });
+  }
+});
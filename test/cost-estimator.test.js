@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const costEstimator = require('../src/cost-estimator');
+const { fakeOctokit } = require('./helpers');
+
+const namespace = (sku, capacity) => `resource sb 'Microsoft.ServiceBus/namespaces@2022-10-01-preview' = {\n  name: 'sb-orders'\n  location: 'eastus'\n  sku: {\n    name: '${sku}'\n    capacity: ${capacity}\n  }\n}\n`;
+const logicApp = connectors => JSON.stringify({
+  definition: {
+    triggers: { manual: { type: 'Request', kind: 'Http' } },
+    actions: Object.fromEntries([['Compose', { type: 'Compose' }]].concat(Array.from({ length: connectors }, (_, index) => [`Send${index}`, { type: 'ApiConnection' }])))
+  }
+});
+
+test('prices a Service Bus tier and capacity change', () => {
+  const rows = costEstimator.estimateFileCost({ filename: 'infra/servicebus.bicep', status: 'modified' },
+    { base: namespace('Standard', 1), head: namespace('Premium', 2) }, 'Bicep IaC');
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].change, 'tier Standard → Premium, capacity 1 → 2');
+  assert.equal(rows[0].basis, '2 messaging unit(s) × 730 h');
+  assert.equal(costEstimator.formatCostForPrompt(rows),
+    '- Service Bus `sb-orders` (tier Standard → Premium, capacity 1 → 2): $9.86 → $1,354.15 per month (+$1,344.30; 2 messaging unit(s) × 730 h)');
+});
+
+test('prices Logic App connector actions per run', () => {
+  const [row] = costEstimator.estimateFileCost({ filename: 'workflows/orders.logicapp.json', status: 'modified' },
+    { base: logicApp(0), head: logicApp(2) }, 'Azure Logic App');
+
+  assert.equal(row.service, 'Logic Apps');
+  assert.equal(row.change, 'connectorActions 0 → 2');
+  assert.equal(costEstimator.formatAmount(row.delta, costEstimator.BUNDLED_PRICES, true), '+$2.50');
+  assert.deepEqual(costEstimator.estimateFileCost({ filename: 'workflows/orders.logicapp.json', status: 'modified' },
+    { base: logicApp(1), head: logicApp(1) }, 'Azure Logic App'), []);
+});
+
+test('renders the cost section with its total and assumptions', () => {
+  const rows = costEstimator.estimateFileCost({ filename: 'infra/servicebus.bicep', status: 'added' }, { base: null, head: namespace('Standard', 1) }, 'Bicep IaC');
+  const section = costEstimator.renderCostSection([{ filename: 'infra/servicebus.bicep', cost: rows }, { filename: 'README.md', cost: [] }]);
+
+  assert.match(section, /^\n\n## Estimated Cost Impact\n/);
+  assert.match(section, /\| Service Bus \| `sb-orders` \| added \| \$0\.00 \| \$9\.86 \| \+\$9\.86 \|/);
+  assert.match(section, /\*\*Estimated monthly delta:\*\* \+\$9\.86\n/);
+  assert.match(section, /- Azure retail prices .*, USD, East US, effective 2025-01; 730 hours per month/);
+  assert.equal(costEstimator.renderCostSection([{ filename: 'README.md' }]), '');
+});
+
+test('merges a repository price table over the bundled prices', async () => {
+  const prices = costEstimator.parsePriceTable('{"currency":"EUR","serviceBus":{"Premium":{"perMessagingUnitHourly":1}}}');
+  assert.deepEqual(prices.serviceBus.Standard, costEstimator.BUNDLED_PRICES.serviceBus.Standard);
+  assert.equal(prices.serviceBus.Premium.perMessagingUnitHourly, 1);
+  assert.equal(costEstimator.formatAmount(-12.5, prices, true), '−EUR 12.50');
+  assert.equal(costEstimator.formatAmount(0, prices, true), '±EUR 0.00');
+  assert.throws(() => costEstimator.parsePriceTable('[]', 'prices.json'), /^Error: Invalid price table prices.json: must be a JSON object$/);
+
+  const octokit = fakeOctokit({ head: { 'cost/prices.json': '{"region":"West Europe"}' } });
+  const context = { repo: { owner: 'o', repo: 'r' } };
+  assert.equal((await costEstimator.loadPriceTable(octokit, context, 'cost/prices.json', 'head')).region, 'West Europe');
+  assert.equal(await costEstimator.loadPriceTable(octokit, context, '', 'head'), costEstimator.BUNDLED_PRICES);
+  await assert.rejects(costEstimator.loadPriceTable(octokit, context, 'cost/missing.json', 'head'), /Price table not found: cost\/missing.json/);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const api = require('../src/api');
+const dependencyGraph = require('../src/dependency-graph');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+silenceLog();
+
+const functionJson = JSON.stringify({ bindings: [{ type: 'serviceBusTrigger', direction: 'in', name: 'message', queueName: 'orders', connection: 'SB_CONN' }] });
+const repository = {
+  'workflows/orders.logicapp.json': fs.readFileSync(path.join(__dirname, 'sample.logicapp.json'), 'utf8'),
+  'functions/process-order/function.json': functionJson,
+  'docs/README.md': '# Docs'
+};
+
+test('links files through the queues, apps and settings they reference', () => {
+  const sources = Object.entries(repository).map(([sourcePath, content]) => ({ path: sourcePath, content }));
+  const graph = dependencyGraph.buildDependencyGraph(sources, api.detectAzureServiceType);
+  const edges = Array.from(graph.edges.values()).map(edge => `${edge.from} -${edge.label}-> ${edge.to}`).sort();
+
+  assert.deepEqual(edges, [
+    'file:functions/process-order/function.json -reads-> setting:SB_CONN',
+    'file:workflows/orders.logicapp.json -calls-> app:fraud-detection-api',
+    'file:workflows/orders.logicapp.json -sends-> queue:manual-review-queue',
+    'file:workflows/orders.logicapp.json -sends-> queue:order-processing-queue',
+    'queue:orders -triggers-> file:functions/process-order/function.json'
+  ]);
+});
+
+test('renders the part of the graph a change touches', () => {
+  const graph = dependencyGraph.buildDependencyGraph([{ path: 'functions/process-order/function.json', content: functionJson }], api.detectAzureServiceType);
+  const subgraph = dependencyGraph.selectSubgraph(graph, ['functions/process-order/function.json']);
+
+  assert.equal(dependencyGraph.renderMermaid(subgraph.graph, subgraph.changed), [
+    'flowchart LR',
+    '  file_functions_process_order_function_json["function.json<br/>Azure Function"]',
+    '  queue_orders[("orders")]',
+    '  setting_SB_CONN{{"SB_CONN"}}',
+    '  file_functions_process_order_function_json -->|reads| setting_SB_CONN',
+    '  queue_orders -->|triggers| file_functions_process_order_function_json',
+    '  classDef changed fill:#fff3b0,stroke:#d97706,stroke-width:2px',
+    '  class file_functions_process_order_function_json changed',
+    ''
+  ].join('\n'));
+  assert.equal(dependencyGraph.formatGraphForPrompt(subgraph.graph), '- function.json — Azure Function reads SB_CONN\n- orders triggers function.json — Azure Function');
+});
+
+test('treats function code as a graph source', () => {
+  assert.equal(dependencyGraph.isGraphSource('functions/process-order/index.js', ['**/function.json']), true);
+  assert.equal(dependencyGraph.isGraphSource('docs/README.md', ['**/function.json']), false);
+});
+
+const sender = JSON.stringify({ bindings: [{ type: 'serviceBus', direction: 'out', name: 'order', queueName: 'orders', connection: 'SB_CONN' }] });
+
+/**
+ * Analyse a pull request changing the function binding; returns the paths read through the API
+ */
+async function pathsReadFor(config) {
+  const head = { ...repository, 'functions/submit-order/function.json': sender, 'functions/process-order/function.json': functionJson.replace('SB_CONN', 'SB_ORDERS') };
+  const octokit = fakeOctokit({ base: { ...repository, 'functions/submit-order/function.json': sender }, head });
+  const files = [{ filename: 'functions/process-order/function.json', status: 'modified', additions: 1, deletions: 1, patch: '@@ -1 +1 @@\n-a\n+b' }];
+  const analysis = await api.analyzeChanges(files, { octokit, repo: { owner: 'o', repo: 'r' }, refs: { base: 'base', head: 'head' }, config: { generationMode: 'template', ...config } });
+  return { analysis, paths: octokit.called('repos.getContent').filter(args => args.ref === 'head').map(args => args.path) };
+}
+
+test('builds the PR graph from every matched file and highlights the change, unless scan-repository is off', async () => {
+  const full = await pathsReadFor({});
+  assert.equal(full.paths.includes('workflows/orders.logicapp.json'), true);
+  assert.ok(full.analysis.config.dependencyGraph.nodes.has('file:workflows/orders.logicapp.json'));
+  const section = await api.renderDocs(full.analysis, { type: 'pull_request', number: 4, title: 'Rename the setting' });
+  assert.match(section, /_Derived from the repository's integration files; changed components are highlighted\._/);
+  assert.match(section, /file_functions_submit_order_function_json -->\|sends\| queue_orders/);
+  assert.match(section, /class file_functions_process_order_function_json changed\n/);
+
+  const changedOnly = await pathsReadFor({ scanRepository: false });
+  assert.equal(changedOnly.paths.includes('workflows/orders.logicapp.json'), false);
+  assert.deepEqual(Array.from(changedOnly.analysis.config.dependencyGraph.nodes.keys()).filter(id => id.startsWith('file:')), ['file:functions/process-order/function.json']);
+  assert.match(await api.renderDocs(changedOnly.analysis, { type: 'pull_request', number: 4, title: 'Rename the setting' }), /_Derived from the changed files only \(`scan-repository: false`\)/);
+});
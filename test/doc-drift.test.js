@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const docDrift = require('../src/doc-drift');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const log = silenceLog();
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+const filename = 'queues/servicebus-orders.json';
+const head = {
+  [filename]: '{"queueName":"orders"}',
+  'docs/messaging.md': '# Messaging\n\nOrders go through [the queue](../queues/servicebus-orders.json).',
+  'docs/runbook.md': '# Runbook\n\nRestart `queues/servicebus-orders.json` consumers after a deployment.',
+  'docs/onboarding.md': '# Onboarding\n\nNothing about queues.',
+  'docs/pr-3-azure-integrations.md': `# PR 3\n\n\`${filename}\` changed.`
+};
+const changedFiles = [{ filename, status: 'modified' }, { filename: 'docs/onboarding.md', status: 'modified' }];
+
+test('classifies generated and hand-written Markdown', () => {
+  assert.equal(docDrift.classifyDoc('docs/pr-3-azure-integrations.md', '# PR 3'), 'pr');
+  assert.equal(docDrift.classifyDoc('docs/azure-integration-audit.md', '# Audit'), null);
+  assert.equal(docDrift.classifyDoc('docs/notes.md', '<!-- azure-doc-agent:summary -->'), null);
+  assert.equal(docDrift.classifyDoc('docs/messaging.md', head['docs/messaging.md']), 'manual');
+});
+
+test('reads only the documents code search finds for the changed files', async () => {
+  const octokit = fakeOctokit({ head }, {
+    'search.code': () => ({ total_count: 3, incomplete_results: false, items: ['docs/messaging.md', 'docs/runbook.md', 'docs/pr-3-azure-integrations.md'].map(path => ({ path })) })
+  });
+
+  const untouched = await docDrift.findUntouchedDocs(octokit, context, 'head', changedFiles, [changedFiles[0]]);
+
+  assert.deepEqual(untouched, [{ filename, docs: ['docs/messaging.md', 'docs/runbook.md'] }]);
+  assert.deepEqual(octokit.called('search.code').map(args => args.q), ['"servicebus-orders.json" repo:o/r language:Markdown']);
+  assert.deepEqual(octokit.called('repos.getContent').map(args => args.path).sort(), ['docs/messaging.md', 'docs/pr-3-azure-integrations.md', 'docs/runbook.md']);
+  assert.match(docDrift.renderUntouchedDocs(untouched), /\| `queues\/servicebus-orders.json` \| `docs\/messaging.md`<br>`docs\/runbook.md` \|/);
+
+  const touched = await docDrift.findUntouchedDocs(octokit, context, 'head', [...changedFiles, { filename: 'docs/runbook.md', status: 'modified' }], [changedFiles[0]]);
+  assert.deepEqual(touched, []);
+});
+
+test('reads nothing when no document mentions the changed files', async () => {
+  const octokit = fakeOctokit({ head }, { 'search.code': () => ({ total_count: 0, incomplete_results: false, items: [] }) });
+
+  assert.deepEqual(await docDrift.findUntouchedDocs(octokit, context, 'head', changedFiles, [changedFiles[0]]), []);
+  assert.equal(octokit.called('git.getTree').length, 0);
+  assert.equal(octokit.called('repos.getContent').length, 0);
+});
+
+test('reads every document when code search cannot answer', async () => {
+  const octokit = fakeOctokit({ head }, {
+    'search.code': () => {
+      throw Object.assign(new Error('Validation Failed'), { status: 422 });
+    }
+  });
+
+  assert.deepEqual(await docDrift.findUntouchedDocs(octokit, context, 'head', changedFiles, [changedFiles[0]]), [{ filename, docs: ['docs/messaging.md', 'docs/runbook.md'] }]);
+  assert.equal(octokit.called('repos.getContent').filter(args => args.path.endsWith('.md')).length, 4);
+  assert.ok(log.messages.some(message => message.includes('Could not search for documentation that refers to the changed files: Validation Failed')));
+
+  const many = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => ({ filename: `queues/servicebus-${name}.json`, status: 'modified' }));
+  const searches = fakeOctokit({ head });
+  await docDrift.findUntouchedDocs(searches, context, 'head', many, many);
+  assert.equal(searches.called('search.code').length, 0);
+  assert.equal(searches.called('git.getTree').length, 1);
+});
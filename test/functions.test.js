@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const functions = require('../src/functions');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+silenceLog();
+
+const ingest = `import { app, output } from '@azure/functions';
+const queueOutput = output.serviceBusQueue({ queueName: 'telemetry-alerts', connection: 'SB_CONN' });
+app.eventHub('eventhubIngest', {
+  eventHubName: 'telemetry',
+  connection: 'EH_CONN',
+  cardinality: 'many',
+  extraOutputs: [queueOutput],
+  handler: async (events, context) => { const url = process.env.ALERT_URL; }
+});
+`;
+const ingestBefore = ingest.replace('  extraOutputs: [queueOutput],\n', '');
+const appSettings = "resource fn 'Microsoft.Web/sites@2023-01-01' = {\n  name: 'fn'\n  properties: {\n    siteConfig: {\n      appSettings: [\n" +
+  "        {\n          name: 'EH_CONN__fullyQualifiedNamespace'\n          value: 'x'\n        }\n        {\n          name: 'SB_CONN'\n          value: 'y'\n        }\n      ]\n    }\n  }\n}\n";
+
+test('detects Function apps by layout before service names', () => {
+  assert.equal(api.detectAzureServiceType('functions/eventhub-ingest/index.ts'), 'Azure Function');
+  assert.equal(api.detectAzureServiceType('src/functions/servicebus-orders/run.cs'), 'Azure Function');
+  assert.equal(api.detectAzureServiceType('apps/orders/host.json'), 'Azure Function');
+  assert.equal(api.detectAzureServiceType('eventhub-ingest/function.json'), 'Azure Function');
+  assert.equal(api.detectAzureServiceType('infra/servicebus.bicep'), 'Bicep IaC');
+  assert.equal(api.detectAzureServiceType('functions/eventhub-telemetry.json'), 'Event Hub');
+  assert.equal(api.detectAzureServiceType('config/eventhub-telemetry.json'), 'Event Hub');
+});
+
+test('reads Node.js v4 and C# bindings with the settings they need', () => {
+  const parsed = functions.parseFunctionFile(ingest, 'functions/eventhub-ingest/index.ts');
+  assert.deepEqual(parsed.bindings.map(item => [item.function, item.direction, item.type, item.target, item.connection]), [
+    ['eventhubIngest', 'trigger', 'eventHub', 'telemetry', 'EH_CONN'],
+    ['eventhubIngest', 'out', 'serviceBus', 'telemetry-alerts', 'SB_CONN']
+  ]);
+  assert.deepEqual(parsed.settings.map(setting => setting.name), ['ALERT_URL', 'EH_CONN', 'SB_CONN']);
+
+  const csharp = 'public class Orders {\n  [Function("ProcessOrder")]\n  public void Run([ServiceBusTrigger("orders", Connection = "SB_CONN")] string message) {}\n}';
+  assert.deepEqual(functions.parseFunctionFile(csharp, 'functions/Orders.cs').bindings.map(item => [item.function, item.type, item.target]), [['ProcessOrder', 'serviceBus', 'orders']]);
+  assert.equal(functions.parseFunctionFile('{}', 'host.json'), null);
+});
+
+test('checks required settings against IaC app settings, counting identity-based ones', () => {
+  const changes = functions.diffFunctionBindings(
+    functions.parseFunctionFile(ingestBefore, 'functions/eventhub-ingest/index.ts'),
+    functions.parseFunctionFile(ingest, 'functions/eventhub-ingest/index.ts')
+  );
+  const missing = functions.checkAppSettings(changes, functions.collectDeclaredSettings([{ path: 'infra/main.bicep', content: appSettings }]));
+
+  assert.deepEqual(missing, ['ALERT_URL']);
+  assert.equal(functions.formatFunctionChangesForPrompt(changes), [
+    '- eventhubIngest: trigger eventHub `telemetry`, connection setting EH_CONN',
+    '- eventhubIngest: out serviceBus `telemetry-alerts`, connection setting SB_CONN [added]',
+    '- Required app setting ALERT_URL: environment variable (NOT declared in any Bicep/Terraform app settings)',
+    '- Required app setting EH_CONN: eventHub connection (declared in infra/main.bicep)',
+    '- Required app setting SB_CONN: serviceBus connection (declared in infra/main.bicep)'
+  ].join('\n'));
+
+  const rendered = functions.renderFunctionChanges(changes);
+  assert.match(rendered, /\| eventhubIngest \| ➡️ output \| serviceBus \| `telemetry-alerts` \| `SB_CONN` \| added \|/);
+  assert.match(rendered, /- ⚠️ `ALERT_URL` — environment variable — not declared in any Bicep\/Terraform app settings/);
+});
+
+test('sends function code named after a messaging service to the functions analyser', async () => {
+  const filename = 'functions/eventhub-ingest/index.ts';
+  const octokit = fakeOctokit({ base: { [filename]: ingestBefore }, head: { [filename]: ingest } });
+  const analysis = await api.analyzeChanges([{ filename, status: 'modified', additions: 1, deletions: 0, patch: '@@ -6,0 +7 @@\n+  extraOutputs: [queueOutput],' }], {
+    octokit,
+    repo: { owner: 'o', repo: 'r' },
+    refs: { base: 'base', head: 'head' },
+    config: { generationMode: 'template' }
+  });
+
+  const [file] = analysis.files;
+  assert.equal(file.analysis.kind, 'function');
+  assert.deepEqual(file.analysis.changes.bindings.filter(item => item.change).map(item => item.target), ['telemetry-alerts']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const githubFiles = require('../src/github-files');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+
+/**
+ * Trees with `count` files changed between base and head, plus one unchanged file
+ */
+function changedTrees(count) {
+  const base = { 'README.md': '# readme' };
+  const head = { 'README.md': '# readme' };
+  for (let index = 0; index < count; index++) {
+    base[`queues/servicebus-${index}.json`] = '{}';
+    head[`queues/servicebus-${index}.json`] = `{"index": ${index}}`;
+  }
+  return { base, head };
+}
+
+test('lists compared files from the first page', async () => {
+  silenceLog();
+  const files = [{ filename: 'a.json', status: 'modified', patch: '@@' }];
+  const octokit = fakeOctokit({}, { 'repos.compareCommits': () => ({ files }) });
+
+  assert.deepEqual(await githubFiles.listComparisonFiles(octokit, context, 'base', 'head'), files);
+  assert.equal(octokit.called('repos.compareCommits').length, 1);
+  assert.equal(octokit.called('git.getTree').length, 0);
+});
+
+test('compares trees when the compare API hits its 300-file limit', async () => {
+  const logger = silenceLog();
+  const trees = changedTrees(350);
+  const firstPage = Object.keys(trees.head).filter(name => name !== 'README.md').slice(0, 300)
+    .map(filename => ({ filename, status: 'modified', patch: '@@ -1 +1 @@' }));
+  const octokit = fakeOctokit(trees, {
+    'repos.compareCommits': () => ({ files: firstPage, merge_base_commit: { sha: 'base' } })
+  });
+
+  const files = await githubFiles.listComparisonFiles(octokit, context, 'before', 'head');
+
+  assert.equal(files.length, 350);
+  assert.equal(files[0].patch, '@@ -1 +1 @@');
+  assert.equal(files[349].patch, undefined);
+  assert.deepEqual(octokit.called('git.getTree').map(args => args.tree_sha).sort(), ['base', 'head']);
+  assert.ok(logger.messages.some(message => /compare API's limit; comparing trees/.test(message)));
+});
+
+test('completes pull request file lists beyond 3000 files from the trees', async () => {
+  silenceLog();
+  const trees = changedTrees(3);
+  const listed = [{ filename: 'queues/servicebus-0.json', status: 'modified', patch: '@@' }];
+  const octokit = fakeOctokit(trees, {
+    'pulls.listFiles': () => listed,
+    'repos.compareCommits': () => ({ merge_base_commit: { sha: 'base' } })
+  });
+  const pullRequest = { number: 1, changed_files: 3, base: { sha: 'base' }, head: { sha: 'head' } };
+
+  const files = await githubFiles.listPullRequestFiles(octokit, context, pullRequest);
+
+  assert.deepEqual(files.map(file => file.filename).sort(), ['queues/servicebus-0.json', 'queues/servicebus-1.json', 'queues/servicebus-2.json']);
+  assert.equal(files.find(file => file.filename === 'queues/servicebus-0.json').patch, '@@');
+});
+
+test('diffs file versions locally', () => {
+  assert.deepEqual(githubFiles.diffContents('a\nb\n', 'a\nc\n'), {
+    diff: '@@ -1,2 +1,2 @@\n a\n-b\n+c',
+    additions: 1,
+    deletions: 1
+  });
+  assert.deepEqual(githubFiles.diffContents('\u0000', 'x'), { diff: '(Binary file)', additions: 0, deletions: 0 });
+});
+
+test('hydrates patches GitHub omitted', async () => {
+  silenceLog();
+  const octokit = fakeOctokit({ base: { 'big.json': '{\n  "a": 1\n}\n' }, head: { 'big.json': '{\n  "a": 2\n}\n' } });
+  const fileDiffs = [{ filename: 'big.json', status: 'modified', additions: 0, deletions: 0, diff: '', patchMissing: true }];
+
+  await githubFiles.hydrateMissingPatches(octokit, context, fileDiffs, { base: 'base', head: 'head' });
+
+  assert.equal(fileDiffs[0].patchMissing, false);
+  assert.equal(fileDiffs[0].additions, 1);
+  assert.match(fileDiffs[0].diff, /-  "a": 1\n\+  "a": 2/);
+});
+
+test('reads missing files as null', async () => {
+  const octokit = fakeOctokit({ head: {} });
+  assert.equal(await githubFiles.fetchFileContent(octokit, context, 'missing.json', 'head'), null);
+  assert.equal(await githubFiles.fetchFileContent(octokit, context, 'missing.json', '0000000'), null);
+});
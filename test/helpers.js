@@ -0,0 +1,81 @@
+/**
+ * Shared test doubles: a silent logger, a recording HTTP client and an
+ * octokit that serves repository files from memory.
+ */
+
+const crypto = require('crypto');
+const log = require('../src/log');
+
+/**
+ * Route log messages to memory; returns the logger so tests can read `outputs` and `messages`
+ */
+function silenceLog() {
+  const messages = [];
+  const logger = log.createConsoleLogger({ stream: { write: message => messages.push(message) } });
+  logger.messages = messages;
+  log.setLogger(logger);
+  return logger;
+}
+
+/**
+ * axios-compatible client that records requests and answers each with `respond(url, body, options)`
+ */
+function fakeHttpClient(respond) {
+  const requests = [];
+  return {
+    requests,
+    async post(url, body, options) {
+      requests.push({ url, body, options });
+      return respond(url, body, options);
+    }
+  };
+}
+
+/**
+ * A successful chat-completions response with `content`
+ */
+function completion(content) {
+  return { status: 200, data: { choices: [{ message: { content } }] } };
+}
+
+/**
+ * octokit double serving `trees` ({ [ref]: { [path]: content } }) through repos.getContent and git.getTree.
+ * `handlers` ({ 'pulls.create': args => data }) answer other calls; unknown calls return {}.
+ * Every call is recorded in `calls` as [name, args].
+ */
+function fakeOctokit(trees = {}, handlers = {}) {
+  const calls = [];
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+  const defaults = {
+    'repos.getContent': ({ path, ref }) => {
+      const content = trees[ref] && trees[ref][path];
+      if (content === undefined || content === null) throw notFound();
+      return { type: 'file', encoding: 'base64', content: Buffer.from(content).toString('base64'), sha: `${ref}:${path}` };
+    },
+    'git.getTree': ({ tree_sha: sha }) => ({
+      tree: Object.keys(trees[sha] || {}).map(path => ({ path, type: 'blob', sha: crypto.createHash('sha1').update(trees[sha][path]).digest('hex'), size: trees[sha][path].length }))
+    }),
+    'repos.listCommits': () => []
+  };
+
+  const endpoint = name => async args => {
+    calls.push([name, args]);
+    const handler = handlers[name] || defaults[name];
+    return { data: handler ? await handler(args || {}) : {} };
+  };
+  const namespace = prefix => new Proxy({}, { get: (target, key) => endpoint(`${prefix}.${String(key)}`) });
+
+  return {
+    calls,
+    called: name => calls.filter(([callName]) => callName === name).map(([, args]) => args),
+    rest: new Proxy({}, { get: (target, key) => namespace(String(key)) }),
+    paginate: async (method, args) => (await method(args)).data
+  };
+}
+
+module.exports = {
+  silenceLog,
+  fakeHttpClient,
+  completion,
+  fakeOctokit
+};
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iac = require('../src/iac');
+
+const bicep = `param location string = 'eastus'
+resource sb 'Microsoft.ServiceBus/namespaces@2022-10-01-preview' = {
+  name: 'sb-orders'
+  location: location
+  sku: {
+    name: 'Standard'
+  }
+}
+resource queue 'Microsoft.ServiceBus/namespaces/queues@2022-10-01-preview' = {
+  parent: sb
+  name: 'orders'
+  properties: {
+    maxDeliveryCount: 10
+  }
+}
+resource old 'Microsoft.Storage/storageAccounts@2023-01-01' = {
+  name: 'stold'
+  location: location
+}
+`;
+const roleAssignment = `resource role 'Microsoft.Authorization/roleAssignments@2022-04-01' = {
+  name: guid(sb.id, 'sender')
+  scope: sb
+  properties: {
+    roleDefinitionId: subscriptionResourceId('Microsoft.Authorization/roleDefinitions', '69a216fc-b8fb-44d8-bc22-1f3c2cd27a39')
+    principalId: app.identity.principalId
+  }
+}
+`;
+const bicepHead = bicep
+  .replace("'Standard'", "'Premium'")
+  .replace('maxDeliveryCount: 10', 'maxDeliveryCount: 5\n    requiresSession: true')
+  .replace(/resource old[\s\S]*$/, roleAssignment);
+
+const terraform = (tier, cidr) => `# orders
+resource "azurerm_servicebus_namespace" "orders" {
+  name                = "sb-orders"
+  sku                 = "${tier}"
+  resource_group_name = azurerm_resource_group.rg.name
+}
+
+module "network" {
+  source = "./modules/network"
+  cidr   = "${cidr}"
+}
+
+resource "azurerm_linux_function_app" "fn" {
+  name = "fn-orders"
+  app_settings = {
+    "SB_QUEUE" = "orders"
+  }
+}
+`;
+
+test('parses Bicep resources with flattened literal properties', () => {
+  const model = iac.parseBicep(bicep);
+  const [namespace, queue] = model.resources;
+
+  assert.equal(model.language, 'bicep');
+  assert.deepEqual(model.resources.map(resource => [resource.symbol, resource.type, resource.name]), [
+    ['sb', 'Microsoft.ServiceBus/namespaces', 'sb-orders'],
+    ['queue', 'Microsoft.ServiceBus/namespaces/queues', 'orders'],
+    ['old', 'Microsoft.Storage/storageAccounts', 'stold']
+  ]);
+  assert.equal(namespace.apiVersion, '2022-10-01-preview');
+  assert.equal(iac.skuOf(namespace), 'Standard');
+  assert.equal(queue.parent, 'sb');
+  assert.equal(queue.properties['properties.maxDeliveryCount'], 10);
+});
+
+test('parses Terraform resources, modules and app settings', () => {
+  const model = iac.parseTerraform(terraform('Standard', '10.0.0.0/16'));
+
+  assert.deepEqual(model.resources.map(resource => [resource.kind, resource.address, resource.name]), [
+    ['resource', 'azurerm_servicebus_namespace.orders', 'sb-orders'],
+    ['module', 'module.network', 'network'],
+    ['resource', 'azurerm_linux_function_app.fn', 'fn-orders']
+  ]);
+  assert.equal(iac.skuOf(model.resources[0]), 'Standard');
+  assert.deepEqual(iac.appSettingsOf(model.resources[2]), [['SB_QUEUE', 'orders']]);
+  assert.equal(iac.resourcesOfType(model, 'azurerm_servicebus_namespace').length, 1);
+  assert.equal(iac.parseIac('# empty', 'infra/main.tf').language, 'terraform');
+  assert.equal(iac.parseIac('{}', 'infra/main.json'), null);
+});
+
+test('diffs resources, SKUs, properties and role assignments', () => {
+  const changes = iac.diffIacResources(iac.parseBicep(bicep), iac.parseBicep(bicepHead));
+
+  assert.deepEqual(changes.removed.map(resource => resource.address), ['old']);
+  assert.deepEqual(changes.modified.map(resource => [resource.address, resource.sku]), [
+    ['sb', { before: 'Standard', after: 'Premium' }],
+    ['queue', null]
+  ]);
+  assert.deepEqual(changes.modified[1].properties, [
+    { path: 'properties.maxDeliveryCount', before: 10, after: 5 },
+    { path: 'properties.requiresSession', before: undefined, after: true }
+  ]);
+  assert.deepEqual(changes.roleAssignments, [
+    { change: 'added', address: 'role', role: 'Azure Service Bus Data Sender', principal: 'app.identity.principalId', scope: 'sb' }
+  ]);
+  assert.equal(iac.formatIacChangesForPrompt(changes), [
+    '- Microsoft.ServiceBus/namespaces `sb (sb-orders)` modified: SKU Standard → Premium',
+    '- Microsoft.ServiceBus/namespaces/queues `queue (orders)` modified: properties.maxDeliveryCount: 10 → 5; properties.requiresSession: — → true',
+    '- Microsoft.Storage/storageAccounts `old (stold)` removed',
+    '- Role assignment added: Azure Service Bus Data Sender for principal app.identity.principalId on sb'
+  ].join('\n'));
+});
+
+test('groups rendered changes by resource type', () => {
+  const changes = iac.diffIacResources(iac.parseBicep(bicep), iac.parseBicep(bicepHead));
+  const rendered = iac.renderIacChanges(changes);
+
+  assert.match(rendered, /^\*\*`Microsoft.ServiceBus\/namespaces`\*\*\n\n\| Change \| Resource \| Details \|/);
+  assert.match(rendered, /\| ✏️ Modified \| `queue \(orders\)` \| properties.maxDeliveryCount: 10 → 5<br>properties.requiresSession: — → true \|/);
+  assert.match(rendered, /\*\*Role assignments\*\*\n\n\| Change \| Role \| Principal \| Scope \|\n\|[-|]+\|\n\| ➕ Added \| Azure Service Bus Data Sender \| `app.identity.principalId` \| `sb` \|/);
+});
+
+test('reports module input changes and no changes for identical files', () => {
+  const base = iac.parseTerraform(terraform('Standard', '10.0.0.0/16'));
+  const changes = iac.diffIacResources(base, iac.parseTerraform(terraform('Standard', '10.1.0.0/16')));
+
+  assert.equal(iac.formatIacChangesForPrompt(changes), '- module ./modules/network `module.network` modified: cidr: 10.0.0.0/16 → 10.1.0.0/16');
+  assert.equal(iac.hasIacChanges(changes), true);
+  assert.equal(iac.hasIacChanges(iac.diffIacResources(base, base)), false);
+});
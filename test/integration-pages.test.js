@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pages = require('../src/integration-pages');
+
+const today = new Date().toISOString().split('T')[0];
+
+test('names pages after the file, or its folder for generic file names', () => {
+  assert.equal(pages.integrationName('workflows/Order Processing.logicapp.json'), 'order-processing');
+  assert.equal(pages.integrationName('workflows/order-intake/workflow.json'), 'order-intake');
+  assert.equal(pages.integrationPagePath('workflows/order-intake/workflow.json', 'Azure Logic App', 'docs/integrations/'), 'docs/integrations/logic-apps/order-intake.md');
+  assert.equal(pages.integrationPagePath('infra/main.bicep', 'Bicep IaC', 'docs', { qualified: true }), 'docs/infrastructure/infra-main.md');
+  assert.equal(pages.integrationPagePath('x/settings.yaml', 'Unknown', 'docs'), 'docs/other/settings.md');
+});
+
+test('renders a page that round-trips its body, history and source', () => {
+  const file = { filename: 'policies/apim-orders.xml', status: 'modified', additions: 3, deletions: 1 };
+  const metadata = { number: 12, title: 'Tighten rate limit', url: 'https://github.com/o/r/pull/12' };
+  const history = pages.addHistoryEntry([], file, metadata);
+
+  const page = pages.renderIntegrationPage({ filename: file.filename, serviceType: 'API Management', body: '## Overview\n\nOrders API.', history, metadata });
+  const parsed = pages.parseIntegrationPage(page);
+
+  assert.match(page, /^# apim-orders\n/);
+  assert.equal(parsed.body, '## Overview\n\nOrders API.');
+  assert.deepEqual(parsed.history, [`- ${today} — [#12](https://github.com/o/r/pull/12) Tighten rate limit — modified (+3 / -1)`]);
+  assert.equal(pages.pageSource(page), 'policies/apim-orders.xml');
+  assert.equal(pages.pageSource('# Hand-written\n\n| `policies/apim-orders.xml` | x |'), null);
+});
+
+test('replaces the history entry of a re-run for the same pull request', () => {
+  const metadata = { number: 12, title: 'Tighten rate limit' };
+  const first = pages.addHistoryEntry(['- 2026-01-01 — #3 Initial — added (+10 / -0)'], { filename: 'a.xml', status: 'modified', additions: 1, deletions: 0 }, metadata);
+  const second = pages.addHistoryEntry(first, { filename: 'a.xml', status: 'modified', additions: 2, deletions: 0 }, metadata);
+
+  assert.equal(second.length, 2);
+  assert.match(second[0], /#12 Tighten rate limit — modified \(\+2 \/ -0\)$/);
+  assert.equal(second[1], '- 2026-01-01 — #3 Initial — added (+10 / -0)');
+});
+
+test('marks retired pages and points renamed pages to their new location', () => {
+  const metadata = { number: 13, title: 'Remove orders' };
+  const retired = pages.renderIntegrationPage({ filename: 'a/orders.logicapp.json', serviceType: 'Azure Logic App', body: 'Old.', history: [], metadata, retired: true });
+  assert.match(retired, /⚠️ \*\*Retired:\*\* `a\/orders.logicapp.json` was removed in #13/);
+
+  assert.equal(pages.renderMovedPage('a/orders.logicapp.json', 'docs/integrations/logic-apps/intake.md', metadata),
+    '# orders\n\n> ➡️ `a/orders.logicapp.json` was renamed in #13. This page now lives at `docs/integrations/logic-apps/intake.md`.\n');
+});
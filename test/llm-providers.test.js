@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const llm = require('../src/llm-providers');
+const { silenceLog, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+const messages = [{ role: 'user', content: 'Document this' }];
+
+test('builds Azure OpenAI URLs and key headers', async () => {
+  const client = fakeHttpClient(() => completion('# Doc'));
+  const config = { llmProvider: 'azure-openai', azureOpenAIEndpoint: 'https://x.openai.azure.com/', azureOpenAIDeployment: 'gpt-4o', azureOpenAIKey: 'k' };
+
+  const result = await llm.requestChatCompletion(config, messages, { httpClient: client });
+
+  assert.equal(result.content, '# Doc');
+  assert.equal(client.requests[0].url, 'https://x.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-02-15-preview');
+  assert.equal(client.requests[0].options.headers['api-key'], 'k');
+  assert.equal(client.requests[0].body.model, undefined);
+});
+
+test('sends the model to OpenAI-compatible servers without auth when no key is set', async () => {
+  const client = fakeHttpClient(() => completion('ok'));
+  const config = { llmProvider: 'openai-compatible', llmEndpoint: 'http://localhost:11434/v1/', llmModel: 'llama3' };
+
+  await llm.requestChatCompletion(config, messages, { httpClient: client });
+
+  assert.equal(client.requests[0].url, 'http://localhost:11434/v1/chat/completions');
+  assert.equal(client.requests[0].body.model, 'llama3');
+  assert.equal(client.requests[0].options.headers.Authorization, undefined);
+});
+
+test('validates provider names and required settings', () => {
+  assert.throws(() => llm.getProvider('bard'), /Invalid llm-provider: bard/);
+  assert.throws(() => llm.getProvider('openai').validate({ llmApiKey: 'k' }), /llm-model is required/);
+  assert.throws(() => llm.getProvider('azure-openai').validate({ azureOpenAIEndpoint: 'https://example.com', azureOpenAIKey: 'k' }), /Invalid Azure OpenAI endpoint/);
+});
+
+test('caches Entra ID tokens per tenant and client', async () => {
+  let issued = 0;
+  const client = fakeHttpClient(url => {
+    if (url.startsWith('https://login.microsoftonline.com/')) {
+      issued++;
+      return { status: 200, data: { access_token: `token-${issued}`, expires_in: 3600 } };
+    }
+    return completion('ok');
+  });
+  const audiences = [];
+  const config = clientId => ({
+    llmProvider: 'azure-openai-entra',
+    azureOpenAIEndpoint: 'https://x.openai.azure.com/openai/deployments/gpt-4o/chat/completions',
+    azureTenantId: 'tenant',
+    azureClientId: clientId,
+    idTokenProvider: async audience => {
+      audiences.push(audience);
+      return 'oidc-token';
+    }
+  });
+
+  await llm.requestChatCompletion(config('app-a'), messages, { httpClient: client });
+  await llm.requestChatCompletion(config('app-a'), messages, { httpClient: client });
+  await llm.requestChatCompletion(config('app-b'), messages, { httpClient: client });
+
+  const completions = client.requests.filter(request => request.url.includes('/chat/completions'));
+  assert.equal(issued, 2);
+  assert.deepEqual(audiences, ['api://AzureADTokenExchange', 'api://AzureADTokenExchange']);
+  assert.match(client.requests[0].body, /client_assertion=oidc-token/);
+  assert.deepEqual(completions.map(request => request.options.headers.Authorization), ['Bearer token-1', 'Bearer token-1', 'Bearer token-2']);
+});
+
+test('rejects the Entra ID provider up front when no OIDC token can be obtained', async () => {
+  const entra = {
+    llmProvider: 'azure-openai-entra',
+    azureOpenAIEndpoint: 'https://x.openai.azure.com/openai/deployments/gpt-4o/chat/completions',
+    azureTenantId: 'tenant',
+    azureClientId: 'app'
+  };
+  const provider = llm.getProvider('azure-openai-entra');
+
+  assert.throws(() => provider.validate(entra), /^Error: azure-openai-entra needs an OIDC token: run it in a GitHub Actions job with "id-token: write" permission/);
+  assert.doesNotThrow(() => provider.validate({ ...entra, idTokenProvider: async () => 'oidc-token' }));
+
+  const analyze = (config, options = {}) => api.analyzeChanges([], { refs: { base: 'base', head: 'head' }, config: { ...entra, generationMode: 'llm', ...config }, ...options });
+  await assert.rejects(analyze({ templateFallback: false }), /azure-openai-entra needs an OIDC token/);
+  assert.equal((await analyze({})).config.generationMode, 'template');
+  assert.equal((await analyze({}, { idTokenProvider: async () => 'oidc-token' })).config.generationMode, 'llm');
+});
+
+test('keeps the HTTP status on errors from both client styles', async () => {
+  const config = { llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o' };
+
+  const returning = fakeHttpClient(() => ({ status: 429, data: { error: { message: 'slow down' } } }));
+  await assert.rejects(llm.requestChatCompletion(config, messages, { httpClient: returning }), { status: 429, message: /rate limit exceeded: slow down/ });
+
+  const throwing = {
+    async post() {
+      const error = new Error('Request failed with status code 503');
+      error.response = { status: 503, statusText: 'Service Unavailable', data: { error: 'overloaded' } };
+      throw error;
+    }
+  };
+  await assert.rejects(llm.requestChatCompletion(config, messages, { httpClient: throwing }), { status: 503, message: /status 503: overloaded/ });
+});
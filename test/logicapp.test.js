@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const logicapp = require('../src/logicapp');
+
+const sample = fs.readFileSync(path.join(__dirname, 'sample.logicapp.json'), 'utf8');
+
+/**
+ * Apply `mutate` to a copy of the sample workflow and return it as JSON
+ */
+function variant(mutate) {
+  const document = JSON.parse(sample);
+  mutate(document);
+  return JSON.stringify(document);
+}
+
+test('parses triggers, nested actions and connections', () => {
+  const model = logicapp.parseLogicAppDefinition(sample);
+
+  assert.deepEqual(Object.keys(model.triggers), ['When_a_HTTP_request_is_received']);
+  assert.equal(model.triggers.When_a_HTTP_request_is_received.kind, 'Http');
+  assert.equal(model.actions.Validate_Customer.connection, 'azuretables');
+  assert.equal(model.actions.Process_Order.parent, 'Condition_Check_Fraud_Result [false]');
+  assert.deepEqual(model.actions.Log_Suspicious_Activity.runAfter, ['Send_to_Manual_Review_Queue (Succeeded)']);
+  assert.equal(model.parameters.storageAccountKey.type, 'securestring');
+});
+
+test('resolves Standard and ARM wrappers and ignores other JSON', () => {
+  const definition = JSON.parse(sample);
+  const standard = logicapp.parseLogicAppDefinition(JSON.stringify({ definition }));
+  const arm = logicapp.parseLogicAppDefinition(JSON.stringify({ type: 'Microsoft.Logic/workflows', properties: { definition } }));
+
+  assert.equal(Object.keys(standard.actions).length, 10);
+  assert.equal(Object.keys(arm.actions).length, 10);
+  assert.equal(logicapp.parseLogicAppDefinition('{"name":"not a workflow"}'), null);
+  assert.equal(logicapp.parseLogicAppDefinition(''), null);
+  assert.throws(() => logicapp.parseLogicAppDefinition('{'), /Invalid Logic App JSON/);
+});
+
+test('diffs added, removed, rewired and modified actions', () => {
+  const head = variant(document => {
+    delete document.actions.Publish_Event_to_EventGrid;
+    document.actions.Store_Metrics_in_Blob.runAfter = { Validate_Customer: ['Succeeded'] };
+    document.actions.Check_Fraud_Score.type = 'Function';
+    document.actions.Notify_Team = { type: 'Http', inputs: { method: 'POST', uri: 'https://example.com' }, runAfter: {} };
+    document.parameters.webhookSecret = { type: 'SecureString' };
+  });
+
+  const changes = logicapp.diffLogicAppDefinitions(
+    logicapp.parseLogicAppDefinition(sample),
+    logicapp.parseLogicAppDefinition(head)
+  );
+
+  assert.deepEqual(changes.actionsAdded.map(a => a.name), ['Notify_Team']);
+  assert.deepEqual(changes.actionsRemoved.map(a => a.name), ['Publish_Event_to_EventGrid']);
+  assert.deepEqual(changes.actionsRewired.map(a => a.name), ['Store_Metrics_in_Blob']);
+  assert.deepEqual(changes.actionsModified, [{ name: 'Check_Fraud_Score', type: 'Function', typeChanged: true, previousType: 'Http' }]);
+  assert.deepEqual(changes.connectionsRemoved, ['azureeventgrid']);
+  assert.deepEqual(changes.secureParametersAdded, ['webhookSecret']);
+  assert.equal(logicapp.hasLogicAppChanges(changes), true);
+});
+
+test('treats an added file as all additions and an unchanged file as no changes', () => {
+  const model = logicapp.parseLogicAppDefinition(sample);
+
+  const added = logicapp.diffLogicAppDefinitions(null, model);
+  assert.equal(added.actionsAdded.length, 10);
+  assert.deepEqual(added.secureParametersAdded, ['serviceBusConnectionString', 'storageAccountKey']);
+
+  const unchanged = logicapp.diffLogicAppDefinitions(model, logicapp.parseLogicAppDefinition(sample));
+  assert.equal(logicapp.hasLogicAppChanges(unchanged), false);
+  assert.equal(logicapp.renderLogicAppChanges(unchanged), '_No structural workflow changes detected._\n');
+  assert.equal(logicapp.formatLogicAppChangesForPrompt(unchanged), '- No structural workflow changes detected');
+});
+
+test('renders a change table with escaped cells', () => {
+  const head = variant(document => {
+    document.actions['Route|Order'] = { type: 'Compose', inputs: 'x', runAfter: { Process_Order: ['Succeeded', 'Failed'] } };
+  });
+  const changes = logicapp.diffLogicAppDefinitions(
+    logicapp.parseLogicAppDefinition(sample),
+    logicapp.parseLogicAppDefinition(head)
+  );
+
+  const table = logicapp.renderLogicAppChanges(changes);
+  assert.match(table, /^\| Change \| Element \| Details \|/);
+  assert.match(table, /\| Action added \| Route\\\|Order \| Compose, top level, after Process_Order \(Succeeded\\\|Failed\) \|/);
+  assert.match(logicapp.formatLogicAppChangesForPrompt(changes), /- Action added: Route\|Order/);
+});
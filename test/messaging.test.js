@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const messaging = require('../src/messaging');
+
+const queueConfig = fs.readFileSync(path.join(__dirname, 'servicebus-queue-config.json'), 'utf8');
+const filename = 'queues/servicebus-orders.json';
+
+/**
+ * The sample queue config with `properties` overridden
+ */
+function withQueueProperties(properties) {
+  const config = JSON.parse(queueConfig);
+  Object.assign(config.properties, properties);
+  return JSON.stringify(config, null, 2);
+}
+
+const eventHubTemplate = (retention, partitions, resources = []) => JSON.stringify({
+  $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#',
+  resources: [
+    { type: 'Microsoft.EventHub/namespaces/eventhubs', apiVersion: '2021-11-01', name: "[concat(parameters('ns'), '/telemetry')]", properties: { messageRetentionInDays: retention, partitionCount: partitions } },
+    ...resources
+  ]
+});
+
+test('parses queues, subscriptions and rules from a bare entity config', () => {
+  const { entities } = messaging.parseMessagingConfig(queueConfig, filename);
+  const queue = entities['queue:order-processing-queue'];
+
+  assert.deepEqual(Object.keys(entities).slice(0, 3), [
+    'queue:order-processing-queue',
+    'subscription:order-processing-queue/order-processor-subscription',
+    'rule:order-processing-queue/order-processor-subscription/filter-1'
+  ]);
+  assert.equal(queue.settings.lockDuration, 'PT5M');
+  assert.equal(queue.settings.maxDeliveryCount, 10);
+  assert.equal(messaging.parseMessagingConfig('not json', filename), null);
+});
+
+test('explains setting changes in plain words and validates ranges', () => {
+  const changes = messaging.diffMessagingConfigs(
+    messaging.parseMessagingConfig(queueConfig, filename),
+    messaging.parseMessagingConfig(withQueueProperties({ requiresSession: true, maxDeliveryCount: 3, lockDuration: 'PT10M', deadLetteringOnMessageExpiration: false }), filename)
+  );
+
+  assert.deepEqual(changes.changes, [{
+    entity: 'queue `order-processing-queue`',
+    kind: 'queue',
+    change: 'modified',
+    details: [
+      'lock duration raised from 5 min to 10 min',
+      'max delivery count lowered from 10 to 3; messages are dead-lettered after fewer delivery attempts',
+      'dead-lettering on expiration disabled; expired messages are discarded instead of dead-lettered',
+      'sessions enabled; receivers must accept sessions and senders must set SessionId'
+    ]
+  }]);
+  assert.deepEqual(changes.issues, [{
+    entity: 'queue `order-processing-queue`',
+    message: 'lock duration 10 min is above the maximum of 5 min',
+    setting: 'lockDuration',
+    value: 'PT10M',
+    fix: 'PT5M'
+  }]);
+  assert.match(messaging.formatMessagingChangesForPrompt(changes), /\n- Validation: queue `order-processing-queue`: lock duration 10 min is above the maximum of 5 min$/);
+
+  const rendered = messaging.renderMessagingChanges(changes);
+  assert.match(rendered, /^\| Entity \| Change \| Details \|/);
+  assert.match(rendered, /\| queue `order-processing-queue` \| modified \| lock duration raised from 5 min to 10 min<br>max delivery count/);
+  assert.match(rendered, /\*\*Validation:\*\*\n\n- ⚠️ queue `order-processing-queue`: lock duration 10 min is above the maximum of 5 min/);
+});
+
+test('reads Event Hubs entities from ARM templates', () => {
+  const consumerGroup = { type: 'Microsoft.EventHub/namespaces/eventhubs/consumergroups', apiVersion: '2021-11-01', name: "[concat(parameters('ns'), '/telemetry/analytics')]", properties: {} };
+  const base = messaging.parseMessagingConfig(eventHubTemplate(7, 4, [consumerGroup]), 'infra/eventhub.json');
+  const head = messaging.parseMessagingConfig(eventHubTemplate(1, 8), 'infra/eventhub.json');
+
+  assert.deepEqual(Object.keys(base.entities), ['eventhub:telemetry', 'consumer-group:telemetry/analytics']);
+  assert.equal(messaging.formatMessagingChangesForPrompt(messaging.diffMessagingConfigs(base, head)), [
+    '- event hub `telemetry` modified: partition count raised from 4 to 8; partition-key placement changes for new events, and Basic/Standard hubs cannot reduce partitions; retention lowered from 7 day(s) to 1 day(s); consumers have less time to catch up',
+    '- consumer group `telemetry/analytics` removed'
+  ].join('\n'));
+  assert.equal(messaging.formatMessagingChangesForPrompt(messaging.diffMessagingConfigs(null, head)), '- event hub `telemetry` added: partition count 8; retention 1 day(s)');
+});
+
+test('parses and formats ISO 8601 durations', () => {
+  assert.equal(messaging.parseDuration('PT1H30M'), 5400);
+  assert.equal(messaging.parseDuration('bogus'), null);
+  assert.equal(messaging.formatDuration(5400), '1 h 30 min');
+  assert.equal(messaging.formatDuration(messaging.parseDuration('P10675199DT2H48M5.4775807S')), 'unlimited');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const promptBudget = require('../src/prompt-budget');
+const { silenceLog, fakeOctokit, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+/**
+ * A diff of `hunks` hunks, each `lines` added lines long
+ */
+function largeDiff(hunks, lines) {
+  const parts = [];
+  for (let hunk = 0; hunk < hunks; hunk++) {
+    parts.push(`@@ -${hunk * lines + 1},0 +${hunk * lines + 1},${lines} @@`);
+    for (let line = 0; line < lines; line++) parts.push(`+  "setting${hunk}_${line}": "value ${line}",`);
+  }
+  return parts.join('\n');
+}
+
+test('estimates tokens at four characters each', () => {
+  assert.equal(promptBudget.estimateTokens(''), 0);
+  assert.equal(promptBudget.estimateTokens('abcde'), 2);
+});
+
+test('splits diffs at hunk boundaries without losing lines', () => {
+  const diff = largeDiff(4, 20);
+  const chunks = promptBudget.splitIntoChunks(diff, 200);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 800));
+  assert.ok(chunks.every(chunk => chunk.startsWith('@@') || chunk.startsWith('+')));
+  assert.equal(chunks.join('\n'), diff);
+  assert.deepEqual(promptBudget.splitIntoChunks('short', 200), ['short']);
+});
+
+test('summarises only files over the file limit and reports coverage', async () => {
+  const files = [
+    { filename: 'big.json', diff: largeDiff(3, 40) },
+    { filename: 'small.json', diff: '+ one line' }
+  ];
+  const requests = [];
+
+  await promptBudget.summarizeToBudget(files, { maxPromptTokens: 100000, maxFileTokens: 500 }, () => 0, async (file, chunk, index, total) => {
+    requests.push(`${file.filename} ${index + 1}/${total}`);
+    return `summary ${index + 1}`;
+  });
+
+  assert.equal(files[0].summarised, true);
+  assert.equal(files[0].chunkCount, requests.length);
+  assert.match(files[0].summary, /^Part 1\/\d+:\nsummary 1/);
+  assert.equal(files[1].summarised, undefined);
+
+  const section = promptBudget.renderCoverageSection(files);
+  assert.match(section, new RegExp(`\\| \`big.json\` \\| Summarised \\(${requests.length} chunks\\) \\|`));
+  assert.match(section, /\| `small.json` \| Full diff \|/);
+  assert.equal(promptBudget.renderCoverageSection([files[1]]), '');
+});
+
+test('stops summarising at the request limit and falls back for the rest', async () => {
+  const files = [
+    { filename: 'a.json', diff: largeDiff(2, 40) },
+    { filename: 'b.json', diff: largeDiff(2, 39) }
+  ];
+  const requests = { used: 0 };
+  let calls = 0;
+  const summarize = async () => `summary ${++calls}`;
+  const fallback = file => `fallback for ${file.filename}`;
+  const chunksPerFile = promptBudget.splitIntoChunks(files[0].diff, 500).length;
+  assert.ok(chunksPerFile > 1);
+  const budget = { maxPromptTokens: 100000, maxFileTokens: 500, maxRequests: chunksPerFile + 1, requests };
+
+  await promptBudget.summarizeToBudget(files, budget, () => 0, summarize, fallback);
+
+  assert.equal(files[0].summarised, true);
+  assert.equal(files[0].summaryFallback, undefined);
+  assert.equal(files[1].summaryFallback, true);
+  assert.equal(files[1].summary, 'fallback for b.json');
+  assert.equal(calls, files[0].chunkCount);
+  assert.equal(requests.used, chunksPerFile);
+  assert.match(promptBudget.renderCoverageSection(files), /\| `b.json` \| Listed from file analysis \(summary request limit reached\) \|/);
+});
+
+test('caps map-phase requests across a whole run', async () => {
+  const filenames = ['queues/servicebus-orders.json', 'queues/servicebus-billing.json', 'queues/servicebus-audit.json'];
+  const base = {};
+  const head = {};
+  filenames.forEach(filename => {
+    base[filename] = '{}';
+    head[filename] = '{}';
+  });
+  const files = filenames.map(filename => ({ filename, status: 'modified', additions: 200, deletions: 0, patch: largeDiff(4, 50) }));
+  const analysis = await api.analyzeChanges(files, {
+    octokit: fakeOctokit({ base, head }),
+    repo: { owner: 'o', repo: 'r' },
+    refs: { base: 'base', head: 'head' },
+    config: { llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o', maxFileTokens: 1000, maxSummaryRequests: 4 }
+  });
+  const client = fakeHttpClient(() => completion('- summarised'));
+
+  const doc = await api.generateDocumentation(analysis, { type: 'pull_request', number: 1, title: 'Queues', author: 'dev', body: '' }, { httpClient: client });
+
+  const summaryRequests = client.requests.filter(request => /^File: /.test(request.body.messages[1].content));
+  assert.ok(summaryRequests.length <= 4);
+  assert.equal(client.requests.length, summaryRequests.length + 1);
+  assert.match(doc, /Listed from file analysis \(summary request limit reached\)/);
+  assert.match(client.requests[client.requests.length - 1].body.messages[1].content, /not summarised because the summary request limit was reached/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const promptTemplates = require('../src/prompt-template');
+const { silenceLog, fakeOctokit, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+const template = `---
+system: |
+  You write {{serviceTypes}} change notes for the architecture board.
+onMissingSections: reprompt
+---
+# {{title}}
+
+## Business Context
+<!-- Why the change was made -->
+
+## 1. Changed Components
+{{fileList}}
+`;
+
+test('parses front matter and takes required sections from the body headings', () => {
+  const parsed = promptTemplates.parsePromptTemplate(template, 'template.md');
+
+  assert.equal(parsed.system, 'You write {{serviceTypes}} change notes for the architecture board.\n');
+  assert.deepEqual(parsed.requiredSections, ['Business Context', '1. Changed Components']);
+  assert.equal(parsed.onMissingSections, 'reprompt');
+  assert.match(parsed.body, /^# \{\{title\}\}/);
+});
+
+test('rejects unknown keys, actions and placeholders in one error', () => {
+  const invalid = '---\nstyle: formal\nonMissingSections: ignore\n---\n## {{owner}} notes\n';
+  assert.throws(() => promptTemplates.parsePromptTemplate(invalid, 'bad.md'), error => {
+    assert.match(error.message, /^Invalid prompt template bad.md:/);
+    assert.match(error.message, /unknown front matter key "style"/);
+    assert.match(error.message, /onMissingSections: must be one of reprompt, flag/);
+    assert.match(error.message, /unknown placeholder\(s\): \{\{owner\}\}/);
+    return true;
+  });
+  assert.throws(() => promptTemplates.parsePromptTemplate('---\nsystem: x\n---\n', 'empty.md'), /template body is empty/);
+});
+
+test('fills placeholders and leaves unknown ones untouched', () => {
+  const values = promptTemplates.buildTemplateValues(
+    [{ filename: 'a.logicapp.json', status: 'added' }],
+    { title: 'Add orders', number: 4, author: 'dev' },
+    () => 'Azure Logic App'
+  );
+
+  assert.equal(promptTemplates.renderTemplateString('{{ title }} {{number}} by {{author}} ({{serviceTypes}}) {{other}}', values),
+    'Add orders #4 by @dev (Azure Logic App) {{other}}');
+  assert.equal(values.fileList, '- `a.logicapp.json` (added)');
+});
+
+test('matches required sections ignoring case, numbering and emoji', () => {
+  const markdown = '# Title\n\n## 📋 business context\n\n### Changed components ##\n';
+  assert.deepEqual(promptTemplates.findMissingSections(markdown, ['Business Context', '1. Changed Components', 'Rollback']), ['Rollback']);
+});
+
+test('re-prompts once for missing sections and flags what is still missing', async () => {
+  const filename = 'workflows/orders.logicapp.json';
+  const octokit = fakeOctokit({
+    base: { [filename]: '{"triggers":{},"actions":{}}' },
+    head: { [filename]: '{"triggers":{},"actions":{"Notify":{"type":"Http"}}}', '.github/doc-template.md': template }
+  });
+  const analysis = await api.analyzeChanges([{ filename, status: 'modified', additions: 1, deletions: 0, patch: '@@ -1 +1 @@\n+x' }], {
+    octokit,
+    repo: { owner: 'o', repo: 'r' },
+    refs: { base: 'base', head: 'head' },
+    config: { llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o', promptTemplate: '.github/doc-template.md' }
+  });
+  const answers = ['# Orders\n\n## Business Context\nWhy.', '# Orders\n\n## Business Context\nWhy, again.'];
+  const client = fakeHttpClient(() => completion(answers.shift()));
+
+  const doc = await api.generateDocumentation(analysis, { type: 'pull_request', number: 2, title: 'Notify', author: 'dev', body: '' }, { httpClient: client });
+
+  assert.equal(client.requests.length, 2);
+  assert.equal(client.requests[0].body.messages[0].content, 'You write Azure Logic App change notes for the architecture board.');
+  assert.match(client.requests[1].body.messages[3].content, /missing these required sections: "1. Changed Components"/);
+  assert.match(doc, /^> ⚠️ \*\*Missing required sections:\*\* 1. Changed Components\n\n# Orders/);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const publish = require('../src/publish');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const log = silenceLog();
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+const docPath = 'docs/pr-8-azure-integrations.md';
+const pullRequest = { number: 8, head: { repo: { full_name: 'o/r' } }, base: { repo: { full_name: 'o/r' } } };
+const config = { commitStrategy: 'direct', docsBranchPrefix: 'azure-docs/', docsPrLabels: ['docs'], docsPrReviewers: ['dev', 'o/platform'] };
+const request = { branch: 'feature', filePaths: [docPath], commitMessage: 'docs: update', pullRequest, title: 'docs: #8', summary: 'Documentation for #8.' };
+
+// The documentation is read from the workspace, relative to the working directory
+const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'azure-doc-agent-publish-'));
+fs.mkdirSync(path.join(workspace, 'docs'));
+fs.writeFileSync(path.join(workspace, docPath), '# PR 8\n');
+process.chdir(workspace);
+test.after(() => {
+  process.chdir(__dirname);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+/**
+ * octokit for a repository whose branches point at `<branch>-sha` commits with tree `tree-1`;
+ * new trees get `newTree` as their SHA
+ */
+function gitOctokit({ newTree = 'tree-2', handlers = {} } = {}) {
+  return fakeOctokit({}, {
+    'git.getRef': ({ ref }) => ({ object: { sha: `${ref.replace('heads/', '')}-sha` } }),
+    'git.getCommit': () => ({ tree: { sha: 'tree-1' } }),
+    'git.createBlob': () => ({ sha: 'blob-1' }),
+    'git.createTree': () => ({ sha: newTree }),
+    'git.createCommit': () => ({ sha: 'docs-sha' }),
+    ...handlers
+  });
+}
+
+test('commits the documentation straight to the branch', async () => {
+  const octokit = gitOctokit();
+
+  const publication = await publish.publishDocumentation(octokit, context, config, request);
+
+  assert.deepEqual(publication, { strategy: 'direct', commitSha: 'docs-sha', pullRequest: null });
+  assert.deepEqual(octokit.called('git.createTree')[0].tree, [{ path: docPath, mode: '100644', type: 'blob', sha: 'blob-1' }]);
+  assert.equal(Buffer.from(octokit.called('git.createBlob')[0].content, 'base64').toString('utf8'), '# PR 8\n');
+  assert.deepEqual(octokit.called('git.createCommit')[0].parents, ['feature-sha']);
+  assert.deepEqual(octokit.called('git.updateRef'), [{ owner: 'o', repo: 'r', ref: 'heads/feature', sha: 'docs-sha' }]);
+  assert.equal(log.outputs['docs-commit-sha'], 'docs-sha');
+  assert.equal(publish.describePublication(publication), '');
+});
+
+test('skips the commit when the documentation is unchanged and explains protected branches', async () => {
+  const unchanged = gitOctokit({ newTree: 'tree-1' });
+  assert.equal((await publish.publishDocumentation(unchanged, context, config, request)).commitSha, null);
+  assert.equal(unchanged.called('git.createCommit').length, 0);
+  assert.equal(unchanged.called('git.updateRef').length, 0);
+
+  const protectedBranch = gitOctokit({
+    handlers: {
+      'git.updateRef': () => {
+        throw new Error('Cannot update this protected branch');
+      }
+    }
+  });
+  await assert.rejects(publish.publishDocumentation(protectedBranch, context, config, request),
+    /^Error: Failed to commit documentation: Cannot update this protected branch \(set commit-strategy: pull-request to publish through a pull request\)$/);
+});
+
+test('opens a documentation pull request, resetting a leftover docs branch', async () => {
+  const octokit = gitOctokit({
+    handlers: {
+      'pulls.list': () => [],
+      'git.createRef': () => {
+        throw Object.assign(new Error('Reference already exists'), { status: 422 });
+      },
+      'pulls.create': () => ({ number: 21, html_url: 'https://github.com/o/r/pull/21' })
+    }
+  });
+
+  const publication = await publish.publishDocumentation(octokit, context, { ...config, commitStrategy: 'pull-request' }, request);
+
+  assert.equal(publication.commitSha, 'docs-sha');
+  assert.equal(octokit.called('pulls.list')[0].head, 'o:azure-docs/pr-8');
+  assert.deepEqual(octokit.called('git.createCommit')[0].parents, ['feature-sha']);
+  assert.deepEqual(octokit.called('git.updateRef'), [{ owner: 'o', repo: 'r', ref: 'heads/azure-docs/pr-8', sha: 'docs-sha', force: true }]);
+  const [created] = octokit.called('pulls.create');
+  assert.deepEqual([created.title, created.head, created.base], ['docs: #8', 'azure-docs/pr-8', 'feature']);
+  assert.match(created.body, /^<!-- azure-integration-doc-agent:docs-pr -->\n## 📚 Azure Integration Documentation\n\nDocumentation for #8\.\n\n\*\*Files:\*\*\n- `docs\/pr-8-azure-integrations.md`/);
+  assert.deepEqual(octokit.called('issues.addLabels')[0].labels, ['docs']);
+  const [reviewers] = octokit.called('pulls.requestReviewers');
+  assert.deepEqual([reviewers.reviewers, reviewers.team_reviewers], [['dev'], ['platform']]);
+  assert.equal(log.outputs['docs-pr-number'], '21');
+  assert.equal(publish.describePublication(publication), '🔀 **Documentation PR:** [#21](https://github.com/o/r/pull/21)\n');
+});
+
+test('updates the open documentation pull request on later runs', async () => {
+  const octokit = gitOctokit({ handlers: { 'pulls.list': () => [{ number: 21, html_url: 'https://github.com/o/r/pull/21' }] } });
+
+  const publication = await publish.publishDocumentation(octokit, context, { ...config, commitStrategy: 'pull-request' }, request);
+
+  assert.equal(publication.pullRequest.number, 21);
+  assert.deepEqual(octokit.called('git.createCommit')[0].parents, ['azure-docs/pr-8-sha']);
+  assert.deepEqual(octokit.called('git.updateRef'), [{ owner: 'o', repo: 'r', ref: 'heads/azure-docs/pr-8', sha: 'docs-sha' }]);
+  assert.deepEqual(octokit.called('pulls.update').map(args => args.pull_number), [21]);
+  assert.equal(octokit.called('pulls.create').length, 0);
+});
+
+test('leaves fork pull requests uncommitted', async () => {
+  const fork = { ...pullRequest, head: { repo: { full_name: 'someone/r' } } };
+  const octokit = gitOctokit();
+
+  assert.equal(publish.isForkPullRequest(fork), true);
+  assert.equal(publish.isForkPullRequest(pullRequest), false);
+  const publication = await publish.publishDocumentation(octokit, context, config, { ...request, pullRequest: fork });
+
+  assert.deepEqual(publication, { strategy: 'none', commitSha: null, pullRequest: null });
+  assert.equal(octokit.calls.length, 0);
+  assert.equal(log.outputs['commit-strategy'], 'none');
+  assert.equal(publish.describePublication(publication), '📦 **Not committed:** the documentation is left in the workflow workspace\n');
+});
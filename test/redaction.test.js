@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const redaction = require('../src/redaction');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const logger = silenceLog();
+
+const key = 'abcdEFGHijklMNOPqrstUVWXyz0123456789abcdEFG=';
+const rotated = 'zyxwVUTSrqpoNMLKjihgFEDCba9876543210zyxwVUT=';
+const connection = value => `Endpoint=sb://contoso.servicebus.windows.net/;SharedAccessKeyName=app;SharedAccessKey=${value}`;
+const azuriteKey = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+test('replaces secrets with placeholders that are stable across a run', () => {
+  const redactor = redaction.createRedactor();
+
+  assert.equal(redactor.redact(`-${connection(key)}\n+${connection(rotated)}`),
+    `-${connection('[REDACTED:shared-access-key:1]')}\n+${connection('[REDACTED:shared-access-key:2]')}`);
+  assert.equal(redactor.redact(connection(key)), connection('[REDACTED:shared-access-key:1]'));
+  assert.deepEqual(redactor.stats(), { secrets: 2, occurrences: 3, byType: { 'shared-access-key': 2 } });
+  assert.equal(redaction.describeRedactions(redactor.stats()), '2 secret(s) (2 shared-access-key)');
+});
+
+test('leaves allowlisted values and the Azurite key alone', () => {
+  const redactor = redaction.createRedactor({ allowlist: [key, '/^ZZZ/'] });
+
+  assert.equal(redactor.redact(connection(key)), connection(key));
+  assert.equal(redactor.redact('Ocp-Apim-Subscription-Key: ZZZabcdef0123456789abcdef0123456'), 'Ocp-Apim-Subscription-Key: ZZZabcdef0123456789abcdef0123456');
+  assert.equal(redactor.redact(`AccountKey=${azuriteKey}`), `AccountKey=${azuriteKey}`);
+  assert.equal(redactor.stats().secrets, 0);
+  assert.throws(() => redaction.createRedactor({ allowlist: ['/[/'] }));
+});
+
+/**
+ * Analyse one changed queue definition whose contents are served by `getContent`
+ */
+function analyze(getContent) {
+  const filename = 'queues/servicebus-orders.json';
+  const octokit = fakeOctokit({}, {
+    'repos.getContent': args => {
+      if (args.path !== filename) throw Object.assign(new Error('Not Found'), { status: 404 });
+      return getContent(args);
+    }
+  });
+  const files = [{ filename, status: 'modified', additions: 1, deletions: 1, patch: `@@ -1 +1 @@\n-"${connection(key)}"\n+"${connection(rotated)}"` }];
+  return api.analyzeChanges(files, { octokit, repo: { owner: 'o', repo: 'r' }, refs: { base: 'base', head: 'head' }, config: { generationMode: 'template' } });
+}
+
+test('redacts the PR description and commit messages sent to the model', async () => {
+  const analysis = await analyze(({ ref }) => ({ type: 'file', encoding: 'base64', content: Buffer.from(`{"connection": "${connection(ref === 'base' ? key : rotated)}"}`).toString('base64') }));
+  assert.equal(analysis.files[0].versions.head, `{"connection": "${connection('[REDACTED:shared-access-key:2]')}"}`);
+
+  const pullRequest = api.buildPrompt(analysis, { type: 'pull_request', number: 3, title: 'Rotate key', author: 'dev', body: `Old key was ${connection(key)}` });
+  assert.match(pullRequest.user, /Old key was Endpoint=sb:\/\/contoso\.servicebus\.windows\.net\/;SharedAccessKeyName=app;SharedAccessKey=\[REDACTED:shared-access-key:1\]/);
+
+  const push = api.buildPrompt(analysis, { type: 'push', branch: 'main', title: 'Push to main', commits: [{ id: '0123456789abcdef', message: `Use ${connection(rotated)}`, author: { name: 'dev' } }] });
+  assert.match(push.user, /- 0123456: Use Endpoint=.*SharedAccessKey=\[REDACTED:shared-access-key:2\] \(dev\)/);
+  assert.equal(`${pullRequest.user}${push.user}`.includes(key) || `${pullRequest.user}${push.user}`.includes(rotated), false);
+});
+
+test('withholds the diff of a file that could not be loaded for redaction', async () => {
+  const analysis = await analyze(() => { throw Object.assign(new Error('Server Error'), { status: 500 }); });
+  const [file] = analysis.files;
+
+  assert.equal(file.diff, '(Diff withheld: the file could not be loaded for secret redaction)');
+  assert.deepEqual(file.versions, { base: null, head: null });
+  assert.ok(logger.messages.some(message => message.includes('Its diff is left out of the documentation')));
+
+  const { user } = api.buildPrompt(analysis, { type: 'pull_request', number: 4, title: 'x', author: 'dev', body: '' });
+  assert.match(user, /Diff withheld/);
+  assert.equal(user.includes('SharedAccessKey='), false);
+});
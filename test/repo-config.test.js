@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repoConfig = require('../src/repo-config');
+const { fakeOctokit } = require('./helpers');
+
+const context = { repo: { owner: 'o', repo: 'r' } };
+
+test('normalises rules with names and path lists', () => {
+  const config = repoConfig.validateRepoConfig({
+    version: 1,
+    defaults: { docsFolder: 'docs/azure', redactionAllowlist: ['example.com'] },
+    rules: [
+      { name: 'orders', paths: ['orders/**'], owners: ['@contoso/orders'] },
+      { paths: 'policies/**', includeCostImpact: false }
+    ]
+  }, 'azure-doc-agent.yml');
+
+  assert.deepEqual(config.defaults, { docsFolder: 'docs/azure', redactionAllowlist: ['example.com'] });
+  assert.deepEqual(config.rules, [
+    { name: 'orders', paths: ['orders/**'], settings: { owners: ['@contoso/orders'] } },
+    { name: 'rule-2', paths: ['policies/**'], settings: { includeCostImpact: false } }
+  ]);
+});
+
+test('reports every problem in one error with suggestions', () => {
+  assert.throws(() => repoConfig.validateRepoConfig({
+    version: 2,
+    extra: true,
+    defaults: { docs_folder: 'x' },
+    rules: [{ name: 'bad name', includeCostImpact: 'yes' }, { paths: ['a/**'], filePatterns: ['*.json'] }]
+  }, 'config.yml'), error => {
+    const lines = error.message.split('\n');
+    assert.equal(lines[0], 'Invalid config.yml:');
+    assert.deepEqual(lines.slice(1), [
+      '  - extra: unknown top-level key (expected version, defaults, rules)',
+      '  - version: only version 1 is supported',
+      '  - defaults.docs_folder: unknown setting (did you mean "docsFolder"?)',
+      '  - rules[0].paths: required; must be a glob or a list of globs',
+      '  - rules[0].name: must contain only letters, digits, "-" or "_"',
+      '  - rules[0].includeCostImpact: must be true or false',
+      '  - rules[1].filePatterns: unknown setting'
+    ]);
+    return true;
+  });
+});
+
+test('loads YAML from the repository and treats a missing file as no config', async () => {
+  const octokit = fakeOctokit({
+    head: { 'cfg/azure-doc-agent.yml': 'defaults:\n  mode: integration\n', 'cfg/broken.yml': 'defaults: [' }
+  });
+
+  const loaded = await repoConfig.loadRepoConfig(octokit, context, 'cfg/azure-doc-agent.yml', 'head');
+  assert.deepEqual(loaded, { defaults: { mode: 'integration' }, rules: [] });
+  assert.equal(await repoConfig.loadRepoConfig(octokit, context, 'cfg/missing.yml', 'head'), null);
+  await assert.rejects(repoConfig.loadRepoConfig(octokit, context, 'cfg/broken.yml', 'head'), /Invalid cfg\/broken.yml: YAML parse error/);
+});
+
+test('groups files by matching rules, later rules winning', () => {
+  const config = repoConfig.validateRepoConfig({
+    rules: [
+      { name: 'orders', paths: ['orders/**'], docsFolder: 'docs/orders', includeCostImpact: false },
+      { name: 'policies', paths: ['**/apim-*.xml'], includeCostImpact: true }
+    ]
+  }, 'config.yml');
+  const files = [
+    { filename: 'orders/apim-orders.xml' },
+    { filename: 'orders/orders.logicapp.json' },
+    { filename: 'billing/billing.logicapp.json' }
+  ];
+
+  const groups = repoConfig.groupFilesByRules(files, config, repoConfig.applyRepoDefaults({ docsFolder: 'docs', includeCostImpact: true }, config));
+
+  assert.deepEqual(groups.map(group => [group.name, group.files.map(file => file.filename)]), [
+    ['orders+policies', ['orders/apim-orders.xml']],
+    ['orders', ['orders/orders.logicapp.json']],
+    [null, ['billing/billing.logicapp.json']]
+  ]);
+  assert.equal(groups[0].config.includeCostImpact, true);
+  assert.equal(groups[1].config.includeCostImpact, false);
+  assert.equal(groups[0].config.docSuffix, '-orders-policies');
+  assert.equal(groups[1].config.docSuffix, '-orders');
+  assert.equal(groups[2].config.docSuffix, '');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../src/api');
+const githubFiles = require('../src/github-files');
+const reviewComments = require('../src/review-comments');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+silenceLog();
+
+const filename = 'queues/servicebus-orders.json';
+const queue = (requiresSession, lockDuration) => JSON.stringify({ queueName: 'orders', properties: { lockDuration, requiresSession, maxDeliveryCount: 10 } }, null, 2);
+const context = { repo: { owner: 'o', repo: 'r' } };
+const pullRequest = { number: 8, head: { sha: 'abcdef1234567' } };
+
+/**
+ * Review comments for a queue change that requires sessions and sets an out-of-range lock duration
+ */
+async function commentsForQueueChange() {
+  const base = queue(false, 'PT1M');
+  const head = queue(true, 'PT10M');
+  const octokit = fakeOctokit({ base: { [filename]: base }, head: { [filename]: head } });
+  const files = [{ filename, status: 'modified', additions: 2, deletions: 2, patch: githubFiles.diffContents(base, head).diff }];
+  const analysis = await api.analyzeChanges(files, { octokit, repo: context.repo, refs: { base: 'base', head: 'head' }, config: { generationMode: 'template' } });
+  return reviewComments.buildReviewComments(analysis.files, analysis.config);
+}
+
+test('maps a unified diff to the changed lines on each side', () => {
+  const sides = reviewComments.changedLines('@@ -2,3 +2,4 @@\n context\n-old\n+new\n+added\n context\n\\ No newline at end of file');
+  assert.deepEqual(Array.from(sides.LEFT), [3]);
+  assert.deepEqual(Array.from(sides.RIGHT), [3, 4]);
+});
+
+test('anchors findings to the changed lines, with suggestions for mechanical fixes', async () => {
+  const comments = await commentsForQueueChange();
+
+  assert.deepEqual(comments.map(comment => [comment.line, comment.side]), [[4, 'RIGHT'], [5, 'RIGHT']]);
+  assert.equal(comments[0].body.split('\n').slice(1).join('\n'),
+    '🟠 **Invalid setting on queue orders**\n\nlock duration 10 min is above the maximum of 5 min\n\n```suggestion\n    "lockDuration": "PT5M",\n```');
+  assert.match(comments[1].body, /^<!-- azure-integration-doc-agent:review:[0-9a-f]{16} -->\n🔴 \*\*queue orders\*\*\n\n- 🔴 Breaking: `requiresSession` false → true/);
+});
+
+test('keeps, updates, posts and resolves comments across runs', async () => {
+  const [invalid, breaking] = await commentsForQueueChange();
+  const marker = key => `<!-- azure-integration-doc-agent:review:${key} -->`;
+  const existing = [
+    { id: 1, path: filename, line: invalid.line, side: 'RIGHT', body: invalid.body },
+    { id: 2, path: filename, line: breaking.line, side: 'RIGHT', body: `${marker(breaking.key)}\nOlder wording` },
+    { id: 3, path: filename, line: 9, side: 'RIGHT', body: `${marker('0123456789abcdef')}\n🟠 **Gone**\n\nFixed since.\n\n\`\`\`suggestion\nx\n\`\`\`` },
+    { id: 4, path: filename, line: 9, side: 'RIGHT', body: 'A human comment' }
+  ];
+  const octokit = fakeOctokit({}, { 'pulls.listReviewComments': () => existing });
+  const mutations = [];
+  octokit.graphql = async (query, variables) => {
+    if (query.includes('mutation')) {
+      mutations.push(variables.threadId);
+      return {};
+    }
+    return { repository: { pullRequest: { reviewThreads: { nodes: [{ id: 'T3', isResolved: false, comments: { nodes: [{ databaseId: 3 }] } }], pageInfo: { hasNextPage: false } } } } };
+  };
+
+  const result = await reviewComments.publishReview(octokit, context, pullRequest, [invalid, breaking, { ...breaking, key: 'fedcba9876543210', body: `${marker('fedcba9876543210')}\nNew` }]);
+
+  assert.deepEqual(result, { created: 1, updated: 1, resolved: 1 });
+  const updates = octokit.called('pulls.updateReviewComment');
+  assert.deepEqual(updates.map(args => args.comment_id), [2, 3]);
+  assert.equal(updates[0].body, breaking.body);
+  assert.equal(updates[1].body, `${marker('0123456789abcdef')}\n✅ **Resolved:** no longer reported at abcdef1.\n\n<details>\n<summary>Original comment</summary>\n\n🟠 **Gone**\n\nFixed since.\n\n</details>`);
+  assert.deepEqual(octokit.called('pulls.createReview').map(args => [args.commit_id, args.comments.length]), [['abcdef1234567', 1]]);
+  assert.deepEqual(mutations, ['T3']);
+});
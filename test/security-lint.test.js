@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const api = require('../src/api');
+const agent = require('../src/agent');
+const securityLint = require('../src/security-lint');
+const { silenceLog, fakeOctokit } = require('./helpers');
+
+const logger = silenceLog();
+
+const key = 'abcdEFGHijklMNOPqrstUVWXyz0123456789abcdEFG=';
+const sources = [
+  { path: 'policies/apim-orders.xml', content: '<policies>\n<inbound>\n<cors allow-credentials="true">\n<allowed-origins><origin>*</origin></allowed-origins>\n</cors>\n</inbound>\n</policies>' },
+  { path: 'workflows/orders.logicapp.json', content: JSON.stringify({ definition: { triggers: { manual: { type: 'Request', kind: 'Http' } }, actions: {} } }, null, 2) },
+  {
+    path: 'infra/servicebus.bicep',
+    content: "resource app 'Microsoft.ServiceBus/namespaces/AuthorizationRules@2022-10-01-preview' = {\n  name: 'app'\n  properties: {\n    rights: [\n      'Manage'\n      'Listen'\n    ]\n  }\n}\n" +
+      `var connection = 'Endpoint=sb://contoso.servicebus.windows.net/;SharedAccessKeyName=app;SharedAccessKey=${key}'\n`
+  }
+];
+
+test('reports each rule with its file and line', () => {
+  const findings = securityLint.lintSources(sources, api.detectAzureServiceType);
+
+  assert.deepEqual(findings.map(item => `${item.ruleId} ${item.path}:${item.line}`), [
+    'AZINT004 infra/servicebus.bicep:1',
+    'AZINT001 infra/servicebus.bicep:10',
+    'AZINT002 policies/apim-orders.xml:3',
+    'AZINT003 workflows/orders.logicapp.json:4'
+  ]);
+  assert.equal(findings[0].message, 'Authorization rule `app` grants Manage rights');
+});
+
+test('skips secrets on the redaction allowlist', () => {
+  const findings = securityLint.lintSources(sources, api.detectAzureServiceType, [key]);
+  assert.equal(findings.some(item => item.ruleId === 'AZINT001'), false);
+});
+
+test('builds a SARIF log with stable fingerprints', () => {
+  const findings = securityLint.lintSources(sources, api.detectAzureServiceType);
+  const sarif = securityLint.buildSarif(findings, sources);
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, '2.1.0');
+  assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), Object.keys(securityLint.RULES));
+  assert.deepEqual(run.results[2].locations[0].physicalLocation, { artifactLocation: { uri: 'policies/apim-orders.xml', uriBaseId: '%SRCROOT%' }, region: { startLine: 3 } });
+  assert.equal(run.results[2].level, 'error');
+
+  const moved = sources.map(source => ({ ...source, content: `\n${source.content}` }));
+  const again = securityLint.buildSarif(securityLint.lintSources(moved, api.detectAzureServiceType), moved);
+  assert.deepEqual(again.runs[0].results.map(result => result.partialFingerprints), run.results.map(result => result.partialFingerprints));
+});
+
+test('renders findings with the help for each rule', () => {
+  const section = securityLint.renderSecurityFindings(securityLint.lintSources(sources.slice(0, 1), api.detectAzureServiceType));
+
+  assert.match(section, /^\| Severity \| Rule \| Location \| Finding \|/);
+  assert.match(section, /\| 🔴 Error \| AZINT002 ApimCorsWildcardWithCredentials \| `policies\/apim-orders.xml:3` \|/);
+  assert.match(section, /\n- \*\*AZINT002\*\*: List the allowed origins/);
+  assert.equal(securityLint.renderSecurityFindings([]), '_No security findings in the scanned files._\n');
+});
+
+test('writes the SARIF log to RUNNER_TEMP unless sarif-file is set', async () => {
+  const runnerTemp = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-'));
+  const previous = process.env.RUNNER_TEMP;
+  process.env.RUNNER_TEMP = runnerTemp;
+
+  try {
+    const [policy] = sources;
+    const octokit = fakeOctokit({ base: {}, head: { [policy.path]: policy.content } });
+    const files = [{ filename: policy.path, status: 'added', additions: 7, deletions: 0, patch: '@@ -0,0 +1 @@\n+x' }];
+    const analyze = config => api.analyzeChanges(files, { octokit, repo: { owner: 'o', repo: 'r' }, refs: { base: 'base', head: 'head' }, config: { generationMode: 'template', dryRun: false, ...config } });
+
+    await analyze({});
+    const sarifFile = path.join(runnerTemp, 'azure-integration-security.sarif');
+    assert.equal(logger.outputs['sarif-file'], sarifFile);
+    assert.equal(JSON.parse(fs.readFileSync(sarifFile, 'utf8')).runs[0].results[0].ruleId, 'AZINT002');
+    assert.equal(fs.existsSync(path.join(process.cwd(), 'azure-integration-security.sarif')), false);
+
+    const configured = path.join(runnerTemp, 'reports', 'security.sarif');
+    await analyze({ sarifFile: configured });
+    assert.equal(logger.outputs['sarif-file'], configured);
+    assert.ok(fs.existsSync(configured));
+  } finally {
+    if (previous === undefined) delete process.env.RUNNER_TEMP;
+    else process.env.RUNNER_TEMP = previous;
+    fs.rmSync(runnerTemp, { recursive: true, force: true });
+  }
+});
+
+test('lints every matched file, says which files it checked and can be switched off', async () => {
+  const [, workflow] = sources;
+  const octokit = fakeOctokit({ base: {}, head: Object.fromEntries(sources.map(source => [source.path, source.content])) });
+  const files = [{ filename: workflow.path, status: 'added', additions: 1, deletions: 0, patch: '@@ -0,0 +1 @@\n+x' }];
+  const analyze = config => api.analyzeChanges(files, { octokit, repo: { owner: 'o', repo: 'r' }, refs: { base: 'base', head: 'head' }, config: { generationMode: 'template', ...config } });
+  const linted = analysis => Array.from(new Set(analysis.config.securityFindings.map(item => item.path))).sort();
+
+  const full = await analyze({});
+  assert.deepEqual(linted(full), ['policies/apim-orders.xml', 'workflows/orders.logicapp.json']);
+  const section = agent.renderSecuritySection(full.files, full.config);
+  assert.match(section, /_Static checks over every matched integration file; findings in the changed files are listed here/);
+  assert.match(section, /AZINT003/);
+  assert.doesNotMatch(section, /AZINT002/);
+
+  const changedOnly = await analyze({ scanRepository: false });
+  assert.deepEqual(linted(changedOnly), [workflow.path]);
+  assert.match(agent.renderSecuritySection(changedOnly.files, changedOnly.config), /_Static checks over the changed files only \(`scan-repository: false`\)/);
+
+  const off = await analyze({ securityLint: false, includeSecurityNotes: false, checkRun: true, createReviewComments: true });
+  assert.equal(off.config.securityFindings, undefined);
+  assert.deepEqual(linted(await analyze({ includeSecurityNotes: false, checkRun: true })), linted(full));
+});
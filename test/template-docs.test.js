@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const api = require('../src/api');
+const templateDocs = require('../src/template-docs');
+const { silenceLog, fakeOctokit, fakeHttpClient, completion } = require('./helpers');
+
+silenceLog();
+
+const sample = fs.readFileSync(path.join(__dirname, 'sample.logicapp.json'), 'utf8');
+const filename = 'workflows/orders.logicapp.json';
+const metadata = { type: 'pull_request', number: 3, title: 'Rename event action', author: 'dev', body: '' };
+
+/**
+ * Analyse a pull request that renames one Logic App action, with `config` overrides
+ */
+function analyzeRename(config) {
+  const head = sample.replace('"Publish_Event_to_EventGrid"', '"Publish_Event"');
+  const octokit = fakeOctokit({ base: { [filename]: sample }, head: { [filename]: head } });
+  const files = [{ filename, status: 'modified', additions: 1, deletions: 1, patch: '@@ -1 +1 @@\n-"Publish_Event_to_EventGrid"\n+"Publish_Event"' }];
+  return api.analyzeChanges(files, { octokit, repo: { owner: 'o', repo: 'r' }, refs: { base: 'base', head: 'head' }, config });
+}
+
+test('detects secret references by name from added lines only', () => {
+  const file = {
+    filename: 'functions/orders/index.js',
+    diff: '@@ -1,2 +1,2 @@\n-const old = process.env.OLD_TOKEN;\n+const key = process.env.STORAGE_ACCOUNT_KEY;\n+const kv = "@Microsoft.KeyVault(SecretUri=https://kv.vault.azure.net/secrets/db)";'
+  };
+
+  assert.deepEqual(templateDocs.detectSecretReferences(file), [
+    { name: 'STORAGE_ACCOUNT_KEY', label: 'environment variable' },
+    { name: 'SecretUri=https://kv.vault.azure.net/secrets/db', label: 'Key Vault reference' }
+  ]);
+});
+
+test('detects IaC resource declarations from diff lines', () => {
+  const file = {
+    filename: 'infra/bicep/main.bicep',
+    diff: "@@ -1,2 +1,2 @@\n-resource oldQueue 'Microsoft.ServiceBus/namespaces/queues@2022-10-01-preview' = {\n+resource sb 'Microsoft.ServiceBus/namespaces@2022-10-01-preview' = {"
+  };
+
+  assert.deepEqual(templateDocs.detectResourceChanges(file), {
+    added: ['sb Microsoft.ServiceBus/namespaces'],
+    removed: ['oldQueue Microsoft.ServiceBus/namespaces/queues'],
+    modified: []
+  });
+});
+
+test('renders template documentation with resources and service checklists', async () => {
+  const analysis = await analyzeRename({ generationMode: 'template' });
+  const doc = await api.renderDocs(analysis, metadata);
+
+  assert.match(doc, /^# Azure Integration Changes\n\n\*\*PR:\*\* #3 — Rename event action/);
+  assert.match(doc, /without an AI model\.\n/);
+  assert.match(doc, /\| `workflows\/orders.logicapp.json` \| Azure Logic App \| modified \| \+1 \/ -1 \(1 added, 1 removed\) \|/);
+  assert.match(doc, /\| `workflows\/orders.logicapp.json` \| Removed \| action Publish_Event_to_EventGrid \|/);
+  assert.match(doc, /- \[ \] Verify API connections exist in the target environment/);
+});
+
+test('falls back to template documentation when the LLM request fails', async () => {
+  const analysis = await analyzeRename({ llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o' });
+  const client = fakeHttpClient(() => ({ status: 500, data: { error: 'boom' } }));
+
+  const doc = await api.generateDocumentation(analysis, metadata, { httpClient: client });
+
+  assert.equal(client.requests.length, 1);
+  assert.match(doc, /AI generation unavailable: OpenAI request failed with status 500: boom/);
+  assert.match(doc, /## Resource Changes/);
+});
+
+test('uses the LLM output when the request succeeds', async () => {
+  const analysis = await analyzeRename({ llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o' });
+  const client = fakeHttpClient(() => completion('# Orders workflow\n\nThe event action was renamed.'));
+
+  const doc = await api.generateDocumentation(analysis, metadata, { httpClient: client });
+
+  assert.match(doc, /^# Orders workflow/);
+  assert.doesNotMatch(doc, /without an AI model/);
+});
+
+test('fails without template fallback', async () => {
+  const analysis = await analyzeRename({ llmProvider: 'openai', llmApiKey: 'k', llmModel: 'gpt-4o', templateFallback: false });
+  const client = fakeHttpClient(() => ({ status: 401, data: {} }));
+
+  await assert.rejects(api.generateDocumentation(analysis, metadata, { httpClient: client }), /OpenAI authentication failed/);
+});